@@ -0,0 +1,186 @@
+// backend/lib/auditLog.js
+// Append-only audit trail of the writes made through the portal, one JSON object per line.
+//
+// With USE_ADMIN_FOR_ALL every write reaches ServiceNow as the shared account, so this log is
+// where the real person is kept: who (session user, IP), what (route, table, sys_id, field
+// diff, approval decision) and how it ended (success, denied, conflict, failure).
+//
+// Entries form a hash chain: each carries the previous entry's `hash`, and its own `hash`
+// covers everything else in it (SHA-256, or HMAC-SHA256 when a secret is set). Editing,
+// dropping or reordering lines breaks the chain from that point on, which verify() reports.
+// Appends take the same lock file as lib/jsonStore.js, so several processes can share a log.
+// Without a secret anyone who can edit the file can also recompute the hashes: only the HMAC
+// chain is tamper-evident.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { withFileLock } from './jsonStore.js';
+
+const GENESIS = '0'.repeat(64);
+const CHUNK_BYTES = 64 * 1024;
+
+// Offset just past the last newline before `end` in an open file (0 when there is none),
+// reading backwards a chunk at a time
+async function lineStart(h, end) {
+  const buf = Buffer.alloc(Math.min(end, CHUNK_BYTES));
+  for (let pos = end; pos > 0;) {
+    const len = Math.min(pos, CHUNK_BYTES);
+    await h.read(buf, 0, len, pos - len);
+    const i = buf.subarray(0, len).lastIndexOf(0x0a);
+    if (i >= 0) return pos - len + i + 1;
+    pos -= len;
+  }
+  return 0;
+}
+
+export function createAuditLog({ file = './data/audit.jsonl', secret = '' } = {}) {
+  const logFile = path.resolve(file);
+
+  const digest = (prevHash, body) =>
+    (secret ? crypto.createHmac('sha256', String(secret)) : crypto.createHash('sha256'))
+      .update(`${prevHash}\n${body}`)
+      .digest('hex');
+
+  // `hash` is always the last key, so an entry's body is its JSON without it
+  const bodyOf = ({ hash, ...rest }) => JSON.stringify(rest);
+
+  // Last entry of the log, which the next one chains onto, read line by line from the end. An
+  // append cut short by a crash leaves a fragment without its newline, however long; it never
+  // became an entry, so it is cut off here. A complete line that doesn't parse is skipped, and
+  // verify() will report it.
+  async function lastEntry() {
+    let h;
+    try {
+      h = await fs.open(logFile, 'r+');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    try {
+      let end = (await h.stat()).size;
+      const tail = end && (await lineStart(h, end));
+      if (tail < end) {
+        await h.truncate(tail);
+        end = tail;
+      }
+      let lines = 0;
+      while (end > 0) {
+        const start = await lineStart(h, end - 1);
+        const buf = Buffer.alloc(end - 1 - start);
+        await h.read(buf, 0, buf.length, start);
+        end = start;
+        const text = buf.toString('utf8');
+        if (!text.trim()) continue;
+        lines++;
+        try {
+          const entry = JSON.parse(text);
+          if (entry?.hash && entry.seq) return entry;
+        } catch {}
+      }
+      if (lines) throw new Error('Audit log has no readable entry to continue from');
+      return null;
+    } finally {
+      await h.close();
+    }
+  }
+
+  // { line, entry } for every non-blank line, oldest first. Lines `keep(text)` turns down are
+  // not parsed (entry stays undefined).
+  async function* entries(keep = null) {
+    let stream;
+    try {
+      await fs.access(logFile);
+      stream = createReadStream(logFile, { encoding: 'utf8' });
+    } catch {
+      return;
+    }
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of rl) {
+      line++;
+      if (!text.trim()) continue;
+      let entry;
+      if (!keep || keep(text)) {
+        entry = null;
+        try {
+          entry = JSON.parse(text);
+        } catch {}
+      }
+      yield { line, entry };
+    }
+  }
+
+  return {
+    // Stores { ...entry, seq, ts, prevHash, hash } and resolves it
+    async append(entry) {
+      return withFileLock(logFile, async () => {
+        const last = await lastEntry();
+        const record = {
+          seq: (last?.seq || 0) + 1,
+          ts: new Date().toISOString(),
+          ...entry,
+          prevHash: last?.hash || GENESIS,
+        };
+        record.hash = digest(record.prevHash, JSON.stringify(record));
+        await fs.appendFile(logFile, JSON.stringify(record) + '\n', { mode: 0o600 });
+        return record;
+      });
+    },
+
+    // Newest first. Filters: user (sys_id, or part of the user name), record (sys_id or
+    // number), table, action, outcome, from / to (ISO dates or times, `to` inclusive per day).
+    // Streams the file and holds on to the newest offset + limit matches only; lines that can't
+    // hold an exact table/action/outcome match are not parsed.
+    async query({ user, record, table, action, outcome, from, to, limit = 100, offset = 0 } = {}) {
+      const userQ = String(user || '').trim().toLowerCase();
+      const recordQ = String(record || '').trim().toLowerCase();
+      const toEnd = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+      const matches = (e) =>
+        (!userQ || e.user?.sys_id === userQ ||
+          [e.user?.user_name, e.user?.name].some((v) => String(v || '').toLowerCase().includes(userQ))) &&
+        (!recordQ || e.sys_id === recordQ || String(e.number || '').toLowerCase() === recordQ) &&
+        (!table || e.table === table) &&
+        (!action || e.action === action) &&
+        (!outcome || e.outcome === outcome) &&
+        (!from || e.ts >= from) &&
+        (!toEnd || e.ts <= toEnd);
+
+      // Entries are written by JSON.stringify, so an exact value always appears as "key":"value"
+      const needles = Object.entries({ table, action, outcome })
+        .filter(([, v]) => v)
+        .map(([k, v]) => `${JSON.stringify(k)}:${JSON.stringify(String(v))}`);
+      const keep = needles.length ? (text) => needles.every((n) => text.includes(n)) : null;
+
+      const window = [];
+      let total = 0;
+      for await (const { entry } of entries(keep)) {
+        if (!entry || !matches(entry)) continue;
+        total++;
+        window.push(entry);
+        if (window.length > offset + limit) window.shift();
+      }
+      return { result: window.reverse().slice(offset, offset + limit), total };
+    },
+
+    // Walks the whole chain: { ok, entries, brokenAt?: { line, seq, reason } }
+    async verify() {
+      let prev = GENESIS;
+      let seq = 0;
+      let count = 0;
+      for await (const { line, entry } of entries()) {
+        count++;
+        const broken = (reason) => ({ ok: false, entries: count, brokenAt: { line, seq: entry?.seq ?? null, reason } });
+        if (!entry) return broken('Unreadable line');
+        if (entry.prevHash !== prev) return broken('Does not follow the previous entry');
+        if (entry.seq !== seq + 1) return broken('Out of sequence');
+        if (entry.hash !== digest(entry.prevHash, bodyOf(entry))) return broken('Contents changed');
+        prev = entry.hash;
+        seq = entry.seq;
+      }
+      return { ok: true, entries: count };
+    },
+  };
+}
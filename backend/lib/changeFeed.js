@@ -0,0 +1,66 @@
+// backend/lib/changeFeed.js
+// Shared polling loops behind the SSE change feed.
+//
+// Subscribers registered under the same key (the portal uses the sorted group set) share
+// one loop, so ServiceNow is polled once per key instead of once per open browser tab.
+//
+//   const feed = createChangeFeed({ intervalMs, poll });
+//   const stop = feed.subscribe(key, { ...subscriberInfo, deliver(batch) {} });
+//
+// poll(key, state, subscribers) fetches whatever changed and resolves a batch (or null when
+// there is nothing to send); every subscriber's deliver(batch) then picks out its own part.
+// `state` is a per-key object the poller keeps its cursor in. A loop stops when its last
+// subscriber leaves; a new one starts with fresh state.
+
+export function createChangeFeed({ intervalMs = 10000, poll, onError = () => {} }) {
+  const loops = new Map(); // key -> { key, state, subscribers, timer, busy }
+
+  async function tick(loop) {
+    // A slow ServiceNow call must not stack up overlapping polls
+    if (loop.busy || !loop.subscribers.size) return;
+    loop.busy = true;
+    try {
+      const batch = await poll(loop.key, loop.state, [...loop.subscribers]);
+      if (!batch) return;
+      for (const sub of loop.subscribers) {
+        try {
+          sub.deliver(batch);
+        } catch (e) {
+          onError(e, loop.key);
+        }
+      }
+    } catch (e) {
+      onError(e, loop.key);
+    } finally {
+      loop.busy = false;
+    }
+  }
+
+  return {
+    subscribe(key, subscriber) {
+      let loop = loops.get(key);
+      if (!loop) {
+        loop = { key, state: {}, subscribers: new Set(), busy: false };
+        loop.timer = setInterval(() => tick(loop), intervalMs);
+        loop.timer.unref?.();
+        loops.set(key, loop);
+      }
+      loop.subscribers.add(subscriber);
+
+      let done = false;
+      return () => {
+        if (done) return;
+        done = true;
+        loop.subscribers.delete(subscriber);
+        if (!loop.subscribers.size) {
+          clearInterval(loop.timer);
+          loops.delete(key);
+        }
+      };
+    },
+
+    stats() {
+      return [...loops.values()].map((l) => ({ key: l.key, subscribers: l.subscribers.size }));
+    },
+  };
+}
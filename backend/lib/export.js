@@ -0,0 +1,252 @@
+// backend/lib/export.js
+// Spreadsheet exports written straight to a response as rows arrive, so a long list never has
+// to sit in memory:
+//
+//   const x = exportWriter(res, 'xlsx', ['Number', 'State'], { sheet: 'Incidents' });
+//   await x.rows([['INC0010001', 'New'], ...]);   // any number of times
+//   await x.end();
+//
+// CSV is UTF-8 with a BOM (so Excel picks the encoding) and CRLF line ends; cells starting
+// with = + - @ get a leading apostrophe so a spreadsheet won't run them as formulas.
+// XLSX is a minimal workbook (one sheet, inline strings, bold frozen header row) in a zip
+// whose entries are deflated chunk by chunk, with sizes and CRCs in trailing data descriptors.
+
+import { once } from 'events';
+import zlib from 'zlib';
+
+export const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+};
+
+async function put(out, chunk) {
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+
+/* ---------- CSV ---------- */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(',') + '\r\n';
+
+function csvWriter(out, headers) {
+  let started = false;
+  const start = async () => {
+    if (started) return;
+    started = true;
+    await put(out, '\uFEFF' + csvLine(headers));
+  };
+  return {
+    async rows(rows) {
+      await start();
+      if (rows.length) await put(out, rows.map(csvLine).join(''));
+    },
+    async end() {
+      await start();
+      out.end();
+    },
+  };
+}
+
+/* ---------- Zip (sizes in data descriptors) ---------- */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// DOS date/time of "now" for the zip headers
+function dosStamp(d = new Date()) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// Each chunk is deflated on its own and sync-flushed, which leaves a byte-aligned, non-final
+// block sequence; an empty final block closes the entry.
+const FINAL_BLOCK = Buffer.from([0x03, 0x00]);
+const FLAGS = 0x0808; // sizes follow the data, UTF-8 names
+
+function zipWriter(out) {
+  const entries = [];
+  const stamp = dosStamp();
+  let offset = 0;
+
+  const write = async (buf) => {
+    offset += buf.length;
+    await put(out, buf);
+  };
+
+  async function open(name) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const entry = { nameBuf, offset, crc: 0, size: 0, csize: 0 };
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(20, 4);
+    h.writeUInt16LE(FLAGS, 6);
+    h.writeUInt16LE(8, 8);
+    h.writeUInt16LE(stamp.time, 10);
+    h.writeUInt16LE(stamp.date, 12);
+    h.writeUInt16LE(nameBuf.length, 26);
+    await write(Buffer.concat([h, nameBuf]));
+
+    return {
+      async write(text) {
+        const raw = Buffer.from(text, 'utf8');
+        if (!raw.length) return;
+        const packed = zlib.deflateRawSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        entry.crc = crc32(raw, entry.crc);
+        entry.size += raw.length;
+        entry.csize += packed.length;
+        await write(packed);
+      },
+      async close() {
+        entry.csize += FINAL_BLOCK.length;
+        await write(FINAL_BLOCK);
+        const d = Buffer.alloc(16);
+        d.writeUInt32LE(0x08074b50, 0);
+        d.writeUInt32LE(entry.crc, 4);
+        d.writeUInt32LE(entry.csize, 8);
+        d.writeUInt32LE(entry.size, 12);
+        await write(d);
+        entries.push(entry);
+      },
+    };
+  }
+
+  async function file(name, text) {
+    const e = await open(name);
+    await e.write(text);
+    await e.close();
+  }
+
+  async function end() {
+    const start = offset;
+    for (const e of entries) {
+      const c = Buffer.alloc(46);
+      c.writeUInt32LE(0x02014b50, 0);
+      c.writeUInt16LE(20, 4);
+      c.writeUInt16LE(20, 6);
+      c.writeUInt16LE(FLAGS, 8);
+      c.writeUInt16LE(8, 10);
+      c.writeUInt16LE(stamp.time, 12);
+      c.writeUInt16LE(stamp.date, 14);
+      c.writeUInt32LE(e.crc, 16);
+      c.writeUInt32LE(e.csize, 20);
+      c.writeUInt32LE(e.size, 24);
+      c.writeUInt16LE(e.nameBuf.length, 28);
+      c.writeUInt32LE(e.offset, 42);
+      await write(Buffer.concat([c, e.nameBuf]));
+    }
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(entries.length, 8);
+    eocd.writeUInt16LE(entries.length, 10);
+    eocd.writeUInt32LE(offset - start, 12);
+    eocd.writeUInt32LE(start, 16);
+    await write(eocd);
+    out.end();
+  }
+
+  return { open, file, end };
+}
+
+/* ---------- XLSX ---------- */
+const NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const XLSX_CELL_MAX = 32767;
+
+const xmlText = (v) =>
+  String(v ?? '')
+    .slice(0, XLSX_CELL_MAX)
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const sheetRow = (cells, style = '') =>
+  '<row>' +
+  cells.map((v) => `<c t="inlineStr"${style}><is><t xml:space="preserve">${xmlText(v)}</t></is></c>`).join('') +
+  '</row>';
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetName = (s) => String(s || 'Sheet1').replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+
+function xlsxWriter(out, headers, { sheet } = {}) {
+  const zip = zipWriter(out);
+  let body = null;
+
+  async function start() {
+    if (body) return;
+    await zip.file('[Content_Types].xml', XML_HEAD +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>');
+    await zip.file('_rels/.rels', XML_HEAD +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>');
+    await zip.file('xl/workbook.xml', XML_HEAD +
+      `<workbook xmlns="${NS}" xmlns:r="${REL_NS}"><sheets>` +
+      `<sheet name="${xmlText(sheetName(sheet))}" sheetId="1" r:id="rId1"/>` +
+      '</sheets></workbook>');
+    await zip.file('xl/_rels/workbook.xml.rels', XML_HEAD +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+    // Style 1 = bold, for the header row
+    await zip.file('xl/styles.xml', XML_HEAD +
+      `<styleSheet xmlns="${NS}">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>');
+
+    body = await zip.open('xl/worksheets/sheet1.xml');
+    await body.write(XML_HEAD +
+      `<worksheet xmlns="${NS}"><sheetViews><sheetView workbookViewId="0">` +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews><sheetData>' + sheetRow(headers, ' s="1"'));
+  }
+
+  return {
+    async rows(rows) {
+      await start();
+      if (rows.length) await body.write(rows.map((r) => sheetRow(r)).join(''));
+    },
+    async end() {
+      await start();
+      await body.write('</sheetData></worksheet>');
+      await body.close();
+      await zip.end();
+    },
+  };
+}
+
+// -> { rows(arrays), end() } for format 'csv' or 'xlsx'. Nothing is written before the first
+// call, so the caller can still answer with an error until then.
+export function exportWriter(out, format, headers, opts = {}) {
+  return format === 'xlsx' ? xlsxWriter(out, headers, opts) : csvWriter(out, headers);
+}
@@ -0,0 +1,137 @@
+// backend/lib/filters.js
+// Filter builder conditions -> encoded query conditions for the list routes.
+//
+// A filter is a list of AND'ed conditions from the browser (or a saved view):
+//   [{ field: 'priority', op: 'IN', value: ['1', '2'] },
+//    { field: 'assignment_group', op: '=', value: '@mygroups' },
+//    { field: 'opened_at', op: '<', value: '@daysAgo:2' }]
+//
+// `field` is a key of the list's filter fields, not a raw ServiceNow column, and every field
+// kind has a fixed set of operators, so a filter can only narrow a list, never widen its scope.
+// Placeholders are resolved per request: @me (the user), @mygroups (their groups) and
+// @daysAgo:N (midnight UTC N days back). compileFilter() returns [field, op, value] triples
+// for scopedQuery(); values are escaped there.
+
+const SYSID_RE = /^[0-9a-f]{32}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAYS_AGO_RE = /^@daysAgo:(\d{1,4})$/;
+const MAX_CONDITIONS = 20;
+const MAX_TEXT = 100;
+
+// Operators per field kind, with the labels the filter builder shows
+export const KINDS = {
+  choice: { IN: 'is one of', 'NOT IN': 'is not one of' },
+  user: { '=': 'is', '!=': 'is not', LIKE: 'name contains', ISEMPTY: 'is empty', ISNOTEMPTY: 'is not empty' },
+  group: { '=': 'is', '!=': 'is not', ISEMPTY: 'is empty', ISNOTEMPTY: 'is not empty' },
+  date: { '>=': 'on or after', '<': 'before' },
+  text: { LIKE: 'contains', '=': 'is' },
+};
+
+function filterError(message) {
+  const err = new Error(message);
+  err.httpStatus = 400;
+  return err;
+}
+
+// Parse the list routes' ?filter= parameter (JSON array of conditions).
+export function parseFilterParam(raw) {
+  if (raw === undefined || raw === null || raw === '') return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(String(raw));
+  } catch {
+    throw filterError('filter must be a JSON array of conditions');
+  }
+  return parsed;
+}
+
+const snDate = (d) => d.toISOString().replace('T', ' ').slice(0, 19);
+
+function dateValue(value, now) {
+  const v = String(value ?? '');
+  const rel = v.match(DAYS_AGO_RE);
+  if (rel) {
+    const d = new Date(now);
+    d.setUTCHours(0, 0, 0, 0);
+    d.setUTCDate(d.getUTCDate() - Number(rel[1]));
+    return snDate(d);
+  }
+  if (DATE_RE.test(v) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`))) return `${v} 00:00:00`;
+  throw filterError(`Invalid date: ${v}`);
+}
+
+function textValue(value, def) {
+  const v = String(value ?? '').trim();
+  if (!v || v.length > MAX_TEXT) throw filterError(`Invalid value for ${def.label}`);
+  return v;
+}
+
+// One condition -> a [field, op, value] triple, or null when it matches everything.
+function compileOne(def, op, value, { userId, groups = [], now = Date.now() }) {
+  const { field } = def;
+  switch (def.kind) {
+    case 'choice': {
+      const allowed = def.choices.map((c) => c.value);
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      if (!values.length || values.some((v) => !allowed.includes(v))) {
+        throw filterError(`Invalid value for ${def.label}`);
+      }
+      return [field, op, values];
+    }
+    case 'user':
+    case 'group': {
+      if (op === 'ISEMPTY' || op === 'ISNOTEMPTY') return [field, op];
+      if (op === 'LIKE') return [`${field}.name`, 'LIKE', textValue(value, def)];
+      if (def.kind === 'user' && value === '@me') return [field, op, userId];
+      if (def.kind === 'group' && value === '@mygroups') {
+        // Nobody is in no group: "is one of my groups" matches nothing, "is not" everything
+        if (!groups.length) return op === '=' ? ['sys_id', 'ISEMPTY'] : null;
+        return [field, op === '=' ? 'IN' : 'NOT IN', groups];
+      }
+      if (!SYSID_RE.test(String(value ?? ''))) throw filterError(`Invalid value for ${def.label}`);
+      return [field, op, String(value)];
+    }
+    case 'date':
+      return [field, op, dateValue(value, now)];
+    default:
+      return [field, op, textValue(value, def)];
+  }
+}
+
+// Validate a filter against a list's fields; returns the conditions in their stored shape.
+export function checkFilter(fields, conditions) {
+  if (!Array.isArray(conditions)) throw filterError('filter must be an array of conditions');
+  if (conditions.length > MAX_CONDITIONS) throw filterError(`At most ${MAX_CONDITIONS} conditions`);
+  return conditions.map((c) => {
+    const def = Object.prototype.hasOwnProperty.call(fields, c?.field) ? fields[c.field] : null;
+    if (!def) throw filterError(`Unknown filter field: ${c?.field}`);
+    const op = String(c.op || '');
+    if (!Object.prototype.hasOwnProperty.call(KINDS[def.kind], op)) {
+      throw filterError(`Operator "${op}" is not available for ${def.label}`);
+    }
+    // A dry run with placeholder context catches bad values at save time
+    compileOne(def, op, c.value, { userId: '', groups: ['x'] });
+    const out = { field: c.field, op };
+    if (c.value !== undefined && op !== 'ISEMPTY' && op !== 'ISNOTEMPTY') out.value = c.value;
+    if (c.label) out.label = String(c.label).slice(0, 200); // display text for picked refs
+    return out;
+  });
+}
+
+// ctx: { userId, groups, now }
+export function compileFilter(fields, conditions, ctx) {
+  return checkFilter(fields, conditions)
+    .map((c) => compileOne(fields[c.field], c.op, c.value, ctx))
+    .filter(Boolean);
+}
+
+// Field catalogue for the filter builder: [{ key, label, kind, ops: [{ op, label }], choices? }]
+export function describeFields(fields) {
+  return Object.entries(fields).map(([key, def]) => ({
+    key,
+    label: def.label,
+    kind: def.kind,
+    ops: Object.entries(KINDS[def.kind]).map(([op, label]) => ({ op, label })),
+    ...(def.choices && { choices: def.choices }),
+  }));
+}
@@ -0,0 +1,79 @@
+// backend/lib/jsonStore.js
+// Small JSON state holders shared by the session and view stores.
+//
+//   const backend = fileBackend('./data/x.json', () => ({ items: {} }), (s) => typeof s.items === 'object');
+//   await backend.read();                       // current state (never throws)
+//   await backend.update((state) => { ... });   // mutate under a lock, then persist
+//
+// The file backend guards read-modify-write with a lock file (withFileLock), so several backend
+// processes can share one file; writes go to a temp file first and are renamed into place.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function memoryBackend(empty) {
+  let state = empty();
+  return {
+    async read() { return state; },
+    async update(fn) { return fn(state); },
+  };
+}
+
+// Run `fn` holding `${file}.lock`, so read-modify-write steps of several processes don't
+// interleave. Locks left behind by a crashed process are stolen after 10s.
+export async function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  for (let i = 0; ; i++) {
+    try {
+      const h = await fs.open(lock, 'wx');
+      await h.close();
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      if (i >= 200) throw new Error(`${path.basename(file)} is busy`);
+      try {
+        const st = await fs.stat(lock);
+        if (Date.now() - st.mtimeMs > 10000) await fs.unlink(lock).catch(() => {});
+      } catch {}
+      await sleep(10 + Math.random() * 20);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lock).catch(() => {});
+  }
+}
+
+export function fileBackend(file, empty, isValid = () => true) {
+  async function read() {
+    try {
+      const txt = await fs.readFile(file, 'utf8');
+      const s = JSON.parse(txt);
+      return s && typeof s === 'object' && isValid(s) ? s : empty();
+    } catch {
+      return empty();
+    }
+  }
+
+  async function write(state) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(state), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    read,
+    async update(fn) {
+      return withFileLock(file, async () => {
+        const state = await read();
+        const out = await fn(state);
+        await write(state);
+        return out;
+      });
+    },
+  };
+}
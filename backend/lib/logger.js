@@ -0,0 +1,67 @@
+// backend/lib/logger.js
+// Levelled, structured logging: one JSON object per line on stdout (warn/error on stderr).
+//
+//   const log = createLogger({ level: 'info', context: () => ({ reqId }) });
+//   log.info('Record updated', { table, sys_id, fields });
+//   log.error('Update failed', { err });
+//
+// Every line gets { time, level, msg }, then whatever context() returns for the current request
+// (the server keeps a request id there), then the fields. Errors are reduced to message, status
+// and (at error level) stack. Values under credential-like keys, and under any key listed in
+// `redact`, are replaced before anything is written. format 'pretty' prints one readable line
+// per entry for local development instead.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_KEY = /passw(or)?d|^pass$|secret|token|authorization|cookie|credential|^creds$/i;
+const MAX_DEPTH = 6;
+const REDACTED = '[redacted]';
+
+export function createLogger({ level = 'info', format = 'json', redact = [], context = () => null } = {}) {
+  const min = LEVELS[String(level).toLowerCase()];
+  if (!min) throw new Error(`Unknown LOG_LEVEL "${level}"`);
+  const redactKeys = new Set(redact.map((k) => String(k).toLowerCase()));
+  const hidden = (key) => SECRET_KEY.test(key) || redactKeys.has(key.toLowerCase());
+
+  function clean(v, withStack, depth = 0) {
+    if (v instanceof Error) {
+      return {
+        message: v.message,
+        ...(v.httpStatus && { httpStatus: v.httpStatus }),
+        ...(withStack && v.stack && { stack: v.stack }),
+      };
+    }
+    if (!v || typeof v !== 'object') return v;
+    if (depth >= MAX_DEPTH) return '[…]';
+    if (Array.isArray(v)) return v.map((x) => clean(x, withStack, depth + 1));
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = hidden(k) ? REDACTED : clean(x, withStack, depth + 1);
+    return out;
+  }
+
+  function line(entry) {
+    if (format !== 'pretty') return JSON.stringify(entry);
+    const { time, level: lvl, msg, ...rest } = entry;
+    const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+    return [time.slice(11, 23), lvl.toUpperCase().padEnd(5), msg, ...extra].join(' ');
+  }
+
+  function write(lvl, bindings, msg, fields) {
+    if (LEVELS[lvl] < min) return;
+    const entry = clean({ ...context(), ...bindings, ...fields }, lvl === 'error');
+    const text = line({ time: new Date().toISOString(), level: lvl, msg, ...entry });
+    (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(text + '\n');
+  }
+
+  function make(bindings) {
+    return {
+      debug: (msg, fields) => write('debug', bindings, msg, fields),
+      info: (msg, fields) => write('info', bindings, msg, fields),
+      warn: (msg, fields) => write('warn', bindings, msg, fields),
+      error: (msg, fields) => write('error', bindings, msg, fields),
+      enabled: (lvl) => LEVELS[lvl] >= min,
+      // Same logger, with `more` added to every line
+      child: (more) => make({ ...bindings, ...more }),
+    };
+  }
+  return make({});
+}
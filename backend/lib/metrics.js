@@ -0,0 +1,107 @@
+// backend/lib/metrics.js
+// In-process metrics rendered in the Prometheus text format (version 0.0.4) for GET /metrics.
+//
+//   const metrics = createMetrics();
+//   const calls = metrics.counter('sn_requests_total', 'ServiceNow calls', ['table', 'status']);
+//   calls.inc({ table: 'incident', status: '2xx' });
+//   metrics.histogram('http_request_duration_seconds', 'Latency', ['route']).observe({ route }, 0.12);
+//   metrics.gauge('sessions', 'Active sessions', [], async (set) => set({}, await count()));
+//   res.type(metrics.contentType).send(await metrics.render());
+//
+// Series are keyed by their label values, so labels must come from small fixed sets (route
+// patterns, table names, status classes), never from ids or free text. Gauges may pass a
+// collect(set) callback that fills them in when they are rendered.
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const num = (v) => (v === Infinity ? '+Inf' : String(v));
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export function createMetrics() {
+  const all = [];
+
+  function define(type, name, help, labels, extra = {}) {
+    const m = { type, name, help, labels, series: new Map(), ...extra };
+    const series = (values, init) => {
+      const key = labels.map((l) => String(values?.[l] ?? '')).join('\u0000');
+      let s = m.series.get(key);
+      if (!s) {
+        s = { values: labels.map((l) => values?.[l] ?? ''), ...init() };
+        m.series.set(key, s);
+      }
+      return s;
+    };
+    m.at = series;
+    all.push(m);
+    return series;
+  }
+
+  function renderOne(m) {
+    const out = [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`];
+    for (const s of m.series.values()) {
+      if (m.type !== 'histogram') {
+        out.push(`${m.name}${labelText(m.labels, s.values)} ${num(s.value)}`);
+        continue;
+      }
+      let cumulative = 0;
+      m.buckets.forEach((le, i) => {
+        cumulative += s.counts[i];
+        out.push(`${m.name}_bucket${labelText(m.labels, s.values, `le="${num(le)}"`)} ${cumulative}`);
+      });
+      out.push(`${m.name}_bucket${labelText(m.labels, s.values, 'le="+Inf"')} ${s.count}`);
+      out.push(`${m.name}_sum${labelText(m.labels, s.values)} ${s.sum}`);
+      out.push(`${m.name}_count${labelText(m.labels, s.values)} ${s.count}`);
+    }
+    return out.join('\n');
+  }
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    counter(name, help, labels = []) {
+      const series = define('counter', name, help, labels);
+      return { inc: (values, n = 1) => { series(values, () => ({ value: 0 })).value += n; } };
+    },
+
+    gauge(name, help, labels = [], collect = null) {
+      const series = define('gauge', name, help, labels, { collect });
+      return { set: (values, v) => { series(values, () => ({ value: 0 })).value = v; } };
+    },
+
+    histogram(name, help, labels = [], buckets = DEFAULT_BUCKETS) {
+      const series = define('histogram', name, help, labels, { buckets });
+      return {
+        observe(values, v) {
+          const s = series(values, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          const i = buckets.findIndex((le) => v <= le);
+          if (i >= 0) s.counts[i]++;
+          s.sum += v;
+          s.count++;
+        },
+      };
+    },
+
+    // A gauge whose collect() fails is left out of this scrape rather than failing it
+    async render() {
+      const parts = [];
+      for (const m of all) {
+        if (m.collect) {
+          m.series.clear();
+          try {
+            await m.collect((values, v) => { m.at(values, () => ({ value: 0 })).value = v; });
+          } catch {
+            continue;
+          }
+        }
+        parts.push(renderOne(m));
+      }
+      return parts.join('\n') + '\n';
+    },
+  };
+}
@@ -0,0 +1,193 @@
+// backend/lib/policy.js
+// Declarative access policy for the generic record, activity and approval routes.
+//
+// Every table the portal exposes is listed in TABLE_POLICY with:
+//   read  - fields returned to the browser
+//   write - fields a PATCH may set (journal fields included)
+//   rows  - names of ROW_RULES; a user may touch a row when ANY rule matches
+//   readRows (optional) - ROW_RULES that only let a user read a row, never write or decide it
+//   create (optional) - { fields, required, choices } for POST /api/record/:table
+// Attachments follow row access: readable rows list/download them, rows with any writable
+// field also accept uploads and deletes.
+// Tables that are not listed are not reachable through the portal at all.
+
+const ref = (v) => (v && typeof v === 'object' && 'value' in v ? v.value : v) || '';
+
+const TASK_READ = [
+  'sys_id', 'number', 'short_description', 'description', 'assigned_to', 'assignment_group',
+  'state', 'priority', 'impact', 'urgency', 'caller_id', 'opened_at', 'sys_class_name', 'sys_updated_on',
+];
+const TASK_WRITE = [
+  'state', 'impact', 'urgency', 'priority', 'assigned_to', 'assignment_group',
+  'short_description', 'description', 'work_notes', 'comments',
+];
+const WORK_ROWS = ['assignedToMe', 'myGroups', 'unassigned'];
+
+const IMPACT_URGENCY = ['1', '2', '3'];
+const TASK_CREATE = {
+  fields: ['short_description', 'description', 'impact', 'urgency', 'assignment_group', 'assigned_to'],
+  required: ['short_description'],
+  choices: { impact: IMPACT_URGENCY, urgency: IMPACT_URGENCY },
+};
+
+const CHANGE_READ = [
+  'sys_id', 'number', 'type', 'priority', 'risk', 'impact', 'category', 'cmdb_ci',
+  'requested_by', 'start_date', 'end_date', 'short_description', 'description',
+  'justification', 'implementation_plan', 'risk_and_impact_analysis',
+  'backout_plan', 'test_plan', 'assigned_to', 'assignment_group', 'state', 'sys_updated_on',
+];
+
+export const TABLE_POLICY = {
+  incident: {
+    read: TASK_READ,
+    write: TASK_WRITE,
+    rows: [...WORK_ROWS, 'callerIsMe'],
+    create: { ...TASK_CREATE, fields: [...TASK_CREATE.fields, 'caller_id'], required: ['caller_id', 'short_description'] },
+  },
+  task: { read: TASK_READ, write: TASK_WRITE, rows: WORK_ROWS },
+  sc_task: { read: TASK_READ, write: TASK_WRITE, rows: WORK_ROWS },
+  problem: { read: TASK_READ, write: TASK_WRITE, rows: WORK_ROWS, create: TASK_CREATE },
+  sc_req_item: {
+    read: [...TASK_READ, 'requested_for', 'request', 'cat_item', 'quantity', 'price'],
+    write: TASK_WRITE,
+    rows: [...WORK_ROWS, 'requestedForMe', 'awaitingMyApproval'],
+  },
+  sc_request: {
+    read: ['sys_id', 'number', 'short_description', 'description', 'requested_for', 'state', 'opened_at', 'sys_updated_on'],
+    write: ['comments'],
+    rows: ['requestedForMe', 'awaitingMyApproval'],
+  },
+  change_request: {
+    read: CHANGE_READ,
+    write: ['work_notes', 'comments'],
+    rows: ['assignedToMe', 'myGroups', 'requestedByMe', 'awaitingMyApproval'],
+  },
+  sysapproval_approver: {
+    read: [
+      'sys_id', 'sysapproval', 'approver', 'state', 'comments', 'source_table', 'document_id',
+      'group', 'group.assignment_group', 'sys_created_on', 'sys_updated_on',
+    ],
+    write: [],
+    rows: ['iAmApprover'],
+    readRows: ['unassignedApproval'],
+  },
+};
+
+/* =========================
+ * Row rules
+ * ========================= */
+// ctx: { rec, table, session, approvalsFor(sys_id) -> Promise<approval rows>,
+//        delegators() -> Promise<sys_ids of users whose approvals the session user may act on> }
+// `fields` lists what a rule reads from the record so callers can fetch it.
+export const ROW_RULES = {
+  assignedToMe: {
+    fields: ['assigned_to'],
+    test: ({ rec, session }) => ref(rec.assigned_to) === session.userSysId,
+  },
+  myGroups: {
+    fields: ['assignment_group'],
+    test: ({ rec, session }) => !!ref(rec.assignment_group) && (session.groups || []).includes(ref(rec.assignment_group)),
+  },
+  unassigned: {
+    fields: ['assigned_to', 'assignment_group'],
+    test: ({ rec }) => !ref(rec.assigned_to) && !ref(rec.assignment_group),
+  },
+  callerIsMe: {
+    fields: ['caller_id'],
+    test: ({ rec, session }) => ref(rec.caller_id) === session.userSysId,
+  },
+  requestedForMe: {
+    fields: ['requested_for'],
+    test: ({ rec, session }) => ref(rec.requested_for) === session.userSysId,
+  },
+  requestedByMe: {
+    fields: ['requested_by'],
+    test: ({ rec, session }) => ref(rec.requested_by) === session.userSysId,
+  },
+  // Approval rows belong to their approver and to anyone the approver delegated approvals to
+  iAmApprover: {
+    fields: ['approver'],
+    test: async ({ rec, session, delegators }) =>
+      ref(rec.approver) === session.userSysId ||
+      (!!delegators && (await delegators()).includes(ref(rec.approver))),
+  },
+  // Unassigned approval rows show up in everyone's approvals list, so they can be opened, but
+  // nobody can decide them until ServiceNow assigns an approver
+  unassignedApproval: {
+    fields: ['approver'],
+    test: ({ rec }) => !ref(rec.approver),
+  },
+  awaitingMyApproval: {
+    fields: [],
+    test: async ({ rec, session, approvalsFor, delegators }) => {
+      if (!approvalsFor) return false;
+      const rows = await approvalsFor(ref(rec.sys_id));
+      if (rows.some((a) => ref(a.approver) === session.userSysId)) return true;
+      const others = delegators ? await delegators() : [];
+      return rows.some((a) => others.includes(ref(a.approver)));
+    },
+  },
+};
+
+/* =========================
+ * Queries
+ * ========================= */
+export function tablePolicy(table) {
+  return Object.prototype.hasOwnProperty.call(TABLE_POLICY, table) ? TABLE_POLICY[table] : null;
+}
+
+// Fields to request from ServiceNow: everything readable plus what the row rules need.
+export function fetchFields(table) {
+  const p = tablePolicy(table);
+  if (!p) return '';
+  const extra = [...p.rows, ...(p.readRows || [])].flatMap((r) => ROW_RULES[r]?.fields || []);
+  return [...new Set([...p.read, ...extra])].join(',');
+}
+
+export function readFields(table) {
+  return tablePolicy(table)?.read || [];
+}
+
+// Strip anything the policy doesn't allow the browser to see.
+export function redact(table, rec) {
+  if (!rec || typeof rec !== 'object') return rec;
+  const allowed = readFields(table);
+  const out = {};
+  for (const f of allowed) if (f in rec) out[f] = rec[f];
+  return out;
+}
+
+// Problems with a create body: { blocked: [...], missing: [...], invalid: [...] } (all empty = ok).
+export function checkCreate(table, body) {
+  const c = tablePolicy(table)?.create;
+  if (!c) return null;
+  const val = (v) => String((v && typeof v === 'object' && 'value' in v ? v.value : v) ?? '').trim();
+  return {
+    blocked: Object.keys(body || {}).filter((k) => !c.fields.includes(k)),
+    missing: c.required.filter((f) => !val(body?.[f])),
+    invalid: Object.entries(c.choices || {})
+      .filter(([f, allowed]) => val(body?.[f]) && !allowed.includes(val(body[f])))
+      .map(([f]) => f),
+  };
+}
+
+// Keys in a PATCH body the policy doesn't allow for this table.
+export function forbiddenWrites(table, body) {
+  const allowed = tablePolicy(table)?.write || [];
+  return Object.keys(body || {}).filter((k) => !allowed.includes(k));
+}
+
+export function canAttach(table) {
+  return (tablePolicy(table)?.write || []).length > 0;
+}
+
+// write: true for updates, uploads and decisions, which readRows rules don't grant.
+export async function canAccessRow(table, rec, ctx, { write = false } = {}) {
+  const p = tablePolicy(table);
+  if (!p || !rec) return false;
+  for (const name of write ? p.rows : [...p.rows, ...(p.readRows || [])]) {
+    const rule = ROW_RULES[name];
+    if (rule && (await rule.test({ ...ctx, rec, table }))) return true;
+  }
+  return false;
+}
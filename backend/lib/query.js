@@ -0,0 +1,140 @@
+// backend/lib/query.js
+// Safe builder for ServiceNow encoded queries (sysparm_query).
+//
+//   const q = encodedQuery()
+//     .where('state', 'NOT IN', ['6', '7'])
+//     .where('assigned_to', '=', userId)
+//     .nq()                                   // ^NQ: OR'ed second query
+//     .where('state', 'NOT IN', ['6', '7'])
+//     .where('assigned_to', 'ISEMPTY')
+//     .orderBy('sys_created_on', 'desc')
+//     .toString();
+//
+// Values are escaped ("^" -> "^^") so user input can't add ^OR / ^NQ clauses, field names and
+// operators are whitelisted, and values ServiceNow would evaluate (javascript:) are rejected.
+// The result is the raw query; callers still encodeURIComponent() it into the URL.
+
+const FIELD_RE = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const OPERATORS = new Set([
+  '=', '!=', '>', '>=', '<', '<=',
+  'IN', 'NOT IN', 'LIKE', 'NOT LIKE', 'STARTSWITH', 'ENDSWITH',
+  'ISEMPTY', 'ISNOTEMPTY',
+]);
+const NO_VALUE = new Set(['ISEMPTY', 'ISNOTEMPTY']);
+const LIST_OPS = new Set(['IN', 'NOT IN']);
+// ServiceNow's keyword search pseudo-field
+export const TEXT_QUERY = '123TEXTQUERY321';
+
+function queryError(message) {
+  const err = new Error(message);
+  err.httpStatus = 400;
+  return err;
+}
+
+function checkField(field) {
+  if (field === TEXT_QUERY) return field;
+  if (typeof field !== 'string' || !FIELD_RE.test(field)) throw queryError(`Invalid query field: ${field}`);
+  return field;
+}
+
+// Escape one scalar value for use after an operator.
+export function escapeValue(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^\s*javascript:/i.test(s)) throw queryError('Unsupported query value');
+  return s.replace(/\^/g, '^^');
+}
+
+function listValue(values) {
+  const arr = (Array.isArray(values) ? values : [values])
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .map((v) => {
+      const s = escapeValue(v);
+      if (s.includes(',')) throw queryError('List values cannot contain commas');
+      return s;
+    });
+  return arr.join(',');
+}
+
+// One condition as an encoded term, e.g. cond('state', 'IN', [1, 2]) -> "stateIN1,2"
+export function cond(field, op, value) {
+  checkField(field);
+  const o = String(op || '').toUpperCase();
+  if (!OPERATORS.has(o)) throw queryError(`Invalid query operator: ${op}`);
+  if (NO_VALUE.has(o)) return `${field}${o}`;
+  if (LIST_OPS.has(o)) return `${field}${o}${listValue(value)}`;
+  return `${field}${o}${escapeValue(value)}`;
+}
+
+export function encodedQuery() {
+  const queries = [[]]; // each: array of OR-groups (arrays of terms)
+  const order = [];
+  const current = () => queries[queries.length - 1];
+
+  const b = {
+    // AND a condition onto the current query
+    where(field, op, value) {
+      current().push([cond(field, op, value)]);
+      return b;
+    },
+    // OR a condition with the previous one: a^b^ORc == a AND (b OR c)
+    orWhere(field, op, value) {
+      const q = current();
+      if (!q.length) throw queryError('orWhere() needs a preceding condition');
+      q[q.length - 1].push(cond(field, op, value));
+      return b;
+    },
+    // AND a group of alternatives: [[field, op, value], ...]
+    whereAny(conditions) {
+      const terms = conditions.map(([f, o, v]) => cond(f, o, v));
+      if (terms.length) current().push(terms);
+      return b;
+    },
+    // Shorthands
+    in(field, values) { return b.where(field, 'IN', values); },
+    notIn(field, values) { return b.where(field, 'NOT IN', values); },
+    isEmpty(field) { return b.where(field, 'ISEMPTY'); },
+    isNotEmpty(field) { return b.where(field, 'ISNOTEMPTY'); },
+    like(field, value) { return b.where(field, 'LIKE', value); },
+    // Keyword search across the table's text index
+    text(keywords) {
+      current().push([`${TEXT_QUERY}=${escapeValue(keywords)}`]);
+      return b;
+    },
+    // Start a new OR'ed query (^NQ)
+    nq() {
+      if (current().length) queries.push([]);
+      return b;
+    },
+    orderBy(field, dir = 'asc') {
+      checkField(field);
+      order.push(String(dir).toLowerCase() === 'desc' ? `ORDERBYDESC${field}` : `ORDERBY${field}`);
+      return b;
+    },
+    isEmptyQuery() {
+      return queries.every((q) => !q.length);
+    },
+    toString() {
+      const body = queries
+        .filter((q) => q.length)
+        .map((q) => q.map((terms) => terms.join('^OR')).join('^'))
+        .join('^NQ');
+      return [body, ...order].filter(Boolean).join('^');
+    },
+  };
+  return b;
+}
+
+// Same base conditions repeated in every ^NQ branch, one branch per alternative:
+//   scopedQuery(base, [[['assigned_to', '=', me]], [['assignment_group', 'IN', groups]]])
+// A base entry may itself be a list of conditions, which are OR'ed together.
+export function scopedQuery(base, branches) {
+  const b = encodedQuery();
+  const add = (c) => (Array.isArray(c[0]) ? b.whereAny(c) : b.where(c[0], c[1], c[2]));
+  for (const branch of branches) {
+    b.nq();
+    base.forEach(add);
+    branch.forEach(add);
+  }
+  return b;
+}
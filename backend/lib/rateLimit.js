@@ -0,0 +1,145 @@
+// backend/lib/rateLimit.js
+// In-process limits for the API (state is per backend process).
+//
+// createLoginThrottle() slows down password guessing. Sign-in attempts are counted per submitted
+// username and per client IP as soon as check() lets them through, before ServiceNow answers, so
+// a burst of parallel attempts is held back exactly like the same attempts one after another.
+// The caller then settles each attempt: succeeded() (the username's record is cleared, the IP
+// gets its attempt back), release() (the attempt didn't count, e.g. ServiceNow was down), or
+// nothing for a failure. After `freeAttempts` counted attempts on a username each further one has
+// to wait base * 2^n (capped); `lockoutAfter.user` on a username, or `lockoutAfter.ip` from one
+// IP (several users may share it, hence no backoff there), within `windowMs` lock that key for
+// `lockoutMs`. Usernames are tracked whether or not they exist, so the answers never tell the
+// two apart.
+//
+// createRateLimiter() is a fixed-window request counter per key, as Express middleware.
+
+const SWEEP_MS = 60 * 1000;
+
+function sweeper(map, isStale) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, v] of map) if (isStale(v, now)) map.delete(k);
+  }, SWEEP_MS).unref();
+}
+
+export function createLoginThrottle({
+  freeAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  windowMs = 15 * 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  lockoutAfter = { user: 10, ip: 50 },
+} = {}) {
+  const state = new Map(); // `${kind}:${id}` -> { failures, last, lockedUntil }
+  sweeper(state, (s, now) => s.lockedUntil < now && now - s.last > windowMs);
+
+  const keysFor = ({ username, ip }) => [
+    ['user', `user:${String(username || '').trim().toLowerCase()}`],
+    ['ip', `ip:${ip || ''}`],
+  ];
+
+  // Failures older than the window no longer count
+  function current(key, now) {
+    const s = state.get(key);
+    if (!s) return null;
+    if (s.lockedUntil < now && now - s.last > windowMs) {
+      state.delete(key);
+      return null;
+    }
+    return s;
+  }
+
+  function waitFor(kind, s, now) {
+    if (s.lockedUntil > now) return { ms: s.lockedUntil - now, locked: true };
+    const over = s.failures - freeAttempts;
+    if (kind !== 'user' || over < 0) return { ms: 0, locked: false };
+    const delay = Math.min(baseDelayMs * 2 ** over, maxDelayMs);
+    return { ms: Math.max(0, s.last + delay - now), locked: false };
+  }
+
+  // Takes one counted attempt back off the username and/or IP record
+  function giveBack(who, kinds) {
+    for (const [kind, key] of keysFor(who)) {
+      if (!kinds.includes(kind)) continue;
+      const s = state.get(key);
+      if (s) s.failures = Math.max(0, s.failures - 1);
+    }
+  }
+
+  return {
+    // -> { allowed, retryAfterMs, locked }; the longest wait of username and IP wins. An allowed
+    // attempt is counted right away.
+    check(who) {
+      const now = Date.now();
+      const keys = keysFor(who);
+      let retryAfterMs = 0;
+      let locked = false;
+      for (const [kind, key] of keys) {
+        const s = current(key, now);
+        if (!s) continue;
+        // Locks start on the attempt after the limit, so one settled as a success can't cause one
+        if (s.failures >= lockoutAfter[kind]) {
+          s.lockedUntil = now + lockoutMs;
+          s.failures = 0;
+        }
+        const w = waitFor(kind, s, now);
+        if (w.ms > retryAfterMs) retryAfterMs = w.ms;
+        locked = locked || w.locked;
+      }
+      if (retryAfterMs > 0) return { allowed: false, retryAfterMs, locked };
+
+      for (const [, key] of keys) {
+        const s = current(key, now) || { failures: 0, last: now, lockedUntil: 0 };
+        s.failures += 1;
+        s.last = now;
+        state.set(key, s);
+      }
+      return { allowed: true, retryAfterMs: 0, locked: false };
+    },
+
+    // A good password clears the username's record; the IP only gets this attempt back, so one
+    // valid account can't be used to reset guessing at others
+    succeeded(who) {
+      state.delete(keysFor(who)[0][1]);
+      giveBack(who, ['ip']);
+    },
+
+    // The attempt never reached a verdict (ServiceNow unavailable): it doesn't count
+    release(who) {
+      giveBack(who, ['user', 'ip']);
+    },
+  };
+}
+
+// Express middleware: at most `max` requests per `windowMs` per key(req). Answers 429 with
+// Retry-After once a key is over; every response carries RateLimit-Limit / -Remaining / -Reset.
+export function createRateLimiter({ windowMs = 60 * 1000, max = 300, key = (req) => req.ip, skip = () => false } = {}) {
+  const hits = new Map(); // key -> { count, resetAt }
+  sweeper(hits, (h, now) => h.resetAt <= now);
+
+  return function rateLimit(req, res, next) {
+    if (!max || skip(req)) return next();
+    const now = Date.now();
+    const k = key(req);
+    let h = hits.get(k);
+    if (!h || h.resetAt <= now) {
+      h = { count: 0, resetAt: now + windowMs };
+      hits.set(k, h);
+    }
+    h.count += 1;
+    const resetSeconds = Math.ceil((h.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - h.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (h.count <= max) return next();
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      ok: false,
+      error: { message: 'Too many requests', detail: `Try again in ${resetSeconds} seconds` },
+      status: 'failure',
+    });
+  };
+}
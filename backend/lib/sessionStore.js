@@ -0,0 +1,217 @@
+// backend/lib/sessionStore.js
+// Pluggable session store: "memory" (single process) or "file" (JSON file shared by
+// several backend processes, guarded by a lock file).
+//
+// Clients hold an opaque access token plus a refresh token; the store only keeps their
+// SHA-256 hashes. Sessions end on idle timeout, absolute timeout, logout or revocation.
+// Refresh tokens rotate on every use; presenting an already-rotated one revokes the session.
+
+import crypto from 'crypto';
+import path from 'path';
+import { memoryBackend, fileBackend } from './jsonStore.js';
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+// Touches within this window are not persisted (avoids a file write per request).
+const TOUCH_PERSIST_MS = 60 * 1000;
+
+/* =========================
+ * Credential sealing (file store only)
+ * ========================= */
+function sealer(secret) {
+  const key = crypto.createHash('sha256').update(String(secret)).digest();
+  return {
+    seal(obj) {
+      if (!obj) return null;
+      const iv = crypto.randomBytes(12);
+      const c = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const enc = Buffer.concat([c.update(JSON.stringify(obj), 'utf8'), c.final()]);
+      return [iv, c.getAuthTag(), enc].map((b) => b.toString('base64')).join('.');
+    },
+    open(str) {
+      if (!str) return null;
+      try {
+        const [iv, tag, enc] = str.split('.').map((s) => Buffer.from(s, 'base64'));
+        const d = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        d.setAuthTag(tag);
+        return JSON.parse(Buffer.concat([d.update(enc), d.final()]).toString('utf8'));
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+/* =========================
+ * Store
+ * ========================= */
+export function createSessionStore({
+  driver = 'memory',
+  file = './data/sessions.json',
+  secret = '',
+  idleMs = 30 * 60 * 1000,
+  absoluteMs = 12 * 60 * 60 * 1000,
+  accessMs = 15 * 60 * 1000,
+} = {}) {
+  const persistent = driver === 'file';
+  if (persistent && !secret) throw new Error('SESSION_SECRET is required when SESSION_STORE=file');
+  if (!persistent && driver !== 'memory') throw new Error(`Unknown SESSION_STORE "${driver}"`);
+
+  const empty = () => ({ sessions: {} });
+  const backend = persistent
+    ? fileBackend(path.resolve(file), empty, (s) => typeof s.sessions === 'object' && !!s.sessions)
+    : memoryBackend(empty);
+  const box = persistent ? sealer(secret) : { seal: (x) => x, open: (x) => x };
+
+  const isExpired = (rec, now) =>
+    !rec || rec.revokedAt || now - rec.lastSeenAt > idleMs || now > rec.expiresAt;
+
+  const findBy = (state, key, hash) =>
+    Object.values(state.sessions).find((r) => r[key] === hash) || null;
+
+  // Shape handed to routes as req.session
+  const toSession = (rec) => ({
+    sid: rec.sid,
+    user: rec.user,
+    via: rec.via,
+    creds: box.open(rec.creds),
+    userSysId: rec.userSysId,
+    groups: rec.groups || [],
+    createdAt: rec.createdAt,
+    lastSeenAt: rec.lastSeenAt,
+    expiresAt: rec.expiresAt,
+  });
+
+  // Admin listing: never includes tokens or credentials
+  const toSummary = (rec) => ({
+    sid: rec.sid,
+    user_name: rec.user?.user_name?.display_value || rec.user?.user_name || '',
+    name: rec.user?.name?.display_value || rec.user?.name || '',
+    userSysId: rec.userSysId,
+    via: rec.via,
+    ip: rec.ip || '',
+    userAgent: rec.userAgent || '',
+    createdAt: new Date(rec.createdAt).toISOString(),
+    lastSeenAt: new Date(rec.lastSeenAt).toISOString(),
+    expiresAt: new Date(Math.min(rec.expiresAt, rec.lastSeenAt + idleMs)).toISOString(),
+  });
+
+  function issueTokens(rec, now) {
+    const token = randomToken();
+    const refreshToken = randomToken();
+    rec.tokenHash = sha256(token);
+    rec.accessExpiresAt = Math.min(now + accessMs, rec.expiresAt);
+    rec.prevRefreshHash = rec.refreshHash || null;
+    rec.refreshHash = sha256(refreshToken);
+    return { token, refreshToken, sid: rec.sid, expiresAt: new Date(rec.accessExpiresAt).toISOString() };
+  }
+
+  function prune(state, now) {
+    for (const [sid, rec] of Object.entries(state.sessions)) {
+      if (isExpired(rec, now)) delete state.sessions[sid];
+    }
+  }
+
+  return {
+    driver,
+
+    async create({ user, via, creds, userSysId, groups, ip, userAgent }) {
+      const now = Date.now();
+      return backend.update((state) => {
+        prune(state, now);
+        const rec = {
+          sid: crypto.randomUUID(),
+          user, via, userSysId, groups,
+          creds: via === 'user' ? box.seal(creds) : null,
+          ip, userAgent,
+          createdAt: now,
+          lastSeenAt: now,
+          expiresAt: now + absoluteMs,
+        };
+        state.sessions[rec.sid] = rec;
+        return issueTokens(rec, now);
+      });
+    },
+
+    // Resolve an access token; null when unknown, expired or revoked.
+    async get(token) {
+      if (!token) return null;
+      const now = Date.now();
+      const hash = sha256(token);
+      const peek = findBy(await backend.read(), 'tokenHash', hash);
+      if (isExpired(peek, now) || now > peek.accessExpiresAt) return null;
+      if (now - peek.lastSeenAt < TOUCH_PERSIST_MS) return toSession(peek);
+
+      return backend.update((state) => {
+        const rec = findBy(state, 'tokenHash', hash);
+        if (isExpired(rec, now) || now > rec.accessExpiresAt) return null;
+        rec.lastSeenAt = now;
+        return toSession(rec);
+      });
+    },
+
+    // Rotate: old refresh token becomes invalid, a new access/refresh pair is issued.
+    async refresh(refreshToken) {
+      if (!refreshToken) return null;
+      const now = Date.now();
+      const hash = sha256(refreshToken);
+      return backend.update((state) => {
+        const reused = findBy(state, 'prevRefreshHash', hash);
+        if (reused) {
+          // A rotated token came back: assume it was stolen and end the session.
+          delete state.sessions[reused.sid];
+          return null;
+        }
+        const rec = findBy(state, 'refreshHash', hash);
+        if (isExpired(rec, now)) return null;
+        rec.lastSeenAt = now;
+        return issueTokens(rec, now);
+      });
+    },
+
+    // Logout with a refresh token (the access token may have expired): ends the session it
+    // belongs to, whether it is the current refresh token or the one it replaced.
+    async revokeRefresh(refreshToken) {
+      if (!refreshToken) return false;
+      const hash = sha256(refreshToken);
+      return backend.update((state) => {
+        const rec = findBy(state, 'refreshHash', hash) || findBy(state, 'prevRefreshHash', hash);
+        if (!rec) return false;
+        delete state.sessions[rec.sid];
+        return true;
+      });
+    },
+
+    async revoke(sid) {
+      return backend.update((state) => {
+        if (!state.sessions[sid]) return false;
+        delete state.sessions[sid];
+        return true;
+      });
+    },
+
+    async revokeUser(userSysId) {
+      return backend.update((state) => {
+        let n = 0;
+        for (const [sid, rec] of Object.entries(state.sessions)) {
+          if (rec.userSysId === userSysId) { delete state.sessions[sid]; n++; }
+        }
+        return n;
+      });
+    },
+
+    async list() {
+      const now = Date.now();
+      const state = await backend.read();
+      return Object.values(state.sessions)
+        .filter((rec) => !isExpired(rec, now))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(toSummary);
+    },
+
+    async prune() {
+      return backend.update((state) => prune(state, Date.now()));
+    },
+  };
+}
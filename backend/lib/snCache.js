@@ -0,0 +1,256 @@
+// backend/lib/snCache.js
+// Read-through cache for ServiceNow GETs.
+//
+//   const cache = createSnCache({ driver: 'memory', maxEntries: 5000, secret });
+//   const key = cache.key(username, '/api/now/table/incident/<sys_id>?...');
+//   const data = await cache.fetch(key, ['rec:<sys_id>'], 15000, () => callServiceNow());
+//   await cache.invalidate(['rec:<sys_id>', 'table:incident']);
+//
+// Entries carry tags. invalidate() stamps each tag with the current time, and an entry stored
+// before its tag's latest stamp counts as gone, so a write can drop every cached read it touches
+// without the store having to find them. Identical lookups already on their way to ServiceNow
+// are shared rather than sent twice.
+//
+// Drivers: "memory" (LRU inside this process) or "file" (a directory several backend processes
+// on one host can share; an entry file's mtime is its expiry, tags are one small file each).
+// Values are kept as JSON text, so callers always get their own copy.
+//
+// Keys are HMAC-SHA256 with `secret` over the account and the request; no credential goes into
+// them. The file store needs a secret every process shares (its keys are file names); the memory
+// store makes up one of its own when none is given.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const SWEEP_MS = 60 * 1000;
+// A tag stamp only matters while entries stored before it could still be alive
+const TAG_KEEP_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+/* ---------- Stores ---------- */
+function memoryStore(maxEntries) {
+  const entries = new Map(); // key -> { exp, storedAt, tags, body }; oldest use first
+  const tags = new Map();    // tag -> invalidated at (ms)
+  let evictions = 0;
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, e] of entries) if (e.exp <= now) entries.delete(k);
+    for (const [t, at] of tags) if (now - at > TAG_KEEP_MS) tags.delete(t);
+  }, SWEEP_MS).unref();
+
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      entries.set(key, e);
+      return e;
+    },
+    async set(key, e) {
+      entries.delete(key);
+      entries.set(key, e);
+      for (const k of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(k);
+        evictions++;
+      }
+    },
+    async delete(key) { entries.delete(key); },
+    async tagStamps(list) { return list.map((t) => tags.get(t) || 0); },
+    async stamp(list, at) { for (const t of list) tags.set(t, at); },
+    async clear() { entries.clear(); tags.clear(); },
+    async size() { return { entries: entries.size, evictions }; },
+  };
+}
+
+function fileStore(dir, maxEntries) {
+  const root = path.resolve(dir);
+  const entryDir = path.join(root, 'entries');
+  const tagDir = path.join(root, 'tags');
+  const entryFile = (key) => path.join(entryDir, `${key}.json`);
+  const tagFile = (tag) => path.join(tagDir, sha256(tag));
+  let evictions = 0;
+  let ready = null;
+
+  const init = () => (ready ||= Promise.all([
+    fs.mkdir(entryDir, { recursive: true, mode: 0o700 }),
+    fs.mkdir(tagDir, { recursive: true, mode: 0o700 }),
+  ]));
+
+  // Temp file + rename, so a reader in another process never sees half a file
+  async function put(file, text, mtimeMs) {
+    await init();
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmp, text, { mode: 0o600 });
+    if (mtimeMs) await fs.utimes(tmp, new Date(), new Date(mtimeMs));
+    await fs.rename(tmp, file);
+  }
+
+  // Expired entries go first, then the ones closest to expiring while over maxEntries
+  async function sweep() {
+    const now = Date.now();
+    for (const [sub, keepMs] of [[entryDir, 0], [tagDir, TAG_KEEP_MS]]) {
+      let names = [];
+      try { names = await fs.readdir(sub); } catch { continue; }
+      const live = [];
+      for (const name of names) {
+        const file = path.join(sub, name);
+        try {
+          const { mtimeMs } = await fs.stat(file);
+          if (mtimeMs + keepMs <= now) await fs.unlink(file);
+          else live.push({ file, mtimeMs });
+        } catch {}
+      }
+      if (sub === entryDir && live.length > maxEntries) {
+        live.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { file } of live.slice(0, live.length - maxEntries)) {
+          await fs.unlink(file).catch(() => {});
+          evictions++;
+        }
+      }
+    }
+  }
+  setInterval(() => sweep().catch(() => {}), SWEEP_MS).unref();
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(entryFile(key), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    async set(key, e) { await put(entryFile(key), JSON.stringify(e), e.exp); },
+    async delete(key) { await fs.unlink(entryFile(key)).catch(() => {}); },
+    async tagStamps(list) {
+      return Promise.all(list.map(async (t) => {
+        try {
+          return Number(await fs.readFile(tagFile(t), 'utf8')) || 0;
+        } catch {
+          return 0;
+        }
+      }));
+    },
+    // Tag files are touched, not locked: any later stamp is as good as another
+    async stamp(list, at) { await Promise.all(list.map((t) => put(tagFile(t), String(at)))); },
+    async clear() {
+      await fs.rm(root, { recursive: true, force: true });
+      ready = null;
+    },
+    async size() {
+      let entries = 0;
+      try { entries = (await fs.readdir(entryDir)).filter((n) => n.endsWith('.json')).length; } catch {}
+      return { entries, evictions };
+    },
+  };
+}
+
+/* ---------- Cache ---------- */
+export function createSnCache({ driver = 'memory', dir = './data/sn-cache', maxEntries = 5000, secret = '' } = {}) {
+  const store =
+    driver === 'memory' ? memoryStore(maxEntries)
+    : driver === 'file' ? fileStore(dir, maxEntries)
+    : null;
+  if (!store) throw new Error(`Unknown SN_CACHE_STORE "${driver}"`);
+  if (driver === 'file' && !secret) throw new Error('SN_CACHE_SECRET is required when SN_CACHE_STORE=file');
+  const keySecret = secret || crypto.randomBytes(32);
+
+  const inflight = new Map(); // key -> { promise, tags }
+  const counts = { hits: 0, misses: 0, shared: 0, invalidations: 0, errors: 0 };
+  const byGroup = new Map(); // stats group (table) -> { hits, misses }
+
+  const tally = (group, field) => {
+    counts[field]++;
+    if (!group) return;
+    const g = byGroup.get(group) || { hits: 0, misses: 0 };
+    if (field in g) g[field]++;
+    byGroup.set(group, g);
+  };
+
+  // Alive and stored after every one of its tags was last invalidated
+  async function usable(e, now) {
+    if (!e || e.exp <= now) return false;
+    const stamps = await store.tagStamps(e.tags);
+    return stamps.every((at) => e.storedAt > at);
+  }
+
+  return {
+    // Key for one GET made as one ServiceNow account (`variant` tells apart answers to the same
+    // path, e.g. with and without a total count)
+    key(account, pathWithQuery, variant = '') {
+      return crypto.createHmac('sha256', keySecret).update(`${account}\0${pathWithQuery}\0${variant}`).digest('hex');
+    },
+
+    // Cached value for `key`, or load() stored under `tags` for ttlMs. `group` only labels
+    // the statistics. Store trouble never fails a read: it falls through to load().
+    async fetch(key, tags, ttlMs, load, group = '') {
+      const now = Date.now();
+      try {
+        const e = await store.get(key);
+        if (await usable(e, now)) {
+          tally(group, 'hits');
+          return JSON.parse(e.body);
+        }
+        if (e) await store.delete(key);
+      } catch {
+        counts.errors++;
+      }
+
+      const pending = inflight.get(key);
+      if (pending) {
+        counts.shared++;
+        return JSON.parse(await pending.promise);
+      }
+
+      tally(group, 'misses');
+      // Stamped before the request leaves, so a write landing meanwhile still wins
+      const storedAt = Date.now();
+      const promise = (async () => JSON.stringify(await load()))();
+      const flight = { promise, tags };
+      inflight.set(key, flight);
+      try {
+        const body = await promise;
+        try {
+          await store.set(key, { exp: storedAt + ttlMs, storedAt, tags, body });
+        } catch {
+          counts.errors++;
+        }
+        return JSON.parse(body);
+      } finally {
+        if (inflight.get(key) === flight) inflight.delete(key);
+      }
+    },
+
+    async invalidate(tags) {
+      if (!tags.length) return;
+      counts.invalidations++;
+      for (const [key, f] of inflight) if (f.tags.some((t) => tags.includes(t))) inflight.delete(key);
+      try {
+        await store.stamp(tags, Date.now());
+      } catch {
+        counts.errors++;
+      }
+    },
+
+    async clear() {
+      inflight.clear();
+      await store.clear();
+    },
+
+    // Counters are this process's own; entries/evictions are the store's
+    async stats() {
+      const lookups = counts.hits + counts.misses;
+      return {
+        driver,
+        maxEntries,
+        ...counts,
+        hitRate: lookups ? Math.round((counts.hits / lookups) * 1000) / 1000 : null,
+        ...(await store.size()),
+        byTable: Object.fromEntries([...byGroup].sort(([a], [b]) => a.localeCompare(b))),
+      };
+    },
+  };
+}
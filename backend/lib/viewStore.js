@@ -0,0 +1,81 @@
+// backend/lib/viewStore.js
+// Saved list views, kept per user in a JSON file (see lib/jsonStore.js).
+//
+// A view is { id, list, name, conditions, sort, createdAt, updatedAt }: `list` is the portal
+// list it belongs to (incidents, tasks, approvals), `conditions` a filter as understood by
+// lib/filters.js and `sort` an optional { key, dir }. The store only checks shape and limits;
+// callers validate conditions against the list's filter fields before saving.
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileBackend } from './jsonStore.js';
+
+function storeError(message, httpStatus) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  return err;
+}
+
+export function createViewStore({ file = './data/views.json', maxPerUser = 50 } = {}) {
+  const backend = fileBackend(
+    path.resolve(file),
+    () => ({ users: {} }),
+    (s) => typeof s.users === 'object' && !!s.users
+  );
+
+  const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+  function checkName(views, view, name) {
+    const n = String(name || '').trim();
+    if (!n || n.length > 80) throw storeError('View name must be 1-80 characters', 400);
+    if (views.some((v) => v.id !== view?.id && v.list === (view?.list) && sameName(v.name, n))) {
+      throw storeError(`A view named "${n}" already exists`, 409);
+    }
+    return n;
+  }
+
+  return {
+    async list(userSysId, list) {
+      const state = await backend.read();
+      return (state.users[userSysId] || [])
+        .filter((v) => !list || v.list === list)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async create(userSysId, { list, name, conditions, sort = null }) {
+      return backend.update((state) => {
+        const views = state.users[userSysId] || (state.users[userSysId] = []);
+        if (views.length >= maxPerUser) throw storeError(`At most ${maxPerUser} saved views per user`, 400);
+        const now = new Date().toISOString();
+        const view = { id: crypto.randomUUID(), list, name: '', conditions, sort, createdAt: now, updatedAt: now };
+        view.name = checkName(views, view, name);
+        views.push(view);
+        return view;
+      });
+    },
+
+    // Resolves the updated view, or null when the user has no view with this id
+    async update(userSysId, id, { name, conditions, sort }) {
+      return backend.update((state) => {
+        const views = state.users[userSysId] || [];
+        const view = views.find((v) => v.id === id);
+        if (!view) return null;
+        if (name !== undefined) view.name = checkName(views, view, name);
+        if (conditions !== undefined) view.conditions = conditions;
+        if (sort !== undefined) view.sort = sort;
+        view.updatedAt = new Date().toISOString();
+        return view;
+      });
+    },
+
+    async remove(userSysId, id) {
+      return backend.update((state) => {
+        const views = state.users[userSysId] || [];
+        const i = views.findIndex((v) => v.id === id);
+        if (i < 0) return false;
+        views.splice(i, 1);
+        return true;
+      });
+    },
+  };
+}
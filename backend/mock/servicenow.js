@@ -0,0 +1,621 @@
+// backend/mock/servicenow.js
+// Local stand-in for the ServiceNow Table, Aggregate, Attachment and Batch APIs, for offline
+// development and tests.
+//
+//   node mock/servicenow.js            -> listens on MOCK_SN_PORT (default 4001)
+//   SN_MOCK=true node server.js        -> backend starts it in-process and talks to it
+//
+// Fixtures come from mock/fixtures.json (or MOCK_SN_FIXTURES=/path/to.json) and can be
+// re-seeded at runtime through POST /__mock/seed and POST /__mock/reset.
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures.json');
+// Calls kept for GET /__mock/requests; the change feed polls forever, so older ones are dropped
+const REQUEST_LOG_MAX = 1000;
+
+/* =========================
+ * Schema
+ * ========================= */
+// Tables that extend "task": a query on task sees all of them.
+const TASK_TABLES = ['task', 'incident', 'problem', 'change_request', 'sc_request', 'sc_req_item', 'sc_task'];
+
+// Reference fields -> target table
+const REFERENCES = {
+  assigned_to: 'sys_user',
+  caller_id: 'sys_user',
+  opened_by: 'sys_user',
+  requested_by: 'sys_user',
+  requested_for: 'sys_user',
+  approver: 'sys_user',
+  delegate: 'sys_user',
+  user: 'sys_user',
+  manager: 'sys_user',
+  assignment_group: 'sys_user_group',
+  group: 'sys_user_group',
+  sysapproval: 'task',
+  request: 'sc_request',
+  parent: 'task',
+  cat_item: 'sc_cat_item',
+  request_item: 'sc_req_item',
+  sc_item_option: 'sc_item_option',
+  item_option_new: 'item_option_new',
+  task: 'task',
+  sla: 'contract_sla',
+};
+// Same field name, different target on these tables
+const TABLE_REFERENCES = {
+  sysapproval_approver: { group: 'sysapproval_group' },
+  sysapproval_group: { parent: 'task' },
+};
+const refTableOf = (table, field) => TABLE_REFERENCES[table]?.[field] || REFERENCES[field];
+
+// Journal fields are write-only on the record; they land in sys_journal_field.
+const JOURNAL_FIELDS = ['work_notes', 'comments'];
+const HIDDEN_FIELDS = ['user_password'];
+const NUMBER_PREFIX = {
+  incident: 'INC', task: 'TASK', problem: 'PRB', change_request: 'CHG',
+  sc_request: 'REQ', sc_req_item: 'RITM', sc_task: 'SCTASK',
+};
+
+const isTaskTable = (t) => TASK_TABLES.includes(t);
+const newSysId = () => crypto.randomBytes(16).toString('hex');
+const snNow = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+const clone = (x) => JSON.parse(JSON.stringify(x));
+
+/* =========================
+ * Encoded queries
+ * ========================= */
+// Split on single "^"; "^^" is an escaped literal caret.
+function splitTerms(q) {
+  const terms = [];
+  let cur = '';
+  for (let i = 0; i < q.length; i++) {
+    const ch = q[i];
+    if (ch === '^') {
+      if (q[i + 1] === '^') { cur += '^'; i++; continue; }
+      terms.push(cur);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  terms.push(cur);
+  return terms.filter((t) => t !== '' && t !== 'EQ');
+}
+
+const COND_RE = /^([A-Za-z0-9_.]+?)(ISNOTEMPTY|ISEMPTY|NOT IN|NOT LIKE|IN|LIKE|STARTSWITH|ENDSWITH|!=|>=|<=|=|>|<)(.*)$/s;
+
+function parseCondition(term) {
+  const m = COND_RE.exec(term);
+  if (!m) return { field: term, op: 'INVALID', value: '' };
+  return { field: m[1], op: m[2], value: m[3] };
+}
+
+// -> { queries: [ [ [cond, cond(OR)], [cond] ] ], order: [{ field, desc }] }
+// Each query is an AND of OR-groups; queries are joined by ^NQ.
+export function parseEncodedQuery(q) {
+  const queries = [[]];
+  const order = [];
+  for (const term of splitTerms(String(q || ''))) {
+    if (term.startsWith('ORDERBYDESC')) { order.push({ field: term.slice(11), desc: true }); continue; }
+    if (term.startsWith('ORDERBY')) { order.push({ field: term.slice(7), desc: false }); continue; }
+    if (term.startsWith('NQ')) { queries.push([[parseCondition(term.slice(2))]]); continue; }
+    const cur = queries[queries.length - 1];
+    if (term.startsWith('OR') && cur.length) { cur[cur.length - 1].push(parseCondition(term.slice(2))); continue; }
+    cur.push([parseCondition(term)]);
+  }
+  return { queries: queries.filter((x) => x.length), order };
+}
+
+/* =========================
+ * Store
+ * ========================= */
+export function createMockServiceNow({ fixtures } = {}) {
+  let seed = fixtures || JSON.parse(fs.readFileSync(process.env.MOCK_SN_FIXTURES || DEFAULT_FIXTURES, 'utf8'));
+  let db = {};
+  let choices = {};
+  const requests = [];
+  // Attachment bytes by sys_attachment.sys_id (metadata lives in db.sys_attachment)
+  const files = new Map();
+
+  function reset() {
+    db = clone(seed.tables || {});
+    choices = clone(seed.choices || {});
+    requests.length = 0;
+    files.clear();
+  }
+
+  // Merge extra rows into tables (replacing rows with the same sys_id).
+  function seedTables(tables = {}, extraChoices = {}) {
+    for (const [table, rows] of Object.entries(tables)) {
+      const list = db[table] || (db[table] = []);
+      for (const row of rows) {
+        const rec = { sys_id: newSysId(), sys_created_on: snNow(), sys_updated_on: snNow(), ...row };
+        const i = list.findIndex((r) => r.sys_id === rec.sys_id);
+        if (i >= 0) list[i] = rec; else list.push(rec);
+      }
+    }
+    for (const [table, fields] of Object.entries(extraChoices)) {
+      choices[table] = { ...(choices[table] || {}), ...fields };
+    }
+  }
+
+  function replaceFixtures(next) {
+    seed = next;
+    reset();
+  }
+
+  // Concrete table that holds a record, for task-extended lookups.
+  function tablesFor(table) {
+    return table === 'task' ? TASK_TABLES : [table];
+  }
+
+  function rowsFor(table) {
+    const out = [];
+    for (const t of tablesFor(table)) {
+      for (const r of db[t] || []) out.push({ table: t, rec: r });
+    }
+    return out;
+  }
+
+  function findRow(table, sys_id) {
+    return rowsFor(table).find((x) => x.rec.sys_id === sys_id) || null;
+  }
+
+  function choiceLabel(table, field, value) {
+    const own = choices[table]?.[field];
+    if (own && value in own) return own[value];
+    if (isTaskTable(table)) {
+      const base = choices.task?.[field];
+      if (base && value in base) return base[value];
+    }
+    return undefined;
+  }
+
+  function displayOf(table, rec) {
+    if (!rec) return '';
+    if (isTaskTable(table) || rec.number) return rec.number || rec.sys_id;
+    return rec.name || rec.user_name || rec.sys_id;
+  }
+
+  function rawValue(table, rec, fieldPath) {
+    const [head, ...rest] = String(fieldPath).split('.');
+    if (head === 'sys_class_name' && isTaskTable(table)) return rec.sys_class_name || table;
+    const v = rec[head];
+    if (!rest.length) return v === undefined || v === null ? '' : String(v);
+    const refTable = refTableOf(table, head);
+    if (!refTable || !v) return '';
+    const hit = findRow(refTable, String(v));
+    return hit ? rawValue(hit.table, hit.rec, rest.join('.')) : '';
+  }
+
+  function displayValue(table, rec, fieldPath) {
+    const parts = String(fieldPath).split('.');
+    if (parts.length > 1) {
+      const hit = findRow(refTableOf(table, parts[0]) || '', rawValue(table, rec, parts[0]));
+      return hit ? displayValue(hit.table, hit.rec, parts.slice(1).join('.')) : '';
+    }
+    const raw = rawValue(table, rec, fieldPath);
+    const refTable = refTableOf(table, fieldPath);
+    if (refTable) {
+      if (!raw) return '';
+      const hit = findRow(refTable, raw);
+      return hit ? displayOf(hit.table, hit.rec) : raw;
+    }
+    const label = choiceLabel(table, fieldPath, raw);
+    return label !== undefined ? label : raw;
+  }
+
+  function matchCondition(table, rec, { field, op, value }) {
+    if (field === '123TEXTQUERY321') {
+      const hay = Object.keys(rec)
+        .filter((k) => !HIDDEN_FIELDS.includes(k))
+        .map((k) => displayValue(table, rec, k))
+        .join(' ')
+        .toLowerCase();
+      return String(value).toLowerCase().split(/\s+/).filter(Boolean).every((w) => hay.includes(w));
+    }
+    const raw = rawValue(table, rec, field);
+    const disp = displayValue(table, rec, field);
+    const lc = String(value).toLowerCase();
+    const cmp = (a, b) => {
+      const na = Number(a), nb = Number(b);
+      if (a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+      return String(a).localeCompare(String(b));
+    };
+    switch (op) {
+      case 'ISEMPTY': return raw === '';
+      case 'ISNOTEMPTY': return raw !== '';
+      case 'IN': return value.split(',').includes(raw);
+      case 'NOT IN': return !value.split(',').includes(raw);
+      case 'LIKE': return raw.toLowerCase().includes(lc) || disp.toLowerCase().includes(lc);
+      case 'NOT LIKE': return !raw.toLowerCase().includes(lc) && !disp.toLowerCase().includes(lc);
+      case 'STARTSWITH': return raw.toLowerCase().startsWith(lc) || disp.toLowerCase().startsWith(lc);
+      case 'ENDSWITH': return raw.toLowerCase().endsWith(lc) || disp.toLowerCase().endsWith(lc);
+      case '=': return raw === value;
+      case '!=': return raw !== value;
+      case '>': return raw !== '' && cmp(raw, value) > 0;
+      case '>=': return raw !== '' && cmp(raw, value) >= 0;
+      case '<': return raw !== '' && cmp(raw, value) < 0;
+      case '<=': return raw !== '' && cmp(raw, value) <= 0;
+      default: return false;
+    }
+  }
+
+  function query(table, encoded) {
+    const { queries, order } = parseEncodedQuery(encoded);
+    let rows = rowsFor(table);
+    if (queries.length) {
+      rows = rows.filter(({ table: t, rec }) =>
+        queries.some((groups) => groups.every((ors) => ors.some((c) => matchCondition(t, rec, c))))
+      );
+    }
+    if (order.length) {
+      rows = rows.slice().sort((a, b) => {
+        for (const { field, desc } of order) {
+          // References sort by display value, like ServiceNow
+          const key = refTableOf(a.table, field) ? displayValue : rawValue;
+          const A = key(a.table, a.rec, field);
+          const B = key(b.table, b.rec, field);
+          const c = A.localeCompare(B, undefined, { numeric: true });
+          if (c) return desc ? -c : c;
+        }
+        return 0;
+      });
+    }
+    return rows;
+  }
+
+  // Render a record the way the Table API does for the given sysparm_* options.
+  function present(table, rec, { fields, displayMode = 'false', excludeLinks = false, baseUrl = '' } = {}) {
+    const names = fields?.length
+      ? fields
+      : [...new Set([...Object.keys(rec), ...(isTaskTable(table) ? ['sys_class_name'] : [])])];
+    const out = {};
+    for (const f of names) {
+      if (HIDDEN_FIELDS.includes(f)) continue;
+      if (JOURNAL_FIELDS.includes(f)) { out[f] = displayMode === 'all' ? { display_value: '', value: '' } : ''; continue; }
+      const value = rawValue(table, rec, f);
+      const display = displayValue(table, rec, f);
+      const refTable = !f.includes('.') && refTableOf(table, f);
+      const link = refTable && value ? `${baseUrl}/api/now/table/${refTable}/${value}` : undefined;
+      if (displayMode === 'all') {
+        out[f] = link && !excludeLinks ? { display_value: display, link, value } : { display_value: display, value };
+      } else if (displayMode === 'true') {
+        out[f] = display;
+      } else {
+        out[f] = link && !excludeLinks ? { link, value } : value;
+      }
+    }
+    return out;
+  }
+
+  // Apply a write (insert or update), mirroring journal + audit side effects.
+  function write(table, rec, body, { by, inputDisplay = false, audit = true }) {
+    const stamp = snNow();
+    for (const [k, v0] of Object.entries(body || {})) {
+      if (k === 'sys_id') continue;
+      let v = v0 && typeof v0 === 'object' && 'value' in v0 ? v0.value : v0;
+      v = v === null || v === undefined ? '' : String(v);
+
+      if (JOURNAL_FIELDS.includes(k)) {
+        if (!v.trim()) continue;
+        (db.sys_journal_field || (db.sys_journal_field = [])).push({
+          sys_id: newSysId(), element_id: rec.sys_id, name: table, element: k,
+          value: v, sys_created_by: by, sys_created_on: stamp,
+        });
+        continue;
+      }
+
+      const refTable = refTableOf(table, k);
+      if (inputDisplay && refTable && v && !/^[0-9a-f]{32}$/i.test(v)) {
+        const hit = rowsFor(refTable).find((x) => displayOf(x.table, x.rec) === v);
+        if (hit) v = hit.rec.sys_id;
+      }
+      if (inputDisplay && !refTable) {
+        const own = { ...(choices.task?.[k] || {}), ...(choices[table]?.[k] || {}) };
+        const code = Object.keys(own).find((c) => own[c] === v);
+        if (code !== undefined) v = code;
+      }
+
+      const old = rec[k] === undefined || rec[k] === null ? '' : String(rec[k]);
+      if (old === v) continue;
+      rec[k] = v;
+      if (!audit) continue;
+      (db.sys_audit || (db.sys_audit = [])).push({
+        sys_id: newSysId(), documentkey: rec.sys_id, tablename: table, fieldname: k,
+        oldvalue: old, newvalue: v, sys_created_by: by, sys_created_on: stamp,
+      });
+    }
+    rec.sys_updated_on = stamp;
+    rec.sys_updated_by = by;
+    return rec;
+  }
+
+  function insert(table, body, { by, inputDisplay }) {
+    const stamp = snNow();
+    const list = db[table] || (db[table] = []);
+    const rec = { sys_id: newSysId(), sys_created_on: stamp, sys_created_by: by };
+    if (NUMBER_PREFIX[table] && !body?.number) {
+      const n = list.length + 10001 + Math.floor(Math.random() * 10);
+      rec.number = `${NUMBER_PREFIX[table]}${String(n).padStart(7, '0')}`;
+    }
+    if (isTaskTable(table)) {
+      rec.sys_class_name = table;
+      rec.opened_at = stamp;
+    }
+    list.push(rec);
+    // Inserts are not audited field-by-field; journal fields are still written.
+    return write(table, rec, body, { by, inputDisplay, audit: false });
+  }
+
+  function remove(table, sys_id) {
+    for (const t of tablesFor(table)) {
+      const list = db[t] || [];
+      const i = list.findIndex((r) => r.sys_id === sys_id);
+      if (i >= 0) { list.splice(i, 1); return true; }
+    }
+    return false;
+  }
+
+  /* =========================
+   * HTTP
+   * ========================= */
+  const app = express();
+  // Attachment uploads are raw bytes whatever their type, so JSON parsing skips them
+  app.use(express.json({
+    limit: '5mb',
+    type: (req) => !req.url.startsWith('/api/now/attachment') && /json/i.test(req.headers['content-type'] || ''),
+  }));
+
+  const fail = (res, status, message, detail) =>
+    res.status(status).json({ error: { message, detail: detail || null }, status: 'failure' });
+
+  // Test/dev hooks
+  app.post('/__mock/reset', (_req, res) => { reset(); res.json({ ok: true }); });
+  app.post('/__mock/seed', (req, res) => {
+    const { tables, choices: extra, replace } = req.body || {};
+    if (replace) replaceFixtures({ tables: tables || {}, choices: extra || {} });
+    else seedTables(tables, extra);
+    res.json({ ok: true });
+  });
+  app.get('/__mock/tables/:table', (req, res) => res.json({ result: db[req.params.table] || [] }));
+  app.get('/__mock/requests', (_req, res) => res.json({ result: requests }));
+  app.delete('/__mock/requests', (_req, res) => { requests.length = 0; res.json({ ok: true }); });
+
+  // Basic auth against sys_user.user_password
+  app.use('/api/now', (req, res, next) => {
+    const h = req.headers.authorization || '';
+    const [user, ...pw] = h.startsWith('Basic ')
+      ? Buffer.from(h.slice(6), 'base64').toString('utf8').split(':')
+      : [];
+    const hit = (db.sys_user || []).find((u) => u.user_name === user && u.active !== 'false');
+    if (!hit || hit.user_password !== pw.join(':')) {
+      return fail(res, 401, 'User Not Authenticated', 'Required to provide Auth information');
+    }
+    req.snUser = hit.user_name;
+    requests.push({ method: req.method, path: req.path, query: req.query, user: hit.user_name });
+    if (requests.length > REQUEST_LOG_MAX) requests.splice(0, requests.length - REQUEST_LOG_MAX);
+    next();
+  });
+
+  const opts = (req) => ({
+    fields: req.query.sysparm_fields ? String(req.query.sysparm_fields).split(',').map((s) => s.trim()).filter(Boolean) : null,
+    displayMode: String(req.query.sysparm_display_value || 'false').toLowerCase(),
+    excludeLinks: String(req.query.sysparm_exclude_reference_link || '').toLowerCase() === 'true',
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+  });
+  const inputDisplay = (req) => String(req.query.sysparm_input_display_value || '').toLowerCase() === 'true';
+
+  app.get('/api/now/table/:table', (req, res) => {
+    const { table } = req.params;
+    const rows = query(table, req.query.sysparm_query);
+    const offset = Math.max(0, parseInt(req.query.sysparm_offset, 10) || 0);
+    const limit = Math.max(0, parseInt(req.query.sysparm_limit, 10) || 10000);
+    const o = opts(req);
+    res.set('X-Total-Count', String(rows.length));
+    res.json({ result: rows.slice(offset, offset + limit).map((x) => present(x.table, x.rec, o)) });
+  });
+
+  app.get('/api/now/table/:table/:sys_id', (req, res) => {
+    const hit = findRow(req.params.table, req.params.sys_id);
+    if (!hit) return fail(res, 404, 'No Record found', "Record doesn't exist or ACL restricts the record retrieval");
+    res.json({ result: present(hit.table, hit.rec, opts(req)) });
+  });
+
+  app.post('/api/now/table/:table', (req, res) => {
+    const { table } = req.params;
+    const rec = insert(table, req.body || {}, { by: req.snUser, inputDisplay: inputDisplay(req) });
+    res.status(201).json({ result: present(table, rec, opts(req)) });
+  });
+
+  const update = (req, res) => {
+    const hit = findRow(req.params.table, req.params.sys_id);
+    if (!hit) return fail(res, 404, 'No Record found', "Record doesn't exist or ACL restricts the record retrieval");
+    write(hit.table, hit.rec, req.body || {}, { by: req.snUser, inputDisplay: inputDisplay(req) });
+    res.json({ result: present(hit.table, hit.rec, opts(req)) });
+  };
+  app.patch('/api/now/table/:table/:sys_id', update);
+  app.put('/api/now/table/:table/:sys_id', update);
+
+  app.delete('/api/now/table/:table/:sys_id', (req, res) => {
+    if (!remove(req.params.table, req.params.sys_id)) return fail(res, 404, 'No Record found');
+    res.status(204).end();
+  });
+
+  /* Aggregate API (COUNT, optionally grouped) */
+  app.get('/api/now/stats/:table', (req, res) => {
+    const { table } = req.params;
+    const rows = query(table, req.query.sysparm_query);
+    const groupBy = String(req.query.sysparm_group_by || '').split(',').map((s) => s.trim()).filter(Boolean);
+    const mode = String(req.query.sysparm_display_value || 'false').toLowerCase();
+    if (!groupBy.length) return res.json({ result: { stats: { count: String(rows.length) } } });
+
+    const groups = new Map();
+    for (const x of rows) {
+      const fields = groupBy.map((field) => ({
+        field, raw: rawValue(x.table, x.rec, field), disp: displayValue(x.table, x.rec, field),
+      }));
+      const key = JSON.stringify(fields.map((f) => f.raw));
+      const g = groups.get(key) || { fields, count: 0 };
+      g.count += 1;
+      groups.set(key, g);
+    }
+    res.json({
+      result: [...groups.values()].map((g) => ({
+        stats: { count: String(g.count) },
+        groupby_fields: g.fields.map(({ field, raw, disp }) =>
+          mode === 'all' ? { field, value: raw, display_value: disp } : { field, value: mode === 'true' ? disp : raw }
+        ),
+      })),
+    });
+  });
+
+  /* Attachment API */
+  const attachmentMeta = (req, rec) => ({
+    ...present('sys_attachment', rec),
+    download_link: `${req.protocol}://${req.get('host')}/api/now/attachment/${rec.sys_id}/file`,
+  });
+  const findAttachment = (sys_id) => (db.sys_attachment || []).find((r) => r.sys_id === sys_id) || null;
+
+  app.get('/api/now/attachment', (req, res) => {
+    const rows = query('sys_attachment', req.query.sysparm_query);
+    const offset = Math.max(0, parseInt(req.query.sysparm_offset, 10) || 0);
+    const limit = Math.max(0, parseInt(req.query.sysparm_limit, 10) || 10000);
+    res.set('X-Total-Count', String(rows.length));
+    res.json({ result: rows.slice(offset, offset + limit).map((x) => attachmentMeta(req, x.rec)) });
+  });
+
+  app.get('/api/now/attachment/:sys_id', (req, res) => {
+    const rec = findAttachment(req.params.sys_id);
+    if (!rec) return fail(res, 404, 'Record doesn\'t exist', 'Attachment not found');
+    res.json({ result: attachmentMeta(req, rec) });
+  });
+
+  app.get('/api/now/attachment/:sys_id/file', (req, res) => {
+    const rec = findAttachment(req.params.sys_id);
+    if (!rec) return fail(res, 404, 'Record doesn\'t exist', 'Attachment not found');
+    res.type(rec.content_type || 'application/octet-stream').send(files.get(rec.sys_id) || Buffer.alloc(0));
+  });
+
+  app.post('/api/now/attachment/file', express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+    const { table_name, table_sys_id, file_name } = req.query;
+    if (!table_name || !table_sys_id || !file_name) {
+      return fail(res, 400, 'Missing parameters', 'table_name, table_sys_id and file_name are required');
+    }
+    if (!findRow(String(table_name), String(table_sys_id))) return fail(res, 400, 'Invalid table_sys_id');
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const rec = {
+      sys_id: newSysId(),
+      table_name: String(table_name),
+      table_sys_id: String(table_sys_id),
+      file_name: String(file_name),
+      content_type: req.get('content-type') || 'application/octet-stream',
+      size_bytes: String(data.length),
+      hash: crypto.createHash('sha256').update(data).digest('hex'),
+      sys_created_on: snNow(),
+      sys_created_by: req.snUser,
+    };
+    (db.sys_attachment || (db.sys_attachment = [])).push(rec);
+    files.set(rec.sys_id, data);
+    res.status(201).json({ result: attachmentMeta(req, rec) });
+  });
+
+  app.delete('/api/now/attachment/:sys_id', (req, res) => {
+    const rec = findAttachment(req.params.sys_id);
+    if (!rec) return fail(res, 404, 'Record doesn\'t exist', 'Attachment not found');
+    remove('sys_attachment', rec.sys_id);
+    files.delete(rec.sys_id);
+    res.status(204).end();
+  });
+
+  /* Batch API: each rest_request is replayed against this server with the caller's credentials;
+     bodies go both ways base64-encoded */
+  app.post('/api/now/v1/batch', async (req, res) => {
+    const { batch_request_id, rest_requests } = req.body || {};
+    if (!Array.isArray(rest_requests)) return fail(res, 400, 'Invalid batch request', 'rest_requests is required');
+    const base = `${req.protocol}://${req.get('host')}`;
+    const serviced = [];
+    const unserviced = [];
+    for (const r of rest_requests) {
+      if (!r?.url?.startsWith('/api/')) {
+        unserviced.push(r?.id);
+        continue;
+      }
+      const started = Date.now();
+      const headers = Object.fromEntries((r.headers || []).map((h) => [h.name, h.value]));
+      let upstream;
+      let body;
+      try {
+        upstream = await fetch(`${base}${r.url}`, {
+          method: r.method || 'GET',
+          headers: { ...headers, Authorization: req.headers.authorization },
+          body: r.body ? Buffer.from(r.body, 'base64') : undefined,
+        });
+        body = Buffer.from(await upstream.arrayBuffer());
+      } catch (e) {
+        // A sub-request that can't be replayed fails on its own, like a 500 from the instance
+        serviced.push({
+          id: r.id,
+          body: Buffer.from(JSON.stringify({ error: { message: 'Batch sub-request failed', detail: String(e?.message || e) }, status: 'failure' })).toString('base64'),
+          status_code: 500,
+          status_text: 'Internal Server Error',
+          headers: [],
+          execution_time: Date.now() - started,
+        });
+        continue;
+      }
+      serviced.push({
+        id: r.id,
+        body: body.toString('base64'),
+        status_code: upstream.status,
+        status_text: upstream.statusText,
+        headers: [...upstream.headers].map(([name, value]) => ({ name, value })),
+        execution_time: Date.now() - started,
+      });
+    }
+    res.json({ batch_request_id, serviced_requests: serviced, unserviced_requests: unserviced });
+  });
+
+  app.use((req, res) => fail(res, 400, 'Invalid URL', `${req.method} ${req.path} is not mocked`));
+
+  reset();
+  return {
+    app,
+    reset,
+    seed: seedTables,
+    replaceFixtures,
+    get db() { return db; },
+    get requests() { return requests; },
+  };
+}
+
+// Start listening; resolves with { url, close } plus the store helpers.
+export function startMockServiceNow({ port = 0, host = '127.0.0.1', fixtures } = {}) {
+  const mock = createMockServiceNow({ fixtures });
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        ...mock,
+        get db() { return mock.db; },
+        get requests() { return mock.requests; },
+        url,
+        server,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_SN_PORT || 4001);
+  startMockServiceNow({ port }).then(({ url }) => console.log(`Mock ServiceNow listening on ${url}`));
+}
@@ -4,8 +4,24 @@
 
 import express from 'express';
 import cors from 'cors';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createSessionStore } from './lib/sessionStore.js';
+import { createChangeFeed } from './lib/changeFeed.js';
+import { createViewStore } from './lib/viewStore.js';
+import { encodedQuery, scopedQuery } from './lib/query.js';
+import { parseFilterParam, checkFilter, compileFilter, describeFields } from './lib/filters.js';
+import { exportWriter, EXPORT_FORMATS } from './lib/export.js';
+import { createAuditLog } from './lib/auditLog.js';
+import { createLoginThrottle, createRateLimiter } from './lib/rateLimit.js';
+import { createSnCache } from './lib/snCache.js';
+import { createLogger } from './lib/logger.js';
+import { createMetrics } from './lib/metrics.js';
+import {
+  tablePolicy, fetchFields, readFields, redact, forbiddenWrites, checkCreate, canAccessRow, canAttach,
+} from './lib/policy.js';
 
 dotenv.config();
 
@@ -19,10 +35,66 @@ const {
   PORT = 4000,
   ALLOWED_ORIGIN = 'http://localhost:5173',
   USE_ADMIN_FOR_ALL = 'true',
+  SN_MOCK = 'false',
+  MOCK_SN_PORT = 4001,
+  SESSION_STORE = 'memory',
+  SESSION_FILE = './data/sessions.json',
+  SESSION_SECRET = '',
+  SESSION_IDLE_MINUTES = 30,
+  SESSION_MAX_HOURS = 12,
+  ACCESS_TOKEN_MINUTES = 15,
+  PORTAL_ADMINS = 'admin',
+  ATTACHMENT_MAX_MB = 10,
+  CHANGE_FEED_SECONDS = 10,
+  VIEWS_FILE = './data/views.json',
+  EXPORT_MAX_ROWS = 50000,
+  AUDIT_FILE = './data/audit.jsonl',
+  AUDIT_SECRET = '',
+  TRUST_PROXY = 'false',
+  LOGIN_FREE_ATTEMPTS = 3,
+  LOGIN_BACKOFF_BASE_SECONDS = 1,
+  LOGIN_BACKOFF_MAX_SECONDS = 60,
+  LOGIN_LOCKOUT_FAILURES = 10,
+  LOGIN_IP_LOCKOUT_FAILURES = 50,
+  LOGIN_LOCKOUT_MINUTES = 15,
+  API_RATE_LIMIT = 600,
+  API_RATE_WINDOW_SECONDS = 60,
+  SN_CACHE_STORE = 'memory',
+  SN_CACHE_DIR = './data/sn-cache',
+  SN_CACHE_MAX_ENTRIES = 5000,
+  SN_CACHE_SECRET = '',
+  SN_CACHE_RECORD_SECONDS = 15,
+  SN_CACHE_REF_SECONDS = 300,
+  LOG_LEVEL = 'info',
+  LOG_FORMAT = 'json',
+  LOG_REDACT_FIELDS = 'work_notes,comments',
+  METRICS_TOKEN = '',
 } = process.env;
 
-if (!SN_INSTANCE || !SN_USERNAME || !SN_PASSWORD) {
-  console.error('Missing SN_INSTANCE, SN_USERNAME, or SN_PASSWORD in .env');
+// Structured logs (lib/logger.js). Everything logged while a request is handled carries its
+// request id (and, once signed in, the user) from requestContext, ServiceNow calls included.
+const requestContext = new AsyncLocalStorage();
+const log = createLogger({
+  level: LOG_LEVEL,
+  format: String(LOG_FORMAT).toLowerCase(),
+  redact: String(LOG_REDACT_FIELDS || '').split(',').map((s) => s.trim()).filter(Boolean),
+  context: () => requestContext.getStore(),
+});
+
+// SN_MOCK=true runs against the local Table API stand-in (mock/servicenow.js). SN_INSTANCE is a
+// host name, or a full base URL (http://127.0.0.1:4001 for a mock started elsewhere, e.g. by tests).
+const MOCK_MODE = String(SN_MOCK).toLowerCase() === 'true';
+let SN_BASE_URL = /^https?:\/\//i.test(SN_INSTANCE || '')
+  ? SN_INSTANCE.replace(/\/+$/, '')
+  : `https://${SN_INSTANCE}`;
+
+if (MOCK_MODE) {
+  const { startMockServiceNow } = await import('./mock/servicenow.js');
+  const mock = await startMockServiceNow({ port: Number(MOCK_SN_PORT) });
+  SN_BASE_URL = mock.url;
+  log.info('Mock ServiceNow listening', { url: mock.url });
+} else if (!SN_INSTANCE || !SN_USERNAME || !SN_PASSWORD) {
+  log.error('Missing SN_INSTANCE, SN_USERNAME, or SN_PASSWORD in .env');
   process.exit(1);
 }
 
@@ -30,7 +102,53 @@ if (!SN_INSTANCE || !SN_USERNAME || !SN_PASSWORD) {
  * App + CORS
  * ========================= */
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+
+// Metrics for GET /metrics (lib/metrics.js); route labels are Express route patterns
+const metrics = createMetrics();
+const httpDuration = metrics.histogram('http_request_duration_seconds',
+  'Time to answer portal requests', ['method', 'route', 'status']);
+const snCalls = metrics.counter('servicenow_requests_total',
+  'ServiceNow calls by API, table and status class (2xx, 4xx, 5xx, error)', ['api', 'table', 'method', 'status']);
+const snDuration = metrics.histogram('servicenow_request_duration_seconds',
+  'ServiceNow call latency, retries included', ['api', 'table', 'method']);
+const snErrors = metrics.counter('servicenow_request_errors_total',
+  'Failed ServiceNow calls by reason (http_4xx, http_5xx, timeout, network)', ['api', 'table', 'reason']);
+
+// Request id: the caller's X-Request-Id when it looks like one, else a new UUID; echoed back and
+// sent on to ServiceNow. One log line per request when it finishes, plus its latency metric.
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+const QUIET_PATHS = ['/healthz', '/metrics'];
+
+app.use((req, res, next) => {
+  const incoming = String(req.get('x-request-id') || '');
+  req.id = REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.context = { reqId: req.id };
+  res.set('X-Request-Id', req.id);
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)';
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    // The query string stays out: the change feed carries its token there
+    requestContext.run(req.context, () => {
+      log[QUIET_PATHS.includes(req.path) ? 'debug' : 'info']('Request', {
+        method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(seconds * 1000),
+      });
+    });
+  });
+  requestContext.run(req.context, next);
+});
+
+// Body parsers resume from stream events, outside the request's context; re-enter it
+const inContext = (req, _res, next) => requestContext.run(req.context, next);
+
+app.use(express.json({ limit: '1mb' }), inContext);
+
+// Behind a reverse proxy req.ip (audit log, rate limits) must come from X-Forwarded-For:
+// TRUST_PROXY=true, a hop count, or the proxy addresses Express should trust
+const trustProxy = String(TRUST_PROXY).trim();
+app.set('trust proxy', trustProxy === 'true' ? true : trustProxy === 'false' ? false
+  : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 
 // Allow comma-separated origins; allow "*" if explicitly set.
 const ORIGINS = String(ALLOWED_ORIGIN || '')
@@ -46,27 +164,92 @@ app.use(
       return cb(null, false);
     },
     credentials: true,
+    // Downloads name themselves, exports report their row counts, 429s say when to retry, and
+    // request ids can be quoted in bug reports
+    exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'X-Export-Rows', 'Retry-After', 'X-Request-Id'],
   })
 );
 
-// Simple request log
-app.use((req, _res, next) => {
-  console.log(`${req.method} ${req.path}`);
-  next();
-});
+// Every API call counts against its client IP (tokens can't key this: they aren't checked yet
+// and a made-up one would buy a fresh allowance). API_RATE_LIMIT=0 turns it off.
+app.use('/api', createRateLimiter({
+  windowMs: Number(API_RATE_WINDOW_SECONDS) * 1000,
+  max: Number(API_RATE_LIMIT),
+}));
 
 // Liveness/readiness
 app.get('/healthz', (_req, res) => res.json({ ok: true, uptime: process.uptime() }));
 
+// Prometheus scrape target; with METRICS_TOKEN set it wants "Authorization: Bearer <token>"
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ ok: false, error: { message: 'Unauthorized', detail: 'Metrics token required' }, status: 'failure' });
+  }
+  try {
+    res.type(metrics.contentType).send(await metrics.render());
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Metrics failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
 /* =========================
  * Helpers
  * ========================= */
-const adminCreds = { instance: SN_INSTANCE, username: SN_USERNAME, password: SN_PASSWORD };
-const sessions = new Map(); // token -> { user, via, creds, userSysId, groups[] }
+const adminCreds = MOCK_MODE
+  ? { instance: SN_INSTANCE, username: 'admin', password: 'admin' } // admin user in mock/fixtures.json
+  : { instance: SN_INSTANCE, username: SN_USERNAME, password: SN_PASSWORD };
+const sessions = createSessionStore({
+  driver: String(SESSION_STORE).toLowerCase(),
+  file: SESSION_FILE,
+  secret: SESSION_SECRET,
+  idleMs: Number(SESSION_IDLE_MINUTES) * 60 * 1000,
+  absoluteMs: Number(SESSION_MAX_HOURS) * 60 * 60 * 1000,
+  accessMs: Number(ACCESS_TOKEN_MINUTES) * 60 * 1000,
+});
+setInterval(() => sessions.prune().catch(() => {}), 5 * 60 * 1000).unref();
+metrics.gauge('portal_active_sessions', 'Signed-in sessions that have not expired, by sign-in mode', ['via'],
+  async (set) => {
+    const counts = {};
+    for (const s of await sessions.list()) counts[s.via] = (counts[s.via] || 0) + 1;
+    for (const [via, n] of Object.entries(counts)) set({ via }, n);
+  });
+const views = createViewStore({ file: VIEWS_FILE });
+const auditLog = createAuditLog({ file: AUDIT_FILE, secret: AUDIT_SECRET });
+if (!AUDIT_SECRET) {
+  log.warn('AUDIT_SECRET is not set: the audit log is chained with plain SHA-256, which anyone who ' +
+    'can edit the file can recompute. Set AUDIT_SECRET to make it tamper-evident.', { file: AUDIT_FILE });
+}
+const snCacheDriver = String(SN_CACHE_STORE).toLowerCase();
+const snCache = snCacheDriver === 'off' ? null : createSnCache({
+  driver: snCacheDriver,
+  dir: SN_CACHE_DIR,
+  maxEntries: Number(SN_CACHE_MAX_ENTRIES),
+  secret: SN_CACHE_SECRET,
+});
+
+const ADMIN_USERS = String(PORTAL_ADMINS || '')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
 const SYSID_RE = /^[0-9a-f]{32}$/i;
 
 const isSysId = (s) => typeof s === 'string' && SYSID_RE.test(s);
 const pickId  = (v) => (v && typeof v === 'object' && 'value' in v ? v.value : v);
+const val = (x) => String(pickId(x) ?? '');
+
+// Run fn over items with at most `limit` calls pending; results keep the input order.
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
 
 // Deeply unwrap common ServiceNow shapes into a plain string
 function unwrapAuditVal(v) {
@@ -91,16 +274,109 @@ function unwrapAuditVal(v) {
   return deep(v).trim();
 }
 
-// Robust ServiceNow request with timeout/retry
+// How long cached GETs may be served (sn(..., { cache })): records read inside the policy, and
+// reference data (users, groups, memberships) that changes far less often
+const CACHE_RECORD_MS = Number(SN_CACHE_RECORD_SECONDS) * 1000;
+const CACHE_REF_MS = Number(SN_CACHE_REF_SECONDS) * 1000;
+
+// Table API path -> { table, sys_id } (sys_id '' for queries); null for other APIs
+const TABLE_PATH_RE = /^\/api\/now\/table\/([\w.]+)(?:\/([0-9a-f]{32}))?(?=[/?]|$)/i;
+function tableTarget(pathWithQuery) {
+  const m = TABLE_PATH_RE.exec(pathWithQuery);
+  return m ? { table: m[1], sys_id: (m[2] || '').toLowerCase() } : null;
+}
+
+// A cached single-record read is tagged with its sys_id (the same row may be read as "task" or
+// as "incident"), a cached query with its table
+const readTags = ({ table, sys_id }) => [sys_id ? `rec:${sys_id}` : `table:${table}`];
+
+// Drops cached copies of records changed elsewhere (the change feed sees them go by)
+function forgetRecords(ids) {
+  if (!snCache || !ids.length) return Promise.resolve();
+  return snCache.invalidate(ids.map((id) => `rec:${String(id).toLowerCase()}`));
+}
+
+// ServiceNow call. A Table API GET passing { cache: ms } is served from snCache when it can be,
+// keyed by the acting account; every Table API write then drops the cached reads of the record
+// it touched and the cached queries on its table, whether or not it succeeded.
 async function sn(using, method, pathWithQuery, body, opts = {}) {
-  const { returnRaw = false, timeoutMs = 15000, retries = 1 } = opts;
+  const { cache: ttlMs = 0, ...rest } = opts;
+  const target = snCache && tableTarget(pathWithQuery);
+  if (!target) return snRequest(using, method, pathWithQuery, body, rest);
+  if (method === 'GET') {
+    if (!ttlMs || rest.returnRaw) return snRequest(using, method, pathWithQuery, body, rest);
+    return snCache.fetch(
+      snCache.key(using.username, pathWithQuery, rest.withTotal ? 'total' : ''),
+      readTags(target),
+      ttlMs,
+      () => snRequest(using, method, pathWithQuery, body, rest),
+      target.table,
+    );
+  }
+  try {
+    return await snRequest(using, method, pathWithQuery, body, rest);
+  } finally {
+    await snCache.invalidate([`table:${target.table}`, ...(target.sys_id ? [`rec:${target.sys_id}`] : [])]);
+  }
+}
+
+// Which ServiceNow API and table a call is for, as metric labels: { api, table }
+const SN_API_RE = /^\/api\/now\/(?:v\d+\/)?(table|stats|attachment|batch)(?:\/([\w.]+))?/;
+function snTarget(pathWithQuery) {
+  const m = SN_API_RE.exec(pathWithQuery);
+  if (!m) return { api: 'other', table: '' };
+  if (m[1] === 'attachment') return { api: 'attachment', table: 'sys_attachment' };
+  return { api: m[1], table: m[1] === 'batch' ? '' : m[2] || '' };
+}
+
+const snFailure = (e) =>
+  e?.httpStatus ? `http_${Math.floor(e.httpStatus / 100)}xx` : e?.message === 'Request timeout' ? 'timeout' : 'network';
+
+// snFetch() with metrics and a log line. The request id (opts.requestId, else the one of the
+// request being handled) goes to ServiceNow as X-Request-Id. Paths are logged without their
+// query string, which can hold names and search terms.
+async function snRequest(using, method, pathWithQuery, body, opts = {}) {
+  const requestId = opts.requestId ?? requestContext.getStore()?.reqId;
+  const { api, table } = snTarget(pathWithQuery);
+  const path = pathWithQuery.split('?')[0];
+  const started = process.hrtime.bigint();
+  const done = (status) => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    snCalls.inc({ api, table, method, status });
+    snDuration.observe({ api, table, method }, seconds);
+    return Math.round(seconds * 1000);
+  };
+  try {
+    const out = await snFetch(using, method, pathWithQuery, body, { ...opts, requestId });
+    const status = opts.returnRaw ? `${Math.floor(out.status / 100)}xx` : '2xx';
+    log.debug('ServiceNow call', { method, path, status, ms: done(status), as: using.username });
+    return out;
+  } catch (e) {
+    const reason = snFailure(e);
+    snErrors.inc({ api, table, reason });
+    const ms = done(e?.httpStatus ? `${Math.floor(e.httpStatus / 100)}xx` : 'error');
+    // 4xx answers (404 lookups, ACL fallbacks) are expected along the way
+    log[reason === 'http_4xx' ? 'debug' : 'warn']('ServiceNow call failed', { method, path, reason, ms, as: using.username, err: e });
+    throw e;
+  }
+}
+
+// Robust ServiceNow request with timeout/retry
+async function snFetch(using, method, pathWithQuery, body, opts = {}) {
+  const {
+    returnRaw = false, timeoutMs = 15000, retries = 1, withTotal = false,
+    accept = 'application/json', contentType = 'application/json', requestId,
+  } = opts;
   const headers = {
-    Accept: 'application/json',
+    Accept: accept,
     Authorization: 'Basic ' + Buffer.from(`${using.username}:${using.password}`).toString('base64'),
   };
-  if (body) headers['Content-Type'] = 'application/json';
+  if (body) headers['Content-Type'] = contentType;
+  if (requestId) headers['X-Request-Id'] = requestId;
+  // Buffers (attachment uploads) go out as-is; anything else is JSON
+  const payload = !body ? undefined : Buffer.isBuffer(body) ? body : JSON.stringify(body);
 
-  const url = `https://${SN_INSTANCE}${pathWithQuery}`;
+  const url = `${SN_BASE_URL}${pathWithQuery}`;
   let attempt = 0, lastErr;
 
   while (attempt <= retries) {
@@ -110,7 +386,7 @@ async function sn(using, method, pathWithQuery, body, opts = {}) {
       const res = await fetch(url, {
         method,
         headers,
-        body: body ? JSON.stringify(body) : undefined,
+        body: payload,
         cache: 'no-store',
         signal: controller.signal,
       });
@@ -123,6 +399,8 @@ async function sn(using, method, pathWithQuery, body, opts = {}) {
 
       if (res.ok && data?.status !== 'failure' && !data?.error) {
         clearTimeout(t);
+        // Table API list calls report the full match count in X-Total-Count
+        if (withTotal) data.total = Number(res.headers.get('x-total-count') ?? (data.result || []).length);
         return data;
       }
 
@@ -160,15 +438,78 @@ async function sn(using, method, pathWithQuery, body, opts = {}) {
   throw lastErr || new Error('Unknown error');
 }
 
+// Several Table API GETs in one round trip through the Batch API (/api/now/v1/batch).
+// Resolves like Promise.allSettled, in the order of `paths`: { status: 'fulfilled', value } with
+// the parsed body, or { status: 'rejected', reason } with an Error carrying httpStatus.
+// Where the Batch API isn't there (400/404: older instances, plugin off) the process stops
+// asking and sends the GETs side by side instead; a 403 falls back for this call only.
+let batchApi = true;
+
+async function snBatchGet(using, paths) {
+  if (!paths.length) return [];
+  const each = () => Promise.allSettled(paths.map((p) => sn(using, 'GET', p)));
+  if (paths.length === 1 || !batchApi) return each();
+
+  let data;
+  try {
+    data = await sn(using, 'POST', '/api/now/v1/batch', {
+      batch_request_id: crypto.randomUUID(),
+      rest_requests: paths.map((url, i) => ({
+        id: String(i),
+        method: 'GET',
+        url,
+        headers: [{ name: 'Accept', value: 'application/json' }],
+      })),
+    });
+  } catch (e) {
+    if (e.httpStatus === 400 || e.httpStatus === 404) {
+      batchApi = false;
+      log.warn('ServiceNow Batch API unavailable, sending requests one by one', { err: e });
+    }
+    if (e.httpStatus === 400 || e.httpStatus === 403 || e.httpStatus === 404) return each();
+    throw e;
+  }
+
+  const byId = new Map((data.serviced_requests || []).map((r) => [String(r.id), r]));
+  return paths.map((_p, i) => {
+    const r = byId.get(String(i));
+    let body = {};
+    try { body = JSON.parse(Buffer.from(r?.body || '', 'base64').toString('utf8') || '{}'); } catch {}
+    if (r && r.status_code >= 200 && r.status_code < 300 && !body.error) return { status: 'fulfilled', value: body };
+    const err = new Error(
+      body.error?.detail || body.error?.message || (r ? `HTTP ${r.status_code} ${r.status_text || ''}`.trim() : 'Not serviced in batch')
+    );
+    err.httpStatus = r?.status_code;
+    return { status: 'rejected', reason: err };
+  });
+}
+
 function pickActingCreds(session) {
   if (String(USE_ADMIN_FOR_ALL).toLowerCase() === 'true') return adminCreds;
   return session?.creds || adminCreds;
 }
 
-function requireAuth(req, res, next) {
+// Bearer header, or ?token= for clients that can't set headers (EventSource)
+function requestToken(req) {
   const h = req.headers.authorization || '';
-  const token = h.startsWith('Bearer ') ? h.slice(7) : (req.query?.token || '');
-  const session = token && sessions.get(token);
+  return h.startsWith('Bearer ') ? h.slice(7) : String(req.query?.token || '');
+}
+
+async function sessionFor(token) {
+  let session = null;
+  try {
+    session = token ? await sessions.get(token) : null;
+  } catch (e) {
+    log.error('Session lookup failed', { err: e });
+  }
+  // A user-credential session whose creds can't be unsealed must not fall back to admin
+  if (session?.via === 'user' && !session.creds) session = null;
+  return session;
+}
+
+async function requireAuth(req, res, next) {
+  const token = requestToken(req);
+  const session = await sessionFor(token);
   if (!session) {
     return res.status(401).json({
       ok: false,
@@ -178,41 +519,66 @@ function requireAuth(req, res, next) {
   }
   req.session = session;
   req.token = token;
+  if (req.context) req.context.user = contributorFromSession(session);
   next();
 }
 
+function isPortalAdmin(session) {
+  const u = session?.user;
+  const name = String(u?.user_name?.display_value || u?.user_name || '').toLowerCase();
+  return !!name && ADMIN_USERS.includes(name);
+}
+
+function requireAdmin(req, res, next) {
+  if (isPortalAdmin(req.session)) return next();
+  return res.status(403).json({
+    ok: false,
+    error: { message: 'Forbidden', detail: 'Portal administrator role required' },
+    status: 'failure',
+  });
+}
+
+// Typeahead / ref-resolution matches: exact or LIKE on the identifying fields
+const userMatchQuery = (v) => encodedQuery().whereAny([
+  ['user_name', '=', v], ['name', '=', v], ['email', '=', v],
+  ['user_name', 'LIKE', v], ['name', 'LIKE', v], ['email', 'LIKE', v],
+]);
+const groupMatchQuery = (v) => encodedQuery().whereAny([['name', '=', v], ['name', 'LIKE', v]]);
+
 async function resolveRef(using, forceTable, displayOrId) {
   const candidate = pickId(displayOrId);
   if (!candidate) return candidate;
   if (isSysId(candidate)) return candidate;
 
-  const v = encodeURIComponent(candidate);
   let table, q, fields;
   if (forceTable === 'sys_user') {
     table = 'sys_user';
-    q = `user_name=${v}^ORname=${v}^ORemail=${v}^ORuser_nameLIKE${v}^ORnameLIKE${v}^ORemailLIKE${v}`;
+    q = userMatchQuery(candidate);
     fields = 'sys_id,name,user_name,email';
   } else {
     table = 'sys_user_group';
-    q = `name=${v}^ORnameLIKE${v}`;
+    q = groupMatchQuery(candidate);
     fields = 'sys_id,name';
   }
-  const data = await sn(using, 'GET', `/api/now/table/${table}?sysparm_fields=${fields}&sysparm_limit=1&sysparm_query=${q}`);
+  const data = await sn(using, 'GET', `/api/now/table/${table}?sysparm_fields=${fields}&sysparm_limit=1&sysparm_query=${encodeURIComponent(q)}`, null, { cache: CACHE_REF_MS });
   const hit = Array.isArray(data?.result) && data.result[0];
   return hit?.sys_id || candidate;
 }
 
 async function getUserGroups(using, userSysId) {
+  const q = encodeURIComponent(encodedQuery().where('user', '=', userSysId));
   try {
     const gm = await sn(using, 'GET',
-      `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=user=${userSysId}&sysparm_limit=500`
+      `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=${q}&sysparm_limit=500`,
+      null, { cache: CACHE_REF_MS }
     );
     return (gm.result || []).map(r => r.group?.value || r.group || '').filter(Boolean);
   } catch {
     // Fallback with admin if ACL blocks the user
     try {
       const gm2 = await sn(adminCreds, 'GET',
-        `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=user=${userSysId}&sysparm_limit=500`
+        `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=${q}&sysparm_limit=500`,
+        null, { cache: CACHE_REF_MS }
       );
       return (gm2.result || []).map(r => r.group?.value || r.group || '').filter(Boolean);
     } catch {
@@ -221,15 +587,165 @@ async function getUserGroups(using, userSysId) {
   }
 }
 
+// "My work" scope: assigned to me, to one of my groups, or to nobody at all
+function workScope(userId, groups) {
+  const branches = [[['assigned_to', '=', userId]]];
+  if (groups?.length) branches.push([['assignment_group', 'IN', groups]]);
+  branches.push([['assigned_to', 'ISEMPTY'], ['assignment_group', 'ISEMPTY']]);
+  return branches;
+}
+
+// Paging / sorting / filtering shared by the list routes.
+// `sortable` maps the UI's column keys to ServiceNow fields; `filters` maps filter params
+// to condition builders, each returning a base condition (or an OR group of them).
+// `filterFields` are what ?filter= (the filter builder, lib/filters.js) may narrow on;
+// ctx ({ userId, groups }) resolves its @me / @mygroups placeholders.
+const LIST_MAX = 500;
+function listParams(req, { sortable, defaultSort, filters = {}, filterFields = {} }, ctx) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), LIST_MAX);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const sortField = sortable[String(req.query.sort || '')] || defaultSort;
+  const dir = String(req.query.dir || '').toLowerCase() === 'asc' ? 'asc' : 'desc';
+  const conditions = [];
+  for (const [param, build] of Object.entries(filters)) {
+    const v = String(req.query[param] || '').trim();
+    if (v) conditions.push(build(v));
+  }
+  conditions.push(...compileFilter(filterFields, parseFilterParam(req.query.filter), ctx));
+  return { limit, offset, sortField, dir, conditions };
+}
+
+const listPage = (p) => `sysparm_limit=${p.limit}&sysparm_offset=${p.offset}`;
+
+const WORK_LIST = {
+  sortable: {
+    number: 'number', short_description: 'short_description', caller_id: 'caller_id',
+    assigned_to: 'assigned_to', assignment_group: 'assignment_group', state: 'state',
+    priority: 'priority', opened_at: 'opened_at',
+  },
+  defaultSort: 'number',
+  filters: {
+    number: (v) => ['number', 'LIKE', v],
+    caller: (v) => [['caller_id.name', 'LIKE', v], ['assigned_to.name', 'LIKE', v]],
+  },
+  filterFields: {
+    state: {
+      field: 'state', label: 'State', kind: 'choice',
+      choices: [
+        { value: '1', label: 'New' }, { value: '2', label: 'In Progress' }, { value: '3', label: 'On Hold' },
+        { value: '-5', label: 'Pending' },
+      ],
+    },
+    priority: {
+      field: 'priority', label: 'Priority', kind: 'choice',
+      choices: [
+        { value: '1', label: '1 - Critical' }, { value: '2', label: '2 - High' }, { value: '3', label: '3 - Moderate' },
+        { value: '4', label: '4 - Low' }, { value: '5', label: '5 - Planning' },
+      ],
+    },
+    assignment_group: { field: 'assignment_group', label: 'Assignment group', kind: 'group' },
+    assigned_to: { field: 'assigned_to', label: 'Assigned to', kind: 'user' },
+    caller_id: { field: 'caller_id', label: 'Caller', kind: 'user' },
+    opened_at: { field: 'opened_at', label: 'Opened', kind: 'date' },
+    short_description: { field: 'short_description', label: 'Summary', kind: 'text' },
+  },
+};
+
+// Approval rows are shown as number=target, summary=state, assigned_to=approver
+const APPROVAL_LIST = {
+  sortable: {
+    number: 'sysapproval', short_description: 'state', assigned_to: 'approver',
+    state: 'state', sys_created_on: 'sys_created_on',
+  },
+  defaultSort: 'sys_created_on',
+  filters: {
+    number: (v) => ['sysapproval.number', 'LIKE', v],
+    caller: (v) => ['approver.name', 'LIKE', v],
+  },
+  filterFields: {
+    approver: { field: 'approver', label: 'Approver', kind: 'user' },
+    approval_group: { field: 'group.assignment_group', label: 'Approval group', kind: 'group' },
+    sys_created_on: { field: 'sys_created_on', label: 'Requested', kind: 'date' },
+    target: { field: 'sysapproval.number', label: 'Record number', kind: 'text' },
+  },
+};
+
+// The "my work" lists: table, what else scopes them, what counts as open, and which stamp marks
+// a row done (for the dashboard trend)
+const WORK_TABLES = {
+  incidents: {
+    table: 'incident', scope: [], open: [['state', 'NOT IN', ['6', '7']]], doneField: 'resolved_at',
+  },
+  tasks: {
+    table: 'task', scope: [['sys_class_name', 'NOT IN', ['incident', 'sc_req_item']]],
+    open: [['state', 'NOT IN', ['3', '6', '7']]], doneField: 'closed_at',
+  },
+};
+
+// Lists the portal shows, by the names saved views use
+const LISTS = { incidents: WORK_LIST, tasks: WORK_LIST, approvals: APPROVAL_LIST };
+
+// `group` is set on rows generated for a group approval (sysapproval_group), one per member
+const APPROVAL_FIELDS = 'sys_id,state,approver,sysapproval,group,group.assignment_group,sys_created_on,sys_updated_on';
+
 const TABLE_FIELDS =
   'sys_id,number,short_description,description,assigned_to,assignment_group,state,priority,impact,urgency,caller_id,opened_at,sys_class_name,sys_updated_on';
 
-const CHANGE_FIELDS = [
-  'sys_id','number','type','priority','risk','impact','category','cmdb_ci',
-  'requested_by','start_date','end_date','short_description','description',
-  'justification','implementation_plan','risk_and_impact_analysis',
-  'backout_plan','test_plan','assigned_to','assignment_group','state','sys_updated_on'
-].join(',');
+/* =========================
+ * Policy enforcement (see lib/policy.js)
+ * ========================= */
+function denied(res, detail) {
+  return res.status(403).json({ ok: false, error: { message: 'Forbidden', detail }, status: 'failure' });
+}
+
+// Pending approvals on a record, for the "awaitingMyApproval" row rule
+function approvalsLookup(using) {
+  return async (targetId) => {
+    const q = encodeURIComponent(encodedQuery().where('sysapproval', '=', targetId).where('state', '=', 'requested'));
+    const data = await sn(using, 'GET', `/api/now/table/sysapproval_approver?sysparm_fields=approver,state&sysparm_query=${q}&sysparm_limit=100`);
+    return data.result || [];
+  };
+}
+
+function policyCtx(req, using) {
+  return {
+    session: req.session,
+    approvalsFor: approvalsLookup(using),
+    delegators: () => delegatorIds(using, req.session.userSysId),
+  };
+}
+
+// Fetch one record inside the policy: { rec } (unredacted), or { status, message, detail }
+// describing why the caller may not have it. Always read fresh, never from the cache: the
+// policy decision (and any conflict check on sys_updated_on) must see the row as it is now.
+async function guardRecord(req, table, sys_id, { write = false } = {}) {
+  if (!tablePolicy(table)) return { status: 403, message: 'Forbidden', detail: `Table "${table}" is not exposed` };
+  if (!isSysId(sys_id)) return { status: 400, message: 'Bad request', detail: 'Invalid sys_id' };
+  const using = pickActingCreds(req.session);
+  let rec;
+  try {
+    const data = await sn(using, 'GET',
+      `/api/now/table/${table}/${sys_id}?sysparm_display_value=all&sysparm_fields=${fetchFields(table)}`
+    );
+    rec = data.result;
+  } catch (e) {
+    if (e.httpStatus !== 404) throw e;
+  }
+  if (!rec) return { status: 404, message: 'No Record found' };
+  if (!(await canAccessRow(table, rec, policyCtx(req, using), { write }))) {
+    return { status: 403, message: 'Forbidden', detail: 'You do not have access to this record' };
+  }
+  return { rec };
+}
+
+// guardRecord() for routes: responds 400/403/404 itself and resolves null when the caller
+// must stop; otherwise resolves the record.
+async function loadGuarded(req, res, table, sys_id, opts) {
+  const g = await guardRecord(req, table, sys_id, opts);
+  if (g.rec) return g.rec;
+  res.status(g.status).json({ ok: false, error: { message: g.message, ...(g.detail && { detail: g.detail }) }, status: 'failure' });
+  return null;
+}
 
 function contributorFromSession(session) {
   if (!session?.user) return 'unknown';
@@ -244,72 +760,309 @@ function contributorFromSession(session) {
   );
 }
 
-// ---- Display name cache for refs (users/groups) ----
-const _nameCache = new Map(); // key: `${table}:${sys_id}` -> { name, exp }
-const NAME_TTL_MS = 5 * 60 * 1000; // 5 minutes
+// Audit trail (lib/auditLog.js): one entry per write attempted through the portal, naming the
+// session user even when ServiceNow only sees the shared account. A failed audit write never
+// fails the action itself; it is logged with the run of failures so far and counted in
+// audit_write_failures_total, so a log that stopped recording doesn't go unnoticed.
+const auditFailures = metrics.counter('audit_write_failures_total', 'Audit log appends that failed');
+let auditFailuresInARow = 0;
+const auditOutcome = (status) => (status === 403 ? 'denied' : status === 409 ? 'conflict' : 'failure');
 
-async function _resolveDisplayName(using, table, sys_id) {
-  if (!sys_id) return '—';
-  const key = `${table}:${sys_id}`;
-  const now = Date.now();
-  const hit = _nameCache.get(key);
-  if (hit && hit.exp > now) return hit.name;
-
-  let fields = 'name';
-  if (table === 'sys_user') fields = 'name,user_name';
+async function audit(req, entry) {
+  const u = req.session?.user;
   try {
-    const r = await sn(using, 'GET', `/api/now/table/${table}/${sys_id}?sysparm_display_value=all&sysparm_fields=${fields}`);
-    const nm = r?.result?.name || r?.result?.user_name || sys_id;
-    _nameCache.set(key, { name: nm, exp: now + NAME_TTL_MS });
-    return nm;
-  } catch {
-    return sys_id;
+    await auditLog.append({
+      user: {
+        sys_id: req.session?.userSysId || '',
+        user_name: contributorFromSession(req.session),
+        name: String(u?.name?.display_value || u?.name || ''),
+      },
+      via: req.session?.via || '',
+      ip: req.ip,
+      route: `${req.method} ${req.route?.path || req.path}`,
+      ...entry,
+    });
+    auditFailuresInARow = 0;
+  } catch (e) {
+    auditFailuresInARow++;
+    auditFailures.inc();
+    log.error('Audit write failed', { err: e, failuresInARow: auditFailuresInARow, action: entry.action, table: entry.table, sys_id: entry.sys_id });
   }
 }
 
-async function resolveAssignedDisplay(using, fieldname, oldVal, newVal) {
-  if (fieldname === 'assigned_to') {
-    const [o, n] = await Promise.all([
-      _resolveDisplayName(using, 'sys_user', oldVal),
-      _resolveDisplayName(using, 'sys_user', newVal),
-    ]);
-    return [o, n];
+// Fields a write sets, next to their values in the record as it was before:
+// [{ field, from, fromDisplay, to }]
+function fieldDiff(oldRec, fields) {
+  return Object.entries(fields).map(([field, to]) => {
+    const before = oldRec?.[field];
+    const fromDisplay = before && typeof before === 'object' ? before.display_value ?? '' : before ?? '';
+    return { field, from: val(before), fromDisplay: String(fromDisplay), to: String(to ?? '') };
+  });
+}
+
+// ---- Field history (sys_audit) and the names it shows ----
+// Reference fields whose audit values are sys_ids, shown by the name of what they point at
+const HISTORY_REFS = { assigned_to: 'sys_user', assignment_group: 'sys_user_group' };
+const NAME_LOOKUP_CHUNK = 100; // ids per sys_idIN / user_nameIN query
+
+// sys_audit rows of one record, newest first; `since` keeps only changes after that UTC stamp.
+// Queried by documentkey only, as many fields are audited on base "task".
+function auditPath(sys_id, since) {
+  const qb = encodedQuery().where('documentkey', '=', sys_id);
+  if (since) qb.where('sys_created_on', '>', since);
+  return `/api/now/table/sys_audit?` +
+    `sysparm_display_value=all&` +
+    `sysparm_fields=sys_id,sys_created_on,sys_created_by,fieldname,oldvalue,newvalue,tablename&` +
+    `sysparm_query=${encodeURIComponent(qb.orderBy('sys_created_on', 'desc'))}&sysparm_limit=500`;
+}
+
+// sys_audit rows -> the changes the policy lets `table` expose, values unwrapped; reference
+// values that are sys_ids keep them as oldRef / newRef for historyEntries() to name:
+//   [{ id, ts, by, field, refTable?, oldRef?, newRef?, oldValue, newValue }]
+function auditChanges(table, rows) {
+  const readable = readFields(table);
+  // display_value=all wraps every column; keep the stored values for stamps and field names
+  const audit = rows.map((r) => ({
+    id: pickId(r.sys_id),
+    ts: String(pickId(r.sys_created_on) || ''),
+    by: String(pickId(r.sys_created_by) || ''),
+    fieldname: String(pickId(r.fieldname) || ''),
+    oldvalue: r.oldvalue,
+    newvalue: r.newvalue,
+  }));
+
+  // Prepare de-dupe for incident_state echoes
+  const stateSeenAt = new Set(audit.filter((x) => x.fieldname.toLowerCase() === 'state').map((x) => x.ts));
+
+  const changes = [];
+  for (const r of audit) {
+    let f = r.fieldname;
+    const fl = f.toLowerCase();
+
+    // Ignore audit echoes of journal fields
+    if (fl === 'work_notes' || fl === 'comments') continue;
+
+    // De-dupe incident_state if 'state' exists at same timestamp
+    if (fl === 'incident_state') {
+      if (stateSeenAt.has(r.ts)) continue;
+      f = 'state';
+    }
+
+    // Only surface history for fields the policy lets this table expose
+    if (!readable.includes(f)) continue;
+
+    // unwrap old/new
+    const rawOld = unwrapAuditVal(r.oldvalue);
+    const rawNew = unwrapAuditVal(r.newvalue);
+    const change = {
+      id: r.id, ts: r.ts, by: r.by, field: f,
+      oldValue: rawOld === '' || rawOld == null ? '—' : String(rawOld),
+      newValue: rawNew === '' || rawNew == null ? '—' : String(rawNew),
+    };
+    if (HISTORY_REFS[fl]) {
+      change.refTable = HISTORY_REFS[fl];
+      if (isSysId(rawOld)) change.oldRef = rawOld.toLowerCase();
+      if (isSysId(rawNew)) change.newRef = rawNew.toLowerCase();
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+// sys_ids to name per table, for a set of changes: { sys_user: [...], sys_user_group: [...] }
+function changeRefs(changes) {
+  const refs = {};
+  for (const c of changes) {
+    for (const id of [c.oldRef, c.newRef]) if (id) (refs[c.refTable] ||= new Set()).add(id);
   }
-  if (fieldname === 'assignment_group') {
-    const [o, n] = await Promise.all([
-      _resolveDisplayName(using, 'sys_user_group', oldVal),
-      _resolveDisplayName(using, 'sys_user_group', newVal),
+  return Object.fromEntries(Object.entries(refs).map(([t, ids]) => [t, [...ids]]));
+}
+
+// Names for referenced sys_ids and for author logins (journal/audit sys_created_by), in one
+// ServiceNow batch: a sys_idIN query per table, the users one also matching the logins.
+//   -> { refs: { <table>: { <sys_id>: name } }, logins: { <user_name>: name } }
+// Unknown ids and logins are left out; a failed lookup just leaves its names out.
+async function lookupNames(using, { refs = {}, logins = [] }) {
+  const users = refs.sys_user || [];
+  const lookups = [];
+  for (let i = 0; i < Math.max(users.length, logins.length); i += NAME_LOOKUP_CHUNK) {
+    const ids = users.slice(i, i + NAME_LOOKUP_CHUNK);
+    const names = logins.slice(i, i + NAME_LOOKUP_CHUNK);
+    const q = encodedQuery().whereAny([
+      ...(ids.length ? [['sys_id', 'IN', ids]] : []),
+      ...(names.length ? [['user_name', 'IN', names]] : []),
     ]);
-    return [o, n];
+    lookups.push({ table: 'sys_user', fields: 'sys_id,user_name,name', q, limit: ids.length + names.length });
   }
-  return [oldVal ?? '—', newVal ?? '—'];
+  for (const [table, all] of Object.entries(refs)) {
+    if (table === 'sys_user') continue;
+    for (let i = 0; i < all.length; i += NAME_LOOKUP_CHUNK) {
+      const ids = all.slice(i, i + NAME_LOOKUP_CHUNK);
+      lookups.push({ table, fields: 'sys_id,name', q: encodedQuery().in('sys_id', ids), limit: ids.length });
+    }
+  }
+
+  const out = { refs: {}, logins: {} };
+  const results = await snBatchGet(using, lookups.map((l) =>
+    `/api/now/table/${l.table}?sysparm_fields=${l.fields}&sysparm_query=${encodeURIComponent(l.q)}&sysparm_limit=${l.limit}`
+  ));
+  results.forEach((r, i) => {
+    if (r.status !== 'fulfilled') return;
+    const table = lookups[i].table;
+    for (const row of r.value.result || []) {
+      const name = row.name || row.user_name || row.sys_id;
+      (out.refs[table] ||= {})[row.sys_id] = name;
+      if (row.user_name && logins.includes(row.user_name)) out.logins[row.user_name] = name;
+    }
+  });
+  return out;
+}
+
+// auditChanges() rows as activity entries, sys_ids swapped for names:
+//   [{ id, ts, by, type: 'field', field, oldValue, newValue, body: '' }]
+function historyEntries(changes, names) {
+  return changes.map(({ refTable, oldRef, newRef, ...c }) => ({
+    id: c.id, ts: c.ts, by: c.by,
+    type: 'field', field: c.field,
+    oldValue: (oldRef && names.refs[refTable]?.[oldRef]) || c.oldValue,
+    newValue: (newRef && names.refs[refTable]?.[newRef]) || c.newValue,
+    body: '',
+  }));
+}
+
+// Field history of one record, newest first (see auditChanges/historyEntries), in two round
+// trips whatever its length. Read with the acting credentials; a user without sys_audit access
+// just gets no history.
+async function fieldHistory(using, table, sys_id, { since } = {}) {
+  const au = await sn(using, 'GET', auditPath(sys_id, since)).catch(() => ({ result: [] }));
+  const changes = auditChanges(table, au.result || []);
+  return historyEntries(changes, await lookupNames(using, { refs: changeRefs(changes) }));
 }
 
 /* =========================
  * Auth
  * ========================= */
+// Logins try the submitted credentials against ServiceNow, so failures are throttled per
+// username and per IP (lib/rateLimit.js) before they can lock out or guess ServiceNow accounts.
+// Every credential failure gets the same answer, whether or not the user exists.
+const loginThrottle = createLoginThrottle({
+  freeAttempts: Number(LOGIN_FREE_ATTEMPTS),
+  baseDelayMs: Number(LOGIN_BACKOFF_BASE_SECONDS) * 1000,
+  maxDelayMs: Number(LOGIN_BACKOFF_MAX_SECONDS) * 1000,
+  windowMs: Number(LOGIN_LOCKOUT_MINUTES) * 60 * 1000,
+  lockoutMs: Number(LOGIN_LOCKOUT_MINUTES) * 60 * 1000,
+  lockoutAfter: { user: Number(LOGIN_LOCKOUT_FAILURES), ip: Number(LOGIN_IP_LOCKOUT_FAILURES) },
+});
+const LOGIN_REJECTED = { message: 'User Not Authorized', detail: 'Invalid username or password' };
+
 app.post('/api/login', async (req, res) => {
   const { username, password } = req.body || {};
   if (!username || !password)
     return res.status(400).json({ ok: false, error: 'Missing username/password' });
 
+  const who = { username: String(username), ip: req.ip };
+  // Counts this attempt now, so parallel attempts can't all get past the throttle
+  const gate = loginThrottle.check(who);
+  if (!gate.allowed) {
+    const seconds = Math.ceil(gate.retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+      ok: false,
+      error: {
+        message: gate.locked ? 'Too many failed sign-ins' : 'Too many attempts',
+        detail: `Try again in ${seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} second${seconds === 1 ? '' : 's'}`}`,
+      },
+      status: 'failure',
+    });
+  }
+
+  let settled = false;
   try {
     const using = { instance: SN_INSTANCE, username, password };
-    const q = encodeURIComponent(`user_name=${username}^active=true`);
+    const q = encodeURIComponent(encodedQuery().where('user_name', '=', username).where('active', '=', 'true'));
     const fields = 'sys_id,name,user_name,email,active';
-    const data = await sn(using, 'GET', `/api/now/table/sys_user?sysparm_fields=${fields}&sysparm_limit=1&sysparm_query=${q}`);
-    const user = Array.isArray(data?.result) ? data.result[0] : null;
-    if (!user?.sys_id) throw new Error('Invalid credentials');
+    let user = null;
+    try {
+      const data = await sn(using, 'GET', `/api/now/table/sys_user?sysparm_fields=${fields}&sysparm_limit=1&sysparm_query=${q}`);
+      user = Array.isArray(data?.result) ? data.result[0] : null;
+    } catch (e) {
+      // Anything but a credential rejection is ServiceNow being unavailable, not a failed login
+      if (e?.httpStatus !== 401 && e?.httpStatus !== 403) throw e;
+    }
+    settled = true;
+    if (!user?.sys_id) {
+      log.warn('Login rejected', { username: who.username, ip: who.ip });
+      return res.status(401).json({ ok: false, error: LOGIN_REJECTED, status: 'failure' });
+    }
+    loginThrottle.succeeded(who);
 
     const groups = await getUserGroups(using, user.sys_id);
-    const token = crypto.randomBytes(24).toString('hex');
     const via = String(USE_ADMIN_FOR_ALL).toLowerCase() === 'true' ? 'admin' : 'user';
-    sessions.set(token, { user, via, creds: via === 'user' ? using : adminCreds, userSysId: user.sys_id, groups });
+    const { token, refreshToken, expiresAt } = await sessions.create({
+      user, via, creds: via === 'user' ? using : null, userSysId: user.sys_id, groups,
+      ip: req.ip, userAgent: req.get('user-agent') || '',
+    });
+
+    res.json({ ok: true, result: { token, refreshToken, expiresAt, user, via, groups, admin: isPortalAdmin({ user }) } });
+  } catch (e) {
+    if (!settled) loginThrottle.release(who);
+    log.error('Login failed', { err: e });
+    res.status(503).json({ ok: false, error: { message: 'Sign-in unavailable', detail: 'Please try again later' }, status: 'failure' });
+  }
+});
+
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const rotated = await sessions.refresh(String(req.body?.refreshToken || ''));
+    if (!rotated) {
+      return res.status(401).json({ ok: false, error: { message: 'Session expired', detail: 'Please sign in again' }, status: 'failure' });
+    }
+    res.json({ ok: true, result: rotated });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Refresh failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Ends the session of the access token, or of `refreshToken` in the body once the access
+// token has expired
+app.post('/api/logout', async (req, res) => {
+  try {
+    const session = await sessionFor(requestToken(req));
+    const ended = session
+      ? await sessions.revoke(session.sid)
+      : await sessions.revokeRefresh(String(req.body?.refreshToken || ''));
+    if (!ended) {
+      return res.status(401).json({ ok: false, error: { message: 'User Not Authenticated', detail: 'Required to provide Auth information' }, status: 'failure' });
+    }
+    res.json({ ok: true, result: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Logout failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Admin: sessions
+ * ========================= */
+app.get('/api/admin/sessions', requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, result: await sessions.list() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Session list failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
 
-    res.json({ ok: true, result: { token, user, via, groups } });
+// Revoke one session by id, or every session of a user with ?user=<sys_id>
+app.delete('/api/admin/sessions/:sid', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { sid } = req.params;
+    const user = String(req.query.user || '');
+    const revoked = sid === 'all' && user
+      ? await sessions.revokeUser(user)
+      : Number(await sessions.revoke(sid));
+    if (!revoked) return res.status(404).json({ ok: false, error: { message: 'Session not found' }, status: 'failure' });
+    res.json({ ok: true, result: { revoked } });
   } catch (e) {
-    console.error('Login failed', e);
-    res.status(401).json({ ok: false, error: { message: 'User Not Authorized', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(500).json({ ok: false, error: { message: 'Revoke failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
@@ -318,7 +1071,8 @@ app.get('/api/debug/session', requireAuth, async (req, res) => {
   try {
     const using = pickActingCreds(req.session);
     const userId = req.session.userSysId;
-    const gm = await sn(using, 'GET', `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=user=${userId}&sysparm_limit=500`);
+    const q = encodeURIComponent(encodedQuery().where('user', '=', userId));
+    const gm = await sn(using, 'GET', `/api/now/table/sys_user_grmember?sysparm_fields=group&sysparm_query=${q}&sysparm_limit=500`);
     const freshGroups = (gm.result || []).map(r => r.group?.value || r.group || '').filter(Boolean);
     res.json({
       ok: true,
@@ -335,158 +1089,1070 @@ app.get('/api/debug/session', requireAuth, async (req, res) => {
 });
 
 /* =========================
- * Lists (incidents, tasks, approvals)
+ * Admin: audit log
  * ========================= */
-app.get('/api/incidents', requireAuth, async (req, res) => {
-  try {
-    const using = pickActingCreds(req.session);
-    const userId = req.session.userSysId;
-    const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
-    const groupCsv = (groups || []).join(',');
-    const stateCond = 'stateNOT IN6,7';
+const AUDIT_PAGE_MAX = 500;
+const AUDIT_DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
 
-    const q = groupCsv
-      ? `${stateCond}^assigned_to=${userId}^NQ${stateCond}^assignment_groupIN${groupCsv}^NQ${stateCond}^assigned_toISEMPTY^assignment_groupISEMPTY`
-      : `${stateCond}^assigned_to=${userId}^NQ${stateCond}^assigned_toISEMPTY^assignment_groupISEMPTY`;
-
-    console.log('[INCIDENTS q]', q);
-    const data = await sn(using, 'GET',
-      `/api/now/table/incident?sysparm_display_value=all&sysparm_query=${encodeURIComponent(q)}&sysparm_fields=${TABLE_FIELDS}&sysparm_limit=100`
-    );
-    res.json({ ok: true, result: data.result || [] });
+// ?user=&record=&table=&action=&outcome=&from=&to=&limit=&offset= -> newest first
+app.get('/api/admin/audit', requireAuth, requireAdmin, async (req, res) => {
+  const q = Object.fromEntries(
+    ['user', 'record', 'table', 'action', 'outcome', 'from', 'to'].map((k) => [k, String(req.query[k] || '').trim()])
+  );
+  const badDate = ['from', 'to'].find((k) => q[k] && !AUDIT_DATE_RE.test(q[k]));
+  if (badDate) {
+    return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: `${badDate} must be YYYY-MM-DD or an ISO time` }, status: 'failure' });
+  }
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), AUDIT_PAGE_MAX);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { result, total } = await auditLog.query({ ...q, limit, offset });
+    res.json({ ok: true, result, total, limit, offset });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'List failed', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(500).json({ ok: false, error: { message: 'Audit query failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
-app.get('/api/tasks', requireAuth, async (req, res) => {
+// Re-checks the whole hash chain: { ok, entries, brokenAt? }
+app.get('/api/admin/audit/verify', requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const using = pickActingCreds(req.session);
-    const userId = req.session.userSysId;
-    const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
-    const groupCsv = (groups || []).join(',');
-    const stateCond = 'stateNOT IN3,6,7';
-    const notClasses = 'sys_class_nameNOT INincident,sc_req_item';
-
-    const q = groupCsv
-      ? `${stateCond}^${notClasses}^assigned_to=${userId}^NQ${stateCond}^${notClasses}^assignment_groupIN${groupCsv}^NQ${stateCond}^${notClasses}^assigned_toISEMPTY^assignment_groupISEMPTY`
-      : `${stateCond}^${notClasses}^assigned_to=${userId}^NQ${stateCond}^${notClasses}^assigned_toISEMPTY^assignment_groupISEMPTY`;
-
-    console.log('[TASKS q]', q);
-    const data = await sn(using, 'GET',
-      `/api/now/table/task?sysparm_display_value=all&sysparm_query=${encodeURIComponent(q)}&sysparm_fields=${TABLE_FIELDS}&sysparm_limit=100`
-    );
-    res.json({ ok: true, result: data.result || [] });
+    res.json({ ok: true, result: await auditLog.verify() });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'List failed', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(500).json({ ok: false, error: { message: 'Audit check failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
-app.get('/api/approvals', requireAuth, async (req, res) => {
+/* =========================
+ * Admin: ServiceNow read cache
+ * ========================= */
+// Hit/miss counters (this process) and store size: { enabled, driver, hits, misses, ... }
+app.get('/api/admin/cache', requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const using = pickActingCreds(req.session);
-    const userId = req.session.userSysId;
-    const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
-    const groupCsv = (groups || []).join(',');
-    const stateCond = 'state=requested';
-
-    const q = groupCsv
-      ? `${stateCond}^approver=${userId}^NQ${stateCond}^approverIN${groupCsv}^NQ${stateCond}^approverISEMPTY`
-      : `${stateCond}^approver=${userId}^NQ${stateCond}^approverISEMPTY`;
+    res.json({
+      ok: true,
+      result: snCache
+        ? { enabled: true, recordTtlSeconds: CACHE_RECORD_MS / 1000, refTtlSeconds: CACHE_REF_MS / 1000, ...(await snCache.stats()) }
+        : { enabled: false },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Cache stats failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
 
-    console.log('[APPROVALS q]', q);
-    const fields = 'sys_id,state,approver,sysapproval,sys_created_on,sys_updated_on';
-    const data = await sn(using, 'GET',
-      `/api/now/table/sysapproval_approver?sysparm_display_value=all&sysparm_query=${encodeURIComponent(q)}&sysparm_fields=${fields}&sysparm_limit=100`
-    );
-    res.json({ ok: true, result: data.result || [] });
+// Empties the cache (for every process sharing a file store)
+app.delete('/api/admin/cache', requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    if (snCache) await snCache.clear();
+    res.json({ ok: true, result: { cleared: !!snCache } });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'Approvals failed', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(500).json({ ok: false, error: { message: 'Cache clear failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
 /* =========================
- * Approvals (details + decide)
+ * Lists (incidents, tasks, approvals)
  * ========================= */
-app.get('/api/approval/:sys_id', requireAuth, async (req, res) => {
-  try {
-    const using = pickActingCreds(req.session);
-    const sys_id = req.params.sys_id;
+// Where one list reads from and its encoded query, as the request filters and sorts it.
+// Shared by the list routes and their exports.
+async function listQuery(req, name) {
+  const using = pickActingCreds(req.session);
+  const userId = req.session.userSysId;
+  const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
+
+  if (name === 'approvals') {
+    // `approver` is a user reference. Group approvals reach each member as their own row (with
+    // `group` set), so "mine" plus unassigned rows covers them; delegates also get the rows of
+    // whoever delegated approvals to them.
+    const branches = [[['approver', '=', userId]], [['approver', 'ISEMPTY']]];
+    const delegators = await delegatorIds(using, userId);
+    if (delegators.length) branches.push([['approver', 'IN', delegators]]);
+    const p = listParams(req, APPROVAL_LIST, { userId, groups });
+    const q = scopedQuery([['state', '=', 'requested'], ...p.conditions], branches)
+      .orderBy(p.sortField, p.dir)
+      .toString();
+    log.debug('List query', { list: name, q });
+    return { using, table: 'sysapproval_approver', fields: APPROVAL_FIELDS, q, p };
+  }
 
-    // Approval row
-    const fields = 'sys_id,sysapproval,approver,state,comments,sys_created_on,sys_updated_on';
-    const ap = await sn(using, 'GET',
-      `/api/now/table/sysapproval_approver/${sys_id}?sysparm_display_value=all&sysparm_fields=${fields}`
-    );
-    const approval = ap.result;
-    if (!approval) return res.status(404).json({ ok: false, error: { message: 'Approval not found' }, status: 'failure' });
+  const { table, open, scope } = WORK_TABLES[name];
+  const p = listParams(req, WORK_LIST, { userId, groups });
+  const q = scopedQuery([...open, ...scope, ...p.conditions], workScope(userId, groups))
+    .orderBy(p.sortField, p.dir)
+    .toString();
+  log.debug('List query', { list: name, q });
+  return { using, table, fields: TABLE_FIELDS, q, p };
+}
 
-    // Resolve target (change/task/incident/ritm/etc.)
-    const targetId = approval.sysapproval?.value || approval.sysapproval;
-    const candidates = ['change_request', 'sc_request', 'sc_req_item', 'incident', 'task'];
-    let target = null, targetTable = null;
+const listUrl = (l, page) =>
+  `/api/now/table/${l.table}?sysparm_display_value=all&sysparm_query=${encodeURIComponent(l.q)}` +
+  `&sysparm_fields=${l.fields}&${listPage(page)}`;
 
-    for (const tbl of candidates) {
-      try {
-        const t = await sn(using, 'GET', `/api/now/table/${tbl}/${targetId}?sysparm_display_value=all`);
-        if (t?.result?.sys_id) { target = t.result; targetTable = tbl; break; }
-      } catch {}
+function listRoute(name, failure) {
+  return async (req, res) => {
+    try {
+      const l = await listQuery(req, name);
+      const data = await sn(l.using, 'GET', listUrl(l, l.p), null, { withTotal: true });
+      res.json({ ok: true, result: data.result || [], total: data.total, limit: l.p.limit, offset: l.p.offset });
+    } catch (e) {
+      res.status(e?.httpStatus === 400 ? 400 : 500).json({ ok: false, error: { message: failure, detail: String(e?.message || e) }, status: 'failure' });
     }
+  };
+}
 
-    res.json({ ok: true, result: { approval, target, targetTable } });
-  } catch (e) {
-    console.error('Approval details failed', e);
-    res.status(500).json({ ok: false, error: { message: 'Approval details failed', detail: String(e?.message || e) }, status: 'failure' });
+app.get('/api/incidents', requireAuth, listRoute('incidents', 'List failed'));
+app.get('/api/tasks', requireAuth, listRoute('tasks', 'List failed'));
+app.get('/api/approvals', requireAuth, listRoute('approvals', 'Approvals failed'));
+
+/* =========================
+ * Exports (CSV / XLSX)
+ * ========================= */
+// A list exactly as the browser filters and sorts it, read from ServiceNow a page at a time and
+// streamed out as it arrives. Choice fields export their label, references their display value
+// plus the sys_id in a column of its own, dates the UTC stamp.
+const EXPORT_PAGE = 500;
+const EXPORT_LIMIT = Math.max(Number(EXPORT_MAX_ROWS) || 50000, EXPORT_PAGE);
+
+const WORK_EXPORT = [
+  { header: 'Number', field: 'number' },
+  { header: 'Summary', field: 'short_description' },
+  { header: 'Description', field: 'description' },
+  { header: 'State', field: 'state' },
+  { header: 'Priority', field: 'priority' },
+  { header: 'Caller', field: 'caller_id', kind: 'ref' },
+  { header: 'Assigned to', field: 'assigned_to', kind: 'ref' },
+  { header: 'Assignment group', field: 'assignment_group', kind: 'ref' },
+  { header: 'Opened (UTC)', field: 'opened_at', kind: 'date' },
+  { header: 'Updated (UTC)', field: 'sys_updated_on', kind: 'date' },
+];
+const EXPORTS = {
+  incidents: { label: 'Incidents', columns: WORK_EXPORT },
+  tasks: { label: 'Tasks', columns: [...WORK_EXPORT.slice(0, 1), { header: 'Type', field: 'sys_class_name' }, ...WORK_EXPORT.slice(1)] },
+  approvals: {
+    label: 'Approvals',
+    columns: [
+      { header: 'Record', field: 'sysapproval', kind: 'ref' },
+      { header: 'State', field: 'state' },
+      { header: 'Approver', field: 'approver', kind: 'ref' },
+      { header: 'Approval group', field: 'group.assignment_group', kind: 'ref' },
+      { header: 'Requested (UTC)', field: 'sys_created_on', kind: 'date' },
+      { header: 'Updated (UTC)', field: 'sys_updated_on', kind: 'date' },
+    ],
+  },
+};
+
+const exportHeaders = (columns) =>
+  ['Sys ID', ...columns.flatMap((c) => (c.kind === 'ref' ? [c.header, `${c.header} sys_id`] : [c.header]))];
+
+// One display_value=all row -> cells in exportHeaders() order
+function exportRow(columns, r) {
+  const cells = [val(r.sys_id)];
+  for (const c of columns) {
+    const f = r[c.field];
+    const display = f && typeof f === 'object' ? f.display_value ?? '' : f ?? '';
+    if (c.kind === 'ref') cells.push(display, val(f));
+    else cells.push(c.kind === 'date' ? val(f) : display);
   }
-});
+  return cells;
+}
 
-app.post('/api/approval/:sys_id/decide', requireAuth, async (req, res) => {
-  const { sys_id } = req.params;
-  const { decision, comments } = req.body || {};
-  try {
-    const using = pickActingCreds(req.session);
+function exportFormat(req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (EXPORT_FORMATS[format]) return format;
+  res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'format must be csv or xlsx' }, status: 'failure' });
+  return null;
+}
 
-    const stateMap = { approve: 'approved', approved: 'approved', reject: 'rejected', rejected: 'rejected' };
-    const newState = stateMap[String(decision || '').toLowerCase()];
-    if (!newState) return res.status(400).json({ ok: false, error: { message: 'Invalid decision', detail: 'Use approve|reject' }, status: 'failure' });
+function startDownload(res, format, baseName) {
+  res.attachment(`${safeFileName(baseName)}.${EXPORT_FORMATS[format].ext}`);
+  res.set({ 'Content-Type': EXPORT_FORMATS[format].type, 'Cache-Control': 'private, no-store' });
+}
+
+// GET /api/export/:list?format=csv|xlsx plus the list route's sort / dir / number / caller /
+// filter parameters (limit and offset are ignored). Up to EXPORT_MAX_ROWS rows.
+app.get('/api/export/:list', requireAuth, async (req, res) => {
+  const def = EXPORTS[req.params.list];
+  if (!def) {
+    return res.status(404).json({ ok: false, error: { message: 'Unknown list', detail: 'list must be incidents, tasks or approvals' }, status: 'failure' });
+  }
+  const format = exportFormat(req, res);
+  if (!format) return;
 
-    const payload = { state: newState };
-    if (comments) payload.comments = comments;
+  // Stop paging when the browser gives up on the download
+  let gone = false;
+  res.on('close', () => { gone = !res.writableFinished; });
 
-    const upd = await sn(using, 'PATCH',
-      `/api/now/table/sysapproval_approver/${sys_id}?sysparm_input_display_value=true`, payload
-    );
-    res.json({ ok: true, result: upd.result || true });
+  try {
+    const l = await listQuery(req, req.params.list);
+    const writer = exportWriter(res, format, exportHeaders(def.columns), { sheet: def.label });
+    let offset = 0;
+    while (!gone) {
+      const limit = Math.min(EXPORT_PAGE, EXPORT_LIMIT - offset);
+      const data = await sn(l.using, 'GET', listUrl(l, { limit, offset }), null, { withTotal: offset === 0, timeoutMs: 60000 });
+      if (!res.headersSent) {
+        startDownload(res, format, `${req.params.list}-${utcDay(Date.now())}`);
+        res.set('X-Total-Count', String(data.total));
+        res.set('X-Export-Rows', String(Math.min(data.total, EXPORT_LIMIT)));
+      }
+      const rows = data.result || [];
+      await writer.rows(rows.map((r) => exportRow(def.columns, r)));
+      offset += rows.length;
+      if (rows.length < limit || offset >= EXPORT_LIMIT) break;
+    }
+    if (!gone) await writer.end();
+    log.info('Export', { list: req.params.list, format, rows: offset, aborted: gone });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'Approval action failed', detail: String(e?.message || e) }, status: 'failure' });
+    if (res.headersSent) return res.destroy();
+    res.status(e?.httpStatus === 400 ? 400 : 500).json({ ok: false, error: { message: 'Export failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
 /* =========================
- * Records (get / change details / journal-all / activity)
+ * Dashboard (Aggregate API)
  * ========================= */
-app.get('/api/record/:table/:sys_id', requireAuth, async (req, res) => {
-  try {
-    const using = pickActingCreds(req.session);
-    const t = String(req.params.table || '').trim();
-    const id = String(req.params.sys_id || '').trim();
-    if (!t || !id) {
-      return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'Missing table or sys_id' }, status: 'failure' });
-    }
-    const fieldsList = (t === 'change_request') ? CHANGE_FIELDS : TABLE_FIELDS;
-    const data = await sn(using, 'GET', `/api/now/table/${t}/${id}?sysparm_display_value=all&sysparm_fields=${fieldsList}`);
-    res.json({ ok: true, result: data.result || {} });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'No Record found', detail: String(e?.message || e) }, status: 'failure' });
+// Counts over the same scope as the incident/task lists. Every segment carries filter builder
+// conditions (see WORK_LIST.filterFields) that reproduce it on the list below, so the charts
+// can narrow the table when clicked.
+const DASHBOARD_TREND_DAYS = 30;
+const DASHBOARD_AGE = [
+  { key: 'today', label: 'Today', conditions: [{ field: 'opened_at', op: '>=', value: '@daysAgo:0' }] },
+  {
+    key: 'week', label: '1–7 days',
+    conditions: [{ field: 'opened_at', op: '>=', value: '@daysAgo:7' }, { field: 'opened_at', op: '<', value: '@daysAgo:0' }],
+  },
+  {
+    key: 'month', label: '8–30 days',
+    conditions: [{ field: 'opened_at', op: '>=', value: '@daysAgo:30' }, { field: 'opened_at', op: '<', value: '@daysAgo:7' }],
+  },
+  { key: 'older', label: 'Over 30 days', conditions: [{ field: 'opened_at', op: '<', value: '@daysAgo:30' }] },
+];
+
+// COUNT via /api/now/stats: a number, or with `groupBy` [{ value, label, count }]
+async function snCount(using, table, q, groupBy) {
+  const params = `sysparm_count=true&sysparm_query=${encodeURIComponent(q)}` +
+    (groupBy ? `&sysparm_group_by=${groupBy}&sysparm_display_value=all` : '');
+  const data = await sn(using, 'GET', `/api/now/stats/${table}?${params}`);
+  if (!groupBy) return Number(data?.result?.stats?.count || 0);
+  return (Array.isArray(data?.result) ? data.result : []).map((r) => {
+    const g = (r.groupby_fields || [])[0] || {};
+    return { value: String(g.value ?? ''), label: String(g.display_value || g.value || ''), count: Number(r.stats?.count || 0) };
+  });
+}
+
+// Grouped counts -> segments, in the filter field's choice order; values the filter builder
+// can't express (or empty ones) are still counted but carry no conditions
+function choiceSegments(groups, key) {
+  const def = WORK_LIST.filterFields[key];
+  const order = def.choices.map((c) => c.value);
+  const rank = (v) => (order.includes(v) ? order.indexOf(v) : order.length);
+  return groups
+    .filter((g) => g.count > 0)
+    .sort((a, b) => rank(a.value) - rank(b.value) || a.value.localeCompare(b.value, undefined, { numeric: true }))
+    .map((g) => ({
+      key: g.value,
+      label: g.label || '(empty)',
+      count: g.count,
+      ...(order.includes(g.value) && { conditions: [{ field: key, op: 'IN', value: [g.value] }] }),
+    }));
+}
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// The Aggregate API groups date-times by their exact value, so the trend asks for one grouped
+// count per series and folds the stamps into UTC days here.
+function perDay(groups) {
+  const out = new Map();
+  for (const g of groups) {
+    const day = g.value.slice(0, 10);
+    out.set(day, (out.get(day) || 0) + g.count);
   }
-});
+  return out;
+}
 
-app.get('/api/change/:sys_id/details', requireAuth, async (req, res) => {
+app.get('/api/dashboard', requireAuth, async (req, res) => {
+  const def = WORK_TABLES[String(req.query.list || 'incidents')];
+  if (!def) {
+    return res.status(400).json({ ok: false, error: { message: 'Unknown list', detail: 'list must be incidents or tasks' }, status: 'failure' });
+  }
+  try {
+    const using = pickActingCreds(req.session);
+    const userId = req.session.userSysId;
+    const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
+    const ctx = { userId, groups };
+    const branches = workScope(userId, groups);
+    const openQ = (conditions = []) => scopedQuery([...def.open, ...def.scope, ...conditions], branches).toString();
+    const compile = (conditions) => compileFilter(WORK_LIST.filterFields, conditions, ctx);
+
+    const since = compile([{ field: 'opened_at', op: '>=', value: `@daysAgo:${DASHBOARD_TREND_DAYS - 1}` }])[0][2];
+    const allQ = (field) => scopedQuery([...def.scope, [field, '>=', since]], branches).toString();
+
+    const [total, byPriority, byState, ages, opened, done] = await Promise.all([
+      snCount(using, def.table, openQ()),
+      snCount(using, def.table, openQ(), 'priority'),
+      snCount(using, def.table, openQ(), 'state'),
+      Promise.all(DASHBOARD_AGE.map((a) => snCount(using, def.table, openQ(compile(a.conditions))))),
+      snCount(using, def.table, allQ('opened_at'), 'opened_at'),
+      snCount(using, def.table, allQ(def.doneField), def.doneField),
+    ]);
+
+    const openedByDay = perDay(opened);
+    const doneByDay = perDay(done);
+    const first = snStampMs(since);
+    const trend = Array.from({ length: DASHBOARD_TREND_DAYS }, (_, i) => {
+      const day = utcDay(first + i * 86400000);
+      const next = utcDay(first + (i + 1) * 86400000);
+      return {
+        day,
+        opened: openedByDay.get(day) || 0,
+        done: doneByDay.get(day) || 0,
+        // Only rows opened that day and still open can be shown in the list
+        conditions: [{ field: 'opened_at', op: '>=', value: day }, { field: 'opened_at', op: '<', value: next }],
+      };
+    });
+
+    res.json({
+      ok: true,
+      result: {
+        list: req.query.list || 'incidents',
+        total,
+        byPriority: choiceSegments(byPriority, 'priority'),
+        byState: choiceSegments(byState, 'state'),
+        byAge: DASHBOARD_AGE.map((a, i) => ({ key: a.key, label: a.label, count: ages[i], conditions: a.conditions })),
+        trend,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Dashboard failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Saved views (filter builder)
+ * ========================= */
+// Built-in views every user gets; saved ones live in lib/viewStore.js, per user.
+const BUILTIN_VIEWS = {
+  work: [
+    {
+      id: 'builtin-p1p2-my-groups',
+      name: 'P1/P2 in my groups',
+      conditions: [
+        { field: 'priority', op: 'IN', value: ['1', '2'] },
+        { field: 'assignment_group', op: '=', value: '@mygroups', label: 'My groups' },
+      ],
+      sort: { key: 'priority', dir: 'asc' },
+    },
+    {
+      id: 'builtin-unassigned-2d',
+      name: 'Unassigned older than 2 days',
+      conditions: [
+        { field: 'assigned_to', op: 'ISEMPTY' },
+        { field: 'opened_at', op: '<', value: '@daysAgo:2' },
+      ],
+      sort: { key: 'opened_at', dir: 'asc' },
+    },
+  ],
+  approvals: [
+    {
+      id: 'builtin-approvals-2d',
+      name: 'Waiting more than 2 days',
+      conditions: [{ field: 'sys_created_on', op: '<', value: '@daysAgo:2' }],
+      sort: { key: 'sys_created_on', dir: 'asc' },
+    },
+  ],
+};
+const builtinViews = (list) =>
+  (list === 'approvals' ? BUILTIN_VIEWS.approvals : BUILTIN_VIEWS.work).map((v) => ({ ...v, list, builtin: true }));
+
+// Validate a view body for `list`; returns the fields to store
+function checkView(list, body, { partial = false } = {}) {
+  const def = Object.prototype.hasOwnProperty.call(LISTS, list) ? LISTS[list] : null;
+  if (!def) throw Object.assign(new Error(`Unknown list: ${list}`), { httpStatus: 400 });
+  const out = {};
+  if (!partial || body.name !== undefined) out.name = String(body.name ?? '');
+  if (!partial || body.conditions !== undefined) out.conditions = checkFilter(def.filterFields, body.conditions ?? []);
+  if (body.sort !== undefined && body.sort !== null) {
+    const key = String(body.sort?.key || '');
+    if (!def.sortable[key]) throw Object.assign(new Error(`Not sortable: ${key}`), { httpStatus: 400 });
+    out.sort = { key, dir: body.sort.dir === 'asc' ? 'asc' : 'desc' };
+  } else if (body.sort === null) out.sort = null;
+  return out;
+}
+
+const viewError = (res, e, message) =>
+  res.status(e?.httpStatus || 500).json({ ok: false, error: { message, detail: String(e?.message || e) }, status: 'failure' });
+
+// -> { result: views (built-ins first), fields: filter builder catalogue }
+app.get('/api/views', requireAuth, async (req, res) => {
+  const list = String(req.query.list || '');
+  if (!Object.prototype.hasOwnProperty.call(LISTS, list)) {
+    return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'list must be incidents, tasks or approvals' }, status: 'failure' });
+  }
+  try {
+    const saved = await views.list(req.session.userSysId, list);
+    res.json({ ok: true, result: [...builtinViews(list), ...saved], fields: describeFields(LISTS[list].filterFields) });
+  } catch (e) {
+    viewError(res, e, 'Views failed');
+  }
+});
+
+app.post('/api/views', requireAuth, async (req, res) => {
+  try {
+    const list = String(req.body?.list || '');
+    const view = await views.create(req.session.userSysId, { list, ...checkView(list, req.body || {}) });
+    res.status(201).json({ ok: true, result: view });
+  } catch (e) {
+    viewError(res, e, 'Save view failed');
+  }
+});
+
+app.put('/api/views/:id', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userSysId;
+    const existing = (await views.list(userId)).find((v) => v.id === req.params.id);
+    if (!existing) return res.status(404).json({ ok: false, error: { message: 'View not found' }, status: 'failure' });
+    const view = await views.update(userId, existing.id, checkView(existing.list, req.body || {}, { partial: true }));
+    res.json({ ok: true, result: view });
+  } catch (e) {
+    viewError(res, e, 'Save view failed');
+  }
+});
+
+app.delete('/api/views/:id', requireAuth, async (req, res) => {
+  try {
+    if (!(await views.remove(req.session.userSysId, req.params.id))) {
+      return res.status(404).json({ ok: false, error: { message: 'View not found' }, status: 'failure' });
+    }
+    res.json({ ok: true, result: true });
+  } catch (e) {
+    viewError(res, e, 'Delete view failed');
+  }
+});
+
+/* =========================
+ * Change feed (SSE)
+ * ========================= */
+// One polling loop per group set (lib/changeFeed.js). Each tick asks ServiceNow for rows of the
+// three lists updated since the loop's cursor, plus sys_audit reassignments away from the
+// group set, then every subscriber gets the rows that are (no longer) on its own lists.
+// Polls run with the integration account; rows are filtered with the same scope as the list
+// routes above before they reach a browser.
+const FEED_INTERVAL_MS = Math.max(Number(CHANGE_FEED_SECONDS) || 10, 2) * 1000;
+const FEED_OVERLAP_MS = 5000; // re-read a few seconds back so same-second updates aren't lost
+const FEED_LIMIT = 200;       // more changes than this in one tick -> clients reload instead
+
+const snStamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const snStampMs = (s) => Date.parse(String(s || '').replace(' ', 'T') + 'Z') || 0;
+
+// Row tests mirroring the list queries: on-list = open and in the user's scope
+const inWorkScope = (r, sub) =>
+  val(r.assigned_to) === sub.userId ||
+  sub.groups.includes(val(r.assignment_group)) ||
+  (!val(r.assigned_to) && !val(r.assignment_group));
+
+const FEED_LISTS = {
+  incidents: {
+    table: 'incident',
+    fields: TABLE_FIELDS,
+    onList: (r, sub) => !['6', '7'].includes(val(r.state)) && inWorkScope(r, sub),
+  },
+  tasks: {
+    table: 'task',
+    fields: TABLE_FIELDS,
+    onList: (r, sub) =>
+      !['3', '6', '7'].includes(val(r.state)) &&
+      !['incident', 'sc_req_item'].includes(val(r.sys_class_name)) &&
+      inWorkScope(r, sub),
+  },
+  approvals: {
+    table: 'sysapproval_approver',
+    fields: APPROVAL_FIELDS,
+    onList: (r, sub) =>
+      val(r.state) === 'requested' &&
+      (!val(r.approver) || val(r.approver) === sub.userId || sub.delegators.includes(val(r.approver))),
+  },
+};
+
+// Candidate rows for a group set: anything touching its groups, its users, or nobody
+function feedQuery(list, since, groups, users) {
+  const alternatives = list === 'approvals'
+    ? [['approver', 'ISEMPTY'], ...(users.length ? [['approver', 'IN', users]] : [])]
+    : [
+        ['assignment_group', 'ISEMPTY'],
+        ...(groups.length ? [['assignment_group', 'IN', groups]] : []),
+        ...(users.length ? [['assigned_to', 'IN', users]] : []),
+      ];
+  return encodedQuery()
+    .where('sys_updated_on', '>', since)
+    .whereAny(alternatives)
+    .orderBy('sys_updated_on')
+    .toString();
+}
+
+async function pollChanges(_key, state, subscribers) {
+  const now = Date.now();
+  if (!state.cursor) {
+    state.cursor = now - FEED_OVERLAP_MS;
+    state.seen = new Map(); // sys_id -> sys_updated_on already delivered
+  }
+  const since = snStamp(state.cursor - FEED_OVERLAP_MS);
+  const groups = [...new Set(subscribers.flatMap((s) => s.groups))];
+  const users = [...new Set(subscribers.map((s) => s.userId).filter(Boolean))];
+  const approvers = [...new Set([...users, ...subscribers.flatMap((s) => s.delegators)])];
+
+  const batch = { rows: {}, movedAway: [], resync: false };
+  let newest = state.cursor;
+  const fresh = (id, stamp) => {
+    if (state.seen.get(id) === stamp) return false;
+    state.seen.set(id, stamp);
+    newest = Math.max(newest, snStampMs(stamp));
+    return true;
+  };
+
+  for (const [list, spec] of Object.entries(FEED_LISTS)) {
+    const q = encodeURIComponent(feedQuery(list, since, groups, list === 'approvals' ? approvers : users));
+    const data = await sn(adminCreds, 'GET',
+      `/api/now/table/${spec.table}?sysparm_display_value=all&sysparm_query=${q}&sysparm_fields=${spec.fields}&sysparm_limit=${FEED_LIMIT}`
+    );
+    const rows = data.result || [];
+    if (rows.length >= FEED_LIMIT) batch.resync = true;
+    batch.rows[list] = rows.filter((r) => fresh(val(r.sys_id), val(r.sys_updated_on)));
+    // Whoever changed them, cached copies of these records are out of date now
+    await forgetRecords(batch.rows[list].map((r) => val(r.sys_id)));
+  }
+
+  // Rows handed from one of these groups/users (or from nobody: unassigned rows are on every
+  // list) to someone else no longer match the query above
+  const ids = [...groups, ...users];
+  const q = encodeURIComponent(
+    encodedQuery()
+      .where('sys_created_on', '>', since)
+      .in('fieldname', ['assigned_to', 'assignment_group', 'approver'])
+      .whereAny([['oldvalue', 'ISEMPTY'], ...(ids.length ? [['oldvalue', 'IN', ids]] : [])])
+  );
+  const au = await sn(adminCreds, 'GET',
+    `/api/now/table/sys_audit?sysparm_fields=sys_id,documentkey,sys_created_on&sysparm_query=${q}&sysparm_limit=${FEED_LIMIT}`
+  ).catch(() => ({ result: [] }));
+  batch.movedAway = [...new Set((au.result || [])
+    .filter((a) => fresh(`audit:${a.sys_id}`, a.sys_created_on))
+    .map((a) => a.documentkey))];
+
+  // Forget what's older than the next window
+  state.cursor = batch.resync ? now : newest;
+  const horizon = state.cursor - 2 * FEED_OVERLAP_MS;
+  for (const [id, stamp] of state.seen) if (snStampMs(stamp) < horizon) state.seen.delete(id);
+
+  const any = batch.resync || batch.movedAway.length || Object.values(batch.rows).some((r) => r.length);
+  return any ? batch : null;
+}
+
+// One subscriber's slice of a batch: { incidents: { upserts, removed }, ... } or null
+function feedDelta(batch, sub) {
+  const out = {};
+  let any = false;
+  for (const [list, spec] of Object.entries(FEED_LISTS)) {
+    const upserts = [];
+    const removed = [];
+    for (const r of batch.rows[list] || []) {
+      if (spec.onList(r, sub)) upserts.push(r); else removed.push(val(r.sys_id));
+    }
+    const kept = new Set(upserts.map((r) => val(r.sys_id)));
+    for (const id of batch.movedAway) if (!kept.has(id) && !removed.includes(id)) removed.push(id);
+    out[list] = { upserts, removed };
+    any = any || upserts.length > 0 || removed.length > 0;
+  }
+  return any ? out : null;
+}
+
+const changeFeed = createChangeFeed({
+  intervalMs: FEED_INTERVAL_MS,
+  // Each tick gets its own id, so the ServiceNow calls of one poll can be told apart in the logs
+  poll: (key, state, subscribers) =>
+    requestContext.run({ reqId: `feed-${crypto.randomUUID()}` }, () => pollChanges(key, state, subscribers)),
+  onError: (e, key) => log.error('Change feed poll failed', { groups: key || '(no groups)', err: e }),
+});
+
+// EventSource can't send an Authorization header, so the token comes as ?token=. An expired or
+// revoked session gets an "expired" event (not a 401) so the client can tell it from a network drop.
+app.get('/api/changes', async (req, res) => {
+  const token = requestToken(req);
+  const session = await sessionFor(token);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (!session) {
+    send('expired', {});
+    return res.end();
+  }
+
+  // Delegations are read once per stream; one that starts or ends shows after a reconnect
+  const delegators = await delegatorIds(pickActingCreds(session), session.userSysId);
+  const sub = {
+    userId: session.userSysId,
+    groups: [...(session.groups || [])].sort(),
+    delegators,
+    deliver(batch) {
+      if (batch.resync) return send('resync', {});
+      const delta = feedDelta(batch, sub);
+      if (delta) send('changes', delta);
+    },
+  };
+  const unsubscribe = changeFeed.subscribe(sub.groups.join(','), sub);
+
+  // Keep proxies from timing the stream out, and end it once the access token lapses
+  const heartbeat = setInterval(async () => {
+    if (!(await sessionFor(token))) {
+      send('expired', {});
+      cleanup();
+      return res.end();
+    }
+    res.write(': ping\n\n');
+  }, 30000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+
+  send('ready', { intervalMs: FEED_INTERVAL_MS });
+});
+
+/* =========================
+ * Approvals (details + decide)
+ * ========================= */
+// Table and sys_id of the record an approval is for. The row's source_table usually says;
+// older rows without it cost one dot-walk read of sysapproval.sys_class_name.
+async function approvalTarget(using, approval) {
+  const sys_id = val(approval.document_id) || val(approval.sysapproval);
+  let table = val(approval.source_table);
+  if (!table && sys_id) {
+    const r = await sn(using, 'GET',
+      `/api/now/table/sysapproval_approver/${val(approval.sys_id)}?sysparm_fields=sysapproval.sys_class_name`,
+      null, { cache: CACHE_REF_MS }
+    );
+    table = val(r?.result?.['sysapproval.sys_class_name']);
+  }
+  return { table, sys_id };
+}
+
+// Catalog variables of a requested item, in form order: [{ name, label, value }]
+async function ritmVariables(using, ritmId) {
+  const q = encodeURIComponent(encodedQuery().where('request_item', '=', ritmId));
+  const fields = [
+    'sc_item_option.item_option_new.name', 'sc_item_option.item_option_new.question_text',
+    'sc_item_option.value', 'sc_item_option.order',
+  ].join(',');
+  const data = await sn(using, 'GET',
+    `/api/now/table/sc_item_option_mtom?sysparm_fields=${fields}&sysparm_query=${q}&sysparm_limit=200`
+  );
+  return (data.result || [])
+    .map((r) => ({
+      name: val(r['sc_item_option.item_option_new.name']),
+      label: val(r['sc_item_option.item_option_new.question_text']) || val(r['sc_item_option.item_option_new.name']),
+      value: val(r['sc_item_option.value']),
+      order: Number(val(r['sc_item_option.order'])) || 0,
+    }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...v }) => v);
+}
+
+// -> { approval, target, targetTable, variables? }; target is null when its table isn't exposed
+app.get('/api/approval/:sys_id', requireAuth, async (req, res) => {
+  try {
+    const using = pickActingCreds(req.session);
+    const sys_id = req.params.sys_id;
+
+    // Approval row
+    const approval = await loadGuarded(req, res, 'sysapproval_approver', sys_id);
+    if (!approval) return;
+
+    const { table: targetTable, sys_id: targetId } = await approvalTarget(using, approval);
+    let target = null;
+    let variables;
+    if (tablePolicy(targetTable) && isSysId(targetId)) {
+      try {
+        const t = await sn(using, 'GET',
+          `/api/now/table/${targetTable}/${targetId}?sysparm_display_value=all&sysparm_fields=${fetchFields(targetTable)}`,
+          null, { cache: CACHE_RECORD_MS }
+        );
+        target = t?.result ? redact(targetTable, t.result) : null;
+      } catch (e) {
+        if (e.httpStatus !== 404) throw e;
+      }
+      if (target && targetTable === 'sc_req_item') variables = await ritmVariables(using, targetId);
+    }
+
+    res.json({
+      ok: true,
+      result: { approval: redact('sysapproval_approver', approval), target, targetTable: targetTable || null, ...(variables && { variables }) },
+    });
+  } catch (e) {
+    log.error('Approval details failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Approval details failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Every approval on the same record, so an approver can see who already decided and why:
+//   { approvers: [{ sys_id, approver, state, group, comments: [{ ts, by, body }], created, updated }],
+//     groups: [{ sys_id, group, state }] }
+// `group` is the group's name for rows generated by a group approval (sysapproval_group).
+app.get('/api/approval/:sys_id/history', requireAuth, async (req, res) => {
   try {
     const using = pickActingCreds(req.session);
+    const approval = await loadGuarded(req, res, 'sysapproval_approver', req.params.sys_id);
+    if (!approval) return;
+    const targetId = val(approval.document_id) || val(approval.sysapproval);
+    if (!isSysId(targetId)) return res.json({ ok: true, result: { approvers: [], groups: [] } });
+
+    const rowsQuery = encodeURIComponent(encodedQuery().where('sysapproval', '=', targetId).orderBy('sys_created_on'));
+    const groupsQuery = encodeURIComponent(encodedQuery().where('parent', '=', targetId).orderBy('sys_created_on'));
+    const [rows, groupRows] = await Promise.all([
+      sn(using, 'GET',
+        `/api/now/table/sysapproval_approver?sysparm_display_value=all&sysparm_query=${rowsQuery}&sysparm_limit=200` +
+        '&sysparm_fields=sys_id,approver,state,group.assignment_group,sys_created_on,sys_updated_on'
+      ),
+      sn(using, 'GET',
+        `/api/now/table/sysapproval_group?sysparm_display_value=all&sysparm_query=${groupsQuery}&sysparm_limit=50` +
+        '&sysparm_fields=sys_id,assignment_group,approval'
+      ),
+    ]);
+    const approvers = rows.result || [];
+
+    // Approver comments for all rows in one journal query
+    const comments = new Map();
+    if (approvers.length) {
+      const jq = encodeURIComponent(
+        encodedQuery().in('element_id', approvers.map((r) => val(r.sys_id))).where('element', '=', 'comments').orderBy('sys_created_on')
+      );
+      const jf = await sn(using, 'GET',
+        `/api/now/table/sys_journal_field?sysparm_fields=element_id,sys_created_on,sys_created_by,value&sysparm_query=${jq}&sysparm_limit=1000`
+      );
+      for (const j of jf.result || []) {
+        const list = comments.get(j.element_id) || [];
+        list.push({ ts: j.sys_created_on, by: j.sys_created_by, body: j.value || '' });
+        comments.set(j.element_id, list);
+      }
+    }
+
+    const display = (x) => (x && typeof x === 'object' ? x.display_value : x) || '';
+    res.json({
+      ok: true,
+      result: {
+        approvers: approvers.map((r) => ({
+          sys_id: val(r.sys_id),
+          approver: r.approver,
+          state: r.state,
+          group: display(r['group.assignment_group']) || null,
+          comments: comments.get(val(r.sys_id)) || [],
+          created: val(r.sys_created_on),
+          updated: val(r.sys_updated_on),
+        })),
+        groups: (groupRows.result || []).map((g) => ({
+          sys_id: val(g.sys_id),
+          group: display(g.assignment_group),
+          state: g.approval,
+        })),
+      },
+    });
+  } catch (e) {
+    log.error('Approval history failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Approval history failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// approve|reject -> the approval state it sets
+const APPROVAL_DECISIONS = { approve: 'approved', approved: 'approved', reject: 'rejected', rejected: 'rejected' };
+
+// The comment as written to the approval: what the user typed plus "#Cont.By:<user id>", so the
+// record shows who decided even when the portal acts through a shared account or a delegate
+// decides for someone else.
+function approvalComment(session, comments) {
+  const text = String(comments ?? '').trim();
+  return `${text}${text ? ' ' : ''}#Cont.By:${contributorFromSession(session)}`;
+}
+
+// Decide one approval within the policy. Resolves { result, number } or, like guardRecord(),
+// { status, message, detail } when it can't be decided.
+// Every attempt is audited with the decision and its outcome.
+async function decideApproval(req, sys_id, newState, comments) {
+  const entry = { action: 'approval.decide', table: 'sysapproval_approver', sys_id, decision: newState };
+  const g = await guardRecord(req, 'sysapproval_approver', sys_id, { write: true });
+  if (!g.rec) {
+    await audit(req, { ...entry, outcome: auditOutcome(g.status), error: g.detail || g.message });
+    return g;
+  }
+  const number = g.rec.sysapproval?.display_value || val(g.rec.sysapproval);
+  if (val(g.rec.state) !== 'requested') {
+    const d = { status: 409, message: 'Already decided', detail: `The approval is ${g.rec.state?.display_value || val(g.rec.state)}`, number };
+    await audit(req, { ...entry, number, outcome: 'conflict', error: d.detail });
+    return d;
+  }
+  try {
+    const upd = await sn(pickActingCreds(req.session), 'PATCH',
+      `/api/now/table/sysapproval_approver/${sys_id}?sysparm_input_display_value=true`,
+      { state: newState, comments: approvalComment(req.session, comments) }
+    );
+    // ServiceNow moves the approved/rejected record along too
+    await forgetRecords([val(g.rec.document_id) || val(g.rec.sysapproval)].filter(Boolean));
+    await audit(req, { ...entry, number, changes: fieldDiff(g.rec, { state: newState }), outcome: 'success' });
+    return { result: upd.result || true, number };
+  } catch (e) {
+    await audit(req, { ...entry, number, outcome: 'failure', error: String(e?.message || e) });
+    throw e;
+  }
+}
+
+// Body: { decision: approve|reject, comments? }; the comment is stamped here (approvalComment)
+app.post('/api/approval/:sys_id/decide', requireAuth, async (req, res) => {
+  const { decision, comments } = req.body || {};
+  try {
+    const newState = APPROVAL_DECISIONS[String(decision || '').toLowerCase()];
+    if (!newState) return res.status(400).json({ ok: false, error: { message: 'Invalid decision', detail: 'Use approve|reject' }, status: 'failure' });
+
+    const d = await decideApproval(req, req.params.sys_id, newState, comments);
+    if (!d.result) {
+      return res.status(d.status).json({ ok: false, error: { message: d.message, ...(d.detail && { detail: d.detail }) }, status: 'failure' });
+    }
+    res.json({ ok: true, result: d.result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Approval action failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Delegations (sys_user_delegate)
+ * ========================= */
+// A delegation lets `delegate` act for `user` between `starts` and `ends`. The portal honours
+// the `approvals` flag only: delegates see and decide the delegator's approvals, and the
+// decision is still stamped with the delegate's own user id. Who delegated to a user is read on
+// most approval requests, so it's cached briefly and dropped when the portal changes a delegation.
+// The cache holds at most DELEGATION_CACHE_MAX users (least recently looked up go first) and is
+// swept of expired entries every minute.
+const DELEGATION_TTL_MS = 60 * 1000;
+const DELEGATION_CACHE_MAX = 5000;
+const DELEGATION_MAX_DAYS = 366;
+const DELEGATION_FIELDS = 'sys_id,user,delegate,starts,ends,approvals,sys_created_on';
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STAMP_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const delegatorCache = new Map(); // delegate sys_id -> { at, users: [{ sys_id, name }] }; oldest use first
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, e] of delegatorCache) if (now - e.at >= DELEGATION_TTL_MS) delegatorCache.delete(id);
+}, DELEGATION_TTL_MS).unref();
+
+// Users whose approvals `userId` may act on right now: [{ sys_id, name }]
+async function activeDelegators(using, userId) {
+  const hit = delegatorCache.get(userId);
+  if (hit && Date.now() - hit.at < DELEGATION_TTL_MS) {
+    delegatorCache.delete(userId);
+    delegatorCache.set(userId, hit);
+    return hit.users;
+  }
+  const now = snStamp(Date.now());
+  const q = encodeURIComponent(
+    encodedQuery()
+      .where('delegate', '=', userId)
+      .where('approvals', '=', 'true')
+      .whereAny([['starts', 'ISEMPTY'], ['starts', '<=', now]])
+      .whereAny([['ends', 'ISEMPTY'], ['ends', '>', now]])
+  );
+  let users = [];
+  try {
+    const data = await sn(using, 'GET',
+      `/api/now/table/sys_user_delegate?sysparm_display_value=all&sysparm_fields=user&sysparm_query=${q}&sysparm_limit=100`
+    );
+    const byId = new Map((data.result || []).map((r) => [val(r.user), r.user?.display_value || val(r.user)]));
+    byId.delete('');
+    byId.delete(userId);
+    users = [...byId].map(([sys_id, name]) => ({ sys_id, name }));
+  } catch (e) {
+    // Without the lookup the user still gets their own approvals
+    log.warn('Delegation lookup failed', { err: e });
+  }
+  delegatorCache.delete(userId);
+  delegatorCache.set(userId, { at: Date.now(), users });
+  for (const id of delegatorCache.keys()) {
+    if (delegatorCache.size <= DELEGATION_CACHE_MAX) break;
+    delegatorCache.delete(id);
+  }
+  return users;
+}
+
+const delegatorIds = async (using, userId) => (await activeDelegators(using, userId)).map((u) => u.sys_id);
+
+function delegationStatus(r, now = snStamp(Date.now())) {
+  const starts = val(r.starts);
+  const ends = val(r.ends);
+  if (ends && ends <= now) return 'ended';
+  if (starts && starts > now) return 'scheduled';
+  return 'active';
+}
+
+const delegationRow = (r) => ({
+  sys_id: val(r.sys_id),
+  user: r.user,
+  delegate: r.delegate,
+  starts: val(r.starts),
+  ends: val(r.ends),
+  approvals: val(r.approvals) === 'true',
+  status: delegationStatus(r),
+});
+
+// 'YYYY-MM-DD' (whole days: start of `starts`, end of `ends`) or 'YYYY-MM-DD HH:mm:ss', in UTC
+function delegationStamp(value, endOfDay) {
+  const v = String(value ?? '').trim();
+  const stamp = DATE_ONLY_RE.test(v) ? `${v} ${endOfDay ? '23:59:59' : '00:00:00'}` : v;
+  if (!STAMP_RE.test(stamp) || !snStampMs(stamp)) return null;
+  return stamp;
+}
+
+const delegationError = (res, status, message, detail) =>
+  res.status(status).json({ ok: false, error: { message, ...(detail && { detail }) }, status: 'failure' });
+
+// -> { granted: delegations the user set up, received: current or upcoming ones to them }
+app.get('/api/delegations', requireAuth, async (req, res) => {
+  try {
+    const using = pickActingCreds(req.session);
+    const userId = req.session.userSysId;
+    const list = (q) => sn(using, 'GET',
+      `/api/now/table/sys_user_delegate?sysparm_display_value=all&sysparm_fields=${DELEGATION_FIELDS}` +
+      `&sysparm_query=${encodeURIComponent(q)}&sysparm_limit=100`
+    );
+    const [granted, received] = await Promise.all([
+      list(encodedQuery().where('user', '=', userId).orderBy('starts', 'desc')),
+      list(encodedQuery()
+        .where('delegate', '=', userId)
+        .whereAny([['ends', 'ISEMPTY'], ['ends', '>', snStamp(Date.now())]])
+        .orderBy('starts')),
+    ]);
+    res.json({
+      ok: true,
+      result: {
+        granted: (granted.result || []).map(delegationRow),
+        received: (received.result || []).map(delegationRow),
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Delegations failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Body: { delegate: sys_id, starts?: date (default now), ends: date }. Approvals only.
+app.post('/api/delegations', requireAuth, async (req, res) => {
+  const entry = { action: 'delegation.create', table: 'sys_user_delegate' };
+  try {
+    const using = pickActingCreds(req.session);
+    const userId = req.session.userSysId;
+    const { delegate } = req.body || {};
+    const now = snStamp(Date.now());
+    const starts = req.body?.starts ? delegationStamp(req.body.starts, false) : now;
+    const ends = delegationStamp(req.body?.ends, true);
+    const refuse = async (status, message, detail) => {
+      await audit(req, { ...entry, outcome: auditOutcome(status), error: detail || message });
+      return delegationError(res, status, message, detail);
+    };
+
+    if (!isSysId(delegate)) return refuse(400, 'Bad request', 'delegate must be a user sys_id');
+    if (delegate === userId) return refuse(400, 'Bad request', 'You cannot delegate to yourself');
+    if (!starts || !ends) return refuse(400, 'Bad request', 'starts and ends must be dates (YYYY-MM-DD)');
+    if (ends <= starts || ends <= now) return refuse(400, 'Bad request', 'ends must be after starts and in the future');
+    if (snStampMs(ends) - snStampMs(starts) > DELEGATION_MAX_DAYS * 86400000) {
+      return refuse(400, 'Bad request', `A delegation can last at most ${DELEGATION_MAX_DAYS} days`);
+    }
+
+    let target = null;
+    try {
+      target = (await sn(using, 'GET', `/api/now/table/sys_user/${delegate}?sysparm_fields=sys_id,active`)).result;
+    } catch (e) {
+      if (e.httpStatus !== 404) throw e;
+    }
+    if (!target || String(val(target.active)) === 'false') {
+      return refuse(400, 'Bad request', 'The delegate must be an active user');
+    }
+
+    const fields = {
+      user: userId, delegate, starts, ends,
+      approvals: 'true', assignments: 'false', notifications: 'false', invitations: 'false',
+    };
+    entry.changes = fieldDiff(null, { delegate, starts, ends });
+    const created = await sn(using, 'POST', '/api/now/table/sys_user_delegate?sysparm_display_value=all', fields);
+    delegatorCache.delete(delegate);
+    const row = delegationRow(created.result || {});
+    await audit(req, { ...entry, sys_id: row.sys_id, outcome: 'success' });
+    res.status(201).json({ ok: true, result: row });
+  } catch (e) {
+    await audit(req, { ...entry, outcome: 'failure', error: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: { message: 'Create delegation failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Ending keeps the record (ServiceNow's own history) and just moves `ends` to now
+app.post('/api/delegations/:sys_id/end', requireAuth, async (req, res) => {
+  const { sys_id } = req.params;
+  const entry = { action: 'delegation.end', table: 'sys_user_delegate', sys_id };
+  const refuse = async (status, message, detail) => {
+    await audit(req, { ...entry, outcome: auditOutcome(status), error: detail || message });
+    return delegationError(res, status, message, detail);
+  };
+  try {
+    const using = pickActingCreds(req.session);
+    if (!isSysId(sys_id)) return refuse(400, 'Bad request', 'Invalid sys_id');
+
+    let rec = null;
+    try {
+      rec = (await sn(using, 'GET', `/api/now/table/sys_user_delegate/${sys_id}?sysparm_display_value=all&sysparm_fields=${DELEGATION_FIELDS}`)).result;
+    } catch (e) {
+      if (e.httpStatus !== 404) throw e;
+    }
+    if (!rec) return refuse(404, 'Delegation not found');
+    if (val(rec.user) !== req.session.userSysId) {
+      return refuse(403, 'Forbidden', 'Only the user who delegated can end a delegation');
+    }
+    if (delegationStatus(rec) === 'ended') return res.json({ ok: true, result: delegationRow(rec) });
+
+    const now = snStamp(Date.now());
+    const patch = { ends: now, ...(val(rec.starts) > now && { starts: now }) };
+    entry.changes = fieldDiff(rec, patch);
+    const upd = await sn(using, 'PATCH', `/api/now/table/sys_user_delegate/${sys_id}?sysparm_display_value=all`, patch);
+    delegatorCache.delete(val(rec.delegate));
+    await audit(req, { ...entry, outcome: 'success' });
+    res.json({ ok: true, result: delegationRow(upd.result || {}) });
+  } catch (e) {
+    await audit(req, { ...entry, outcome: 'failure', error: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: { message: 'End delegation failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Records (get / change details / journal-all / activity)
+ * ========================= */
+app.get('/api/record/:table/:sys_id', requireAuth, async (req, res) => {
+  try {
+    const t = String(req.params.table || '').trim();
+    const id = String(req.params.sys_id || '').trim();
+    if (!t || !id) {
+      return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'Missing table or sys_id' }, status: 'failure' });
+    }
+    const rec = await loadGuarded(req, res, t, id);
+    if (!rec) return;
+    res.json({ ok: true, result: redact(t, rec) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'No Record found', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+app.get('/api/change/:sys_id/details', requireAuth, async (req, res) => {
+  try {
     const { sys_id } = req.params;
-    const data = await sn(using, 'GET', `/api/now/table/change_request/${sys_id}?sysparm_display_value=all&sysparm_fields=${CHANGE_FIELDS}`);
-    res.json({ ok: true, result: data.result || {} });
+    const rec = await loadGuarded(req, res, 'change_request', sys_id);
+    if (!rec) return;
+    res.json({ ok: true, result: redact('change_request', rec) });
   } catch (e) {
     res.status(500).json({ ok: false, error: { message: 'Change details failed', detail: String(e?.message || e) }, status: 'failure' });
   }
@@ -496,7 +2162,10 @@ app.get('/api/record/:table/:sys_id/work_notes/all', requireAuth, async (req, re
   try {
     const using = pickActingCreds(req.session);
     const { table, sys_id } = req.params;
-    const q = encodeURIComponent(`element_id=${sys_id}^elementINwork_notes,comments^ORDERBYsys_created_on`);
+    if (!(await loadGuarded(req, res, table, sys_id))) return;
+    const q = encodeURIComponent(
+      encodedQuery().where('element_id', '=', sys_id).in('element', ['work_notes', 'comments']).orderBy('sys_created_on')
+    );
     const fields = 'sys_created_on,sys_created_by,element,value';
     const data = await sn(using, 'GET', `/api/now/table/sys_journal_field?sysparm_fields=${fields}&sysparm_query=${q}&sysparm_limit=1000`);
     const lines = (data.result || []).map(j => `[${j.sys_created_on}] ${j.sys_created_by} — ${String(j.element || '').toUpperCase()}\n${j.value || ''}\n`);
@@ -507,89 +2176,79 @@ app.get('/api/record/:table/:sys_id/work_notes/all', requireAuth, async (req, re
 });
 
 // --- ACTIVITY (journal + audit) ---
+// Structured entries, newest first:
+//   { id, ts, by, byName, type: 'work_notes'|'comments'|'field', field, oldValue, newValue, body }
+// ?format=text returns the older preformatted text blob instead; ?format=csv|xlsx downloads
+// the same entries as a spreadsheet.
+const ACTIVITY_EXPORT_HEADERS = ['Time (UTC)', 'User', 'User name', 'Type', 'Field', 'Old value', 'New value', 'Text'];
+const ACTIVITY_TYPES = { work_notes: 'Work note', comments: 'Comment', field: 'Field change' };
+
 app.get('/api/record/:table/:sys_id/activity', requireAuth, async (req, res) => {
   try {
     const using = pickActingCreds(req.session);
     const { table, sys_id } = req.params;
-
-    // JOURNAL (work_notes & comments)
-    const jfQuery = encodeURIComponent(`element_id=${sys_id}^elementINwork_notes,comments^ORDERBYDESCsys_created_on`);
-    const jf = await sn(using, 'GET',
-      `/api/now/table/sys_journal_field?` +
-      `sysparm_fields=sys_created_on,sys_created_by,element,value&sysparm_query=${jfQuery}&sysparm_limit=500`
-    );
-
-    // AUDIT (query by documentkey only; many fields audited on base "task")
-    const auQuery = encodeURIComponent(`documentkey=${sys_id}^ORDERBYDESCsys_created_on`);
-    const au = await sn(adminCreds, 'GET',
-      `/api/now/table/sys_audit?` +
-      `sysparm_display_value=all&` +
-      `sysparm_fields=sys_created_on,sys_created_by,fieldname,oldvalue,newvalue,tablename&` +
-      `sysparm_query=${auQuery}&sysparm_limit=500`
+    const format = String(req.query.format || '');
+    const download = format === 'csv' || format === 'xlsx';
+    const rec = await loadGuarded(req, res, table, sys_id);
+    if (!rec) return;
+
+    // Journal (work_notes & comments) and field history in one batch, then one more for the
+    // names of referenced users/groups and of every author
+    const jfQuery = encodeURIComponent(
+      encodedQuery().where('element_id', '=', sys_id).in('element', ['work_notes', 'comments']).orderBy('sys_created_on', 'desc')
     );
+    const [jf, au] = await snBatchGet(using, [
+      `/api/now/table/sys_journal_field?` +
+      `sysparm_fields=sys_id,sys_created_on,sys_created_by,element,value&sysparm_query=${jfQuery}&sysparm_limit=500`,
+      auditPath(sys_id),
+    ]);
+    if (jf.status === 'rejected') throw jf.reason;
 
     const entries = [];
 
-    // 1) Journal -> uniform stamp
-    for (const r of (jf.result || [])) {
-      const type = String(r.element || '').toUpperCase(); // WORK_NOTES or COMMENTS
-      const body = (r.value || '').toString().trim();
-      const tag = ` #Cont. by ${r.sys_created_by}`;
-      const text = body ? `${body}${tag}` : tag;
-      entries.push({ ts: r.sys_created_on, by: r.sys_created_by, type, text });
+    // 1) Journal
+    for (const r of (jf.value.result || [])) {
+      const type = String(r.element || '').toLowerCase(); // work_notes or comments
+      entries.push({
+        id: r.sys_id, ts: r.sys_created_on, by: r.sys_created_by,
+        type, field: type, oldValue: null, newValue: null, body: String(r.value || '').trim(),
+      });
     }
 
-    // Prepare de-dupe for incident_state echoes
-    const stateSeenAt = new Set(
-      (au.result || [])
-        .filter(x => String(x.fieldname || '').toLowerCase() === 'state')
-        .map(x => x.sys_created_on)
-    );
-
-    // 2) Audit -> friendly values + stamp
-    for (const r of (au.result || [])) {
-      let f = String(r.fieldname || '');
-      const fl = f.toLowerCase();
-
-      // Ignore audit echoes of journal fields
-      if (fl === 'work_notes' || fl === 'comments') continue;
-
-      // De-dupe incident_state if 'state' exists at same timestamp
-      if (fl === 'incident_state') {
-        if (stateSeenAt.has(r.sys_created_on)) continue;
-        f = 'state';
-      }
-
-      // unwrap old/new
-      const rawOld = unwrapAuditVal(r.oldvalue);
-      const rawNew = unwrapAuditVal(r.newvalue);
-      let oldVal = rawOld === '' || rawOld == null ? '—' : String(rawOld);
-      let newVal = rawNew === '' || rawNew == null ? '—' : String(rawNew);
-
-      // resolve names for assigned_to / assignment_group when sys_ids
-      if (fl === 'assigned_to' || fl === 'assignment_group') {
-        const oldId = SYSID_RE.test(String(rawOld || '')) ? String(rawOld) : null;
-        const newId = SYSID_RE.test(String(rawNew || '')) ? String(rawNew) : null;
-        if (oldId || newId) {
-          const [oName, nName] = await resolveAssignedDisplay(adminCreds, fl, oldId, newId);
-          if (oldId && oName) oldVal = oName;
-          if (newId && nName) newVal = nName;
-        }
-      }
-
-      const tag = ` #Cont. by ${r.sys_created_by}`;
-      const text = `${f}: ${oldVal} → ${newVal}${tag}`;
-      entries.push({ ts: r.sys_created_on, by: r.sys_created_by, type: 'FIELD', text });
-    }
+    // 2) Audit (a user without sys_audit access just gets no history)
+    const changes = auditChanges(table, au.status === 'fulfilled' ? au.value.result || [] : []);
+    const logins = [...new Set([...entries, ...changes].map((e) => e.by).filter(Boolean))];
+    const names = await lookupNames(using, { refs: changeRefs(changes), logins });
+    const history = historyEntries(changes, names);
+    entries.push(...history);
 
     // newest-first
     entries.sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
-    const lines = entries.map(e => `[${e.ts}] ${e.by} — ${e.type}\n${e.text}`).join('\n');
+    log.debug('Activity', { journal: (jf.value.result || []).length, audit: history.length, out: entries.length });
 
-    console.log('[ACTIVITY->RESP]', { journal: (jf.result||[]).length, audit: (au.result||[]).length, outLines: entries.length });
-    res.json({ ok: true, result: lines });
+    if (String(req.query.format || '') === 'text') {
+      const lines = entries.map((e) => {
+        const text = e.type === 'field' ? `${e.field}: ${e.oldValue} → ${e.newValue}` : e.body;
+        const tag = ` #Cont. by ${e.by}`;
+        return `[${e.ts}] ${e.by} — ${e.type.toUpperCase()}\n${text ? `${text}${tag}` : tag}`;
+      });
+      return res.json({ ok: true, result: lines.join('\n') });
+    }
+
+    if (download) {
+      startDownload(res, format, `${val(rec.number) || sys_id}-activity`);
+      const writer = exportWriter(res, format, ACTIVITY_EXPORT_HEADERS, { sheet: 'Activity' });
+      await writer.rows(entries.map((e) => [
+        e.ts, names.logins[e.by] || e.by, e.by, ACTIVITY_TYPES[e.type] || e.type,
+        e.type === 'field' ? e.field : '', e.oldValue ?? '', e.newValue ?? '', e.body || '',
+      ]));
+      return writer.end();
+    }
+    // Author names for avatars / labels (sys_created_by holds the user_name)
+    res.json({ ok: true, result: entries.map((e) => ({ ...e, byName: names.logins[e.by] || e.by })) });
   } catch (e) {
-    console.error('Activity fetch failed', e);
+    if (res.headersSent) return res.destroy();
+    log.error('Activity fetch failed', { err: e });
     res.status(500).json({
       ok: false,
       error: { message: 'Activity fetch failed', detail: String(e?.message || e) },
@@ -598,6 +2257,87 @@ app.get('/api/record/:table/:sys_id/activity', requireAuth, async (req, res) =>
   }
 });
 
+/* =========================
+ * SLAs (task_sla)
+ * ========================= */
+// Lists ask for the active SLAs of every loaded row in one call; the drawer reads all SLAs of
+// one record. Rows come back as:
+//   { sys_id, task, name, stage: { value, display_value }, active, breached, percentage,
+//     start, breachAt, end }
+// `breachAt` is planned_end_time (UTC); clients count down to it.
+const SLA_MAX_TASKS = 100;
+const SLA_FIELDS = 'sys_id,task,sla,stage,active,has_breached,percentage,start_time,planned_end_time,end_time';
+
+function slaRow(r, now = snStamp(Date.now())) {
+  const active = val(r.active) === 'true';
+  const breachAt = val(r.planned_end_time);
+  return {
+    sys_id: val(r.sys_id),
+    task: val(r.task),
+    name: r.sla?.display_value || val(r.sla),
+    stage: r.stage,
+    active,
+    // ServiceNow sets has_breached on its own schedule; a running SLA past its end has breached too
+    breached: val(r.has_breached) === 'true' || (active && val(r.stage) === 'in_progress' && !!breachAt && breachAt < now),
+    percentage: Number(val(r.percentage)) || 0,
+    start: val(r.start_time),
+    breachAt,
+    end: val(r.end_time),
+  };
+}
+
+async function taskSlas(using, q, limit) {
+  const data = await sn(using, 'GET',
+    `/api/now/table/task_sla?sysparm_display_value=all&sysparm_fields=${SLA_FIELDS}` +
+    `&sysparm_query=${encodeURIComponent(q)}&sysparm_limit=${limit}`
+  );
+  const now = snStamp(Date.now());
+  return (data.result || []).map((r) => slaRow(r, now));
+}
+
+// ?ids=<task sys_id>,... (up to 100) -> active SLAs of those tasks, limited to the work scope of
+// the list routes so the ids can't be used to read other teams' SLAs
+app.get('/api/sla', requireAuth, async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '').split(',').map((s) => s.trim()).filter(Boolean))];
+  if (!ids.length || ids.some((id) => !isSysId(id))) {
+    return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'ids must be task sys_ids' }, status: 'failure' });
+  }
+  if (ids.length > SLA_MAX_TASKS) {
+    return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: `At most ${SLA_MAX_TASKS} ids per request` }, status: 'failure' });
+  }
+  try {
+    const using = pickActingCreds(req.session);
+    const userId = req.session.userSysId;
+    const groups = req.session.groups?.length ? req.session.groups : await getUserGroups(using, userId);
+    const onTask = (branch) => branch.map((c) =>
+      Array.isArray(c[0]) ? c.map(([f, o, v]) => [`task.${f}`, o, v]) : [`task.${c[0]}`, c[1], c[2]]
+    );
+    const q = scopedQuery([['task', 'IN', ids], ['active', '=', 'true']], workScope(userId, groups).map(onTask))
+      .orderBy('planned_end_time')
+      .toString();
+    res.json({ ok: true, result: await taskSlas(using, q, ids.length * 10) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'SLA lookup failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Every SLA of one record (active first), for the drawer
+app.get('/api/record/:table/:sys_id/sla', requireAuth, async (req, res) => {
+  try {
+    const using = pickActingCreds(req.session);
+    const { table, sys_id } = req.params;
+    if (!(await loadGuarded(req, res, table, sys_id))) return;
+    const q = encodedQuery()
+      .where('task', '=', sys_id)
+      .orderBy('active', 'desc')
+      .orderBy('planned_end_time')
+      .toString();
+    res.json({ ok: true, result: await taskSlas(using, q, 100) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'SLA lookup failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
 /* =========================
  * Typeahead (users/groups)
  * ========================= */
@@ -606,15 +2346,15 @@ app.get('/api/search/users', requireAuth, async (req, res) => {
     const using = pickActingCreds(req.session);
     const q = (req.query.q || '').trim();
     if (!q) return res.json({ ok: true, result: [] });
-    const enc = encodeURIComponent(q);
-    const query = `user_name=${enc}^ORname=${enc}^ORemail=${enc}^ORuser_nameLIKE${enc}^ORnameLIKE${enc}^ORemailLIKE${enc}`;
+    const query = encodeURIComponent(userMatchQuery(q));
     const fields = 'sys_id,name,user_name,email';
     const data = await sn(using, 'GET',
-      `/api/now/table/sys_user?sysparm_fields=${fields}&sysparm_query=${query}&sysparm_display_value=all&sysparm_limit=20`
+      `/api/now/table/sys_user?sysparm_fields=${fields}&sysparm_query=${query}&sysparm_display_value=all&sysparm_limit=20`,
+      null, { cache: CACHE_REF_MS }
     );
     res.json({ ok: true, result: data.result || [] });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'User search failed', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(e?.httpStatus === 400 ? 400 : 500).json({ ok: false, error: { message: 'User search failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
@@ -623,91 +2363,615 @@ app.get('/api/search/groups', requireAuth, async (req, res) => {
     const using = pickActingCreds(req.session);
     const q = (req.query.q || '').trim();
     if (!q) return res.json({ ok: true, result: [] });
-    const enc = encodeURIComponent(q);
-    const query = `name=${enc}^ORnameLIKE${enc}`;
+    const query = encodeURIComponent(groupMatchQuery(q));
     const fields = 'sys_id,name';
     const data = await sn(using, 'GET',
-      `/api/now/table/sys_user_group?sysparm_fields=${fields}&sysparm_query=${query}&sysparm_display_value=all&sysparm_limit=20`
+      `/api/now/table/sys_user_group?sysparm_fields=${fields}&sysparm_query=${query}&sysparm_display_value=all&sysparm_limit=20`,
+      null, { cache: CACHE_REF_MS }
     );
     res.json({ ok: true, result: data.result || [] });
   } catch (e) {
-    res.status(500).json({ ok: false, error: { message: 'Group search failed', detail: String(e?.message || e) }, status: 'failure' });
+    res.status(e?.httpStatus === 400 ? 400 : 500).json({ ok: false, error: { message: 'Group search failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Global search
+ * ========================= */
+// Keyword or number search over the work tables, grouped by table. Rows go through the same
+// row policy as the record routes, so only openable results are returned; rows awaiting the
+// user's approval carry that approval's sys_id so the portal can open the approval view.
+const SEARCH_TABLES = [
+  { table: 'incident', label: 'Incidents' },
+  { table: 'sc_req_item', label: 'Requested items' },
+  { table: 'change_request', label: 'Changes' },
+  { table: 'problem', label: 'Problems' },
+  // Other task types only; the tables above are searched on their own
+  { table: 'task', label: 'Tasks', base: [['sys_class_name', 'NOT IN', ['incident', 'sc_req_item', 'change_request', 'problem']]] },
+];
+const SEARCH_FIELDS = 'sys_id,number,short_description,state,assigned_to,assignment_group,sys_class_name,sys_updated_on';
+const SEARCH_MAX = 25;
+const NUMBER_RE = /^([a-z]{2,8})?\d{3,}$/i;
+
+// Higher is better: exact number, number prefix, phrase in the summary, all words in it
+function searchScore(row, q) {
+  const number = val(row.number).toLowerCase();
+  const summary = val(row.short_description).toLowerCase();
+  const needle = q.toLowerCase();
+  if (number === needle) return 100;
+  if (number.startsWith(needle) || number.endsWith(needle)) return 80;
+  if (summary.includes(needle)) return 50;
+  const words = needle.split(/\s+/).filter(Boolean);
+  if (words.length && words.every((w) => summary.includes(w))) return 30;
+  return 10; // matched elsewhere in the text index
+}
+
+async function searchTable(using, { table, base = [] }, q, limit) {
+  const get = (query) => sn(using, 'GET',
+    `/api/now/table/${table}?sysparm_display_value=all&sysparm_fields=${SEARCH_FIELDS},${fetchFields(table)}` +
+    `&sysparm_limit=${limit}&sysparm_query=${encodeURIComponent(query.orderBy('sys_updated_on', 'desc'))}`
+  );
+  const likeQuery = () => {
+    const b = encodedQuery();
+    base.forEach(([f, o, v]) => b.where(f, o, v));
+    return NUMBER_RE.test(q)
+      ? b.where('number', 'LIKE', q)
+      : b.whereAny([['short_description', 'LIKE', q], ['number', 'LIKE', q]]);
+  };
+  if (NUMBER_RE.test(q)) return (await get(likeQuery())).result || [];
+  const text = encodedQuery();
+  base.forEach(([f, o, v]) => text.where(f, o, v));
+  try {
+    return (await get(text.text(q))).result || [];
+  } catch (e) {
+    // Instances without a text index for the table reject the keyword query
+    if (e.httpStatus !== 400 && e.httpStatus !== 403) throw e;
+    return (await get(likeQuery())).result || [];
+  }
+}
+
+app.get('/api/search', requireAuth, async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 100);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), SEARCH_MAX);
+  if (q.length < 2) return res.json({ ok: true, result: [], query: q });
+  try {
+    const using = pickActingCreds(req.session);
+    const ctx = policyCtx(req, using);
+
+    const groups = await Promise.all(SEARCH_TABLES.map(async (def) => {
+      try {
+        const rows = await searchTable(using, def, q, limit);
+        const allowed = await mapLimit(rows, 4, (r) => canAccessRow(def.table, r, ctx));
+        const results = rows
+          .filter((_, i) => allowed[i])
+          .map((r) => ({ ...redact(def.table, r), score: searchScore(r, q) }))
+          .sort((a, b) => b.score - a.score || val(b.sys_updated_on).localeCompare(val(a.sys_updated_on)));
+        return { table: def.table, label: def.label, results, more: rows.length >= limit };
+      } catch (e) {
+        log.warn('Search failed', { table: def.table, err: e });
+        return { table: def.table, label: def.label, results: [], error: 'Search failed for this table' };
+      }
+    }));
+
+    // One lookup for approvals the user can act on (as approver or delegate) among all hits
+    const ids = groups.flatMap((g) => g.results.map((r) => val(r.sys_id)));
+    if (ids.length) {
+      const approvers = [req.session.userSysId, ...(await delegatorIds(using, req.session.userSysId))];
+      const aq = encodedQuery()
+        .in('sysapproval', ids)
+        .in('approver', approvers)
+        .where('state', '=', 'requested');
+      const appr = await sn(using, 'GET',
+        `/api/now/table/sysapproval_approver?sysparm_fields=sys_id,sysapproval&sysparm_limit=${ids.length}&sysparm_query=${encodeURIComponent(aq)}`
+      ).catch(() => ({ result: [] }));
+      const byTarget = new Map((appr.result || []).map((a) => [val(a.sysapproval), val(a.sys_id)]));
+      for (const g of groups) {
+        for (const r of g.results) if (byTarget.has(val(r.sys_id))) r.approval = byTarget.get(val(r.sys_id));
+      }
+    }
+
+    // Best-matching tables first; empty ones are left out
+    const best = (g) => Math.max(0, ...g.results.map((r) => r.score));
+    const result = groups
+      .filter((g) => g.results.length || g.error)
+      .sort((a, b) => best(b) - best(a));
+    res.json({ ok: true, result, query: q });
+  } catch (e) {
+    res.status(e?.httpStatus === 400 ? 400 : 500).json({ ok: false, error: { message: 'Search failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
+/* =========================
+ * Create (POST record)
+ * ========================= */
+app.post('/api/record/:table', requireAuth, async (req, res) => {
+  const { table } = req.params;
+  try {
+    const using = pickActingCreds(req.session);
+    const body = req.body || {};
+
+    const problems = checkCreate(table, body);
+    const refuse = async (detail) => {
+      await audit(req, { action: 'record.create', table, outcome: 'denied', error: detail });
+      return denied(res, detail);
+    };
+    if (!problems) return refuse(`Records can't be created in "${table}"`);
+    if (problems.blocked.length) return refuse(`Not writable on ${table}: ${problems.blocked.join(', ')}`);
+    if (problems.missing.length || problems.invalid.length) {
+      const detail = [
+        problems.missing.length && `Missing mandatory fields: ${problems.missing.join(', ')}`,
+        problems.invalid.length && `Invalid values for: ${problems.invalid.join(', ')}`,
+      ].filter(Boolean).join('; ');
+      return res.status(400).json({ ok: false, error: { message: 'Validation failed', detail }, status: 'failure' });
+    }
+
+    // Resolve refs (names / user ids typed in the form -> sys_ids)
+    const payload = {};
+    for (const [k, v] of Object.entries(body)) {
+      const val = pickId(v);
+      if (val === '' || val === null || val === undefined) continue;
+      payload[k] = typeof val === 'string' ? val.trim() : val;
+    }
+    const refs = { caller_id: 'sys_user', assigned_to: 'sys_user', assignment_group: 'sys_user_group' };
+    for (const [field, refTable] of Object.entries(refs)) {
+      if (payload[field] === undefined) continue;
+      payload[field] = await resolveRef(using, refTable, payload[field]);
+      if (!isSysId(payload[field])) {
+        return res.status(400).json({ ok: false, error: { message: 'Validation failed', detail: `No match for ${field}: ${body[field]}` }, status: 'failure' });
+      }
+    }
+
+    log.debug('Create payload', { table, payload });
+    let created;
+    try {
+      created = await sn(using, 'POST',
+        `/api/now/table/${table}?sysparm_display_value=all&sysparm_fields=${fetchFields(table)}`, payload
+      );
+    } catch (e) {
+      await audit(req, { action: 'record.create', table, changes: fieldDiff(null, payload), outcome: 'failure', error: String(e?.message || e) });
+      throw e;
+    }
+    const rec = created.result || {};
+    await audit(req, {
+      action: 'record.create', table, sys_id: val(rec.sys_id), number: val(rec.number),
+      changes: fieldDiff(null, payload), outcome: 'success',
+    });
+    res.status(201).json({ ok: true, result: redact(table, rec) });
+  } catch (e) {
+    log.error('Create failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Create failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Write an already policy-checked update to one record: field changes first (refs given as
+// names are resolved), then work notes / comments stamped with the acting user. `written`
+// collects what was sent ({ fields, journal }), for the audit entry, even if a call fails.
+async function applyUpdate(using, session, table, sys_id, body, written = {}) {
+  const norm = (v) => (v === '' || v === null || v === undefined) ? undefined : v;
+
+  // Resolve refs
+  let assigned_to = body.assigned_to !== undefined ? pickId(body.assigned_to) : undefined;
+  let assignment_group = body.assignment_group !== undefined ? pickId(body.assignment_group) : undefined;
+  if (assigned_to !== undefined) assigned_to = await resolveRef(using, 'sys_user', assigned_to);
+  if (assignment_group !== undefined) assignment_group = await resolveRef(using, 'sys_user_group', assignment_group);
+
+  // 2) Field PATCH
+  const fieldsPayload = {
+    ...(norm(body.state)            !== undefined && { state:            norm(body.state) }),
+    ...(norm(body.impact)           !== undefined && { impact:           norm(body.impact) }),
+    ...(norm(body.urgency)          !== undefined && { urgency:          norm(body.urgency) }),
+    ...(norm(body.priority)         !== undefined && { priority:         norm(body.priority) }),
+    ...(assigned_to                 !== undefined && { assigned_to }),
+    ...(assignment_group            !== undefined && { assignment_group }),
+    ...(norm(body.short_description)!== undefined && { short_description: norm(body.short_description) }),
+    ...(norm(body.description)      !== undefined && { description:      norm(body.description) }),
+  };
+
+  written.fields = fieldsPayload;
+  if (Object.keys(fieldsPayload).length) {
+    log.debug('Update payload', { table, sys_id, fields: fieldsPayload });
+    await sn(using, 'PATCH', `/api/now/table/${table}/${sys_id}`, fieldsPayload);
+  }
+
+  // 3) Journal fields: only write what the user typed; no field-change dump
+  const who = contributorFromSession(session);
+  const stamp = (txt) => {
+    const s = (txt || '').toString().trim();
+    return s ? `${s}\n#Cont. by ${who}` : '';
+  };
+
+  // If a journal field is provided, we write it; if explicitly empty string, we clear it.
+  const wnUser = (body.work_notes !== undefined) ? String(body.work_notes).trim() : undefined;
+  const acUser = (body.comments   !== undefined) ? String(body.comments).trim()   : undefined;
+
+  const notesPayload = {};
+  if (wnUser !== undefined) notesPayload.work_notes = wnUser ? stamp(wnUser) : '';
+  if (acUser !== undefined) notesPayload.comments   = acUser ? stamp(acUser) : '';
+
+  if (Object.keys(notesPayload).length) {
+    written.journal = Object.keys(notesPayload);
+    await sn(using, 'PATCH',
+      `/api/now/table/${table}/${sys_id}?sysparm_input_display_value=true`,
+      notesPayload
+    );
+  }
+}
+
 /* =========================
  * Update (PATCH record)
  * ========================= */
+// Optional `sys_updated_on` in the body is the version the client loaded. When field changes
+// (not just journal entries) come with it and the record has moved on since, nothing is written
+// and the response is 409 with { conflict: { current, changes } }: the record as it is now and
+// the field history since the client's version. Re-send with the new sys_updated_on to apply.
 app.patch('/api/record/:table/:sys_id', requireAuth, async (req, res) => {
   const { table, sys_id } = req.params;
   try {
     const session = req.session;
     const using = pickActingCreds(session);
-    const body = req.body || {};
-    const norm = (v) => (v === '' || v === null || v === undefined) ? undefined : v;
-
-    // 1) OLD snapshot (for completeness; not used to write notes anymore)
-    const fields = 'sys_id,number,short_description,assigned_to,assignment_group,state,priority,impact,urgency';
-    const current = await sn(using, 'GET', `/api/now/table/${table}/${sys_id}?sysparm_display_value=all&sysparm_fields=${fields}`);
-    const oldRec = current.result || {}; // eslint-disable-line no-unused-vars
-
-    // Resolve refs
-    let assigned_to = body.assigned_to !== undefined ? pickId(body.assigned_to) : undefined;
-    let assignment_group = body.assignment_group !== undefined ? pickId(body.assignment_group) : undefined;
-    if (assigned_to !== undefined) assigned_to = await resolveRef(using, 'sys_user', assigned_to);
-    if (assignment_group !== undefined) assignment_group = await resolveRef(using, 'sys_user_group', assignment_group);
-
-    // 2) Field PATCH
-    const fieldsPayload = {
-      ...(norm(body.state)            !== undefined && { state:            norm(body.state) }),
-      ...(norm(body.impact)           !== undefined && { impact:           norm(body.impact) }),
-      ...(norm(body.urgency)          !== undefined && { urgency:          norm(body.urgency) }),
-      ...(norm(body.priority)         !== undefined && { priority:         norm(body.priority) }),
-      ...(assigned_to                 !== undefined && { assigned_to }),
-      ...(assignment_group            !== undefined && { assignment_group }),
-      ...(norm(body.short_description)!== undefined && { short_description: norm(body.short_description) }),
-      ...(norm(body.description)      !== undefined && { description:      norm(body.description) }),
+    const { sys_updated_on: expectedVersion, ...body } = req.body || {};
+    const entry = { action: 'record.update', table, sys_id };
+    const refuse = async (detail) => {
+      await audit(req, { ...entry, outcome: 'denied', error: detail });
+      return denied(res, detail);
     };
 
-    if (Object.keys(fieldsPayload).length) {
-      console.log('[PATCH field payload]', fieldsPayload);
-      await sn(using, 'PATCH', `/api/now/table/${table}/${sys_id}`, fieldsPayload);
+    if (!tablePolicy(table)) return refuse(`Table "${table}" is not exposed`);
+    const blocked = forbiddenWrites(table, body);
+    if (blocked.length) return refuse(`Not writable on ${table}: ${blocked.join(', ')}`);
+
+    // 1) OLD snapshot; also enforces row access
+    const oldRec = await loadGuarded(req, res, table, sys_id, { write: true });
+    if (!oldRec) return audit(req, { ...entry, outcome: auditOutcome(res.statusCode), error: `HTTP ${res.statusCode}` });
+    entry.number = val(oldRec.number);
+
+    // Concurrency check: journal entries only append, so they never conflict
+    const expected = String(pickId(expectedVersion) || '');
+    const current = String(pickId(oldRec.sys_updated_on) || '');
+    const touchesFields = Object.keys(body).some((k) => k !== 'work_notes' && k !== 'comments');
+    if (expected && touchesFields && current && current !== expected) {
+      const changes = await fieldHistory(using, table, sys_id, { since: expected });
+      const who = [...new Set(changes.map((c) => c.by))].join(', ');
+      log.info('Update conflict', { table, sys_id, expected, current });
+      await audit(req, { ...entry, outcome: 'conflict', error: `Changed since ${expected}${who ? ` by ${who}` : ''}` });
+      return res.status(409).json({
+        ok: false,
+        error: {
+          message: 'Conflict',
+          detail: `This record was changed${who ? ` by ${who}` : ''} after you opened it`,
+        },
+        status: 'failure',
+        conflict: { current: redact(table, oldRec), changes },
+      });
+    }
+
+    // 2) + 3) Field changes, then journal entries
+    const written = {};
+    try {
+      await applyUpdate(using, session, table, sys_id, body, written);
+    } catch (e) {
+      await audit(req, { ...entry, changes: fieldDiff(oldRec, written.fields || {}), journal: written.journal, outcome: 'failure', error: String(e?.message || e) });
+      throw e;
     }
+    await audit(req, { ...entry, changes: fieldDiff(oldRec, written.fields), journal: written.journal, outcome: 'success' });
 
-    // 3) Journal fields: only write what the user typed; no field-change dump
-    const who = contributorFromSession(session);
-    const stamp = (txt) => {
-      const s = (txt || '').toString().trim();
-      return s ? `${s}\n#Cont. by ${who}` : '';
-    };
+    // 4) Respond
+    res.json({ ok: true, result: true });
+  } catch (e) {
+    log.error('Update failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Update failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
 
-    // If a journal field is provided, we write it; if explicitly empty string, we clear it.
-    const wnUser = (body.work_notes !== undefined) ? String(body.work_notes).trim() : undefined;
-    const acUser = (body.comments   !== undefined) ? String(body.comments).trim()   : undefined;
+/* =========================
+ * Bulk update
+ * ========================= */
+const BULK_MAX = 100;        // records per request
+const BULK_CONCURRENCY = 4;  // ServiceNow calls in flight at once
+const BULK_FIELDS = ['state', 'assigned_to', 'assignment_group', 'work_notes'];
+
+// body: { records: [{ table, sys_id }], changes: { state, assigned_to, assignment_group, work_notes } }
+// Every record is checked and written on its own; one failure doesn't stop the rest.
+app.post('/api/bulk/update', requireAuth, async (req, res) => {
+  const bad = (detail) =>
+    res.status(400).json({ ok: false, error: { message: 'Bad request', detail }, status: 'failure' });
+  const { records, changes } = req.body || {};
+
+  if (!Array.isArray(records) || !records.length) return bad('records must be a non-empty array');
+  if (records.length > BULK_MAX) return bad(`At most ${BULK_MAX} records per request`);
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return bad('changes must be an object');
+  const unknown = Object.keys(changes).filter((k) => !BULK_FIELDS.includes(k));
+  if (unknown.length) return bad(`Not a bulk field: ${unknown.join(', ')}`);
+  const body = Object.fromEntries(
+    Object.entries(changes).filter(([k, v]) => (k === 'work_notes' ? String(v ?? '').trim() : pickId(v)))
+  );
+  if (!Object.keys(body).length) return bad('Nothing to change');
 
-    const notesPayload = {};
-    if (wnUser !== undefined) notesPayload.work_notes = wnUser ? stamp(wnUser) : '';
-    if (acUser !== undefined) notesPayload.comments   = acUser ? stamp(acUser) : '';
+  try {
+    const session = req.session;
+    const using = pickActingCreds(session);
 
-    if (Object.keys(notesPayload).length) {
-      await sn(using, 'PATCH',
-        `/api/now/table/${table}/${sys_id}?sysparm_input_display_value=true`,
-        notesPayload
-      );
+    // Names typed into the bulk bar are resolved once, not once per record
+    if (body.assigned_to) body.assigned_to = await resolveRef(using, 'sys_user', body.assigned_to);
+    if (body.assignment_group) body.assignment_group = await resolveRef(using, 'sys_user_group', body.assignment_group);
+
+    const result = await mapLimit(records, BULK_CONCURRENCY, async (r) => {
+      const table = String(r?.table || '');
+      const sys_id = String(r?.sys_id || '');
+      const entry = { action: 'record.update', table, sys_id };
+      const fail = async (message, detail, { number = '', outcome = 'failure', changes } = {}) => {
+        await audit(req, { ...entry, number: number || undefined, changes, outcome, error: detail || message });
+        return { table, sys_id, number, ok: false, error: { message, ...(detail && { detail }) } };
+      };
+      try {
+        const blocked = tablePolicy(table) ? forbiddenWrites(table, body) : [];
+        if (blocked.length) return fail('Forbidden', `Not writable on ${table}: ${blocked.join(', ')}`, { outcome: 'denied' });
+        const g = await guardRecord(req, table, sys_id, { write: true });
+        if (!g.rec) return fail(g.message, g.detail, { outcome: auditOutcome(g.status) });
+        const number = val(g.rec.number);
+        const written = {};
+        try {
+          await applyUpdate(using, session, table, sys_id, body, written);
+        } catch (e) {
+          return fail('Update failed', String(e?.message || e), { number, changes: fieldDiff(g.rec, written.fields || {}) });
+        }
+        await audit(req, { ...entry, number, changes: fieldDiff(g.rec, written.fields), journal: written.journal, outcome: 'success' });
+        return { table, sys_id, number, ok: true };
+      } catch (e) {
+        return fail('Update failed', String(e?.message || e));
+      }
+    });
+
+    const succeeded = result.filter((r) => r.ok).length;
+    log.info('Bulk update', { fields: Object.keys(body), succeeded, failed: result.length - succeeded });
+    res.json({ ok: true, result, succeeded, failed: result.length - succeeded });
+  } catch (e) {
+    log.error('Bulk update failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Bulk update failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Body: { sys_ids: [approval sys_id], decision: approve|reject, comments? }. Every approval is
+// decided like POST /api/approval/:sys_id/decide, with the same comment on each:
+// { result: [{ sys_id, number, ok, error? }], succeeded, failed }
+app.post('/api/bulk/decide', requireAuth, async (req, res) => {
+  const bad = (detail) =>
+    res.status(400).json({ ok: false, error: { message: 'Bad request', detail }, status: 'failure' });
+  const { sys_ids: ids, decision, comments } = req.body || {};
+
+  if (!Array.isArray(ids) || !ids.length) return bad('sys_ids must be a non-empty array');
+  if (ids.length > BULK_MAX) return bad(`At most ${BULK_MAX} approvals per request`);
+  const newState = APPROVAL_DECISIONS[String(decision || '').toLowerCase()];
+  if (!newState) return bad('Use approve|reject');
+
+  try {
+    const result = await mapLimit([...new Set(ids.map(String))], BULK_CONCURRENCY, async (sys_id) => {
+      try {
+        const d = await decideApproval(req, sys_id, newState, comments);
+        if (d.result) return { sys_id, number: d.number, ok: true };
+        return { sys_id, number: d.number || '', ok: false, error: { message: d.message, ...(d.detail && { detail: d.detail }) } };
+      } catch (e) {
+        return { sys_id, number: '', ok: false, error: { message: 'Approval action failed', detail: String(e?.message || e) } };
+      }
+    });
+
+    const succeeded = result.filter((r) => r.ok).length;
+    log.info('Bulk decide', { decision: newState, succeeded, failed: result.length - succeeded });
+    res.json({ ok: true, result, succeeded, failed: result.length - succeeded });
+  } catch (e) {
+    log.error('Bulk decide failed', { err: e });
+    res.status(500).json({ ok: false, error: { message: 'Bulk decide failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+/* =========================
+ * Attachments (proxy to the Attachment API)
+ * ========================= */
+const ATTACHMENT_MAX_BYTES = Number(ATTACHMENT_MAX_MB) * 1024 * 1024;
+// Types the browser may render in place; everything else is served as a download
+const INLINE_TYPES = /^(image\/(png|jpe?g|gif|webp|bmp)|text\/plain)$/i;
+
+const attachmentView = (a) => ({
+  sys_id: a.sys_id,
+  file_name: a.file_name,
+  content_type: a.content_type,
+  size_bytes: Number(a.size_bytes) || 0,
+  sys_created_on: a.sys_created_on,
+  sys_created_by: a.sys_created_by,
+});
+
+// Attachments as the audit log records them
+const auditFiles = (list) => list.map((a) => ({ sys_id: a.sys_id, file_name: a.file_name, size_bytes: a.size_bytes }));
+
+// No path parts or control characters in names we pass on to ServiceNow
+const safeFileName = (name) =>
+  String(name || '').replace(/^.*[\\/]/, '').replace(/[\x00-\x1f\x7f]/g, '').trim().slice(-200) || 'upload';
+
+// Attachment metadata, after the policy check on the record it belongs to.
+// Responds 400/403/404 itself and resolves null when the caller must stop. `found` collects
+// what was read before stopping ({ meta, rec }) for the audit entry.
+async function loadAttachment(req, res, sys_id, { write = false } = {}, found = {}) {
+  if (!isSysId(sys_id)) {
+    res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'Invalid sys_id' }, status: 'failure' });
+    return null;
+  }
+  const using = pickActingCreds(req.session);
+  let meta;
+  try {
+    meta = (await sn(using, 'GET', `/api/now/attachment/${sys_id}`)).result;
+  } catch (e) {
+    if (e.httpStatus !== 404) throw e;
+  }
+  if (!meta?.sys_id) {
+    res.status(404).json({ ok: false, error: { message: 'No Attachment found' }, status: 'failure' });
+    return null;
+  }
+  found.meta = meta;
+  if (write && !canAttach(meta.table_name)) {
+    denied(res, `Attachments can't be changed on ${meta.table_name}`);
+    return null;
+  }
+  found.rec = await loadGuarded(req, res, meta.table_name, meta.table_sys_id, { write });
+  return found.rec ? meta : null;
+}
+
+// Buffer the multipart body up to the size limit (plus room for part headers)
+const multipartBody = express.raw({ type: 'multipart/form-data', limit: ATTACHMENT_MAX_BYTES + 64 * 1024 });
+function readUpload(req, res, next) {
+  multipartBody(req, res, (err) => {
+    if (!err) return inContext(req, res, next);
+    const tooLarge = err.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({
+      ok: false,
+      error: {
+        message: tooLarge ? 'Attachment too large' : 'Upload failed',
+        detail: tooLarge ? `Uploads are limited to ${ATTACHMENT_MAX_MB} MB` : String(err.message || err),
+      },
+      status: 'failure',
+    });
+  });
+}
+
+app.get('/api/record/:table/:sys_id/attachments', requireAuth, async (req, res) => {
+  try {
+    const using = pickActingCreds(req.session);
+    const { table, sys_id } = req.params;
+    if (!(await loadGuarded(req, res, table, sys_id))) return;
+    const q = encodeURIComponent(
+      encodedQuery().where('table_name', '=', table).where('table_sys_id', '=', sys_id).orderBy('sys_created_on', 'desc')
+    );
+    const data = await sn(using, 'GET', `/api/now/attachment?sysparm_query=${q}&sysparm_limit=100`);
+    res.json({
+      ok: true,
+      result: (data.result || []).map(attachmentView),
+      canAttach: canAttach(table),
+      maxBytes: ATTACHMENT_MAX_BYTES,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: { message: 'Attachment list failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// multipart/form-data with one or more "file" parts
+app.post('/api/record/:table/:sys_id/attachments', requireAuth, readUpload, async (req, res) => {
+  const { table, sys_id } = req.params;
+  const entry = { action: 'attachment.upload', table, sys_id };
+  const created = [];
+  const stop = (status, error) => audit(req, { ...entry, outcome: auditOutcome(status), error });
+  try {
+    const using = pickActingCreds(req.session);
+    if (!canAttach(table)) {
+      await stop(403, `Attachments can't be added on ${table}`);
+      return denied(res, `Attachments can't be added on ${table}`);
     }
+    const rec = await loadGuarded(req, res, table, sys_id, { write: true });
+    if (!rec) return stop(res.statusCode, `HTTP ${res.statusCode}`);
+    entry.number = val(rec.number);
 
-    // 4) Respond
+    let files = [];
+    try {
+      if (Buffer.isBuffer(req.body) && req.body.length) {
+        const form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') } }).formData();
+        files = form.getAll('file').filter((f) => typeof f === 'object' && f.size > 0);
+      }
+    } catch {}
+    if (!files.length) {
+      await stop(400, 'No file part');
+      return res.status(400).json({ ok: false, error: { message: 'Bad request', detail: 'Expected multipart/form-data with a non-empty "file" part' }, status: 'failure' });
+    }
+    const total = files.reduce((n, f) => n + f.size, 0);
+    if (total > ATTACHMENT_MAX_BYTES) {
+      await stop(413, `${total} bytes`);
+      return res.status(413).json({ ok: false, error: { message: 'Attachment too large', detail: `Uploads are limited to ${ATTACHMENT_MAX_MB} MB` }, status: 'failure' });
+    }
+
+    for (const f of files) {
+      const q = new URLSearchParams({ table_name: table, table_sys_id: sys_id, file_name: safeFileName(f.name) });
+      const up = await sn(using, 'POST', `/api/now/attachment/file?${q}`, Buffer.from(await f.arrayBuffer()), {
+        contentType: f.type || 'application/octet-stream', timeoutMs: 60000, retries: 0,
+      });
+      created.push(attachmentView(up.result || {}));
+    }
+    log.info('Attachments uploaded', { table, sys_id, files: created.map((a) => a.file_name) });
+    await audit(req, { ...entry, files: auditFiles(created), outcome: 'success' });
+    res.status(201).json({ ok: true, result: created });
+  } catch (e) {
+    log.error('Attachment upload failed', { err: e });
+    await audit(req, { ...entry, files: auditFiles(created), outcome: 'failure', error: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: { message: 'Attachment upload failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Streams the file; ?inline=1 lets images and plain text render in place
+app.get('/api/attachment/:sys_id/file', requireAuth, async (req, res) => {
+  try {
+    const using = pickActingCreds(req.session);
+    const meta = await loadAttachment(req, res, req.params.sys_id);
+    if (!meta) return;
+
+    const upstream = await sn(using, 'GET', `/api/now/attachment/${meta.sys_id}/file`, null, {
+      returnRaw: true, accept: '*/*', timeoutMs: 60000,
+    });
+    if (!upstream.ok || !upstream.body) {
+      const err = new Error(`HTTP ${upstream.status} ${upstream.statusText}`);
+      err.httpStatus = upstream.status;
+      throw err;
+    }
+
+    const type = meta.content_type || 'application/octet-stream';
+    res.attachment(safeFileName(meta.file_name));
+    if (String(req.query.inline || '') === '1' && INLINE_TYPES.test(type)) {
+      res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+    res.set({
+      'Content-Type': type,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+      'Cache-Control': 'private, no-store',
+    });
+    const len = upstream.headers.get('content-length');
+    if (len) res.set('Content-Length', len);
+    Readable.fromWeb(upstream.body).on('error', () => res.destroy()).pipe(res);
+  } catch (e) {
+    if (res.headersSent) return res.destroy();
+    res.status(e?.httpStatus === 404 ? 404 : 500).json({ ok: false, error: { message: 'Attachment download failed', detail: String(e?.message || e) }, status: 'failure' });
+  }
+});
+
+// Audited against the record the file belongs to (or the attachment itself when that is unknown)
+app.delete('/api/attachment/:sys_id', requireAuth, async (req, res) => {
+  const found = {};
+  const entry = () => ({
+    action: 'attachment.delete',
+    table: found.meta?.table_name || 'sys_attachment',
+    sys_id: found.meta?.table_sys_id || req.params.sys_id,
+    ...(found.rec && { number: val(found.rec.number) }),
+    ...(found.meta && { files: auditFiles([attachmentView(found.meta)]) }),
+  });
+  try {
+    const using = pickActingCreds(req.session);
+    const meta = await loadAttachment(req, res, req.params.sys_id, { write: true }, found);
+    if (!meta) return audit(req, { ...entry(), outcome: auditOutcome(res.statusCode), error: `HTTP ${res.statusCode}` });
+    await sn(using, 'DELETE', `/api/now/attachment/${meta.sys_id}`);
+    await audit(req, { ...entry(), outcome: 'success' });
     res.json({ ok: true, result: true });
   } catch (e) {
-    console.error('Update failed', e);
-    res.status(500).json({ ok: false, error: { message: 'Update failed', detail: String(e?.message || e) }, status: 'failure' });
+    await audit(req, { ...entry(), outcome: 'failure', error: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: { message: 'Attachment delete failed', detail: String(e?.message || e) }, status: 'failure' });
   }
 });
 
 /* =========================
  * Start
  * ========================= */
-app.listen(PORT, () => {
-  console.log(`Backend listening on http://localhost:${PORT}`);
-  console.log(`Admin-for-all: ${String(USE_ADMIN_FOR_ALL).toLowerCase() === 'true' ? 'ON' : 'OFF'}`);
-});
\ No newline at end of file
+// PORT=0 picks a free port (the tests do); server.address() says which
+const server = app.listen(PORT, () => {
+  log.info('Backend listening', {
+    url: `http://localhost:${server.address().port}`,
+    adminForAll: String(USE_ADMIN_FOR_ALL).toLowerCase() === 'true',
+    sessionStore: sessions.driver,
+    snCache: snCache ? snCacheDriver : 'off',
+  });
+});
+
+export { app, server };
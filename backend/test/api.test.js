@@ -0,0 +1,709 @@
+// backend/test/api.test.js
+// The /api routes end to end: the backend on a free port, talking to mock/servicenow.js.
+//
+// Tests run in file order and share one mock, so later ones see what earlier ones wrote
+// (an approval decided here stays decided below).
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockServiceNow } from '../mock/servicenow.js';
+
+// Fixture records (mock/fixtures.json)
+const USERS = {
+  admin: '6816f79cc0a8016401c5a33be04be441',
+  beth: '46d44a23a9fe19810012d100cca80666',
+  abel: '62826bf03710200044e0bfc8bcbe5df1',
+  david: '5137153cc611227c000bbd1bd8cd2007',
+  fred: '9ee1b13dc6112271007f9d0efdb69cd0', // inactive
+};
+const INC_BETH = '1c741bd70b2322007518478d83673af3'; // INC0010001, assigned to beth
+const INC_UNASSIGNED = '46b66a40a9fe198101f243dfbc79033d'; // INC0010003
+const INC_OTHER_GROUP = '8d6353eac0a8016400d8a125ca14fc1f'; // INC0010005, not beth's
+const CHANGE = 'c83c5e5347c12200e0ef563dbb9a7190'; // CHG0030001, requested by abel
+const APPROVAL_BETH = '0f3b5d0f1b2d2300a2e0ea0c2e4bcb9a'; // beth, requested, on CHANGE
+const APPROVAL_BETH_RITM = '0f3b5d0f1b2d2300a2e0ea0c2e4bcb9c'; // beth, requested, on a RITM
+const APPROVAL_ABEL = '0f3b5d0f1b2d2300a2e0ea0c2e4bcb9d'; // abel, already approved
+const MISSING = '0123456789abcdef0123456789abcdef';
+// Incident fields the policy lets the browser see (lib/policy.js)
+const TASK_READ = [
+  'sys_id', 'number', 'short_description', 'description', 'assigned_to', 'assignment_group',
+  'state', 'priority', 'impact', 'urgency', 'caller_id', 'opened_at', 'sys_class_name', 'sys_updated_on',
+];
+
+let mock;
+let server;
+let base;
+let tmp;
+const tokens = {};
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-portal-test-'));
+  mock = await startMockServiceNow({ port: 0 });
+  Object.assign(process.env, {
+    SN_MOCK: 'false',
+    SN_INSTANCE: mock.url,
+    SN_USERNAME: 'admin',
+    SN_PASSWORD: 'admin',
+    PORT: '0',
+    USE_ADMIN_FOR_ALL: 'true',
+    PORTAL_ADMINS: 'admin',
+    SESSION_STORE: 'memory',
+    VIEWS_FILE: path.join(tmp, 'views.json'),
+    AUDIT_FILE: path.join(tmp, 'audit.jsonl'),
+    AUDIT_SECRET: 'test-secret',
+    SN_CACHE_STORE: 'memory',
+    LOG_LEVEL: 'error',
+    API_RATE_LIMIT: '0',
+    CHANGE_FEED_SECONDS: '2',
+  });
+  ({ server } = await import('../server.js'));
+  if (!server.listening) await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  for (const [name, password] of [['admin', 'admin'], ['beth.anglin', 'beth'], ['abel.tuter', 'abel']]) {
+    const r = await api('POST', '/api/login', { body: { username: name, password } });
+    assert.equal(r.status, 200, `login ${name}`);
+    tokens[name.split('.')[0]] = r.body.result.token;
+  }
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  mock.server.closeAllConnections();
+  await mock.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// -> { status, headers, body } (body parsed when it is JSON, else text)
+async function api(method, url, { token, body, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (body instanceof FormData) init.body = body;
+  else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  const res = await fetch(`${base}${url}`, init);
+  const text = await res.text();
+  const json = /json/.test(res.headers.get('content-type') || '');
+  return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+}
+
+const as = (user) => ({ token: tokens[user] });
+const numbers = (rows) => rows.map((r) => r.number?.display_value ?? r.number);
+
+function assertFailure(r, status, message) {
+  assert.equal(r.status, status, JSON.stringify(r.body));
+  assert.equal(r.body.ok, false);
+  if (message) assert.match(JSON.stringify(r.body.error), message);
+}
+
+/* ---------- Auth ---------- */
+test('login: validation, bad password, success', async () => {
+  assertFailure(await api('POST', '/api/login', { body: { username: 'beth.anglin' } }), 400);
+
+  const bad = await api('POST', '/api/login', { body: { username: 'beth.anglin', password: 'nope' } });
+  assertFailure(bad, 401, /Invalid username or password/);
+  const unknown = await api('POST', '/api/login', { body: { username: 'no.such.user', password: 'nope' } });
+  assert.deepEqual(unknown.body, bad.body, 'unknown users get the same answer');
+
+  const ok = await api('POST', '/api/login', { body: { username: 'beth.anglin', password: 'beth' } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.result.user.sys_id, USERS.beth);
+  assert.equal(ok.body.result.admin, false);
+  assert.ok(ok.body.result.groups.includes('d625dccec0a8016700a222a0f7900d06'));
+});
+
+test('login: repeated failures are throttled with 429 and Retry-After', async () => {
+  const attempt = () => api('POST', '/api/login', { body: { username: 'throttled.user', password: 'wrong' } });
+  for (let i = 0; i < 3; i++) assert.equal((await attempt()).status, 401);
+  const r = await attempt();
+  assertFailure(r, 429, /Too many attempts/);
+  assert.ok(Number(r.headers.get('retry-after')) >= 1);
+});
+
+test('login: a parallel burst is throttled too', async () => {
+  const burst = await Promise.all(Array.from({ length: 8 }, () =>
+    api('POST', '/api/login', { body: { username: 'burst.user', password: 'wrong' } })
+  ));
+  const statuses = burst.map((r) => r.status);
+  assert.equal(statuses.filter((s) => s === 401).length, 3);
+  assert.equal(statuses.filter((s) => s === 429).length, 5);
+});
+
+test('routes without a valid token answer 401', async () => {
+  assertFailure(await api('GET', '/api/incidents'), 401, /User Not Authenticated/);
+  assertFailure(await api('GET', '/api/incidents', { token: 'made-up' }), 401);
+});
+
+test('token refresh rotates tokens; logout ends the session', async () => {
+  const login = await api('POST', '/api/login', { body: { username: 'abel.tuter', password: 'abel' } });
+  const { token, refreshToken } = login.body.result;
+
+  assertFailure(await api('POST', '/api/token/refresh', { body: { refreshToken: 'bogus' } }), 401, /Session expired/);
+  const refreshed = await api('POST', '/api/token/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.result.token, token);
+
+  const fresh = refreshed.body.result.token;
+  assert.equal((await api('GET', '/api/debug/session', { token: fresh })).status, 200);
+  assert.equal((await api('POST', '/api/logout', { token: fresh })).status, 200);
+  assertFailure(await api('GET', '/api/debug/session', { token: fresh }), 401);
+});
+
+test('logout with only the refresh token ends a session whose access token expired', async () => {
+  const login = await api('POST', '/api/login', { body: { username: 'abel.tuter', password: 'abel' } });
+  const { token, refreshToken } = login.body.result;
+
+  assertFailure(await api('POST', '/api/logout', { token: 'expired', body: { refreshToken: 'bogus' } }), 401);
+  assert.equal((await api('POST', '/api/logout', { token: 'expired', body: { refreshToken } })).status, 200);
+  assertFailure(await api('GET', '/api/debug/session', { token }), 401);
+  assertFailure(await api('POST', '/api/token/refresh', { body: { refreshToken } }), 401);
+});
+
+test('debug session shows the stored and fresh groups', async () => {
+  const r = await api('GET', '/api/debug/session', as('beth'));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.result.user_sys_id, USERS.beth);
+  assert.deepEqual([...r.body.result.fresh_groups].sort(), [...r.body.result.stored_groups].sort());
+});
+
+/* ---------- Admin ---------- */
+test('admin routes answer 403 to non-admins', async () => {
+  for (const [method, url] of [
+    ['GET', '/api/admin/sessions'], ['DELETE', `/api/admin/sessions/${MISSING}`],
+    ['GET', '/api/admin/audit'], ['GET', '/api/admin/audit/verify'],
+    ['GET', '/api/admin/cache'], ['DELETE', '/api/admin/cache'],
+  ]) {
+    assertFailure(await api(method, url, as('beth')), 403, /Portal administrator role required/);
+  }
+});
+
+test('admin sessions: list and revoke', async () => {
+  const login = await api('POST', '/api/login', { body: { username: 'abel.tuter', password: 'abel' } });
+  const token = login.body.result.token;
+
+  const list = await api('GET', '/api/admin/sessions', as('admin'));
+  assert.equal(list.status, 200);
+  const mine = list.body.result.filter((s) => s.userSysId === USERS.abel);
+  assert.ok(mine.length >= 1);
+  assert.equal('token' in mine[0], false, 'tokens are never listed');
+
+  assertFailure(await api('DELETE', '/api/admin/sessions/nope', as('admin')), 404);
+  const newest = mine.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  const revoked = await api('DELETE', `/api/admin/sessions/${newest.sid}`, as('admin'));
+  assert.deepEqual(revoked.body.result, { revoked: 1 });
+  assertFailure(await api('GET', '/api/incidents', { token }), 401);
+});
+
+test('admin cache: stats and clear', async () => {
+  const stats = await api('GET', '/api/admin/cache', as('admin'));
+  assert.equal(stats.status, 200);
+  assert.equal(stats.body.result.enabled, true);
+  assert.equal(stats.body.result.driver, 'memory');
+  const cleared = await api('DELETE', '/api/admin/cache', as('admin'));
+  assert.deepEqual(cleared.body.result, { cleared: true });
+});
+
+/* ---------- Lists, exports, dashboard ---------- */
+test('incident list is scoped to the user, paged, sorted and filtered', async () => {
+  const r = await api('GET', '/api/incidents?sort=number&dir=asc', as('beth'));
+  assert.equal(r.status, 200);
+  // Resolved INC0010004 and INC0010005 (another group's) are left out
+  assert.deepEqual(numbers(r.body.result), ['INC0010001', 'INC0010002', 'INC0010003']);
+  assert.equal(r.body.total, 3);
+
+  const page = await api('GET', '/api/incidents?sort=number&dir=desc&limit=2&offset=1', as('beth'));
+  assert.deepEqual(numbers(page.body.result), ['INC0010002', 'INC0010001']);
+  assert.equal(page.body.total, 3);
+
+  const filtered = await api('GET', '/api/incidents?number=0003', as('beth'));
+  assert.deepEqual(numbers(filtered.body.result), ['INC0010003']);
+
+  const built = await api('GET', `/api/incidents?filter=${encodeURIComponent(JSON.stringify([
+    { field: 'priority', op: 'IN', value: ['4'] },
+  ]))}`, as('beth'));
+  assert.deepEqual(numbers(built.body.result), ['INC0010003']);
+
+  assertFailure(await api('GET', '/api/incidents?filter=not-json', as('beth')), 400, /JSON array/);
+  const field = encodeURIComponent(JSON.stringify([{ field: 'caller_id.password', op: '=', value: 'x' }]));
+  assertFailure(await api('GET', `/api/incidents?filter=${field}`, as('beth')), 400);
+});
+
+test('task and approval lists', async () => {
+  const tasks = await api('GET', '/api/tasks', as('beth'));
+  assert.equal(tasks.status, 200);
+  assert.ok(numbers(tasks.body.result).includes('TASK0010001'));
+  assert.ok(!numbers(tasks.body.result).some((n) => n.startsWith('INC')), 'incidents are not tasks here');
+
+  const approvals = await api('GET', '/api/approvals', as('beth'));
+  assert.equal(approvals.status, 200);
+  const ids = approvals.body.result.map((r) => r.sys_id.value ?? r.sys_id);
+  assert.ok(ids.includes(APPROVAL_BETH));
+  assert.ok(!ids.includes(APPROVAL_ABEL), 'decided approvals are not pending');
+});
+
+test('exports stream the list and validate list and format', async () => {
+  const csv = await api('GET', '/api/export/incidents?format=csv&sort=number&dir=asc', as('beth'));
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="incidents-\d{4}-\d{2}-\d{2}\.csv"/);
+  assert.equal(csv.headers.get('x-total-count'), '3');
+  const lines = csv.body.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+  assert.match(lines[0], /^Sys ID,Number,Summary/);
+  assert.equal(lines.length, 4);
+
+  const xlsx = await api('GET', '/api/export/approvals?format=xlsx', as('beth'));
+  assert.equal(xlsx.status, 200);
+  assert.match(xlsx.headers.get('content-type'), /spreadsheetml/);
+
+  assertFailure(await api('GET', '/api/export/incidents?format=pdf', as('beth')), 400, /csv or xlsx/);
+  assertFailure(await api('GET', '/api/export/users', as('beth')), 404, /Unknown list/);
+});
+
+test('dashboard counts the open list and rejects unknown lists', async () => {
+  const r = await api('GET', '/api/dashboard', as('beth'));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.result.total, 3);
+  assert.equal(r.body.result.byPriority.reduce((n, s) => n + s.count, 0), 3);
+  assert.equal(r.body.result.trend.length, 30);
+  assertFailure(await api('GET', '/api/dashboard?list=approvals', as('beth')), 400, /Unknown list/);
+});
+
+/* ---------- Saved views ---------- */
+test('saved views: validation, create, update, delete', async () => {
+  assertFailure(await api('GET', '/api/views?list=users', as('beth')), 400);
+  const listed = await api('GET', '/api/views?list=incidents', as('beth'));
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.result.every((v) => v.builtin));
+  assert.ok(listed.body.fields.some((f) => f.key === 'priority'));
+
+  assertFailure(await api('POST', '/api/views', { ...as('beth'), body: { list: 'users', name: 'x' } }), 400);
+  assertFailure(await api('POST', '/api/views', {
+    ...as('beth'), body: { list: 'incidents', name: 'x', conditions: [{ field: 'password', op: '=', value: 'x' }] },
+  }), 400);
+  assertFailure(await api('POST', '/api/views', {
+    ...as('beth'), body: { list: 'incidents', name: 'x', sort: { key: 'description' } },
+  }), 400, /Not sortable/);
+
+  const created = await api('POST', '/api/views', {
+    ...as('beth'),
+    body: { list: 'incidents', name: 'P1s', conditions: [{ field: 'priority', op: 'IN', value: ['1'] }] },
+  });
+  assert.equal(created.status, 201);
+  const id = created.body.result.id;
+
+  const renamed = await api('PUT', `/api/views/${id}`, { ...as('beth'), body: { name: 'Critical' } });
+  assert.equal(renamed.body.result.name, 'Critical');
+  assertFailure(await api('PUT', `/api/views/${id}`, as('abel')), 404, /View not found/);
+  assertFailure(await api('PUT', '/api/views/nope', { ...as('beth'), body: { name: 'x' } }), 404);
+
+  assert.equal((await api('DELETE', `/api/views/${id}`, as('beth'))).status, 200);
+  assertFailure(await api('DELETE', `/api/views/${id}`, as('beth')), 404);
+});
+
+/* ---------- Change feed ---------- */
+// First SSE event on /api/changes
+async function firstEvent(query) {
+  const ac = new AbortController();
+  const res = await fetch(`${base}/api/changes${query}`, { signal: ac.signal });
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const reader = res.body.getReader();
+  let text = '';
+  try {
+    while (!/\n\n/.test(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += Buffer.from(value).toString('utf8');
+    }
+  } finally {
+    ac.abort();
+  }
+  return text.match(/^event: (\w+)/m)?.[1];
+}
+
+test('change feed: ready with a token, expired without one', async () => {
+  assert.equal(await firstEvent(`?token=${tokens.beth}`), 'ready');
+  assert.equal(await firstEvent('?token=made-up'), 'expired');
+});
+
+/* ---------- Records ---------- */
+test('record reads follow the table and row policy', async () => {
+  const r = await api('GET', `/api/record/incident/${INC_BETH}`, as('beth'));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.result.number.value, 'INC0010001');
+  assert.deepEqual(Object.keys(r.body.result).filter((k) => !TASK_READ.includes(k)), [], 'only readable fields');
+
+  assertFailure(await api('GET', `/api/record/incident/${INC_OTHER_GROUP}`, as('beth')), 403, /do not have access/);
+  assertFailure(await api('GET', `/api/record/sys_user/${USERS.beth}`, as('beth')), 403, /not exposed/);
+  assertFailure(await api('GET', '/api/record/incident/not-an-id', as('beth')), 400, /Invalid sys_id/);
+  assertFailure(await api('GET', `/api/record/incident/${MISSING}`, as('beth')), 404);
+});
+
+test('change details', async () => {
+  const r = await api('GET', `/api/change/${CHANGE}/details`, as('abel'));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.result.number.value, 'CHG0030001');
+  assertFailure(await api('GET', `/api/change/${CHANGE}/details`, as('admin')), 403);
+});
+
+test('work notes, activity and SLAs of a record', async () => {
+  const notes = await api('GET', `/api/record/incident/${INC_BETH}/work_notes/all`, as('beth'));
+  assert.equal(notes.status, 200);
+  assert.equal(typeof notes.body.result, 'string');
+
+  const seen = mock.requests.length;
+  const activity = await api('GET', `/api/record/incident/${INC_BETH}/activity`, as('beth'));
+  assert.equal(activity.status, 200);
+  assert.ok(mock.requests.slice(seen).some((r) => r.path === '/v1/batch'), 'reads go out in one batch');
+  assert.ok(Array.isArray(activity.body.result));
+  const stamps = activity.body.result.map((e) => e.ts);
+  assert.deepEqual(stamps, [...stamps].sort().reverse(), 'newest first');
+
+  const csv = await api('GET', `/api/record/incident/${INC_BETH}/activity?format=csv`, as('beth'));
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+
+  const sla = await api('GET', `/api/record/incident/${INC_BETH}/sla`, as('beth'));
+  assert.equal(sla.status, 200);
+  assert.ok(Array.isArray(sla.body.result));
+
+  for (const sub of ['work_notes/all', 'activity', 'sla', 'attachments']) {
+    assertFailure(await api('GET', `/api/record/incident/${INC_OTHER_GROUP}/${sub}`, as('beth')), 403);
+  }
+});
+
+test('SLA lookup for list rows validates its ids', async () => {
+  const r = await api('GET', `/api/sla?ids=${INC_BETH},${INC_UNASSIGNED}`, as('beth'));
+  assert.equal(r.status, 200);
+  assert.ok(Array.isArray(r.body.result));
+  assertFailure(await api('GET', '/api/sla', as('beth')), 400, /ids must be task sys_ids/);
+  assertFailure(await api('GET', '/api/sla?ids=abc', as('beth')), 400);
+});
+
+/* ---------- Search ---------- */
+test('typeahead searches', async () => {
+  const users = await api('GET', '/api/search/users?q=beth', as('beth'));
+  assert.equal(users.status, 200);
+  assert.ok(users.body.result.some((u) => (u.sys_id.value ?? u.sys_id) === USERS.beth));
+  const groups = await api('GET', '/api/search/groups?q=Netw', as('beth'));
+  assert.deepEqual(groups.body.result.map((g) => g.name.display_value ?? g.name), ['Network']);
+  assert.deepEqual((await api('GET', '/api/search/users?q=', as('beth'))).body.result, []);
+});
+
+test('global search only returns rows the user may open', async () => {
+  const r = await api('GET', '/api/search?q=INC00100', as('beth'));
+  assert.equal(r.status, 200);
+  const found = r.body.result.flatMap((g) => g.results.map((x) => x.number.value));
+  assert.ok(found.includes('INC0010001'));
+  assert.ok(!found.includes('INC0010005'), 'another group\'s incident is filtered out');
+
+  const short = await api('GET', '/api/search?q=a', as('beth'));
+  assert.deepEqual(short.body.result, []);
+});
+
+/* ---------- Writes ---------- */
+test('create validates table, fields and values', async () => {
+  assertFailure(await api('POST', '/api/record/sys_user', { ...as('beth'), body: { name: 'x' } }), 403, /can't be created/);
+  assertFailure(await api('POST', '/api/record/incident', {
+    ...as('beth'), body: { caller_id: USERS.beth, short_description: 'x', state: '6' },
+  }), 403, /Not writable on incident: state/);
+  assertFailure(await api('POST', '/api/record/incident', { ...as('beth'), body: { caller_id: USERS.beth } }), 400,
+    /Missing mandatory fields: short_description/);
+  assertFailure(await api('POST', '/api/record/incident', {
+    ...as('beth'), body: { caller_id: USERS.beth, short_description: 'x', impact: '9' },
+  }), 400, /Invalid values for: impact/);
+  assertFailure(await api('POST', '/api/record/incident', {
+    ...as('beth'), body: { caller_id: 'nobody-by-this-name', short_description: 'x' },
+  }), 400, /No match for caller_id/);
+
+  const r = await api('POST', '/api/record/incident', {
+    ...as('beth'), body: { caller_id: 'beth.anglin', short_description: 'Monitor flickers', impact: '3' },
+  });
+  assert.equal(r.status, 201);
+  assert.match(r.body.result.number.value, /^INC\d+/);
+  assert.equal(r.body.result.caller_id.value, USERS.beth);
+});
+
+test('update: policy checks, conflicts and a successful write', async () => {
+  const patch = (id, body, user = 'beth') => api('PATCH', `/api/record/incident/${id}`, { ...as(user), body });
+
+  assertFailure(await patch(INC_BETH, { caller_id: USERS.abel }), 403, /Not writable on incident: caller_id/);
+  assertFailure(await api('PATCH', `/api/record/sys_user/${USERS.beth}`, { ...as('beth'), body: { name: 'x' } }), 403);
+  assertFailure(await patch(INC_OTHER_GROUP, { short_description: 'x' }), 403);
+  assertFailure(await patch(MISSING, { short_description: 'x' }), 404);
+
+  const before = (await api('GET', `/api/record/incident/${INC_BETH}`, as('beth'))).body.result;
+  const version = before.sys_updated_on.value;
+  const ok = await patch(INC_BETH, { short_description: 'Email not syncing (Outlook)', sys_updated_on: version });
+  assert.equal(ok.status, 200);
+  const after = (await api('GET', `/api/record/incident/${INC_BETH}`, as('beth'))).body.result;
+  assert.equal(after.short_description.value, 'Email not syncing (Outlook)');
+
+  // Same stale version again: someone (this test) changed it since
+  const stale = await patch(INC_BETH, { short_description: 'Older edit', sys_updated_on: version });
+  assertFailure(stale, 409, /changed/);
+  assert.equal(stale.body.conflict.current.short_description.value, 'Email not syncing (Outlook)');
+  assert.ok(stale.body.conflict.changes.some((c) => c.field === 'short_description'));
+
+  // Journal entries never conflict
+  assert.equal((await patch(INC_BETH, { work_notes: 'Checked the mailbox', sys_updated_on: version })).status, 200);
+  const notes = await api('GET', `/api/record/incident/${INC_BETH}/work_notes/all`, as('beth'));
+  assert.match(notes.body.result, /Checked the mailbox\n#Cont\. by beth\.anglin/);
+});
+
+test('bulk update: validation and per-record results', async () => {
+  const bulk = (body) => api('POST', '/api/bulk/update', { ...as('beth'), body });
+  assertFailure(await bulk({ records: [], changes: { state: '2' } }), 400, /non-empty array/);
+  assertFailure(await bulk({ records: [{ table: 'incident', sys_id: INC_BETH }], changes: { priority: '1' } }), 400,
+    /Not a bulk field: priority/);
+  assertFailure(await bulk({ records: [{ table: 'incident', sys_id: INC_BETH }], changes: { work_notes: ' ' } }), 400,
+    /Nothing to change/);
+
+  const r = await bulk({
+    records: [{ table: 'incident', sys_id: INC_UNASSIGNED }, { table: 'incident', sys_id: INC_OTHER_GROUP }],
+    changes: { state: '2' },
+  });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.result.map((x) => x.ok), [true, false]);
+  assert.match(r.body.result[1].error.detail, /do not have access/);
+});
+
+test('writes land in the audit log, whose chain verifies', async () => {
+  assertFailure(await api('GET', '/api/admin/audit?from=yesterday', as('admin')), 400, /YYYY-MM-DD/);
+
+  const r = await api('GET', `/api/admin/audit?record=${INC_BETH}`, as('admin'));
+  assert.equal(r.status, 200);
+  const outcomes = r.body.result.map((e) => e.outcome);
+  assert.ok(outcomes.includes('success'));
+  assert.ok(outcomes.includes('conflict'));
+  assert.ok(r.body.result.every((e) => e.user.sys_id === USERS.beth));
+
+  const denied = await api('GET', '/api/admin/audit?outcome=denied', as('admin'));
+  assert.ok(denied.body.total >= 1);
+
+  const verify = await api('GET', '/api/admin/audit/verify', as('admin'));
+  assert.equal(verify.body.result.ok, true);
+  assert.ok(verify.body.result.entries >= 5);
+});
+
+test('audit log filters and paging', async () => {
+  const audit = async (query) => {
+    const r = await api('GET', `/api/admin/audit${query}`, as('admin'));
+    assert.equal(r.status, 200);
+    return r.body;
+  };
+  const all = await audit('?limit=500');
+  assert.ok(all.total >= 5);
+  assert.equal(all.result.length, all.total);
+  const seqs = all.result.map((e) => e.seq);
+  assert.deepEqual(seqs, [...seqs].sort((x, y) => y - x), 'newest first');
+
+  // Paging walks the same list; limit is clamped to 1..500
+  const page = await audit('?limit=2&offset=1');
+  assert.deepEqual([page.limit, page.offset, page.total], [2, 1, all.total]);
+  assert.deepEqual(page.result.map((e) => e.seq), seqs.slice(1, 3));
+  assert.equal((await audit('?limit=0')).limit, 100);
+  assert.equal((await audit('?limit=10000')).limit, 500);
+  assert.equal((await audit('?offset=-3')).offset, 0);
+  assert.deepEqual((await audit(`?offset=${all.total}`)).result, []);
+
+  const byName = await audit('?user=Beth&limit=500');
+  const byId = await audit(`?user=${USERS.beth}&limit=500`);
+  assert.ok(byName.total >= 1);
+  assert.equal(byName.total, byId.total);
+  assert.ok(byName.result.every((e) => e.user.sys_id === USERS.beth));
+
+  const updates = await audit('?table=incident&action=record.update&limit=500');
+  assert.ok(updates.total >= 1);
+  assert.ok(updates.result.every((e) => e.table === 'incident' && e.action === 'record.update'));
+  assert.equal((await audit('?table=incid')).total, 0, 'table must match exactly');
+
+  const numbered = all.result.find((e) => e.number && e.sys_id);
+  const byNumber = await audit(`?record=${numbered.number.toLowerCase()}&limit=500`);
+  assert.ok(byNumber.result.some((e) => e.seq === numbered.seq));
+  assert.ok(byNumber.result.every((e) => e.sys_id === numbered.sys_id || e.number === numbered.number));
+
+  const conflicts = await audit('?outcome=conflict&limit=500');
+  assert.ok(conflicts.total >= 1);
+  assert.ok(conflicts.result.every((e) => e.outcome === 'conflict'));
+
+  const day = (e) => e.ts.slice(0, 10);
+  assert.equal((await audit(`?from=${day(all.result.at(-1))}&to=${day(all.result[0])}`)).total, all.total, 'to covers its whole day');
+  assert.equal((await audit('?to=2000-01-01')).total, 0);
+  assert.equal((await audit(`?from=${all.result[0].ts}`)).result[0].seq, all.result[0].seq, 'from is inclusive');
+  assertFailure(await api('GET', '/api/admin/audit?to=soon', as('admin')), 400, /to must be/);
+});
+
+/* ---------- Approvals ---------- */
+test('approval details and history', async () => {
+  const r = await api('GET', `/api/approval/${APPROVAL_BETH}`, as('beth'));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.result.targetTable, 'change_request');
+  assert.equal(r.body.result.target.number.value, 'CHG0030001');
+
+  const ritm = await api('GET', `/api/approval/${APPROVAL_BETH_RITM}`, as('beth'));
+  assert.equal(ritm.body.result.targetTable, 'sc_req_item');
+  assert.ok(Array.isArray(ritm.body.result.variables));
+
+  assertFailure(await api('GET', `/api/approval/${APPROVAL_BETH}`, as('abel')), 403);
+  assertFailure(await api('GET', '/api/approval/xyz', as('beth')), 400);
+
+  const history = await api('GET', `/api/approval/${APPROVAL_BETH}/history`, as('beth'));
+  assert.equal(history.status, 200);
+  assert.equal(history.body.result.approvers.length, 3);
+  assertFailure(await api('GET', `/api/approval/${APPROVAL_BETH}/history`, as('abel')), 403);
+});
+
+test('deciding an approval: validation, access, success, then 409', async () => {
+  const decide = (id, body, user = 'beth') => api('POST', `/api/approval/${id}/decide`, { ...as(user), body });
+  assertFailure(await decide(APPROVAL_BETH, { decision: 'maybe' }), 400, /Use approve\|reject/);
+  assertFailure(await decide(APPROVAL_BETH, { decision: 'approve' }, 'abel'), 403);
+
+  const ok = await decide(APPROVAL_BETH, { decision: 'approve', comments: 'Looks fine' });
+  assert.equal(ok.status, 200);
+  const row = mock.db.sysapproval_approver.find((a) => a.sys_id === APPROVAL_BETH);
+  assert.equal(row.state, 'approved');
+
+  assertFailure(await decide(APPROVAL_BETH, { decision: 'reject' }), 409, /Already decided/);
+});
+
+test('unassigned approvals can be opened but not decided', async () => {
+  const id = 'a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5';
+  mock.seed({
+    sysapproval_approver: [{
+      sys_id: id, sysapproval: CHANGE, source_table: 'change_request', document_id: CHANGE,
+      approver: '', state: 'requested', comments: '',
+    }],
+  });
+
+  const listed = await api('GET', '/api/approvals', as('beth'));
+  assert.ok(listed.body.result.some((r) => (r.sys_id.value ?? r.sys_id) === id));
+  assert.equal((await api('GET', `/api/approval/${id}`, as('beth'))).status, 200);
+
+  const decided = await api('POST', `/api/approval/${id}/decide`, { ...as('beth'), body: { decision: 'approve' } });
+  assertFailure(decided, 403, /do not have access/);
+  const bulk = await api('POST', '/api/bulk/decide', { ...as('abel'), body: { sys_ids: [id], decision: 'reject' } });
+  assert.equal(bulk.body.result[0].ok, false);
+  assert.equal(mock.db.sysapproval_approver.find((a) => a.sys_id === id).state, 'requested');
+});
+
+test('bulk decide: validation and per-approval results', async () => {
+  const bulk = (body) => api('POST', '/api/bulk/decide', { ...as('beth'), body });
+  assertFailure(await bulk({ sys_ids: [], decision: 'approve' }), 400, /non-empty array/);
+  assertFailure(await bulk({ sys_ids: [APPROVAL_BETH_RITM], decision: 'maybe' }), 400, /Use approve\|reject/);
+
+  const r = await bulk({ sys_ids: [APPROVAL_BETH_RITM, APPROVAL_ABEL], decision: 'reject', comments: 'Not now' });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.succeeded, 1);
+  assert.equal(r.body.result[0].ok, true);
+  assert.equal(r.body.result[1].ok, false);
+});
+
+/* ---------- Delegations ---------- */
+test('delegations: validation, create, list, end', async () => {
+  const create = (body, user = 'beth') => api('POST', '/api/delegations', { ...as(user), body });
+  const ends = new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10);
+
+  assertFailure(await create({ delegate: 'david.miller', ends }), 400, /delegate must be a user sys_id/);
+  assertFailure(await create({ delegate: USERS.beth, ends }), 400, /yourself/);
+  assertFailure(await create({ delegate: USERS.david, ends: 'soon' }), 400, /must be dates/);
+  assertFailure(await create({ delegate: USERS.david, ends: '2001-01-01' }), 400, /in the future/);
+  assertFailure(await create({ delegate: MISSING, ends }), 400, /active user/);
+  assertFailure(await create({ delegate: USERS.fred, ends }), 400, /active user/);
+
+  const created = await create({ delegate: USERS.david, ends });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.result.status, 'active');
+  const id = created.body.result.sys_id;
+
+  const mine = await api('GET', '/api/delegations', as('beth'));
+  assert.ok(mine.body.result.granted.some((d) => d.sys_id === id));
+
+  assertFailure(await api('POST', `/api/delegations/${id}/end`, as('abel')), 403, /Only the user who delegated/);
+  assertFailure(await api('POST', `/api/delegations/${MISSING}/end`, as('beth')), 404);
+  const ended = await api('POST', `/api/delegations/${id}/end`, as('beth'));
+  assert.equal(ended.status, 200);
+  assert.equal(ended.body.result.status, 'ended');
+
+  const trail = (await api('GET', '/api/admin/audit?table=sys_user_delegate&limit=50', as('admin'))).body.result;
+  const entries = trail.filter((e) => e.sys_id === id).map((e) => [e.action, e.outcome, e.user.sys_id]);
+  assert.deepEqual(entries, [
+    ['delegation.end', 'success', USERS.beth],
+    ['delegation.end', 'denied', USERS.abel],
+    ['delegation.create', 'success', USERS.beth],
+  ]);
+  assert.ok(trail.some((e) => e.action === 'delegation.create' && e.outcome === 'failure' && /yourself/.test(e.error)));
+});
+
+/* ---------- Attachments ---------- */
+test('attachments: upload, list, download, delete', async () => {
+  const url = `/api/record/incident/${INC_BETH}/attachments`;
+  const form = new FormData();
+  form.append('file', new Blob(['hello from the tests'], { type: 'text/plain' }), 'note.txt');
+
+  assertFailure(await api('POST', `/api/record/sys_user/${USERS.beth}/attachments`, { ...as('beth'), body: form }), 403);
+  assertFailure(await api('POST', `/api/record/incident/${INC_OTHER_GROUP}/attachments`, { ...as('beth'), body: form }), 403);
+  assertFailure(await api('POST', url, { ...as('beth'), body: new FormData() }), 400);
+
+  const up = await api('POST', url, { ...as('beth'), body: form });
+  assert.equal(up.status, 201);
+  const id = up.body.result[0].sys_id;
+  assert.equal(up.body.result[0].file_name, 'note.txt');
+
+  const list = await api('GET', url, as('beth'));
+  assert.equal(list.body.canAttach, true);
+  assert.deepEqual(list.body.result.map((a) => a.sys_id), [id]);
+
+  const file = await api('GET', `/api/attachment/${id}/file?inline=1`, as('beth'));
+  assert.equal(file.status, 200);
+  assert.equal(file.body, 'hello from the tests');
+  assert.match(file.headers.get('content-disposition'), /^inline/);
+
+  assertFailure(await api('GET', `/api/attachment/${id}/file`, as('admin')), 403);
+  assertFailure(await api('GET', '/api/attachment/bad/file', as('beth')), 400);
+  assertFailure(await api('DELETE', `/api/attachment/${MISSING}`, as('beth')), 404);
+
+  assert.equal((await api('DELETE', `/api/attachment/${id}`, as('beth'))).status, 200);
+  assert.deepEqual((await api('GET', url, as('beth'))).body.result, []);
+
+  const trail = (await api('GET', '/api/admin/audit?action=attachment.upload', as('admin'))).body.result;
+  assert.deepEqual(trail.map((e) => [e.table, e.sys_id, e.outcome]).slice(0, 4), [
+    ['incident', INC_BETH, 'success'],
+    ['incident', INC_BETH, 'failure'],
+    ['incident', INC_OTHER_GROUP, 'denied'],
+    ['sys_user', USERS.beth, 'denied'],
+  ]);
+  assert.equal(trail[0].number, 'INC0010001');
+  assert.deepEqual(trail[0].files, [{ sys_id: id, file_name: 'note.txt', size_bytes: 20 }]);
+
+  const deletes = (await api('GET', '/api/admin/audit?action=attachment.delete', as('admin'))).body.result;
+  assert.deepEqual(deletes.map((e) => [e.table, e.sys_id, e.outcome]).slice(0, 2), [
+    ['incident', INC_BETH, 'success'],
+    ['sys_attachment', MISSING, 'failure'],
+  ]);
+  assert.equal(deletes[0].files[0].file_name, 'note.txt');
+  assert.equal(deletes[0].user.sys_id, USERS.beth);
+});
+
+/* ---------- Request ids and metrics ---------- */
+test('request ids are echoed, or made up when missing or malformed', async () => {
+  const given = await api('GET', '/api/incidents', { ...as('beth'), headers: { 'X-Request-Id': 'trace-42' } });
+  assert.equal(given.headers.get('x-request-id'), 'trace-42');
+  const bad = await api('GET', '/api/incidents', { ...as('beth'), headers: { 'X-Request-Id': 'no spaces allowed' } });
+  assert.match(bad.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('metrics render in the Prometheus text format', async () => {
+  const r = await api('GET', '/metrics');
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(r.body, /^# TYPE http_request_duration_seconds histogram$/m);
+  assert.match(r.body, /^http_request_duration_seconds_count\{method="GET",route="\/api\/incidents",status="200"\} \d+$/m);
+  assert.match(r.body, /^servicenow_requests_total\{api="table",table="incident",method="GET",status="2xx"\} \d+$/m);
+  assert.match(r.body, /^portal_active_sessions\{via="admin"\} \d+$/m);
+});
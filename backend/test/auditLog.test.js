@@ -0,0 +1,103 @@
+// backend/test/auditLog.test.js
+// lib/auditLog.js: the hash chain, torn appends and paged queries.
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuditLog } from '../lib/auditLog.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-portal-audit-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let files = 0;
+const newLog = () => {
+  const file = path.join(tmp, `audit-${++files}.jsonl`);
+  return { file, log: createAuditLog({ file, secret: 'test' }) };
+};
+
+const BETH = { sys_id: '46d44a23a9fe19810012d100cca80666', user_name: 'beth.anglin', name: 'Beth Anglin' };
+const ABEL = { sys_id: '62826bf03710200044e0bfc8bcbe5df1', user_name: 'abel.tuter', name: 'Abel Tuter' };
+
+test('appends chain onto each other and verify walks the chain', async () => {
+  const { file, log } = newLog();
+  const one = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  const two = await log.append({ action: 'record.update', table: 'incident', outcome: 'denied' });
+  assert.equal(one.seq, 1);
+  assert.equal(two.seq, 2);
+  assert.equal(two.prevHash, one.hash);
+  assert.deepEqual(await log.verify(), { ok: true, entries: 2 });
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines[0] = lines[0].replace('"success"', '"failure"');
+  fs.writeFileSync(file, lines.join('\n'));
+  const res = await log.verify();
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.brokenAt, { line: 1, seq: 1, reason: 'Contents changed' });
+});
+
+test('a torn append longer than a read chunk is cut off before the next entry', async () => {
+  const { file, log } = newLog();
+  const first = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  fs.appendFileSync(file, `{"seq":2,"note":"${'x'.repeat(200 * 1024)}`);
+
+  const next = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  assert.equal(next.seq, 2);
+  assert.equal(next.prevHash, first.hash);
+  assert.deepEqual(await log.verify(), { ok: true, entries: 2 });
+});
+
+test('a log that is only a torn append starts over', async () => {
+  const { file, log } = newLog();
+  fs.writeFileSync(file, `{"seq":1,"note":"${'x'.repeat(100 * 1024)}`);
+  const entry = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  assert.equal(entry.seq, 1);
+  assert.deepEqual(await log.verify(), { ok: true, entries: 1 });
+});
+
+test('unreadable complete lines are skipped when appending and reported by verify', async () => {
+  const { file, log } = newLog();
+  const first = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  fs.appendFileSync(file, 'not json\n\n');
+  const next = await log.append({ action: 'record.update', table: 'incident', outcome: 'success' });
+  assert.equal(next.prevHash, first.hash);
+  assert.deepEqual((await log.verify()).brokenAt, { line: 2, seq: null, reason: 'Unreadable line' });
+
+  const bad = newLog();
+  fs.writeFileSync(bad.file, 'not json\n');
+  await assert.rejects(bad.log.append({ action: 'x' }), /no readable entry to continue from/);
+});
+
+test('query: filters, newest first, paged', async () => {
+  const { log } = newLog();
+  assert.deepEqual(await log.query(), { result: [], total: 0 });
+
+  for (let i = 1; i <= 5; i++) {
+    await log.append({ user: BETH, action: 'record.update', table: 'incident', sys_id: `inc${i}`, number: `INC000000${i}`, outcome: 'success' });
+  }
+  await log.append({ user: ABEL, action: 'approval.approve', table: 'sysapproval_approver', sys_id: 'appr1', outcome: 'denied' });
+  await log.append({ user: ABEL, action: 'record.update', table: 'change_request', sys_id: 'chg1', outcome: 'conflict' });
+
+  const all = await log.query();
+  assert.equal(all.total, 7);
+  assert.deepEqual(all.result.map((e) => e.seq), [7, 6, 5, 4, 3, 2, 1]);
+
+  const page = await log.query({ table: 'incident', limit: 2, offset: 1 });
+  assert.equal(page.total, 5);
+  assert.deepEqual(page.result.map((e) => e.sys_id), ['inc4', 'inc3']);
+  const last = await log.query({ table: 'incident', limit: 2, offset: 4 });
+  assert.deepEqual(last.result.map((e) => e.sys_id), ['inc1']);
+
+  assert.equal((await log.query({ user: 'abel' })).total, 2);
+  assert.equal((await log.query({ user: BETH.sys_id })).total, 5);
+  assert.deepEqual((await log.query({ record: 'inc0000003' })).result.map((e) => e.seq), [3]);
+  assert.deepEqual((await log.query({ action: 'approval.approve' })).result.map((e) => e.sys_id), ['appr1']);
+  assert.deepEqual((await log.query({ outcome: 'conflict' })).result.map((e) => e.sys_id), ['chg1']);
+  assert.equal((await log.query({ action: 'record.update', user: 'abel' })).total, 1);
+  assert.equal((await log.query({ table: 'incid' })).total, 0, 'table is an exact match');
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal((await log.query({ from: today, to: today })).total, 7);
+  assert.equal((await log.query({ to: '2000-01-01' })).total, 0);
+});
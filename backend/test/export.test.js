@@ -0,0 +1,132 @@
+// backend/test/export.test.js
+// lib/export.js: CSV cells and the streamed XLSX zip, read back through its central directory.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { once } from 'events';
+import zlib from 'zlib';
+import { exportWriter } from '../lib/export.js';
+
+// Runs an export into memory: -> Buffer of everything written
+async function run(format, headers, batches, opts) {
+  const chunks = [];
+  const out = new Writable({
+    highWaterMark: 64,
+    write(chunk, _enc, cb) {
+      chunks.push(Buffer.from(chunk));
+      cb();
+    },
+  });
+  const x = exportWriter(out, format, headers, opts);
+  for (const rows of batches) await x.rows(rows);
+  await x.end();
+  if (!out.writableFinished) await once(out, 'finish');
+  return Buffer.concat(chunks);
+}
+
+// Entries of a zip found through its end-of-central-directory record: { name -> Buffer }
+function unzip(buf) {
+  const eocd = buf.length - 22;
+  assert.equal(buf.readUInt32LE(eocd), 0x06054b50, 'end of central directory');
+  const count = buf.readUInt16LE(eocd + 10);
+  const size = buf.readUInt32LE(eocd + 12);
+  let p = buf.readUInt32LE(eocd + 16);
+  assert.equal(p + size, eocd, 'central directory ends where the EOCD starts');
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50, 'central directory header');
+    assert.equal(buf.readUInt16LE(p + 10), 8, 'deflated');
+    const crc = buf.readUInt32LE(p + 16);
+    const csize = buf.readUInt32LE(p + 20);
+    const usize = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+
+    assert.equal(buf.readUInt32LE(local), 0x04034b50, `local header of ${name}`);
+    assert.equal(buf.toString('utf8', local + 30, local + 30 + buf.readUInt16LE(local + 26)), name);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = zlib.inflateRawSync(buf.subarray(start, start + csize));
+    assert.equal(data.length, usize, `size of ${name}`);
+    assert.equal(zlib.crc32(data), crc, `CRC of ${name}`);
+    const descriptor = start + csize;
+    assert.equal(buf.readUInt32LE(descriptor), 0x08074b50, `data descriptor of ${name}`);
+    assert.equal(buf.readUInt32LE(descriptor + 4), crc);
+
+    files[name] = data;
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return files;
+}
+
+/* ---------- CSV ---------- */
+test('csv: BOM, CRLF lines and quoting', async () => {
+  const text = (await run('csv', ['Number', 'Description'], [
+    [['INC0010001', 'plain'], ['INC0010002', 'has, comma']],
+    [],
+    [['INC0010003', 'say "hi"\nthen go'], [null, undefined]],
+  ])).toString('utf8');
+  assert.equal(text,
+    '\uFEFFNumber,Description\r\n' +
+    'INC0010001,plain\r\n' +
+    'INC0010002,"has, comma"\r\n' +
+    'INC0010003,"say ""hi""\nthen go"\r\n' +
+    ',\r\n');
+});
+
+test('csv: cells that start like a formula are defused', async () => {
+  const cells = ['=1+1', '+SUM(A1:A2)', '-2+3', '@cmd', '\t=1', '\r=1', '=HYPERLINK("http://x","y")', 'a=b', '2-1'];
+  const text = (await run('csv', ['Value'], [cells.map((c) => [c])])).toString('utf8');
+  const lines = text.replace(/^\uFEFF/, '').split('\r\n').slice(1, -1);
+  assert.deepEqual(lines, [
+    "'=1+1",
+    "'+SUM(A1:A2)",
+    "'-2+3",
+    "'@cmd",
+    "'\t=1",
+    "\"'\r=1\"",
+    "\"'=HYPERLINK(\"\"http://x\"\",\"\"y\"\")\"",
+    'a=b',
+    '2-1',
+  ]);
+});
+
+test('csv: headers are written even without rows', async () => {
+  assert.equal((await run('csv', ['Number'], [])).toString('utf8'), '\uFEFFNumber\r\n');
+});
+
+/* ---------- XLSX ---------- */
+test('xlsx: a valid zip whose sheet holds the header and every row', async () => {
+  const many = Array.from({ length: 500 }, (_, i) => [`INC${String(i).padStart(7, '0')}`, 'x'.repeat(i % 40)]);
+  const buf = await run('xlsx', ['Number', 'Short description'], [
+    [['INC0010001', 'Printer <on fire> & "smoking"'], ['INC0010002', 'bell\u0007 and =1+1']],
+    many,
+  ], { sheet: 'Incidents: open/mine' });
+  const files = unzip(buf);
+
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml', 'xl/worksheets/sheet1.xml',
+  ]);
+  assert.match(files['xl/workbook.xml'].toString('utf8'), /<sheet name="Incidents  open mine" sheetId="1"/);
+
+  const sheet = files['xl/worksheets/sheet1.xml'].toString('utf8');
+  assert.ok(sheet.endsWith('</sheetData></worksheet>'));
+  const rows = [...sheet.matchAll(/<row>(.*?)<\/row>/g)].map(([, r]) =>
+    [...r.matchAll(/<t xml:space="preserve">(.*?)<\/t>/g)].map(([, t]) => t));
+  assert.equal(rows.length, 503);
+  assert.deepEqual(rows[0], ['Number', 'Short description']);
+  assert.match(sheet, /<row><c t="inlineStr" s="1">/, 'bold header');
+  assert.deepEqual(rows[1], ['INC0010001', 'Printer &lt;on fire&gt; &amp; &quot;smoking&quot;']);
+  assert.deepEqual(rows[2], ['INC0010002', 'bell and =1+1'], 'control characters dropped, formulas stay text');
+  assert.deepEqual(rows[502], many[499]);
+});
+
+test('xlsx: an empty export is still a workbook with its header row', async () => {
+  const sheet = unzip(await run('xlsx', ['Number'], []))['xl/worksheets/sheet1.xml'].toString('utf8');
+  assert.match(sheet, /<sheetData><row><c t="inlineStr" s="1"><is><t xml:space="preserve">Number<\/t><\/is><\/c><\/row><\/sheetData>/);
+});
@@ -0,0 +1,110 @@
+// backend/test/query.test.js
+// lib/query.js: escaping and composition of encoded queries.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodedQuery, scopedQuery, cond, escapeValue, TEXT_QUERY } from '../lib/query.js';
+
+const rejects400 = (fn, message) =>
+  assert.throws(fn, (e) => e.httpStatus === 400 && (!message || message.test(e.message)));
+
+test('carets in values are doubled, so ^OR / ^NQ stay part of the value', () => {
+  assert.equal(escapeValue('x^ORactive=false'), 'x^^ORactive=false');
+  assert.equal(escapeValue('a^NQsys_id!=b'), 'a^^NQsys_id!=b');
+  assert.equal(
+    encodedQuery().where('user_name', '=', 'bob^ORuser_name!=bob').where('active', '=', 'true').toString(),
+    'user_name=bob^^ORuser_name!=bob^active=true'
+  );
+  assert.equal(cond('name', 'LIKE', '^NQ'), 'nameLIKE^^NQ');
+});
+
+test('empty values become empty strings', () => {
+  assert.equal(escapeValue(null), '');
+  assert.equal(escapeValue(undefined), '');
+  assert.equal(cond('assigned_to', '=', ''), 'assigned_to=');
+});
+
+test('CR/LF in values are flattened to a space', () => {
+  assert.equal(escapeValue('line1\r\nline2\nline3'), 'line1 line2 line3');
+  assert.equal(cond('short_description', 'LIKE', 'a\r\n^NQb'), 'short_descriptionLIKEa ^^NQb');
+});
+
+test('javascript: values are rejected, whatever the case or leading whitespace', () => {
+  for (const v of ['javascript:gs.getUserID()', 'JavaScript:1', '  javascript:x', '\tJAVASCRIPT:x', '\r\njavascript:x']) {
+    rejects400(() => escapeValue(v), /Unsupported query value/);
+  }
+  rejects400(() => encodedQuery().where('assigned_to', '=', ' javaScript:gs.getUserID()'));
+  rejects400(() => encodedQuery().in('sys_id', ['a', 'javascript:x']));
+  // Only a prefix is code; the word elsewhere is plain text
+  assert.equal(escapeValue('about javascript: tips'), 'about javascript: tips');
+});
+
+test('IN lists join with commas, skip empties and refuse values containing commas', () => {
+  assert.equal(cond('state', 'IN', ['1', 2, null, '', '3']), 'stateIN1,2,3');
+  assert.equal(cond('state', 'NOT IN', '6'), 'stateNOT IN6');
+  assert.equal(cond('sys_id', 'IN', ['a^b']), 'sys_idINa^^b');
+  rejects400(() => cond('sys_id', 'IN', ['a', 'b,c']), /commas/);
+  rejects400(() => encodedQuery().notIn('state', ['6,7']), /commas/);
+});
+
+test('field names must be plain or dot-walked identifiers', () => {
+  assert.equal(cond('caller_id.department.name', '=', 'IT'), 'caller_id.department.name=IT');
+  for (const f of ['state^ORactive', 'a b', 'a.', '.a', 'a..b', 'a=b', '', null, 'javascript:x']) {
+    rejects400(() => cond(f, '=', '1'), /Invalid query field/);
+  }
+  rejects400(() => encodedQuery().orderBy('number^NQactive'), /Invalid query field/);
+  assert.equal(cond(TEXT_QUERY, '=', 'printer'), `${TEXT_QUERY}=printer`);
+});
+
+test('operators must come from the whitelist (case-insensitive)', () => {
+  assert.equal(cond('number', 'like', 'INC'), 'numberLIKEINC');
+  assert.equal(cond('assigned_to', 'isempty'), 'assigned_toISEMPTY');
+  assert.equal(cond('assigned_to', 'ISNOTEMPTY', 'ignored'), 'assigned_toISNOTEMPTY');
+  for (const op of ['^OR', 'BETWEEN', 'DYNAMIC', '=^NQ', '', null, 'SAMEAS']) {
+    rejects400(() => cond('state', op, '1'), /Invalid query operator/);
+  }
+});
+
+test('orWhere and whereAny build OR groups inside an AND', () => {
+  assert.equal(
+    encodedQuery().where('active', '=', 'true').where('state', '=', '1').orWhere('state', '=', '2').toString(),
+    'active=true^state=1^ORstate=2'
+  );
+  assert.equal(
+    encodedQuery().whereAny([['assigned_to', 'ISEMPTY'], ['assigned_to', '=', 'me']]).where('active', '=', 'true').toString(),
+    'assigned_toISEMPTY^ORassigned_to=me^active=true'
+  );
+  assert.equal(encodedQuery().whereAny([]).toString(), '');
+  rejects400(() => encodedQuery().orWhere('state', '=', '1'), /preceding condition/);
+});
+
+test('nq() starts a new OR-ed query; empty branches and leading nq() are dropped', () => {
+  const q = encodedQuery()
+    .nq()
+    .where('state', '=', '1')
+    .nq()
+    .nq()
+    .where('state', '=', '2')
+    .orderBy('number', 'desc')
+    .orderBy('sys_created_on');
+  assert.equal(q.toString(), 'state=1^NQstate=2^ORDERBYDESCnumber^ORDERBYsys_created_on');
+  assert.equal(encodedQuery().isEmptyQuery(), true);
+  assert.equal(encodedQuery().nq().isEmptyQuery(), true);
+  assert.equal(encodedQuery().orderBy('number').toString(), 'ORDERBYnumber');
+});
+
+test('text() escapes the keywords', () => {
+  assert.equal(encodedQuery().text('vpn ^NQ down').toString(), `${TEXT_QUERY}=vpn ^^NQ down`);
+});
+
+test('scopedQuery repeats the base conditions in every ^NQ branch', () => {
+  const q = scopedQuery(
+    [['state', 'NOT IN', ['6', '7']], [['priority', '=', '1'], ['priority', '=', '2']]],
+    [[['assigned_to', '=', 'me']], [['assigned_to', 'ISEMPTY'], ['assignment_group', 'ISEMPTY']]]
+  );
+  assert.equal(
+    q.toString(),
+    'stateNOT IN6,7^priority=1^ORpriority=2^assigned_to=me' +
+    '^NQstateNOT IN6,7^priority=1^ORpriority=2^assigned_toISEMPTY^assignment_groupISEMPTY'
+  );
+});
@@ -0,0 +1,144 @@
+// backend/test/rateLimit.test.js
+// lib/rateLimit.js: the sign-in throttle and the request rate limiter.
+
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoginThrottle, createRateLimiter } from '../lib/rateLimit.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Runs fn with Date under test control; advance(ms) moves the clock
+function withClock(fn) {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T09:00:00Z') });
+  try {
+    fn((ms) => mock.timers.tick(ms));
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+const beth = { username: 'beth.anglin', ip: '10.0.0.1' };
+
+/* ---------- Sign-in throttle ---------- */
+test('free attempts, then a doubling delay per username', () => {
+  withClock((advance) => {
+    const throttle = createLoginThrottle({ freeAttempts: 3, baseDelayMs: SECOND, maxDelayMs: 4 * SECOND });
+    for (let i = 0; i < 3; i++) assert.equal(throttle.check(beth).allowed, true);
+
+    assert.deepEqual(throttle.check(beth), { allowed: false, retryAfterMs: SECOND, locked: false });
+    assert.equal(throttle.check({ ...beth, username: ' Beth.Anglin ' }).allowed, false, 'usernames are normalised');
+    advance(SECOND);
+    assert.equal(throttle.check(beth).allowed, true);
+    assert.equal(throttle.check(beth).retryAfterMs, 2 * SECOND);
+    advance(2 * SECOND);
+    assert.equal(throttle.check(beth).allowed, true);
+    advance(4 * SECOND);
+    assert.equal(throttle.check(beth).allowed, true);
+    assert.equal(throttle.check(beth).retryAfterMs, 4 * SECOND, 'capped at maxDelayMs');
+
+    assert.equal(throttle.check({ username: 'abel.tuter', ip: '10.0.0.2' }).allowed, true, 'other users are not held back');
+  });
+});
+
+test('attempts are counted before they settle, so a parallel burst is held back', () => {
+  withClock(() => {
+    const throttle = createLoginThrottle({ freeAttempts: 3 });
+    const results = Array.from({ length: 6 }, () => throttle.check(beth).allowed);
+    assert.deepEqual(results, [true, true, true, false, false, false]);
+  });
+});
+
+test('too many attempts on a username lock it; a success settles the attempt', () => {
+  withClock((advance) => {
+    const throttle = createLoginThrottle({ freeAttempts: 100, lockoutAfter: { user: 3, ip: 50 }, lockoutMs: 15 * MINUTE });
+    for (let i = 0; i < 2; i++) throttle.check(beth);
+    assert.equal(throttle.check(beth).allowed, true);
+    throttle.succeeded(beth);
+    assert.equal(throttle.check(beth).allowed, true, 'a success clears the username');
+
+    for (let i = 0; i < 2; i++) throttle.check(beth);
+    assert.deepEqual(throttle.check(beth), { allowed: false, retryAfterMs: 15 * MINUTE, locked: true });
+    advance(15 * MINUTE + 1);
+    assert.equal(throttle.check(beth).allowed, true);
+  });
+});
+
+test('one IP trying many usernames is locked; released attempts do not count', () => {
+  withClock(() => {
+    const throttle = createLoginThrottle({ lockoutAfter: { user: 10, ip: 4 } });
+    const from = (username) => ({ username, ip: '10.0.0.9' });
+    for (const u of ['a', 'b', 'c']) assert.equal(throttle.check(from(u)).allowed, true);
+    throttle.release(from('c'));
+    assert.equal(throttle.check(from('d')).allowed, true);
+    assert.equal(throttle.check(from('e')).allowed, true);
+    assert.equal(throttle.check(from('f')).locked, true);
+    assert.equal(throttle.check({ username: 'f', ip: '10.0.0.10' }).allowed, true, 'other IPs are not locked');
+  });
+});
+
+test('failures older than the window are forgotten', () => {
+  withClock((advance) => {
+    const throttle = createLoginThrottle({ freeAttempts: 1, windowMs: 15 * MINUTE });
+    throttle.check(beth);
+    assert.equal(throttle.check(beth).allowed, false);
+    advance(15 * MINUTE + 1);
+    assert.equal(throttle.check(beth).allowed, true);
+    assert.equal(throttle.check(beth).retryAfterMs, SECOND, 'counting starts over');
+  });
+});
+
+/* ---------- Request rate limiter ---------- */
+function call(limiter, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(h, v) {
+      Object.assign(this.headers, typeof h === 'string' ? { [h]: v } : h);
+      return this;
+    },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  limiter(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('rate limiter: counts per key per window and answers 429 with Retry-After', () => {
+  withClock((advance) => {
+    const limiter = createRateLimiter({ windowMs: MINUTE, max: 2 });
+    const a = { ip: '10.0.0.1' };
+
+    const first = call(limiter, a);
+    assert.equal(first.passed, true);
+    assert.deepEqual(first.res.headers, { 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '60' });
+    assert.equal(call(limiter, a).passed, true);
+
+    advance(15 * SECOND);
+    const over = call(limiter, a);
+    assert.equal(over.passed, false);
+    assert.equal(over.res.statusCode, 429);
+    assert.equal(over.res.headers['Retry-After'], '45');
+    assert.equal(over.res.headers['RateLimit-Remaining'], '0');
+    assert.deepEqual(over.res.body.error, { message: 'Too many requests', detail: 'Try again in 45 seconds' });
+    assert.equal(call(limiter, { ip: '10.0.0.2' }).passed, true, 'keys are counted separately');
+
+    advance(45 * SECOND);
+    assert.equal(call(limiter, a).passed, true, 'a new window');
+  });
+});
+
+test('rate limiter: custom keys, skipped requests and max 0', () => {
+  const byUser = createRateLimiter({ max: 1, key: (req) => req.user, skip: (req) => req.health });
+  assert.equal(call(byUser, { user: 'beth', ip: '1' }).passed, true);
+  assert.equal(call(byUser, { user: 'beth', ip: '2' }).passed, false);
+  assert.equal(call(byUser, { user: 'abel', ip: '1' }).passed, true);
+  const skipped = call(byUser, { user: 'beth', health: true });
+  assert.equal(skipped.passed, true);
+  assert.deepEqual(skipped.res.headers, {});
+
+  const off = createRateLimiter({ max: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(call(off, { ip: '1' }).passed, true);
+});
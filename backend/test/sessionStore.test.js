@@ -0,0 +1,147 @@
+// backend/test/sessionStore.test.js
+// lib/sessionStore.js: tokens, timeouts, rotation and the file store.
+
+import test, { after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessionStore } from '../lib/sessionStore.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-portal-sessions-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const MINUTE = 60 * 1000;
+const BETH = {
+  user: { user_name: 'beth.anglin', name: 'Beth Anglin' },
+  userSysId: '46d44a23a9fe19810012d100cca80666',
+  groups: ['287ebd7da9fe198100f92cc8d1d2154e'],
+  ip: '127.0.0.1',
+  userAgent: 'node',
+};
+const beth = (via = 'admin', creds = null) => ({ ...BETH, via, creds });
+
+// Runs fn with Date under test control; advance(ms) moves the clock
+async function withClock(fn) {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T09:00:00Z') });
+  try {
+    await fn((ms) => mock.timers.tick(ms));
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('unknown drivers and a file store without a secret are refused', () => {
+  assert.throws(() => createSessionStore({ driver: 'redis' }), /Unknown SESSION_STORE/);
+  assert.throws(() => createSessionStore({ driver: 'file', file: path.join(tmp, 'x.json') }), /SESSION_SECRET is required/);
+});
+
+test('access tokens resolve to the session until they expire; refresh issues a new pair', async () => {
+  await withClock(async (advance) => {
+    const store = createSessionStore({ accessMs: 15 * MINUTE });
+    const issued = await store.create(beth());
+    assert.equal(issued.expiresAt, '2026-01-05T09:15:00.000Z');
+
+    const session = await store.get(issued.token);
+    assert.equal(session.sid, issued.sid);
+    assert.equal(session.userSysId, BETH.userSysId);
+    assert.deepEqual(session.groups, BETH.groups);
+    assert.equal(await store.get('made-up'), null);
+    assert.equal(await store.get(issued.refreshToken), null, 'a refresh token is not an access token');
+
+    advance(16 * MINUTE);
+    assert.equal(await store.get(issued.token), null);
+
+    const next = await store.refresh(issued.refreshToken);
+    assert.equal(next.sid, issued.sid);
+    assert.notEqual(next.token, issued.token);
+    assert.notEqual(next.refreshToken, issued.refreshToken);
+    assert.equal((await store.get(next.token)).sid, issued.sid);
+  });
+});
+
+test('presenting a rotated refresh token ends the session', async () => {
+  const store = createSessionStore();
+  const issued = await store.create(beth());
+  const next = await store.refresh(issued.refreshToken);
+  assert.equal(await store.refresh(issued.refreshToken), null);
+  assert.equal(await store.get(next.token), null);
+  assert.equal(await store.refresh(next.refreshToken), null);
+  assert.equal(await store.refresh(''), null);
+});
+
+test('idle and absolute timeouts', async () => {
+  await withClock(async (advance) => {
+    const store = createSessionStore({ idleMs: 30 * MINUTE, absoluteMs: 60 * MINUTE, accessMs: 15 * MINUTE });
+    const idle = await store.create(beth());
+    advance(31 * MINUTE);
+    assert.equal(await store.refresh(idle.refreshToken), null, 'idle too long');
+
+    let { refreshToken } = await store.create(beth());
+    for (let i = 0; i < 3; i++) {
+      advance(20 * MINUTE);
+      ({ refreshToken } = await store.refresh(refreshToken));
+    }
+    advance(1);
+    assert.equal(await store.refresh(refreshToken), null, 'past the absolute timeout');
+    assert.deepEqual(await store.list(), []);
+  });
+});
+
+test('a token that expires while waiting for the file lock is refused', async () => {
+  const file = path.join(tmp, 'race.json');
+  const store = createSessionStore({ driver: 'file', file, secret: 's' });
+  const { token, sid } = await store.create(beth());
+
+  // Last seen two minutes ago, so get() takes the update path
+  const edit = (fn) => {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fn(state.sessions[sid]);
+    fs.writeFileSync(file, JSON.stringify(state));
+  };
+  edit((rec) => { rec.lastSeenAt -= 2 * MINUTE; });
+
+  fs.writeFileSync(`${file}.lock`, '');
+  const pending = store.get(token);
+  await new Promise((r) => setTimeout(r, 100));
+  edit((rec) => { rec.accessExpiresAt = rec.createdAt; });
+  fs.unlinkSync(`${file}.lock`);
+  assert.equal(await pending, null);
+});
+
+test('revokeRefresh ends a session by its current or previous refresh token', async () => {
+  const store = createSessionStore();
+  const one = await store.create(beth());
+  assert.equal(await store.revokeRefresh(one.refreshToken), true);
+  assert.equal(await store.get(one.token), null);
+  assert.equal(await store.revokeRefresh(one.refreshToken), false);
+
+  const two = await store.create(beth());
+  await store.refresh(two.refreshToken);
+  assert.equal(await store.revokeRefresh(two.refreshToken), true);
+  assert.deepEqual(await store.list(), []);
+  assert.equal(await store.revokeRefresh(''), false);
+});
+
+test('file store: shared between stores, credentials sealed, tokens only as hashes', async () => {
+  const file = path.join(tmp, 'sessions.json');
+  const one = createSessionStore({ driver: 'file', file, secret: 's' });
+  const two = createSessionStore({ driver: 'file', file, secret: 's' });
+  const issued = await one.create(beth('user', { username: 'beth.anglin', password: 'hunter2' }));
+
+  assert.deepEqual((await two.get(issued.token)).creds, { username: 'beth.anglin', password: 'hunter2' });
+  const text = fs.readFileSync(file, 'utf8');
+  for (const secret of ['hunter2', issued.token, issued.refreshToken]) assert.ok(!text.includes(secret));
+
+  const other = createSessionStore({ driver: 'file', file, secret: 'other' });
+  assert.equal((await other.get(issued.token)).creds, null, 'wrong secret cannot unseal');
+
+  const [summary] = await two.list();
+  assert.equal(summary.sid, issued.sid);
+  assert.equal(summary.user_name, 'beth.anglin');
+  assert.ok(!('creds' in summary) && !('tokenHash' in summary));
+
+  await one.create(beth());
+  assert.equal(await two.revokeUser(BETH.userSysId), 2);
+  assert.deepEqual(await one.list(), []);
+});
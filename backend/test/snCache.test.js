@@ -0,0 +1,66 @@
+// backend/test/snCache.test.js
+// lib/snCache.js: keys, tags and the file store.
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSnCache } from '../lib/snCache.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-portal-cache-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const PATH = '/api/now/table/incident/1c741bd70b2322007518478d83673af3?sysparm_fields=number';
+
+test('keys are an HMAC of the account and request under the secret', () => {
+  const a = createSnCache({ secret: 'one' });
+  const b = createSnCache({ secret: 'one' });
+  assert.match(a.key('beth.anglin', PATH), /^[0-9a-f]{64}$/);
+  assert.equal(a.key('beth.anglin', PATH), b.key('beth.anglin', PATH));
+  assert.notEqual(a.key('beth.anglin', PATH), a.key('abel.tuter', PATH));
+  assert.notEqual(a.key('beth.anglin', PATH), a.key('beth.anglin', PATH, 'total'));
+  assert.notEqual(a.key('beth.anglin', PATH), createSnCache({ secret: 'two' }).key('beth.anglin', PATH));
+  // Without a secret the memory store makes up its own
+  assert.notEqual(createSnCache().key('beth.anglin', PATH), createSnCache().key('beth.anglin', PATH));
+});
+
+test('the file store needs a secret', () => {
+  assert.throws(() => createSnCache({ driver: 'file', dir: tmp }), /SN_CACHE_SECRET is required/);
+  assert.throws(() => createSnCache({ driver: 'redis' }), /Unknown SN_CACHE_STORE/);
+});
+
+test('file store: entries are named by key and shared between caches on one directory', async () => {
+  const dir = path.join(tmp, 'shared');
+  const one = createSnCache({ driver: 'file', dir, secret: 's' });
+  const two = createSnCache({ driver: 'file', dir, secret: 's' });
+  const key = one.key('beth.anglin', PATH);
+  let loads = 0;
+  const load = async () => ({ result: { number: 'INC0010001', n: ++loads } });
+
+  assert.deepEqual(await one.fetch(key, ['rec:x'], 60000, load), { result: { number: 'INC0010001', n: 1 } });
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'entries')), [`${key}.json`]);
+  assert.equal((await two.fetch(key, ['rec:x'], 60000, load)).result.n, 1, 'read from the other cache');
+
+  await two.invalidate(['rec:x']);
+  assert.equal((await one.fetch(key, ['rec:x'], 60000, load)).result.n, 2, 'dropped by the tag');
+});
+
+test('memory store: hits, tag invalidation and shared in-flight loads', async () => {
+  const cache = createSnCache({ secret: 's' });
+  const key = cache.key('beth.anglin', PATH);
+  let loads = 0;
+  const load = async () => ({ n: ++loads });
+
+  const get = () => cache.fetch(key, ['table:incident'], 60000, load);
+  const [x, y] = await Promise.all([get(), get()]);
+  assert.deepEqual([x.n, y.n], [1, 1]);
+  x.n = 99;
+  assert.equal((await get()).n, 1, 'callers get their own copy');
+
+  await cache.invalidate(['table:incident']);
+  assert.equal((await get()).n, 2);
+  const stats = await cache.stats();
+  assert.equal(stats.shared, 1);
+  assert.equal(stats.hits, 1);
+});
@@ -1,17 +1,42 @@
 import React, { useState } from "react";
 import {
   login,
+  logout,
+  setAuthListener,
   listIncidents,
   listTasks,
   listApprovals,
   getRecord,
+  createRecord,
   updateRecord,
   searchUsers,
   searchGroups,
   getApprovalDetails,
+  getApprovalHistory,
+  listDelegations,
+  createDelegation,
+  endDelegation,
   actOnApproval,
-  getChangeDetails,
   getActivity,
+  subscribeChanges,
+  listAttachments,
+  getSlas,
+  getRecordSlas,
+  uploadAttachments,
+  fetchAttachment,
+  deleteAttachment,
+  bulkUpdate,
+  bulkDecide,
+  listViews,
+  createView,
+  updateView,
+  deleteView,
+  globalSearch,
+  getDashboard,
+  exportList,
+  exportActivity,
+  queryAudit,
+  verifyAudit,
 } from "./api";
 
 /* ===== Helpers ===== */
@@ -21,7 +46,6 @@ const vv = (x) => (x && typeof x === "object" && "value" in x ? x.value : x);
 const realId = (x) => (x && typeof x === "object" && "value" in x ? x.value : x);
 const toId = (x) => (x && typeof x === "object" && "value" in x ? x.value : x);
 const asArray = (x) => (Array.isArray(x) ? x : x ? [x] : []);
-const contains = (s, q) => String(s || "").toLowerCase().includes(String(q || "").toLowerCase());
 
 /* State options (codes) */
 const STATE_OPTIONS = {
@@ -95,6 +119,163 @@ function normResults(res, tableType) {
   }
   return rows;
 }
+const APPROVAL_TABLE = "sysapproval_approver";
+// Approval rows reuse the Table columns: number=target, summary=state, assigned_to=approver.
+// Rows of another approver reach `meId` through a delegation.
+function approvalRows(res, meId) {
+  return asArray(res).map((r) => ({
+    sys_id: r.sys_id,
+    number: dv(r.sysapproval) || r.sys_id,
+    short_description: [
+      dv(r.state) || "Requested",
+      meId && vv(r.approver) && vv(r.approver) !== meId && `on behalf of ${dv(r.approver)}`,
+      dv(r["group.assignment_group"]) && `via ${dv(r["group.assignment_group"])}`,
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    description: "",
+    assigned_to: r.approver || null,
+    assignment_group: null,
+    state: r.state,
+    priority: null,
+    sys_class_name: "sysapproval_approver",
+    _table: "sysapproval_approver",
+  }));
+}
+const incidentRows = (res) => normResults(res, "incident");
+const taskRows = (res) => normResults(res, "task");
+
+/* ===== Server-side paged list (sort / filter / infinite scroll) ===== */
+const PAGE_SIZE = 50;
+const HIGHLIGHT_MS = 4000;
+
+function usePagedList(fetchPage, mapRows) {
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [sort, setSort] = useState({ key: "number", dir: "desc" });
+  const [filter, setFilter] = useState({ number: "", caller: "" });
+  const [view, setView] = useState(null); // { id, name, conditions } from the view switcher
+  const [loading, setLoading] = useState(false);
+  const [changed, setChanged] = useState(() => new Set());
+  const rowsRef = React.useRef(rows);
+  rowsRef.current = rows;
+  // Anything narrowing the list; the change feed can't tell whether new rows match it
+  const filteredRef = React.useRef(false);
+  filteredRef.current = Object.values(filter).some(Boolean) || !!view?.conditions?.length;
+  const reqId = React.useRef(0);
+
+  const params = React.useCallback(
+    (limit, offset) => ({
+      limit, offset, sort: sort.key, dir: sort.dir, ...filter,
+      filter: view?.conditions?.length ? JSON.stringify(view.conditions) : undefined,
+    }),
+    [sort, filter, view]
+  );
+
+  // First page; `keep` re-fetches as many rows as are already loaded (silent refresh)
+  const load = React.useCallback(
+    async (token, { keep = false } = {}) => {
+      const id = ++reqId.current;
+      const limit = keep ? Math.max(PAGE_SIZE, rowsRef.current.length) : PAGE_SIZE;
+      setLoading(true);
+      try {
+        const page = await fetchPage(token, params(limit, 0));
+        if (id !== reqId.current) return;
+        const next = mapRows(page?.result);
+        setRows(next);
+        setTotal(Number.isFinite(page?.total) ? page.total : next.length);
+      } finally {
+        if (id === reqId.current) setLoading(false);
+      }
+    },
+    [fetchPage, mapRows, params]
+  );
+
+  const loadMore = async (token) => {
+    if (loading || rowsRef.current.length >= total) return;
+    const id = ++reqId.current;
+    setLoading(true);
+    try {
+      const page = await fetchPage(token, params(PAGE_SIZE, rowsRef.current.length));
+      if (id !== reqId.current) return;
+      setRows((cur) => {
+        const seen = new Set(cur.map((r) => realId(r.sys_id)));
+        return cur.concat(mapRows(page?.result).filter((r) => !seen.has(realId(r.sys_id))));
+      });
+      if (Number.isFinite(page?.total)) setTotal(page.total);
+    } finally {
+      if (id === reqId.current) setLoading(false);
+    }
+  };
+
+  // Merge a change-feed delta { upserts, removed }: rows update in place, removed ones drop out
+  // and new ones go on top (not while a filter is active: the server didn't check them against
+  // it). Touched rows sit in `changed` for a few seconds so the table can highlight them.
+  const applyDelta = React.useCallback(
+    (delta) => {
+      if (!delta) return;
+      const upserts = new Map(mapRows(delta.upserts).map((r) => [realId(r.sys_id), r]));
+      const removed = new Set(asArray(delta.removed).map(String));
+      if (!upserts.size && !removed.size) return;
+
+      const touched = [];
+      let dropped = 0;
+      const kept = [];
+      for (const r of rowsRef.current) {
+        const id = realId(r.sys_id);
+        if (removed.has(id)) { dropped++; continue; }
+        if (upserts.has(id)) {
+          kept.push(upserts.get(id));
+          upserts.delete(id);
+          touched.push(id);
+        } else kept.push(r);
+      }
+      const added = filteredRef.current ? [] : [...upserts.values()];
+      added.forEach((r) => touched.push(realId(r.sys_id)));
+
+      const next = [...added, ...kept];
+      rowsRef.current = next;
+      setRows(next);
+      if (added.length || dropped) setTotal((t) => Math.max(0, t + added.length - dropped));
+      if (!touched.length) return;
+      setChanged((cur) => new Set([...cur, ...touched]));
+      setTimeout(() => {
+        setChanged((cur) => {
+          const rest = new Set(cur);
+          touched.forEach((id) => rest.delete(id));
+          return rest;
+        });
+      }, HIGHLIGHT_MS);
+    },
+    [mapRows]
+  );
+
+  const clear = () => {
+    reqId.current++;
+    setView(null);
+    setRows([]);
+    setTotal(0);
+    setChanged(new Set());
+  };
+
+  // What the list is showing, without paging (exports)
+  const query = React.useMemo(() => params(), [params]);
+
+  return { rows, total, sort, setSort, filter, setFilter, view, setView, query, loading, changed, load, loadMore, applyDelta, clear };
+}
+
+// (Re)load a list from the first page whenever its sort or filter changes
+function useListLoader(list, token, setErr) {
+  const { load } = list;
+  React.useEffect(() => {
+    if (!token) return;
+    load(token).catch((e) => {
+      console.error(e);
+      setErr("Failed to load open items: " + e.message);
+    });
+  }, [token, load, setErr]);
+}
+
 function inferTable(row, fallback) {
   const cls = vv(row?.sys_class_name);
   if (typeof cls === "string" && cls.trim()) return cls;
@@ -108,13 +289,58 @@ function inferTable(row, fallback) {
 const ErrorBanner = ({ text }) =>
   !text ? null : <div className="error">{text}</div>;
 
+// Hand a downloaded Blob to the browser as a file
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "Export CSV / XLSX"; `load(format)` resolves to { blob, fileName } (api.js exports)
+function ExportButtons({ load, setErr }) {
+  const [busy, setBusy] = useState("");
+  const run = async (format) => {
+    setBusy(format);
+    try {
+      const { blob, fileName } = await load(format);
+      saveBlob(blob, fileName);
+    } catch (e) {
+      setErr("Export failed: " + (e?.message || e));
+    } finally {
+      setBusy("");
+    }
+  };
+  return (
+    <div className="export-buttons">
+      {["csv", "xlsx"].map((f) => (
+        <button key={f} type="button" className="btn-secondary" disabled={!!busy} onClick={() => run(f)}>
+          {busy === f ? "Exporting…" : `Export ${f.toUpperCase()}`}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 const stateChip = (val) => <span className="badge">{dv(val) ?? "—"}</span>;
 const priorityChip = (val) => (
   <span className="badge">{dv(val) || vv(val) || "—"}</span>
 );
 
-const Table = React.memo(function Table({ rows, onOpen }) {
-  const [sort, setSort] = React.useState({ key: "number", dir: "desc" });
+// With `onSort` the parent owns sorting (server-side) and rows arrive pre-sorted;
+// `total` + `onLoadMore` page in more rows as the list is scrolled to the bottom.
+// `changed` holds sys_ids to highlight (rows just updated by the change feed).
+// With `selected` (a Set of sys_ids) rows get checkboxes; `onSelect(rows, on)` (un)ticks them.
+// With `slas` (Map sys_id -> active SLAs, see useSlas) an SLA column counts down to `now`; it
+// sorts the loaded rows locally, as ServiceNow can't order a list by its task_sla rows.
+const Table = React.memo(function Table({ rows, onOpen, sort: sortProp, onSort, total, onLoadMore, loading, changed, selected, onSelect, slas, now }) {
+  const [localSort, setLocalSort] = React.useState({ key: "number", dir: "desc" });
+  const [slaDir, setSlaDir] = React.useState(null);
+  const sort = slaDir && slas ? { key: "sla", dir: slaDir } : sortProp || localSort;
 
   const normText = (v) => String(v ?? "").toLowerCase();
   const pad = (n, w = 10) => {
@@ -149,7 +375,18 @@ const Table = React.memo(function Table({ rows, onOpen }) {
 
   const items = React.useMemo(() => {
     const arr = rows.slice();
-    if (sort.key) {
+    if (sort.key === "sla") {
+      const urgency = new Map(arr.map((r) => [r, slaUrgency(slas?.get(realId(r.sys_id)), now)]));
+      // Rows without an active SLA go last either way
+      arr.sort((a, b) => {
+        const A = urgency.get(a);
+        const B = urgency.get(b);
+        if (A === B) return 0;
+        if (A === Infinity) return 1;
+        if (B === Infinity) return -1;
+        return sort.dir === "asc" ? A - B : B - A;
+      });
+    } else if (sort.key && !onSort) {
       arr.sort((a, b) => {
         const A = getSortKey(a, sort.key);
         const B = getSortKey(b, sort.key);
@@ -161,14 +398,30 @@ const Table = React.memo(function Table({ rows, onOpen }) {
       });
     }
     return arr;
-  }, [rows, sort.key, sort.dir]);
+  }, [rows, sort.key, sort.dir, onSort, slas, now]);
 
   const toggleSort = (key) => {
-    setSort((s) =>
-      s.key === key
-        ? { key, dir: s.dir === "asc" ? "desc" : "asc" }
-        : { key, dir: "asc" }
-    );
+    if (key === "sla") {
+      setSlaDir(sort.key === "sla" && sort.dir === "asc" ? "desc" : "asc");
+      return;
+    }
+    setSlaDir(null);
+    const next =
+      sort.key === key
+        ? { key, dir: sort.dir === "asc" ? "desc" : "asc" }
+        : { key, dir: "asc" };
+    if (onSort) onSort(next);
+    else setLocalSort(next);
+  };
+
+  const hasMore = !!onLoadMore && Number.isFinite(total) && rows.length < total;
+  const selectable = !!selected && !!onSelect;
+  const allSelected = selectable && items.length > 0 && items.every((r) => selected.has(realId(r.sys_id)));
+  const someSelected = selectable && items.some((r) => selected.has(realId(r.sys_id)));
+  const colCount = 7 + (selectable ? 1 : 0) + (slas ? 1 : 0);
+  const onScroll = (e) => {
+    const el = e.currentTarget;
+    if (hasMore && !loading && el.scrollTop + el.clientHeight >= el.scrollHeight - 24) onLoadMore();
   };
 
   const ariaSort = (key) =>
@@ -183,9 +436,10 @@ const Table = React.memo(function Table({ rows, onOpen }) {
   };
 
   return (
-    <div className="table-wrap" style={{ maxHeight: "160px", overflowY: "auto" }}>
+    <div className="table-wrap" style={{ maxHeight: "160px", overflowY: "auto" }} onScroll={onScroll}>
       <table className="uniform-table">
         <colgroup>
+          {selectable && <col className="col-select" />}
           <col className="col-number" />
           <col className="col-summary" />
           <col className="col-caller" />
@@ -193,10 +447,22 @@ const Table = React.memo(function Table({ rows, onOpen }) {
           <col className="col-assignment-group" />
           <col className="col-status" />
           <col className="col-priority" />
+          {slas && <col className="col-sla" />}
         </colgroup>
 
         <thead>
           <tr>
+            {selectable && (
+              <th className="select-cell" style={{ position: "sticky", top: 0, background: "#e6f2ff" }}>
+                <input
+                  type="checkbox"
+                  aria-label="Select all loaded rows"
+                  checked={allSelected}
+                  ref={(el) => { if (el) el.indeterminate = someSelected && !allSelected; }}
+                  onChange={(e) => onSelect(items, e.target.checked)}
+                />
+              </th>
+            )}
             <th role="button" tabIndex={0} onClick={() => toggleSort("number")} onKeyDown={onThKey("number")} aria-sort={ariaSort("number")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Number{sortMark("number")}</th>
             <th role="button" tabIndex={0} onClick={() => toggleSort("short_description")} onKeyDown={onThKey("short_description")} aria-sort={ariaSort("short_description")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Summary{sortMark("short_description")}</th>
             <th role="button" tabIndex={0} onClick={() => toggleSort("caller_id")} onKeyDown={onThKey("caller_id")} aria-sort={ariaSort("caller_id")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Caller{sortMark("caller_id")}</th>
@@ -204,18 +470,33 @@ const Table = React.memo(function Table({ rows, onOpen }) {
             <th role="button" tabIndex={0} onClick={() => toggleSort("assignment_group")} onKeyDown={onThKey("assignment_group")} aria-sort={ariaSort("assignment_group")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Assignment Group{sortMark("assignment_group")}</th>
             <th role="button" tabIndex={0} onClick={() => toggleSort("state")} onKeyDown={onThKey("state")} aria-sort={ariaSort("state")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Status{sortMark("state")}</th>
             <th role="button" tabIndex={0} onClick={() => toggleSort("priority")} onKeyDown={onThKey("priority")} aria-sort={ariaSort("priority")} style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>Priority{sortMark("priority")}</th>
+            {slas && (
+              <th role="button" tabIndex={0} onClick={() => toggleSort("sla")} onKeyDown={onThKey("sla")} aria-sort={ariaSort("sla")} title="Time left on the most urgent active SLA (sorts the loaded rows)" style={{ position: "sticky", top: 0, background: "#e6f2ff", cursor: "pointer", userSelect: "none" }}>SLA{sortMark("sla")}</th>
+            )}
           </tr>
         </thead>
 
         <tbody>
           {items.map((r, i) => {
             const id = realId(r.sys_id);
+            const isSelected = selectable && selected.has(id);
             return (
               <tr
                 key={id}
+                className={[changed?.has(id) && "row-changed", isSelected && "row-selected"].filter(Boolean).join(" ") || undefined}
                 style={{ cursor: "pointer", backgroundColor: i % 2 ? "#f8fafc" : undefined }}
                 onClick={() => onOpen({ ...r, sys_id: id })}
               >
+                {selectable && (
+                  <td className="select-cell" onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${dv(r.number)}`}
+                      checked={isSelected}
+                      onChange={(e) => onSelect([r], e.target.checked)}
+                    />
+                  </td>
+                )}
                 <td><span className="td-trunc">{dv(r.number)}</span></td>
                 <td><span className="td-trunc">{dv(r.short_description)}</span></td>
                 <td><span className="td-trunc">{dv(r.caller_id) || "—"}</span></td>
@@ -223,24 +504,40 @@ const Table = React.memo(function Table({ rows, onOpen }) {
                 <td><span className="td-trunc">{dv(r.assignment_group) || "—"}</span></td>
                 <td><span className="td-trunc">{dv(r.state) || "—"}</span></td>
                 <td><span className="td-trunc">{dv(r.priority) || "—"}</span></td>
+                {slas && (
+                  <td><SlaCell slas={slas.get(id)} now={now} /></td>
+                )}
               </tr>
             );
           })}
-          {items.length === 0 && (
+          {items.length === 0 && !loading && (
             <tr>
-              <td colSpan="7" style={{ color: "#9ca3af", textAlign: "center", padding: 8 }}>
+              <td colSpan={colCount} style={{ color: "#9ca3af", textAlign: "center", padding: 8 }}>
                 No records
               </td>
             </tr>
           )}
+          {(hasMore || loading) && (
+            <tr>
+              <td colSpan={colCount} style={{ color: "#6b7280", textAlign: "center", padding: 8 }}>
+                {loading ? (
+                  "Loading…"
+                ) : (
+                  <button type="button" className="btn-secondary" onClick={onLoadMore}>
+                    Showing {rows.length} of {total} — load more
+                  </button>
+                )}
+              </td>
+            </tr>
+          )}
         </tbody>
       </table>
     </div>
   );
 });
 
-const Section = ({ title, count, children, searchUI }) => (
-  <div className="panel">
+const Section = ({ id, title, count, children, searchUI }) => (
+  <div className="panel" id={id}>
     <div className="section-header">
       <h2 className="section-title" style={{ textAlign: "left", margin: 0, fontSize: "16px" }}>
         <span className="section-title-blue">{title}</span>
@@ -252,6 +549,474 @@ const Section = ({ title, count, children, searchUI }) => (
   </div>
 );
 
+/* ===== SLAs (task_sla) ===== */
+// Rows from /api/sla: { task, name, stage, active, breached, percentage, breachAt, ... };
+// breachAt is a ServiceNow UTC stamp. Lists count down to it, the drawer lists every SLA.
+const SLA_BATCH = 100;                 // task ids per /api/sla call (the backend's limit)
+const SLA_REFRESH_MS = 5 * 60 * 1000;  // percentages move, so loaded SLAs are re-read now and then
+const SLA_WARNING_PCT = 75;
+
+const snMs = (stamp) => Date.parse(String(stamp || "").replace(" ", "T") + "Z") || 0;
+
+function fmtDuration(ms) {
+  const m = Math.max(0, Math.round(ms / 60000));
+  if (m >= 1440) return `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h`;
+  if (m >= 60) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return `${m}m`;
+}
+
+const slaLevel = (s) => (s.breached || s.percentage >= 100 ? "breached" : s.percentage >= SLA_WARNING_PCT ? "warning" : "ok");
+
+// Ms until the most urgent active SLA breaches (negative once breached); Infinity without one
+function slaUrgency(slas, now) {
+  const active = asArray(slas).filter((s) => s.active && s.breachAt);
+  if (!active.length) return Infinity;
+  return Math.min(...active.map((s) => (s.breached ? Math.min(snMs(s.breachAt) - now, 0) : snMs(s.breachAt) - now)));
+}
+
+function mostUrgentSla(slas, now) {
+  const active = asArray(slas).filter((s) => s.active);
+  const rank = (s) => (s.breached ? -Infinity : s.breachAt ? snMs(s.breachAt) - now : Infinity);
+  return active.sort((a, b) => rank(a) - rank(b) || b.percentage - a.percentage)[0] || null;
+}
+
+function slaText(s, now) {
+  const stage = vv(s.stage);
+  if (s.breached) {
+    const ago = now - snMs(s.breachAt);
+    return ago > 0 && s.breachAt ? `Breached ${fmtDuration(ago)} ago` : "Breached";
+  }
+  if (stage === "paused") return `Paused · ${Math.round(s.percentage)}%`;
+  return `${s.breachAt ? `${fmtDuration(snMs(s.breachAt) - now)} left · ` : ""}${Math.round(s.percentage)}%`;
+}
+
+// Current time, re-read every `ms` so countdowns move
+function useNow(ms, enabled = true) {
+  const [now, setNow] = useState(() => Date.now());
+  React.useEffect(() => {
+    if (!enabled) return;
+    const h = setInterval(() => setNow(Date.now()), ms);
+    return () => clearInterval(h);
+  }, [ms, enabled]);
+  return now;
+}
+
+// Active SLAs of the loaded rows, batched: Map task sys_id -> [sla]
+function useSlas(token, rows, enabled) {
+  const [slas, setSlas] = useState(() => new Map());
+  const [round, setRound] = useState(0);
+  const idsKey = enabled ? rows.map((r) => realId(r.sys_id)).filter(Boolean).sort().join(",") : "";
+
+  React.useEffect(() => {
+    if (!enabled) return;
+    const h = setInterval(() => setRound((n) => n + 1), SLA_REFRESH_MS);
+    return () => clearInterval(h);
+  }, [enabled]);
+
+  React.useEffect(() => {
+    if (!token || !idsKey) {
+      setSlas(new Map());
+      return;
+    }
+    let live = true;
+    const h = setTimeout(async () => {
+      const ids = idsKey.split(",");
+      const chunks = [];
+      for (let i = 0; i < ids.length; i += SLA_BATCH) chunks.push(ids.slice(i, i + SLA_BATCH));
+      try {
+        const pages = await Promise.all(chunks.map((c) => getSlas(token, c)));
+        if (!live) return;
+        const next = new Map();
+        for (const s of pages.flatMap(asArray)) next.set(s.task, [...(next.get(s.task) || []), s]);
+        setSlas(next);
+      } catch (e) {
+        // The column stays as it was; the lists themselves still work
+        console.error("SLA lookup failed", e);
+      }
+    }, 300);
+    return () => {
+      live = false;
+      clearTimeout(h);
+    };
+  }, [token, idsKey, round]);
+
+  return slas;
+}
+
+function SlaCell({ slas, now }) {
+  const s = mostUrgentSla(slas, now);
+  if (!s) return <span className="td-trunc">—</span>;
+  const all = asArray(slas).filter((x) => x.active).map((x) => `${x.name}: ${slaText(x, now)}`).join("\n");
+  return (
+    <span className={`sla-chip sla-${slaLevel(s)}`} title={all}>
+      {slaText(s, now)}
+    </span>
+  );
+}
+
+function SlaPanel({ token, table, sysId, setErr }) {
+  const [items, setItems] = useState(null);
+  const now = useNow(60000);
+
+  React.useEffect(() => {
+    if (!token || !table || !sysId) return;
+    let live = true;
+    setItems(null);
+    getRecordSlas(token, table, sysId)
+      .then((res) => live && setItems(asArray(res)))
+      .catch((e) => {
+        if (!live) return;
+        setItems([]);
+        setErr("Failed to load SLAs: " + (e?.message || e));
+      });
+    return () => { live = false; };
+  }, [token, table, sysId, setErr]);
+
+  if (!items) return <div className="history-empty">Loading…</div>;
+  if (!items.length) return <div className="history-empty">No SLAs on this record.</div>;
+  return (
+    <table className="history-table sla-table">
+      <thead>
+        <tr>
+          <th>SLA</th>
+          <th>Stage</th>
+          <th>Elapsed</th>
+          <th>Breach time (UTC)</th>
+        </tr>
+      </thead>
+      <tbody>
+        {items.map((s) => (
+          <tr key={s.sys_id} className={s.active ? "" : "sla-inactive"}>
+            <td>{s.name || "—"}</td>
+            <td>{dv(s.stage) || "—"}</td>
+            <td>
+              {s.active ? (
+                <span className={`sla-chip sla-${slaLevel(s)}`}>{slaText(s, now)}</span>
+              ) : (
+                `${Math.round(s.percentage)}%${s.breached ? " · breached" : ""}`
+              )}
+            </td>
+            <td>{s.breachAt || "—"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ===== Attachments (list / upload / preview) ===== */
+const PREVIEW_TEXT_MAX = 200 * 1024;
+const fmtBytes = (n) =>
+  n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : n >= 1024 ? `${Math.round(n / 1024)} KB` : `${n} B`;
+const isImage = (a) => /^image\/(png|jpe?g|gif|webp|bmp)$/i.test(a.content_type || "");
+const isText = (a) =>
+  /^text\//i.test(a.content_type || "") ||
+  /^application\/(json|xml)$/i.test(a.content_type || "") ||
+  /\.(log|txt|csv|json|xml|md)$/i.test(a.file_name || "");
+
+function AttachmentsPanel({ token, table, sysId, setErr }) {
+  const [items, setItems] = useState([]);
+  const [canAdd, setCanAdd] = useState(false);
+  const [maxBytes, setMaxBytes] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const [preview, setPreview] = useState(null); // { att, url?, text? }
+  const fileInput = React.useRef(null);
+
+  const load = React.useCallback(async () => {
+    if (!token || !table || !sysId) return;
+    try {
+      const res = await listAttachments(token, table, sysId);
+      setItems(res.result || []);
+      setCanAdd(!!res.canAttach);
+      setMaxBytes(Number(res.maxBytes) || 0);
+    } catch (e) {
+      setItems([]);
+      setErr("Failed to load attachments: " + (e?.message || e));
+    }
+  }, [token, table, sysId, setErr]);
+
+  React.useEffect(() => { load(); }, [load]);
+
+  // Object URLs hold the blob in memory until revoked
+  React.useEffect(() => () => { if (preview?.url) URL.revokeObjectURL(preview.url); }, [preview]);
+
+  const upload = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length || !canAdd) return;
+    const total = files.reduce((n, f) => n + f.size, 0);
+    if (maxBytes && total > maxBytes) {
+      setErr(`Attachments are limited to ${fmtBytes(maxBytes)} per upload`);
+      return;
+    }
+    setBusy(true);
+    try {
+      await uploadAttachments(token, table, sysId, files);
+      await load();
+    } catch (e) {
+      setErr("Upload failed: " + (e?.message || e));
+    } finally {
+      setBusy(false);
+      if (fileInput.current) fileInput.current.value = "";
+    }
+  };
+
+  const download = async (a) => {
+    try {
+      saveBlob(await fetchAttachment(token, a.sys_id), a.file_name || "attachment");
+    } catch (e) {
+      setErr("Download failed: " + (e?.message || e));
+    }
+  };
+
+  const openPreview = async (a) => {
+    if (!isImage(a) && !isText(a)) return download(a);
+    try {
+      const blob = await fetchAttachment(token, a.sys_id, { inline: true });
+      if (isImage(a)) {
+        setPreview({ att: a, url: URL.createObjectURL(blob) });
+      } else {
+        const text = await blob.slice(0, PREVIEW_TEXT_MAX).text();
+        setPreview({ att: a, text: blob.size > PREVIEW_TEXT_MAX ? `${text}\n… (truncated)` : text });
+      }
+    } catch (e) {
+      setErr("Preview failed: " + (e?.message || e));
+    }
+  };
+
+  const remove = async (a) => {
+    if (!window.confirm(`Delete ${a.file_name}?`)) return;
+    setBusy(true);
+    try {
+      await deleteAttachment(token, a.sys_id);
+      if (preview?.att?.sys_id === a.sys_id) setPreview(null);
+      await load();
+    } catch (e) {
+      setErr("Delete failed: " + (e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const dropProps = canAdd
+    ? {
+        onDragOver: (e) => { e.preventDefault(); setDragOver(true); },
+        onDragLeave: () => setDragOver(false),
+        onDrop: (e) => { e.preventDefault(); setDragOver(false); upload(e.dataTransfer?.files); },
+      }
+    : {};
+
+  return (
+    <div className={`attachments${dragOver ? " drag-over" : ""}`} {...dropProps}>
+      {items.length === 0 && <div className="attachments-empty">No attachments</div>}
+      {items.map((a) => (
+        <div key={a.sys_id} className="attachment-row">
+          <button className="attachment-name" onClick={() => openPreview(a)} title="Preview">
+            {a.file_name}
+          </button>
+          <span className="attachment-meta">
+            {fmtBytes(a.size_bytes)} · {a.sys_created_by} · {a.sys_created_on}
+          </span>
+          <button className="btn-secondary" onClick={() => download(a)}>Download</button>
+          {canAdd && (
+            <button className="btn-danger" onClick={() => remove(a)} disabled={busy}>Delete</button>
+          )}
+        </div>
+      ))}
+
+      {canAdd && (
+        <div className="drop-zone">
+          <span>{busy ? "Uploading…" : "Drop files here or"}</span>
+          <button className="btn-secondary" onClick={() => fileInput.current?.click()} disabled={busy}>
+            Choose files
+          </button>
+          {maxBytes > 0 && <span className="attachment-meta">max {fmtBytes(maxBytes)}</span>}
+          <input
+            ref={fileInput}
+            type="file"
+            multiple
+            style={{ display: "none" }}
+            onChange={(e) => upload(e.target.files)}
+          />
+        </div>
+      )}
+
+      {preview && (
+        <div className="attachment-preview">
+          <div className="attachment-preview-head">
+            <span>{preview.att.file_name}</span>
+            <button className="btn-secondary" onClick={() => setPreview(null)}>Close</button>
+          </div>
+          {preview.url ? (
+            <img src={preview.url} alt={preview.att.file_name} />
+          ) : (
+            <pre>{preview.text || "(empty file)"}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ===== Activity timeline ===== */
+const TIMELINE_FILTERS = [
+  { key: "work_notes", label: "Work notes" },
+  { key: "comments", label: "Comments" },
+  { key: "field", label: "Field changes" },
+];
+const COLLAPSE_CHARS = 280;
+const COLLAPSE_LINES = 4;
+
+// ServiceNow stamps are UTC "YYYY-MM-DD HH:mm:ss"
+const parseSnTime = (ts) => {
+  const d = new Date(String(ts || "").replace(" ", "T") + "Z");
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+function relTime(ts, now = Date.now()) {
+  const d = parseSnTime(ts);
+  if (!d) return String(ts || "");
+  const s = Math.round((now - d.getTime()) / 1000);
+  if (s < 45) return "just now";
+  const steps = [[60, "minute"], [24, "hour"], [30, "day"], [12, "month"]];
+  let n = s / 60;
+  for (const [size, unit] of steps) {
+    if (Math.abs(n) < size) {
+      const v = Math.max(1, Math.round(n));
+      return `${v} ${unit}${v === 1 ? "" : "s"} ago`;
+    }
+    n /= size;
+  }
+  const y = Math.max(1, Math.round(n));
+  return `${y} year${y === 1 ? "" : "s"} ago`;
+}
+const initials = (name) =>
+  String(name || "?")
+    .split(/[\s._-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((p) => p[0].toUpperCase())
+    .join("") || "?";
+
+function TimelineEntry({ entry }) {
+  const [expanded, setExpanded] = useState(false);
+  const body = entry.body || "";
+  const long = body.length > COLLAPSE_CHARS || body.split("\n").length > COLLAPSE_LINES;
+  const when = parseSnTime(entry.ts);
+  const label = TIMELINE_FILTERS.find((f) => f.key === entry.type)?.label || entry.type;
+
+  return (
+    <div className={`timeline-entry timeline-${entry.type}`}>
+      <div className="timeline-avatar" title={entry.byName || entry.by}>
+        {initials(entry.byName || entry.by)}
+      </div>
+      <div className="timeline-main">
+        <div className="timeline-head">
+          <span className="timeline-author">{entry.byName || entry.by}</span>
+          <span className="timeline-type">{label}</span>
+          <span className="timeline-time" title={when ? when.toLocaleString() : entry.ts}>
+            {relTime(entry.ts)}
+          </span>
+        </div>
+        {entry.type === "field" ? (
+          <div className="timeline-body">
+            <b>{entry.field}</b>: {entry.oldValue} → {entry.newValue}
+          </div>
+        ) : (
+          <div className={`timeline-body${long && !expanded ? " collapsed" : ""}`}>{body}</div>
+        )}
+        {long && entry.type !== "field" && (
+          <button className="timeline-more" onClick={() => setExpanded((x) => !x)}>
+            {expanded ? "Show less" : "Show more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// `onExport(format)` adds the export buttons (see ExportButtons)
+function Timeline({ entries, onExport, setErr }) {
+  const [shown, setShown] = useState(() => new Set(TIMELINE_FILTERS.map((f) => f.key)));
+  const toggle = (key) =>
+    setShown((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  const visible = (entries || []).filter((e) => shown.has(e.type));
+
+  return (
+    <div className="timeline">
+      <div className="timeline-filters">
+        {TIMELINE_FILTERS.map((f) => (
+          <label key={f.key} className={`timeline-filter${shown.has(f.key) ? " on" : ""}`}>
+            <input type="checkbox" checked={shown.has(f.key)} onChange={() => toggle(f.key)} />
+            {f.label} ({(entries || []).filter((e) => e.type === f.key).length})
+          </label>
+        ))}
+        {onExport && entries?.length > 0 && <ExportButtons load={onExport} setErr={setErr} />}
+      </div>
+      <div className="timeline-list" role="log" aria-label="Activity Stream">
+        {visible.length === 0 && <div className="timeline-empty">No activity yet</div>}
+        {visible.map((e, i) => (
+          <TimelineEntry key={e.id || `${e.ts}-${i}`} entry={e} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ===== Update conflict (someone else saved first) ===== */
+// conflict: { current, changes: [{ field, oldValue, newValue, by, ts }] } from a 409;
+// mine: { field: display value } of what this agent is trying to save.
+function ConflictDialog({ conflict, mine, busy, onReapply, onDiscard }) {
+  const changes = asArray(conflict?.changes);
+  const theirs = new Set(changes.map((c) => c.field));
+  const untouched = Object.keys(mine || {}).filter((f) => !theirs.has(f));
+
+  return (
+    <div className="conflict-scrim">
+      <div className="conflict-dialog" role="alertdialog" aria-labelledby="conflict-title">
+        <h3 id="conflict-title">This record changed while you were editing</h3>
+        <p>
+          Saved {relTime(vv(conflict?.current?.sys_updated_on))}. Review the changes before
+          saving yours on top of them.
+        </p>
+        {changes.length > 0 ? (
+          <table className="conflict-table">
+            <thead>
+              <tr><th>Field</th><th>Their change</th><th>By</th><th>Your value</th></tr>
+            </thead>
+            <tbody>
+              {changes.map((c, i) => (
+                <tr key={c.id || i} className={mine?.[c.field] !== undefined ? "conflict-overlap" : undefined}>
+                  <td>{c.field}</td>
+                  <td>{c.oldValue} → {c.newValue}</td>
+                  <td>{c.by}</td>
+                  <td>{mine?.[c.field] ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="attachment-meta">Field history isn't available; compare with the current record before re-applying.</p>
+        )}
+        {untouched.length > 0 && (
+          <p className="attachment-meta">Your other edits: {untouched.map((f) => `${f} = ${mine[f]}`).join(", ")}</p>
+        )}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: "8px" }}>
+          <button className="btn-secondary" onClick={onDiscard} disabled={busy}>
+            Discard mine & reload
+          </button>
+          <button className="btn-primary" onClick={onReapply} disabled={busy}>
+            Re-apply my changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* ===== Record Drawer ===== */
 function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
   const [loading, setLoading] = useState(false);
@@ -264,10 +1029,8 @@ function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
   const [comments, setComments] = useState("");
   const [workNotes, setWorkNotes] = useState("");
 
-  // activity text to render
-  const [activityText, setActivityText] = useState("");
-
-  const activityRef = React.useRef(null);
+  // structured activity entries (newest first)
+  const [activity, setActivity] = useState([]);
 
   // Separate edit toggles per field (lens opens/closes each)
   const [editAssignee, setEditAssignee] = useState(false);
@@ -278,6 +1041,10 @@ function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
   const [userOpts, setUserOpts] = useState([]);
   const [groupOpts, setGroupOpts] = useState([]);
 
+  // 409 from the update: { current, changes, payload, mine }; reloadKey re-fetches the record
+  const [conflict, setConflict] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
   React.useEffect(() => {
     if (!open || !recordRef || !token) return;
     (async () => {
@@ -295,11 +1062,8 @@ function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
         setAssigneeInput(String(dv(rec0.assigned_to) || ""));
         setGroupInput(String(dv(rec0.assignment_group) || ""));
 
-        // fetch activity (newest-first lines from server)
-        const activity = await getActivity(token, table, id);
-        setActivityText(activity || "");
-        setTimeout(() => { try { activityRef.current?.scrollTo?.(0, 0); } catch {} }, 0);
-        console.log('[ACTIVITY TEXT PREVIEW]', (activity || '').slice(0, 200));
+        // fetch activity (newest-first entries from server)
+        setActivity(asArray(await getActivity(token, table, id)));
         // clear composer inputs
         setComments("");
         setWorkNotes("");
@@ -315,7 +1079,7 @@ function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
         setLoading(false);
       }
     })();
-  }, [open, recordRef, token, setErr]);
+  }, [open, recordRef, token, setErr, reloadKey]);
 
   // typeahead: users (only when assignee lens is active)
   React.useEffect(() => {
@@ -362,40 +1126,80 @@ function Drawer({ open, onClose, token, recordRef, reload, setErr }) {
 const doUpdate = async () => {
   if (!rec) return;
   setLoading(true);
-  try {
-    const table = rec._table || inferTable(rec);
-    const id = realId(rec.sys_id);
-
-    const wn = (workNotes || "").trim();
-    const ac = (comments || "").trim();
-
-    const payload = {
-      state: stateVal || undefined,
-      impact: impactVal || undefined,
-      urgency: urgencyVal || undefined,
-      assigned_to: toId(rec.assigned_to) || undefined,
-      assignment_group: toId(rec.assignment_group) || undefined,
-      ...(wn ? { work_notes: wn } : {}),
-      ...(ac ? { comments: ac } : {}),
-    };
+  const table = rec._table || inferTable(rec);
+  const id = realId(rec.sys_id);
+  const wn = (workNotes || "").trim();
+  const ac = (comments || "").trim();
+
+  // sys_updated_on = the version loaded; the backend refuses (409) if someone saved since
+  const payload = {
+    state: stateVal || undefined,
+    impact: impactVal || undefined,
+    urgency: urgencyVal || undefined,
+    assigned_to: toId(rec.assigned_to) || undefined,
+    assignment_group: toId(rec.assignment_group) || undefined,
+    ...(wn ? { work_notes: wn } : {}),
+    ...(ac ? { comments: ac } : {}),
+    sys_updated_on: vv(rec.sys_updated_on) || undefined,
+  };
 
+  try {
     await updateRecord(token, table, id, payload);
     await reload();
 
     // Close the drawer after successful update
     handleClose();
   } catch (e) {
+    if (e.status === 409 && e.data?.conflict) {
+      const label = (opts, v) => opts.find((o) => o.v === v)?.label || v;
+      const mine = {
+        ...(stateVal && { state: label(getStateOptions(table), stateVal) }),
+        ...(impactVal && { impact: label(IMPACT_OPTIONS, impactVal) }),
+        ...(urgencyVal && { urgency: label(URGENCY_OPTIONS, urgencyVal) }),
+        ...(toId(rec.assigned_to) && { assigned_to: dv(rec.assigned_to) }),
+        ...(toId(rec.assignment_group) && { assignment_group: dv(rec.assignment_group) }),
+      };
+      setConflict({ ...e.data.conflict, payload, mine });
+      return;
+    }
+    console.error(e);
+    setErr("Update failed: " + e.message);
+  } finally {
+    setLoading(false);
+  }
+};
+
+// Conflict: save again on top of the newer version, or throw local edits away
+const reapplyChanges = async () => {
+  if (!conflict) return;
+  const next = { ...conflict.payload, sys_updated_on: vv(conflict.current?.sys_updated_on) || undefined };
+  setConflict(null);
+  setLoading(true);
+  try {
+    await updateRecord(token, rec._table || inferTable(rec), realId(rec.sys_id), next);
+    await reload();
+    handleClose();
+  } catch (e) {
+    if (e.status === 409 && e.data?.conflict) {
+      setConflict({ ...e.data.conflict, payload: conflict.payload, mine: conflict.mine });
+      return;
+    }
     console.error(e);
     setErr("Update failed: " + e.message);
   } finally {
     setLoading(false);
   }
 };
+const discardChanges = () => {
+  setConflict(null);
+  setReloadKey((k) => k + 1);
+};
 
   const handleClose = () => {
+    setConflict(null);
     setComments("");
     setWorkNotes("");
-    setActivityText("");
+    setActivity([]);
     setEditAssignee(false);
     setEditGroup(false);
     setUserOpts([]);
@@ -422,6 +1226,15 @@ const doUpdate = async () => {
         )}
 
         {loading && <div style={{ padding: 12 }}>Loading…</div>}
+        {conflict && (
+          <ConflictDialog
+            conflict={conflict}
+            mine={conflict.mine}
+            busy={loading}
+            onReapply={reapplyChanges}
+            onDiscard={discardChanges}
+          />
+        )}
         {rec && !loading && (
           <div className="drawer-grid">
             {/* Row: Status / Priority / Impact / Urgency */}
@@ -574,19 +1387,24 @@ const doUpdate = async () => {
                 <textarea className="input readonly-field" readOnly rows={3} value={dv(rec.description) || ""} />
               </div>
 
-<div className="rlabel">Activity Stream</div>
-<div className="lvalue">
-  <div
-    ref={activityRef}
-    className="activity-stream"
-    aria-label="Activity Stream"
-    role="log"
-  >
-    <pre style={{ margin: 0, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
-      {activityText || "No activity yet"}
-    </pre>
-  </div>
-</div>
+              <div className="rlabel">Activity Stream</div>
+              <div className="lvalue">
+                <Timeline
+                  entries={activity}
+                  onExport={(format) => exportActivity(token, rec._table, rec.sys_id, format)}
+                  setErr={setErr}
+                />
+              </div>
+
+              <div className="rlabel">SLAs</div>
+              <div className="lvalue">
+                <SlaPanel token={token} table={rec._table} sysId={rec.sys_id} setErr={setErr} />
+              </div>
+
+              <div className="rlabel">Attachments</div>
+              <div className="lvalue">
+                <AttachmentsPanel token={token} table={rec._table} sysId={rec.sys_id} setErr={setErr} />
+              </div>
 
               <div className="rlabel">Work Notes (add new)</div>
               <div className="lvalue">
@@ -630,53 +1448,541 @@ const doUpdate = async () => {
   );
 }
 
-/* ===== Approval Drawer (unchanged) ===== */
-function ApprovalDrawer({ open, onClose, token, approvalRef, reloadApprovals, setErr, currentUser }) {
-  const [loading, setLoading] = React.useState(false);
-  const [approval, setApproval] = React.useState(null);
-  const [changeRec, setChangeRec] = React.useState(null);
-  const [decisionComment, setDecisionComment] = React.useState("");
-
-  // allow editing assignment (same pattern as incident drawer)
-  const [assnEditing, setAssnEditing] = React.useState(false);
-  const [assigneeInput, setAssigneeInput] = React.useState("");
-  const [groupInput, setGroupInput] = React.useState("");
-  const [userOpts, setUserOpts] = React.useState([]);
-  const [groupOpts, setGroupOpts] = React.useState([]);
+/* ===== New Record Drawer (incident create form) ===== */
+function NewRecordDrawer({ open, onClose, token, table = "incident", currentUser, onCreated, setErr }) {
+  const [busy, setBusy] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const [callerInput, setCallerInput] = useState("");
+  const [caller, setCaller] = useState(null); // picked user { sys_id, label }
+  const [shortDesc, setShortDesc] = useState("");
+  const [description, setDescription] = useState("");
+  const [impactVal, setImpactVal] = useState("3");
+  const [urgencyVal, setUrgencyVal] = useState("3");
+  const [groupInput, setGroupInput] = useState("");
+  const [group, setGroup] = useState(null); // picked group { sys_id, label }
 
-  const realUserId =
-    (currentUser && (currentUser.user_name?.display_value || currentUser.user_name)) ||
-    (currentUser && (currentUser.email?.display_value || currentUser.email)) ||
-    (currentUser && (currentUser.name?.display_value || currentUser.name)) ||
-    "unknown";
+  const [userOpts, setUserOpts] = useState([]);
+  const [groupOpts, setGroupOpts] = useState([]);
 
+  // Fresh form each time it opens; caller defaults to the signed-in user
   React.useEffect(() => {
-    if (!open || !approvalRef || !token) return;
-    (async () => {
-      setLoading(true);
-      try {
-        const id = realId(approvalRef.sys_id);
-        const det = await getApprovalDetails(token, id);
-        const appr = det?.approval || approvalRef;
-        setApproval(appr);
+    if (!open) return;
+    const me = currentUser?.sys_id
+      ? { sys_id: realId(currentUser.sys_id), label: String(dv(currentUser.name) || dv(currentUser.user_name) || "") }
+      : null;
+    setCaller(me);
+    setCallerInput(me?.label || "");
+    setShortDesc("");
+    setDescription("");
+    setImpactVal("3");
+    setUrgencyVal("3");
+    setGroup(null);
+    setGroupInput("");
+    setErrors({});
+    setUserOpts([]);
+    setGroupOpts([]);
+  }, [open, currentUser]);
 
-        const changeId = appr?.sysapproval?.value || appr?.sysapproval;
-        const changeDisp = appr?.sysapproval?.display_value || appr?.sysapproval;
-        if (changeId) {
-          let ch;
-          try {
-            ch = await getChangeDetails(token, changeId);
-          } catch {
-            // fallback if endpoint not present for any reason
-            ch = await getRecord(token, "change_request", changeId);
-          }
-          const rec = ch?.result || ch || { number: changeDisp };
-          setChangeRec(rec);
-          setAssigneeInput(String(dv(rec.assigned_to) || ""));
-          setGroupInput(String(dv(rec.assignment_group) || ""));
-        } else {
-          setChangeRec(null);
-        }
+  // typeahead: caller (only while the text differs from the picked user)
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token || !open) return;
+      if (callerInput && callerInput.length >= 2 && callerInput !== caller?.label) {
+        try { setUserOpts((await searchUsers(token, callerInput)) || []); } catch {}
+      } else setUserOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [callerInput, caller, token, open]);
+
+  // typeahead: assignment group
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token || !open) return;
+      if (groupInput && groupInput.length >= 2 && groupInput !== group?.label) {
+        try { setGroupOpts((await searchGroups(token, groupInput)) || []); } catch {}
+      } else setGroupOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [groupInput, group, token, open]);
+
+  const pickUser = (u) => {
+    const label = String(dv(u.name) || u.name || "");
+    setCaller({ sys_id: realId(u.sys_id), label });
+    setCallerInput(label);
+    setUserOpts([]);
+  };
+  const pickGroup = (g) => {
+    const label = String(dv(g.name) || g.name || "");
+    setGroup({ sys_id: realId(g.sys_id), label });
+    setGroupInput(label);
+    setGroupOpts([]);
+  };
+
+  const validate = () => {
+    const e = {};
+    if (!callerInput.trim()) e.caller = "Caller is required";
+    if (!shortDesc.trim()) e.shortDesc = "Short description is required";
+    setErrors(e);
+    return Object.keys(e).length === 0;
+  };
+
+  const doCreate = async () => {
+    if (!validate()) return;
+    setBusy(true);
+    try {
+      // Unpicked free text goes to the backend as-is and is resolved there (name / user id / email)
+      const payload = {
+        caller_id: caller && callerInput === caller.label ? caller.sys_id : callerInput.trim(),
+        short_description: shortDesc.trim(),
+        description: description.trim() || undefined,
+        impact: impactVal,
+        urgency: urgencyVal,
+        assignment_group: group && groupInput === group.label ? group.sys_id : groupInput.trim() || undefined,
+      };
+      const created = await createRecord(token, table, payload);
+      onCreated?.({ ...created, _table: table, sys_id: realId(created?.sys_id) });
+    } catch (e) {
+      console.error(e);
+      setErr("Create failed: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) return null;
+  return (
+    <div className="drawer-scrim" onClick={onClose}>
+      <div className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="header-strip">
+          <div className="header-strip-row">
+            <div className="label">New:</div>
+            <div className="value">{table === "incident" ? "Incident" : table}</div>
+          </div>
+        </div>
+
+        <div className="drawer-grid">
+          <div className="matrix4">
+            <div className="rlabel">Caller *</div>
+            <div className="lvalue" style={{ position: "relative" }}>
+              <input
+                className="input editable-field same-size"
+                value={callerInput}
+                onChange={(e) => setCallerInput(e.target.value)}
+                placeholder="Type name or user ID…"
+              />
+              {userOpts.length > 0 && (
+                <div className="options" style={{ top: "36px", left: 0, right: 0 }}>
+                  {userOpts.map((u) => (
+                    <div key={realId(u.sys_id)} className="option" onClick={() => pickUser(u)}>
+                      {dv(u.name) || "—"}{" "}
+                      <span style={{ color: "#9ca3af" }}>({dv(u.user_name)})</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {errors.caller && <div className="field-error">{errors.caller}</div>}
+            </div>
+
+            <div className="rlabel">Assignment group</div>
+            <div className="lvalue" style={{ position: "relative" }}>
+              <input
+                className="input editable-field same-size"
+                value={groupInput}
+                onChange={(e) => setGroupInput(e.target.value)}
+                placeholder="Type group name…"
+              />
+              {groupOpts.length > 0 && (
+                <div className="options" style={{ top: "36px", left: 0, right: 0 }}>
+                  {groupOpts.map((g) => (
+                    <div key={realId(g.sys_id)} className="option" onClick={() => pickGroup(g)}>
+                      {dv(g.name)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="rlabel">Impact</div>
+            <div className="lvalue">
+              <select
+                className="input editable-field same-size"
+                value={impactVal}
+                onChange={(e) => setImpactVal(e.target.value)}
+              >
+                {IMPACT_OPTIONS.map((o) => (
+                  <option key={o.v} value={o.v}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="rlabel">Urgency</div>
+            <div className="lvalue">
+              <select
+                className="input editable-field same-size"
+                value={urgencyVal}
+                onChange={(e) => setUrgencyVal(e.target.value)}
+              >
+                {URGENCY_OPTIONS.map((o) => (
+                  <option key={o.v} value={o.v}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="matrix2">
+            <div className="rlabel">Short Description *</div>
+            <div className="lvalue">
+              <input
+                className="input editable-field"
+                value={shortDesc}
+                onChange={(e) => setShortDesc(e.target.value)}
+                maxLength={160}
+              />
+              {errors.shortDesc && <div className="field-error">{errors.shortDesc}</div>}
+            </div>
+
+            <div className="rlabel">Description</div>
+            <div className="lvalue">
+              <textarea
+                className="input editable-field"
+                rows={5}
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div
+            className="actions-end"
+            style={{ display: "flex", justifyContent: "flex-end", gap: "8px", width: "100%", marginTop: "12px" }}
+          >
+            <button className="btn-primary" onClick={doCreate} disabled={busy}>
+              {busy ? "Creating…" : "Create"}
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={onClose}
+              disabled={busy}
+              style={{ backgroundColor: '#facc15', color: '#111', border: '1px solid #eab308' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===== Approval Drawer (unchanged) ===== */
+/* ===== Approval views (one per approved table) ===== */
+const APPROVAL_TARGET_LABELS = { change_request: "Change", sc_req_item: "Requested Item", sc_request: "Request" };
+const approvalTargetLabel = (table) => APPROVAL_TARGET_LABELS[table] || "Record";
+
+function ChangeApprovalView({ rec }) {
+  return (
+    <>
+      {/* Row: Type / Priority / Risk / Impact (read-only) */}
+      <div className="matrix4">
+        <div className="rlabel">Type</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.type) || "—"} />
+        </div>
+
+        <div className="rlabel">Priority</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.priority) || "—"} />
+        </div>
+
+        <div className="rlabel">Risk</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.risk) || "—"} />
+        </div>
+
+        <div className="rlabel">Impact</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.impact) || "—"} />
+        </div>
+      </div>
+
+      {/* Row: Configuration Item / Category / Planned Start / Planned End (read-only) */}
+      <div className="matrix4">
+        <div className="rlabel">Configuration Item</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.cmdb_ci) || "—"} />
+        </div>
+
+        <div className="rlabel">Category</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.category) || "—"} />
+        </div>
+
+        <div className="rlabel">Planned Start</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.start_date) || "—"} />
+        </div>
+
+        <div className="rlabel">Planned End</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.end_date) || "—"} />
+        </div>
+      </div>
+
+      {/* Row: Assigned to / Assigned group (read-only, aligned like other drawers) */}
+      <div className="matrix4">
+        <div className="rlabel">Assigned to</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.assigned_to) || "—"} />
+        </div>
+
+        <div className="rlabel">Assigned group</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.assignment_group) || "—"} />
+        </div>
+
+        {/* filler cells to complete 4-col grid */}
+        <div className="rlabel"></div>
+        <div className="lvalue"></div>
+      </div>
+
+      {/* Long read-only fields in two-column layout */}
+      <div className="matrix2">
+        <div className="rlabel">Short Description</div>
+        <div className="lvalue">
+          <input className="input readonly-field" readOnly value={dv(rec?.short_description) || ""} />
+        </div>
+
+        <div className="rlabel">Description</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.description) || ""} />
+        </div>
+
+        <div className="rlabel">Justification</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.justification) || ""} />
+        </div>
+
+        <div className="rlabel">Implementation Plan</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.implementation_plan) || ""} />
+        </div>
+
+        <div className="rlabel">Risk & Impact Analysis</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.risk_and_impact_analysis) || ""} />
+        </div>
+
+        <div className="rlabel">Backout Plan</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.backout_plan) || ""} />
+        </div>
+
+        <div className="rlabel">Test Plan</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.test_plan) || ""} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Requested item: what was ordered, for whom, and the answers given on the catalog form
+function RitmApprovalView({ rec, variables }) {
+  return (
+    <>
+      <div className="matrix4">
+        <div className="rlabel">Catalog Item</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.cat_item) || "—"} />
+        </div>
+
+        <div className="rlabel">Requested For</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.requested_for) || "—"} />
+        </div>
+
+        <div className="rlabel">Quantity</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.quantity) || "—"} />
+        </div>
+
+        <div className="rlabel">Price</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.price) || "—"} />
+        </div>
+      </div>
+
+      <div className="matrix2">
+        <div className="rlabel">Short Description</div>
+        <div className="lvalue">
+          <input className="input readonly-field" readOnly value={dv(rec?.short_description) || ""} />
+        </div>
+
+        <div className="rlabel">Description</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.description) || ""} />
+        </div>
+
+        <div className="rlabel">Variables</div>
+        <div className="lvalue">
+          {variables.length === 0 ? (
+            <span style={{ color: "#6b7280" }}>No variables on this item</span>
+          ) : (
+            <table className="variables-table">
+              <tbody>
+                {variables.map((v) => (
+                  <tr key={v.name || v.label}>
+                    <th scope="row">{v.label}</th>
+                    <td>{v.value || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Anything else (requests, incidents, tasks): the common task fields
+function TaskApprovalView({ rec }) {
+  return (
+    <>
+      <div className="matrix4">
+        <div className="rlabel">Priority</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.priority) || "—"} />
+        </div>
+
+        <div className="rlabel">Opened</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.opened_at) || "—"} />
+        </div>
+
+        <div className="rlabel">Assigned to</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.assigned_to) || "—"} />
+        </div>
+
+        <div className="rlabel">Assigned group</div>
+        <div className="lvalue">
+          <input className="input readonly-field same-size" readOnly value={dv(rec?.assignment_group) || "—"} />
+        </div>
+      </div>
+
+      <div className="matrix2">
+        <div className="rlabel">Short Description</div>
+        <div className="lvalue">
+          <input className="input readonly-field" readOnly value={dv(rec?.short_description) || ""} />
+        </div>
+
+        <div className="rlabel">Description</div>
+        <div className="lvalue">
+          <textarea className="input readonly-field" readOnly rows={3} value={dv(rec?.description) || ""} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Everyone asked to approve the same record, with their decisions and comments
+function ApprovalHistory({ token, approvalId, setErr }) {
+  const [history, setHistory] = useState(null);
+
+  React.useEffect(() => {
+    if (!token || !approvalId) return;
+    let live = true;
+    setHistory(null);
+    getApprovalHistory(token, approvalId)
+      .then((res) => live && setHistory(res))
+      .catch((e) => live && setErr("Failed to load approval history: " + (e?.message || e)));
+    return () => { live = false; };
+  }, [token, approvalId, setErr]);
+
+  if (!history) return <div className="history-empty">Loading…</div>;
+  const approvers = asArray(history.approvers);
+  const groups = asArray(history.groups);
+  return (
+    <div className="approval-history">
+      {groups.length > 0 && (
+        <div className="history-groups">
+          {groups.map((g) => (
+            <span key={g.sys_id} className="history-group">
+              {g.group || "Group"}: {stateChip(g.state)}
+            </span>
+          ))}
+        </div>
+      )}
+      {approvers.length === 0 && <div className="history-empty">No other approvals on this record.</div>}
+      {approvers.length > 0 && (
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Approver</th>
+              <th>State</th>
+              <th>Via group</th>
+              <th>Comments</th>
+              <th>Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {approvers.map((a) => (
+              <tr key={a.sys_id} className={a.sys_id === approvalId ? "history-self" : ""}>
+                <td>{dv(a.approver) || "—"}</td>
+                <td>{stateChip(a.state)}</td>
+                <td>{a.group || "—"}</td>
+                <td>
+                  {a.comments.length === 0 && "—"}
+                  {a.comments.map((c, i) => (
+                    <div key={i} className="history-comment">
+                      <span className="history-comment-meta">{c.ts} · {c.by}</span>
+                      {c.body}
+                    </div>
+                  ))}
+                </td>
+                <td>{a.updated || a.created || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function ApprovalDrawer({ open, onClose, token, approvalRef, reloadApprovals, setErr, currentUser }) {
+  const [loading, setLoading] = React.useState(false);
+  const [approval, setApproval] = React.useState(null);
+  const [target, setTarget] = React.useState(null);
+  const [targetTable, setTargetTable] = React.useState("");
+  const [variables, setVariables] = React.useState([]);
+  const [decisionComment, setDecisionComment] = React.useState("");
+
+  // allow editing assignment (same pattern as incident drawer)
+  const [assnEditing, setAssnEditing] = React.useState(false);
+  const [assigneeInput, setAssigneeInput] = React.useState("");
+  const [groupInput, setGroupInput] = React.useState("");
+  const [userOpts, setUserOpts] = React.useState([]);
+  const [groupOpts, setGroupOpts] = React.useState([]);
+
+  React.useEffect(() => {
+    if (!open || !approvalRef || !token) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const id = realId(approvalRef.sys_id);
+        const det = await getApprovalDetails(token, id);
+        const appr = det?.approval || approvalRef;
+        setApproval(appr);
+        // The backend resolves the approved record and its table in one go
+        setTargetTable(det?.targetTable || "");
+        setVariables(asArray(det?.variables));
+        const rec = det?.target || null;
+        setTarget(rec);
+        setAssigneeInput(String(dv(rec?.assigned_to) || ""));
+        setGroupInput(String(dv(rec?.assignment_group) || ""));
         setDecisionComment("");
       } catch (e) {
         console.error(e);
@@ -712,25 +2018,30 @@ function ApprovalDrawer({ open, onClose, token, approvalRef, reloadApprovals, se
   const pickUser = (u) => {
     setAssigneeInput(`${dv(u.name) || u.name} (${dv(u.user_name)})`);
     setUserOpts([]);
-    setChangeRec((r) => r ? ({ ...r, assigned_to: { value: u.sys_id, display_value: dv(u.name) || u.name } }) : r);
+    setTarget((r) => r ? ({ ...r, assigned_to: { value: u.sys_id, display_value: dv(u.name) || u.name } }) : r);
   };
   const pickGroup = (g) => {
     setGroupInput(String(dv(g.name) || g.name));
     setGroupOpts([]);
-    setChangeRec((r) => r ? ({ ...r, assignment_group: { value: g.sys_id, display_value: dv(g.name) || g.name } }) : r);
+    setTarget((r) => r ? ({ ...r, assignment_group: { value: g.sys_id, display_value: dv(g.name) || g.name } }) : r);
   };
 
-  // approve / reject with #Cont.By
+  // Set when the approval belongs to someone who delegated their approvals to this user
+  const approverId = vv(approval?.approver);
+  const onBehalfOf = approverId && currentUser?.sys_id && approverId !== realId(currentUser.sys_id)
+    ? dv(approval.approver)
+    : "";
+
+  // approve / reject; the backend appends #Cont.By: to the comment
   const doDecide = (decision) => {
     if (!approval || !token) return;
     const approvalId =
       approval?.sys_id && typeof approval.sys_id === "object" && "value" in approval.sys_id
         ? approval.sys_id.value
         : String(approval?.sys_id || "");
-    const composed = `${(decisionComment || "").trim()}${(decisionComment || "").trim() ? " " : ""}#Cont.By:${realUserId}`;
     onClose?.();
     Promise.resolve()
-      .then(() => actOnApproval(token, approvalId, decision, composed))
+      .then(() => actOnApproval(token, approvalId, decision, (decisionComment || "").trim()))
       .then(() => reloadApprovals?.())
       .catch((e) => setErr("Failed to submit decision: " + (e?.message || e)));
   };
@@ -739,121 +2050,65 @@ function ApprovalDrawer({ open, onClose, token, approvalRef, reloadApprovals, se
   return (
     <div className="drawer-scrim" onClick={onClose}>
       <div className="drawer" onClick={(e) => e.stopPropagation()}>
-        {/* Header: include Requested By */}
-        {changeRec && (
+        {/* Header: who asked for it depends on the table */}
+        {target && (
           <div className="header-strip">
             <div className="header-strip-row">
-              <div className="label">Change:</div>
-              <div className="value">{dv(changeRec.number) || "—"}</div>
-              <div className="label">Requested By:</div>
-              <div className="value">{dv(changeRec.requested_by) || "—"}</div>
+              <div className="label">{approvalTargetLabel(targetTable)}:</div>
+              <div className="value">{dv(target.number) || "—"}</div>
+              <div className="label">{targetTable === "change_request" ? "Requested By:" : "Requested For:"}</div>
+              <div className="value">{dv(target.requested_by) || dv(target.requested_for) || dv(target.caller_id) || "—"}</div>
               <div className="label">State:</div>
-              <div className="value">{dv(changeRec.state) || dv(approval?.state) || "—"}</div>
+              <div className="value">{dv(target.state) || dv(approval?.state) || "—"}</div>
             </div>
+            {onBehalfOf && (
+              <div className="header-strip-row">
+                <div className="label">On behalf of:</div>
+                <div className="value">{onBehalfOf} (delegated to you)</div>
+              </div>
+            )}
+            {dv(approval?.["group.assignment_group"]) && (
+              <div className="header-strip-row">
+                <div className="label">Group approval:</div>
+                <div className="value">Sent to {dv(approval["group.assignment_group"])}</div>
+              </div>
+            )}
           </div>
         )}
 
         {loading && <div style={{ padding: 16 }}>Loading…</div>}
         {!loading && (
           <div className="drawer-grid">
-            {/* Row: Type / Priority / Risk / Impact (read-only) */}
-            <div className="matrix4">
-              <div className="rlabel">Type</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.type) || "—"} />
-              </div>
-
-              <div className="rlabel">Priority</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.priority) || "—"} />
-              </div>
-
-              <div className="rlabel">Risk</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.risk) || "—"} />
-              </div>
-
-              <div className="rlabel">Impact</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.impact) || "—"} />
-              </div>
-            </div>
-
-            {/* Row: Configuration Item / Category / Planned Start / Planned End (read-only) */}
-            <div className="matrix4">
-              <div className="rlabel">Configuration Item</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.cmdb_ci) || "—"} />
-              </div>
-
-              <div className="rlabel">Category</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.category) || "—"} />
-              </div>
-
-              <div className="rlabel">Planned Start</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.start_date) || "—"} />
-              </div>
-
-              <div className="rlabel">Planned End</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.end_date) || "—"} />
-              </div>
-            </div>
-
-            {/* Row: Assigned to / Assigned group (read-only, aligned like other drawers) */}
-            <div className="matrix4">
-              <div className="rlabel">Assigned to</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.assigned_to) || "—"} />
-              </div>
-
-              <div className="rlabel">Assigned group</div>
-              <div className="lvalue">
-                <input className="input readonly-field same-size" readOnly value={dv(changeRec?.assignment_group) || "—"} />
+            {!target && (
+              <div className="approval-note">
+                {dv(approval?.sysapproval) || "This record"}
+                {targetTable ? ` (${targetTable})` : ""} can't be shown in the portal; you can still approve or reject it.
               </div>
+            )}
+            {target && targetTable === "change_request" && <ChangeApprovalView rec={target} />}
+            {target && targetTable === "sc_req_item" && <RitmApprovalView rec={target} variables={variables} />}
+            {target && targetTable !== "change_request" && targetTable !== "sc_req_item" && (
+              <TaskApprovalView rec={target} />
+            )}
 
-              {/* filler cells to complete 4-col grid */}
-              <div className="rlabel"></div>
-              <div className="lvalue"></div>
-            </div>
-
-            {/* Long read-only fields in two-column layout */}
             <div className="matrix2">
-              <div className="rlabel">Short Description</div>
-              <div className="lvalue">
-                <input className="input readonly-field" readOnly value={dv(changeRec?.short_description) || ""} />
-              </div>
-
-              <div className="rlabel">Description</div>
-              <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.description) || ""} />
-              </div>
-
-              <div className="rlabel">Justification</div>
-              <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.justification) || ""} />
-              </div>
-
-              <div className="rlabel">Implementation Plan</div>
-              <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.implementation_plan) || ""} />
-              </div>
-
-              <div className="rlabel">Risk & Impact Analysis</div>
-              <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.risk_and_impact_analysis) || ""} />
-              </div>
-
-              <div className="rlabel">Backout Plan</div>
-              <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.backout_plan) || ""} />
-              </div>
+              {realId(target?.sys_id) && (
+                <>
+                  <div className="rlabel">Attachments</div>
+                  <div className="lvalue">
+                    <AttachmentsPanel
+                      token={token}
+                      table={targetTable}
+                      sysId={realId(target.sys_id)}
+                      setErr={setErr}
+                    />
+                  </div>
+                </>
+              )}
 
-              <div className="rlabel">Test Plan</div>
+              <div className="rlabel">Approval history</div>
               <div className="lvalue">
-                <textarea className="input readonly-field" readOnly rows={3} value={dv(changeRec?.test_plan) || ""} />
+                <ApprovalHistory token={token} approvalId={realId(approvalRef?.sys_id)} setErr={setErr} />
               </div>
 
               <div className="rlabel">Approver Comments</div>
@@ -889,153 +2144,1500 @@ function ApprovalDrawer({ open, onClose, token, approvalRef, reloadApprovals, se
   );
 }
 
-/* ===== Login Form ===== */
-function LoginForm({ onSuccess, setErr }) {
-  const [username, setUsername] = useState("");
-  const [password, setPassword] = useState("");
-  const [busy, setBusy] = useState(false);
-  const [showPwd, setShowPwd] = useState(false);
+/* ===== Delegations ===== */
+// Approval delegations: whom the user lets act on their approvals, and for whom they act
+const todayIso = () => new Date().toISOString().slice(0, 10);
+const DELEGATION_STATUS = { active: "Active", scheduled: "Scheduled", ended: "Ended" };
+
+function DelegationsDrawer({ open, onClose, token, setErr }) {
+  const [data, setData] = useState({ granted: [], received: [] });
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [delegateInput, setDelegateInput] = useState("");
+  const [delegate, setDelegate] = useState(null); // picked user { sys_id, label }
+  const [userOpts, setUserOpts] = useState([]);
+  const [starts, setStarts] = useState(todayIso);
+  const [ends, setEnds] = useState("");
+  const [formErr, setFormErr] = useState("");
+
+  const load = React.useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const res = await listDelegations(token);
+      setData({ granted: asArray(res?.granted), received: asArray(res?.received) });
+    } catch (e) {
+      setErr("Failed to load delegations: " + (e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }, [token, setErr]);
+
+  // Fresh form each time it opens
+  React.useEffect(() => {
+    if (!open) return;
+    setDelegate(null);
+    setDelegateInput("");
+    setStarts(todayIso());
+    setEnds("");
+    setFormErr("");
+    load();
+  }, [open, load]);
+
+  // typeahead: delegate (only while the text differs from the picked user)
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token || !open) return;
+      if (delegateInput && delegateInput.length >= 2 && delegateInput !== delegate?.label) {
+        try { setUserOpts((await searchUsers(token, delegateInput)) || []); } catch {}
+      } else setUserOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [delegateInput, delegate, token, open]);
+
+  const pickUser = (u) => {
+    const label = String(dv(u.name) || u.name || "");
+    setDelegate({ sys_id: realId(u.sys_id), label });
+    setDelegateInput(label);
+    setUserOpts([]);
+  };
+
+  const doCreate = async () => {
+    if (!delegate || delegateInput !== delegate.label) return setFormErr("Pick a delegate from the list");
+    if (!ends) return setFormErr("Choose the last day of the delegation");
+    if (ends < starts) return setFormErr("The last day can't be before the first");
+    setFormErr("");
+    setBusy(true);
+    try {
+      await createDelegation(token, { delegate: delegate.sys_id, starts, ends });
+      setDelegate(null);
+      setDelegateInput("");
+      setEnds("");
+      await load();
+    } catch (e) {
+      setFormErr(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doEnd = async (d) => {
+    if (!window.confirm(`End the delegation to ${dv(d.delegate)}?`)) return;
+    setBusy(true);
+    try {
+      await endDelegation(token, d.sys_id);
+      await load();
+    } catch (e) {
+      setErr("Failed to end delegation: " + (e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const statusChip = (d) => (
+    <span className={`badge delegation-${d.status}`}>{DELEGATION_STATUS[d.status] || d.status}</span>
+  );
+
+  if (!open) return null;
+  return (
+    <div className="drawer-scrim" onClick={onClose}>
+      <div className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="header-strip">
+          <div className="header-strip-row">
+            <div className="label">Approval delegations</div>
+          </div>
+        </div>
+
+        <div className="drawer-grid">
+          <div className="matrix4">
+            <div className="rlabel">Delegate *</div>
+            <div className="lvalue" style={{ position: "relative" }}>
+              <input
+                className="input editable-field same-size"
+                value={delegateInput}
+                onChange={(e) => setDelegateInput(e.target.value)}
+                placeholder="Type name or user ID…"
+              />
+              {userOpts.length > 0 && (
+                <div className="options" style={{ top: "36px", left: 0, right: 0 }}>
+                  {userOpts.map((u) => (
+                    <div key={realId(u.sys_id)} className="option" onClick={() => pickUser(u)}>
+                      {dv(u.name) || "—"}{" "}
+                      <span style={{ color: "#9ca3af" }}>({dv(u.user_name)})</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="rlabel">From</div>
+            <div className="lvalue">
+              <input
+                className="input editable-field same-size"
+                type="date"
+                value={starts}
+                min={todayIso()}
+                onChange={(e) => setStarts(e.target.value || todayIso())}
+              />
+            </div>
+
+            <div className="rlabel">Until *</div>
+            <div className="lvalue">
+              <input
+                className="input editable-field same-size"
+                type="date"
+                value={ends}
+                min={starts}
+                onChange={(e) => setEnds(e.target.value)}
+              />
+            </div>
+
+            <div className="rlabel" />
+            <div className="lvalue">
+              <button className="btn-primary" onClick={doCreate} disabled={busy}>
+                Delegate my approvals
+              </button>
+            </div>
+          </div>
+          {formErr && <div className="field-error">{formErr}</div>}
+
+          <h3 className="delegation-heading">Delegated by me</h3>
+          {loading && <div className="history-empty">Loading…</div>}
+          {!loading && data.granted.length === 0 && <div className="history-empty">You haven't delegated your approvals.</div>}
+          {data.granted.length > 0 && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>Delegate</th>
+                  <th>From</th>
+                  <th>Until</th>
+                  <th>Status</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {data.granted.map((d) => (
+                  <tr key={d.sys_id}>
+                    <td>{dv(d.delegate) || "—"}</td>
+                    <td>{d.starts || "—"}</td>
+                    <td>{d.ends || "—"}</td>
+                    <td>{statusChip(d)}</td>
+                    <td>
+                      {d.status !== "ended" && (
+                        <button className="btn-secondary" onClick={() => doEnd(d)} disabled={busy}>
+                          End now
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3 className="delegation-heading">Delegated to me</h3>
+          {!loading && data.received.length === 0 && <div className="history-empty">Nobody has delegated approvals to you.</div>}
+          {data.received.length > 0 && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>On behalf of</th>
+                  <th>From</th>
+                  <th>Until</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.received.map((d) => (
+                  <tr key={d.sys_id}>
+                    <td>{dv(d.user) || "—"}</td>
+                    <td>{d.starts || "—"}</td>
+                    <td>{d.ends || "—"}</td>
+                    <td>{statusChip(d)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="actions-end" style={{ display: "flex", justifyContent: "flex-end", width: "100%", marginTop: "12px" }}>
+            <button className="btn-secondary" onClick={onClose}>Close</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===== Audit log (portal admins) ===== */
+const AUDIT_PAGE = 100;
+const AUDIT_ACTIONS = {
+  "record.update": "Update",
+  "record.create": "Create",
+  "approval.decide": "Approval",
+  "attachment.upload": "Attachment added",
+  "attachment.delete": "Attachment deleted",
+  "delegation.create": "Delegation",
+  "delegation.end": "Delegation ended",
+};
+const AUDIT_OUTCOMES = ["success", "denied", "conflict", "failure"];
+const AUDIT_FILTERS = { user: "", record: "", action: "", outcome: "", from: "", to: "" };
+
+function auditChanges(e) {
+  const parts = asArray(e.changes).map((c) => `${c.field}: ${c.fromDisplay || c.from || "∅"} → ${c.to || "∅"}`);
+  if (e.journal?.length) parts.push(`+ ${e.journal.join(", ")}`);
+  return parts;
+}
+
+function AuditDrawer({ open, onClose, token, setErr }) {
+  const [draft, setDraft] = useState(AUDIT_FILTERS);
+  const [filters, setFilters] = useState(AUDIT_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [check, setCheck] = useState(null);
+
+  const load = React.useCallback(
+    async (offset = 0) => {
+      if (!token) return;
+      setLoading(true);
+      try {
+        const res = await queryAudit(token, { ...filters, limit: AUDIT_PAGE, offset });
+        setRows((cur) => (offset ? cur.concat(asArray(res?.result)) : asArray(res?.result)));
+        setTotal(res?.total || 0);
+      } catch (e) {
+        setErr("Failed to load the audit log: " + (e?.message || e));
+      } finally {
+        setLoading(false);
+      }
+    },
+    [token, filters, setErr]
+  );
+
+  React.useEffect(() => {
+    if (open) load(0);
+  }, [open, load]);
+  React.useEffect(() => {
+    if (!open) setCheck(null);
+  }, [open]);
+
+  const runCheck = async () => {
+    setCheck({ running: true });
+    try {
+      setCheck(await verifyAudit(token));
+    } catch (e) {
+      setCheck(null);
+      setErr("Audit check failed: " + (e?.message || e));
+    }
+  };
+
+  const set = (k) => (e) => setDraft((d) => ({ ...d, [k]: e.target.value }));
+
+  if (!open) return null;
+  return (
+    <div className="drawer-scrim" onClick={onClose}>
+      <div className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="header-strip">
+          <div className="header-strip-row">
+            <div className="label">Audit log</div>
+          </div>
+        </div>
+
+        <div className="drawer-grid">
+          <form
+            className="audit-filters"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setFilters(draft);
+            }}
+          >
+            <input className="input" value={draft.user} onChange={set("user")} placeholder="User" aria-label="User" />
+            <input className="input" value={draft.record} onChange={set("record")} placeholder="Number or sys_id" aria-label="Record" />
+            <select className="input" value={draft.action} onChange={set("action")} aria-label="Action">
+              <option value="">All actions</option>
+              {Object.entries(AUDIT_ACTIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <select className="input" value={draft.outcome} onChange={set("outcome")} aria-label="Outcome">
+              <option value="">All outcomes</option>
+              {AUDIT_OUTCOMES.map((o) => <option key={o} value={o}>{o}</option>)}
+            </select>
+            <input className="input" type="date" value={draft.from} onChange={set("from")} aria-label="From" />
+            <input className="input" type="date" value={draft.to} min={draft.from} onChange={set("to")} aria-label="To" />
+            <button type="submit" className="btn-primary">Search</button>
+            <button type="button" className="btn-secondary" onClick={() => { setDraft(AUDIT_FILTERS); setFilters(AUDIT_FILTERS); }}>
+              Clear
+            </button>
+          </form>
+
+          <div className="audit-check">
+            <button type="button" className="btn-secondary" onClick={runCheck} disabled={check?.running}>
+              {check?.running ? "Checking…" : "Verify hash chain"}
+            </button>
+            {check && !check.running && (check.ok ? (
+              <span className="badge audit-success">Intact: {check.entries} entries</span>
+            ) : (
+              <span className="badge audit-failure">
+                Broken at line {check.brokenAt?.line} (seq {check.brokenAt?.seq ?? "?"}): {check.brokenAt?.reason}
+              </span>
+            ))}
+            <span style={{ flex: 1 }} />
+            <span className="history-empty">{total} matching</span>
+          </div>
+
+          {!loading && rows.length === 0 && <div className="history-empty">No entries match.</div>}
+          {rows.length > 0 && (
+            <table className="history-table audit-table">
+              <thead>
+                <tr>
+                  <th>Time (UTC)</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Record</th>
+                  <th>Changes</th>
+                  <th>Outcome</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((e) => (
+                  <tr key={e.seq}>
+                    <td>{String(e.ts || "").replace("T", " ").slice(0, 19)}</td>
+                    <td title={e.user?.sys_id}>
+                      {e.user?.name || e.user?.user_name}
+                      {e.via === "admin" && <span className="history-comment-meta">via shared account</span>}
+                    </td>
+                    <td>
+                      {AUDIT_ACTIONS[e.action] || e.action}
+                      {e.decision && <span className="history-comment-meta">{e.decision}</span>}
+                      <span className="history-comment-meta">{e.route}</span>
+                    </td>
+                    <td title={e.sys_id}>
+                      {e.number || e.sys_id || "—"}
+                      <span className="history-comment-meta">{e.table}</span>
+                    </td>
+                    <td>
+                      {auditChanges(e).map((c, i) => <div key={i} className="audit-change">{c}</div>)}
+                    </td>
+                    <td>
+                      <span className={`badge audit-${e.outcome}`}>{e.outcome}</span>
+                      {e.error && <span className="history-comment-meta">{e.error}</span>}
+                    </td>
+                    <td>{e.ip}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {loading && <div className="history-empty">Loading…</div>}
+          {!loading && rows.length < total && (
+            <button type="button" className="btn-secondary" onClick={() => load(rows.length)}>
+              Load more ({total - rows.length} left)
+            </button>
+          )}
+
+          <div className="actions-end" style={{ display: "flex", justifyContent: "flex-end", width: "100%", marginTop: "12px" }}>
+            <button className="btn-secondary" onClick={onClose}>Close</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===== Login Form ===== */
+function LoginForm({ onSuccess, setErr }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [showPwd, setShowPwd] = useState(false);
 
   const doLogin = async (e) => {
     e.preventDefault();
     setBusy(true);
     setErr("");
     try {
-      const res = await login(username, password);
-      onSuccess(res.token, res.user);
+      const res = await login(username, password);
+      // `admin` (portal admin, see PORTAL_ADMINS) rides along with the user record
+      onSuccess(res.token, { ...res.user, admin: !!res.admin }, res.refreshToken);
+    } catch (e) {
+      console.error(e);
+      // Throttled sign-ins (429) say when to try again
+      const detail = e.data?.error?.detail;
+      setErr(`Login failed: ${e.message}${detail ? `. ${detail}.` : ""}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={doLogin} className="login-form four-line">
+      {/* 1: User ID label */}
+      <label className="login-label">User ID</label>
+
+      {/* 2: User ID input */}
+      <input
+        className="input input-outline-blue"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        required
+      />
+
+      {/* 3: Password label */}
+      <label className="login-label">Password</label>
+
+      {/* 4: Password input + Eye toggle */}
+      <div className="password-row">
+        <input
+          className="input input-outline-blue"
+          type={showPwd ? "text" : "password"}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        <button
+          type="button"
+          className={`btn-eye ${showPwd ? "on" : ""}`}
+          onClick={() => setShowPwd((v) => !v)}
+          aria-label={showPwd ? "Hide password" : "Show password"}
+          title={showPwd ? "Hide password" : "Show password"}
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true">
+            {showPwd ? (
+              // Eye with slash (hide)
+              <g
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              >
+                <path d="M2 12s4-7 10-7 10 7 10 7-4 7-10 7S2 12 2 12z" />
+                <circle cx="12" cy="12" r="3" />
+                <path d="M4 4l16 16" />
+              </g>
+            ) : (
+              // Eye (show)
+              <g fill="currentColor">
+                <path d="M12 5c5 0 9 4 10 7-1 3-5 7-10 7S3 15 2 12c1-3 5-7 10-7zm0 3a4 4 0 1 0 .001 8.001A4 4 0 0 0 12 8z" />
+              </g>
+            )}
+          </svg>
+        </button>
+      </div>
+
+      <button
+        type="submit"
+        className="btn-primary"
+        disabled={busy}
+        style={{ marginTop: 8 }}
+      >
+        {busy ? "Signing in…" : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+/* ===== Mini search controls (local drafts; apply on click) ===== */
+const SearchControls = React.memo(function SearchControls({
+  appliedValue,
+  onApply,
+  onClear,
+}) {
+  const [draftNumber, setDraftNumber] = React.useState(
+    appliedValue?.number || ""
+  );
+  const [draftCaller, setDraftCaller] = React.useState(
+    appliedValue?.caller || ""
+  );
+
+  // Sync drafts if parent clears/applies new values
+  React.useEffect(() => {
+    setDraftNumber(appliedValue?.number || "");
+    setDraftCaller(appliedValue?.caller || "");
+  }, [appliedValue?.number, appliedValue?.caller]);
+
+  const isApplied = Boolean(
+    (appliedValue?.number || "").length || (appliedValue?.caller || "").length
+  );
+
+  const handleToggle = () => {
+    if (isApplied) onClear();
+    else onApply({ number: draftNumber.trim(), caller: draftCaller.trim() });
+  };
+
+  return (
+    <div
+      className="search-controls"
+      style={{ display: "flex", gap: 8, flexWrap: "wrap" }}
+    >
+      <input
+        className="input"
+        placeholder="Search by number"
+        value={draftNumber}
+        onChange={(e) => setDraftNumber(e.target.value)}
+        style={{ width: 180 }}
+      />
+      <input
+        className="input"
+        placeholder="Search by caller/assignee"
+        value={draftCaller}
+        onChange={(e) => setDraftCaller(e.target.value)}
+        style={{ width: 220 }}
+      />
+      <button
+        type="button"
+        className={`btn-secondary ${isApplied ? "btn-toggle-on" : ""}`}
+        onClick={handleToggle}
+      >
+        {isApplied ? "Clear" : "Search"}
+      </button>
+    </div>
+  );
+});
+
+/* ===== Saved views + filter builder ===== */
+// Conditions are { field, op, value, label? } as understood by the backend (lib/filters.js);
+// `fields` is the catalogue GET /api/views returns for the list.
+const DAYS_AGO_PREFIX = "@daysAgo:";
+const NO_VALUE_OPS = ["ISEMPTY", "ISNOTEMPTY"];
+
+function useViews(token, listName, setErr) {
+  const [views, setViews] = useState([]);
+  const [fields, setFields] = useState([]);
+
+  const reload = React.useCallback(async () => {
+    if (!token || !listName) return;
+    try {
+      const res = await listViews(token, listName);
+      setViews(asArray(res?.result));
+      setFields(asArray(res?.fields));
+    } catch (e) {
+      console.error(e);
+      setErr("Failed to load saved views: " + e.message);
+    }
+  }, [token, listName, setErr]);
+
+  React.useEffect(() => { reload(); }, [reload]);
+  return { views, fields, reload };
+}
+
+const emptyCondition = (f) => ({
+  field: f.key,
+  op: f.ops[0]?.op || "",
+  value: f.kind === "choice" ? [] : f.kind === "date" ? `${DAYS_AGO_PREFIX}1` : "",
+});
+
+// Reference picker for user/group conditions; "Me" / "My groups" map to @me / @mygroups
+function RefInput({ token, kind, value, label, onChange }) {
+  const special = kind === "group" ? { value: "@mygroups", label: "My groups" } : { value: "@me", label: "Me" };
+  const [input, setInput] = useState(label || (value === special.value ? special.label : ""));
+  const [opts, setOpts] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token || !open) return;
+      if (input && input.length >= 2 && input !== label) {
+        try {
+          setOpts((await (kind === "group" ? searchGroups : searchUsers)(token, input)) || []);
+        } catch {}
+      } else setOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [input, label, kind, token, open]);
+
+  const pick = (v, l) => {
+    setInput(l);
+    setOpts([]);
+    setOpen(false);
+    onChange(v, l);
+  };
+
+  return (
+    <div className="filter-ref">
+      <input
+        className="input"
+        value={input}
+        onChange={(e) => { setInput(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder={kind === "group" ? "Group…" : "User…"}
+      />
+      {open && (
+        <div className="options" style={{ top: "32px", left: 0, right: 0 }}>
+          <div className="option" onMouseDown={() => pick(special.value, special.label)}>
+            <em>{special.label}</em>
+          </div>
+          {opts.map((o) => (
+            <div key={realId(o.sys_id)} className="option" onMouseDown={() => pick(realId(o.sys_id), String(dv(o.name) || ""))}>
+              {dv(o.name) || "—"}
+              {kind === "user" && <span style={{ color: "#9ca3af" }}> ({dv(o.user_name)})</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ConditionValue({ token, field, cond, onChange }) {
+  if (NO_VALUE_OPS.includes(cond.op)) return null;
+  const set = (patch) => onChange({ ...cond, ...patch });
+
+  if (field.kind === "choice") {
+    const values = asArray(cond.value);
+    const toggle = (v) => set({ value: values.includes(v) ? values.filter((x) => x !== v) : [...values, v] });
+    return (
+      <div className="filter-choices">
+        {field.choices.map((c) => (
+          <label key={c.value}>
+            <input type="checkbox" checked={values.includes(c.value)} onChange={() => toggle(c.value)} /> {c.label}
+          </label>
+        ))}
+      </div>
+    );
+  }
+  if ((field.kind === "user" || field.kind === "group") && cond.op !== "LIKE") {
+    return (
+      <RefInput
+        key={`${cond.field}:${cond.op}`}
+        token={token}
+        kind={field.kind}
+        value={cond.value}
+        label={cond.label}
+        onChange={(value, label) => set({ value, label })}
+      />
+    );
+  }
+  if (field.kind === "date") {
+    const relative = String(cond.value || "").startsWith(DAYS_AGO_PREFIX);
+    return (
+      <div className="filter-date">
+        <select
+          className="input"
+          value={relative ? "relative" : "date"}
+          onChange={(e) => set({ value: e.target.value === "relative" ? `${DAYS_AGO_PREFIX}1` : "" })}
+        >
+          <option value="relative">days ago</option>
+          <option value="date">date</option>
+        </select>
+        {relative ? (
+          <input
+            className="input"
+            type="number"
+            min="0"
+            max="3650"
+            value={String(cond.value).slice(DAYS_AGO_PREFIX.length)}
+            onChange={(e) => set({ value: `${DAYS_AGO_PREFIX}${Math.max(0, parseInt(e.target.value, 10) || 0)}` })}
+            style={{ width: 70 }}
+          />
+        ) : (
+          <input className="input" type="date" value={cond.value || ""} onChange={(e) => set({ value: e.target.value })} />
+        )}
+      </div>
+    );
+  }
+  return <input className="input" value={cond.value || ""} onChange={(e) => set({ value: e.target.value })} />;
+}
+
+// Editing `view` (a saved one can be updated in place); null starts from scratch
+function FilterBuilder({ token, fields, view, onApply, onSave, onUpdate, onDelete, onClose }) {
+  const [conds, setConds] = useState(() => asArray(view?.conditions).map((c) => ({ ...c })));
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const byKey = React.useMemo(() => new Map(fields.map((f) => [f.key, f])), [fields]);
+  const editable = view && view.id && !view.builtin;
+
+  const setCond = (i, next) => setConds((cur) => cur.map((c, j) => (j === i ? next : c)));
+  const removeCond = (i) => setConds((cur) => cur.filter((_, j) => j !== i));
+  const addCond = () => fields[0] && setConds((cur) => [...cur, emptyCondition(fields[0])]);
+
+  // Send only what each condition needs; half-filled rows are dropped
+  const cleaned = conds
+    .filter((c) => byKey.has(c.field))
+    .filter((c) => NO_VALUE_OPS.includes(c.op) || (Array.isArray(c.value) ? c.value.length : String(c.value ?? "").trim()))
+    .map(({ field, op, value, label }) =>
+      NO_VALUE_OPS.includes(op) ? { field, op } : { field, op, value, ...(label && { label }) }
+    );
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="filter-builder">
+      {conds.length === 0 && <div className="filter-empty">No conditions: the whole list is shown.</div>}
+      {conds.map((c, i) => {
+        const f = byKey.get(c.field) || fields[0];
+        return (
+          <div className="filter-row" key={i}>
+            <select
+              className="input"
+              value={c.field}
+              onChange={(e) => setCond(i, emptyCondition(byKey.get(e.target.value)))}
+              aria-label="Field"
+            >
+              {fields.map((x) => (
+                <option key={x.key} value={x.key}>{x.label}</option>
+              ))}
+            </select>
+            <select
+              className="input"
+              value={c.op}
+              onChange={(e) => {
+                const op = e.target.value;
+                const keepValue = f.kind === "choice" || f.kind === "date" || (c.op === "LIKE") === (op === "LIKE");
+                setCond(i, { ...c, op, ...(!keepValue && { value: "", label: undefined }) });
+              }}
+              aria-label="Operator"
+            >
+              {f.ops.map((o) => (
+                <option key={o.op} value={o.op}>{o.label}</option>
+              ))}
+            </select>
+            <ConditionValue token={token} field={f} cond={c} onChange={(next) => setCond(i, next)} />
+            <button type="button" className="btn-secondary" onClick={() => removeCond(i)} aria-label="Remove condition">
+              ✕
+            </button>
+          </div>
+        );
+      })}
+
+      <div className="filter-actions">
+        <button type="button" className="btn-secondary" onClick={addCond}>+ Condition</button>
+        <span style={{ flex: 1 }} />
+        <button type="button" className="btn-primary" onClick={() => onApply(cleaned)} disabled={busy}>
+          Apply
+        </button>
+        {editable && (
+          <button type="button" className="btn-primary" disabled={busy} onClick={() => run(() => onUpdate(view, cleaned))}>
+            Update “{view.name}”
+          </button>
+        )}
+        <input
+          className="input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New view name"
+          maxLength={80}
+          style={{ width: 160 }}
+        />
+        <button
+          type="button"
+          className="btn-secondary"
+          disabled={busy || !name.trim()}
+          onClick={() => run(() => onSave(name.trim(), cleaned))}
+        >
+          Save as view
+        </button>
+        {editable && (
+          <button
+            type="button"
+            className="btn-danger"
+            disabled={busy}
+            onClick={() => window.confirm(`Delete the view “${view.name}”?`) && run(() => onDelete(view))}
+          >
+            Delete
+          </button>
+        )}
+        <button type="button" className="btn-secondary" onClick={onClose} disabled={busy}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ViewSwitcher({ views, active, open, onPick, onToggleBuilder }) {
+  const builtin = views.filter((v) => v.builtin);
+  const mine = views.filter((v) => !v.builtin);
+  const value = !active ? "" : active.id || "custom";
+  return (
+    <div className="view-switcher">
+      <select
+        className="input"
+        value={value}
+        onChange={(e) => onPick(views.find((v) => v.id === e.target.value) || null)}
+        aria-label="View"
+      >
+        <option value="">All open items</option>
+        {value === "custom" && <option value="custom">{active.name || "Custom filter"}</option>}
+        {builtin.length > 0 && (
+          <optgroup label="Suggested">
+            {builtin.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+          </optgroup>
+        )}
+        {mine.length > 0 && (
+          <optgroup label="My views">
+            {mine.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <button
+        type="button"
+        className={`btn-secondary ${open ? "btn-toggle-on" : ""}`}
+        onClick={onToggleBuilder}
+      >
+        Filter{active?.conditions?.length ? ` (${active.conditions.length})` : ""}
+      </button>
+    </div>
+  );
+}
+
+/* ===== Bulk actions for the selected rows ===== */
+// records: [{ table, sys_id, number }]. Blank controls leave that field alone.
+function BulkBar({ token, records, stateTable, onClear, onDone, setErr }) {
+  const [stateVal, setStateVal] = useState("");
+  const [assigneeInput, setAssigneeInput] = useState("");
+  const [assignee, setAssignee] = useState(null); // { sys_id, label }
+  const [groupInput, setGroupInput] = useState("");
+  const [group, setGroup] = useState(null);
+  const [note, setNote] = useState("");
+  const [userOpts, setUserOpts] = useState([]);
+  const [groupOpts, setGroupOpts] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [outcome, setOutcome] = useState(null); // { succeeded, failed, failures[] }
+
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token) return;
+      if (assigneeInput && assigneeInput.length >= 2 && assigneeInput !== assignee?.label) {
+        try { setUserOpts((await searchUsers(token, assigneeInput)) || []); } catch {}
+      } else setUserOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [assigneeInput, assignee, token]);
+
+  React.useEffect(() => {
+    const h = setTimeout(async () => {
+      if (!token) return;
+      if (groupInput && groupInput.length >= 2 && groupInput !== group?.label) {
+        try { setGroupOpts((await searchGroups(token, groupInput)) || []); } catch {}
+      } else setGroupOpts([]);
+    }, 250);
+    return () => clearTimeout(h);
+  }, [groupInput, group, token]);
+
+  const pickUser = (u) => {
+    const label = String(dv(u.name) || u.name || "");
+    setAssignee({ sys_id: realId(u.sys_id), label });
+    setAssigneeInput(label);
+    setUserOpts([]);
+  };
+  const pickGroup = (g) => {
+    const label = String(dv(g.name) || g.name || "");
+    setGroup({ sys_id: realId(g.sys_id), label });
+    setGroupInput(label);
+    setGroupOpts([]);
+  };
+
+  // A picked option sends its sys_id; free text is resolved by name on the server
+  const refValue = (picked, input) =>
+    picked && input === picked.label ? picked.sys_id : input.trim();
+
+  const changes = {
+    ...(stateVal && { state: stateVal }),
+    ...(refValue(assignee, assigneeInput) && { assigned_to: refValue(assignee, assigneeInput) }),
+    ...(refValue(group, groupInput) && { assignment_group: refValue(group, groupInput) }),
+    ...(note.trim() && { work_notes: note.trim() }),
+  };
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const apply = async () => {
+    if (!hasChanges || busy) return;
+    setBusy(true);
+    setOutcome(null);
+    try {
+      const res = await bulkUpdate(token, records.map(({ table, sys_id }) => ({ table, sys_id })), changes);
+      const results = asArray(res?.result);
+      const byId = new Map(records.map((r) => [r.sys_id, r]));
+      const failures = results
+        .filter((r) => !r.ok)
+        .map((r) => ({
+          ...r,
+          number: r.number || byId.get(r.sys_id)?.number || r.sys_id,
+          reason: [r.error?.message, r.error?.detail].filter(Boolean).join(": "),
+        }));
+      setOutcome({ succeeded: res?.succeeded ?? 0, failed: res?.failed ?? failures.length, failures });
+      if (!failures.length) {
+        setStateVal("");
+        setAssignee(null);
+        setAssigneeInput("");
+        setGroup(null);
+        setGroupInput("");
+        setNote("");
+      }
+      // Failed rows stay selected so they can be retried
+      onDone(results.filter((r) => r.ok).map((r) => r.sys_id));
+    } catch (e) {
+      console.error(e);
+      setErr("Bulk update failed: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bulk-bar" role="region" aria-label="Bulk actions">
+      <div className="bulk-bar-row">
+        <strong className="bulk-count">{records.length} selected</strong>
+
+        <select
+          className="input"
+          value={stateVal}
+          onChange={(e) => setStateVal(e.target.value)}
+          aria-label="Set state"
+        >
+          <option value="">State…</option>
+          {getStateOptions(stateTable).map((o) => (
+            <option key={o.v} value={o.v}>{o.label}</option>
+          ))}
+        </select>
+
+        <div className="bulk-field">
+          <input
+            className="input"
+            value={assigneeInput}
+            onChange={(e) => setAssigneeInput(e.target.value)}
+            placeholder="Assign to…"
+            aria-label="Assign to"
+          />
+          {userOpts.length > 0 && (
+            <div className="options" style={{ top: "36px", left: 0, right: 0 }}>
+              {userOpts.map((u) => (
+                <div key={realId(u.sys_id)} className="option" onClick={() => pickUser(u)}>
+                  {dv(u.name) || "—"}{" "}
+                  <span style={{ color: "#9ca3af" }}>({dv(u.user_name)})</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="bulk-field">
+          <input
+            className="input"
+            value={groupInput}
+            onChange={(e) => setGroupInput(e.target.value)}
+            placeholder="Assignment group…"
+            aria-label="Assignment group"
+          />
+          {groupOpts.length > 0 && (
+            <div className="options" style={{ top: "36px", left: 0, right: 0 }}>
+              {groupOpts.map((g) => (
+                <div key={realId(g.sys_id)} className="option" onClick={() => pickGroup(g)}>
+                  {dv(g.name)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <input
+          className="input bulk-note"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Work note for all selected…"
+          aria-label="Work note"
+        />
+
+        <button type="button" className="btn-primary" onClick={apply} disabled={!hasChanges || busy}>
+          {busy ? "Applying…" : "Apply"}
+        </button>
+        <button type="button" className="btn-secondary" onClick={onClear} disabled={busy}>
+          Clear selection
+        </button>
+      </div>
+
+      {outcome && (
+        <div className={`bulk-outcome ${outcome.failed ? "has-failures" : ""}`}>
+          Updated {outcome.succeeded} of {outcome.succeeded + outcome.failed}.
+          {outcome.failures.length > 0 && (
+            <ul>
+              {outcome.failures.map((f) => (
+                <li key={f.sys_id}>
+                  <strong>{f.number}</strong> — {f.reason || "Failed"}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button type="button" className="btn-secondary" onClick={() => setOutcome(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Approve / reject every selected approval with one shared comment
+function ApprovalBulkBar({ token, records, onClear, onDone, setErr }) {
+  const [comment, setComment] = useState("");
+  const [busy, setBusy] = useState("");
+  const [outcome, setOutcome] = useState(null); // { decision, succeeded, failed, results[] }
+
+  const decide = async (decision) => {
+    if (busy) return;
+    const verb = decision === "approve" ? "Approve" : "Reject";
+    if (!window.confirm(`${verb} ${records.length} approval${records.length === 1 ? "" : "s"}?`)) return;
+    setBusy(decision);
+    setOutcome(null);
+    try {
+      const res = await bulkDecide(token, records.map((r) => r.sys_id), decision, comment.trim());
+      const byId = new Map(records.map((r) => [r.sys_id, r]));
+      const results = asArray(res?.result).map((r) => ({
+        ...r,
+        number: r.number || byId.get(r.sys_id)?.number || r.sys_id,
+        reason: [r.error?.message, r.error?.detail].filter(Boolean).join(": "),
+      }));
+      const failed = results.filter((r) => !r.ok).length;
+      setOutcome({ decision, succeeded: res?.succeeded ?? results.length - failed, failed: res?.failed ?? failed, results });
+      if (!failed) setComment("");
+      // Failed approvals stay selected so they can be retried
+      onDone(results.filter((r) => r.ok).map((r) => r.sys_id));
     } catch (e) {
       console.error(e);
-      setErr("Login failed: " + e.message);
+      setErr("Bulk decision failed: " + e.message);
     } finally {
-      setBusy(false);
+      setBusy("");
     }
   };
 
   return (
-    <form onSubmit={doLogin} className="login-form four-line">
-      {/* 1: User ID label */}
-      <label className="login-label">User ID</label>
+    <div className="bulk-bar" role="region" aria-label="Bulk approval">
+      <div className="bulk-bar-row">
+        <strong className="bulk-count">{records.length} selected</strong>
+        <input
+          className="input bulk-note"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Comment for all selected (#Cont.By: is added)…"
+          aria-label="Approver comment"
+        />
+        <button type="button" className="btn-danger" onClick={() => decide("reject")} disabled={!!busy}>
+          {busy === "reject" ? "Rejecting…" : "Reject"}
+        </button>
+        <button type="button" className="btn-primary" onClick={() => decide("approve")} disabled={!!busy}>
+          {busy === "approve" ? "Approving…" : "Approve"}
+        </button>
+        <button type="button" className="btn-secondary" onClick={onClear} disabled={!!busy}>
+          Clear selection
+        </button>
+      </div>
 
-      {/* 2: User ID input */}
+      {outcome && (
+        <div className={`bulk-outcome ${outcome.failed ? "has-failures" : ""}`}>
+          {outcome.decision === "approve" ? "Approved" : "Rejected"} {outcome.succeeded} of{" "}
+          {outcome.succeeded + outcome.failed}.
+          <ul>
+            {outcome.results.map((r) => (
+              <li key={r.sys_id} className={r.ok ? "bulk-ok" : "bulk-failed"}>
+                <strong>{r.number}</strong> —{" "}
+                {r.ok ? (outcome.decision === "approve" ? "approved" : "rejected") : r.reason || "Failed"}
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="btn-secondary" onClick={() => setOutcome(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ===== Global search (toolbar) ===== */
+// Results open the record drawer, or the approval drawer when the user has a pending
+// approval on the record.
+function GlobalSearch({ token, onOpenRecord, onOpenApproval }) {
+  const [q, setQ] = useState("");
+  const [groups, setGroups] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [failed, setFailed] = useState("");
+  const reqId = React.useRef(0);
+  const boxRef = React.useRef(null);
+
+  const run = React.useCallback(
+    async (text) => {
+      const id = ++reqId.current;
+      if (text.trim().length < 2) {
+        setGroups([]);
+        setSearching(false);
+        return;
+      }
+      setSearching(true);
+      setFailed("");
+      try {
+        const res = await globalSearch(token, text.trim());
+        if (id === reqId.current) setGroups(asArray(res));
+      } catch (e) {
+        if (id === reqId.current) setFailed(e.message);
+      } finally {
+        if (id === reqId.current) setSearching(false);
+      }
+    },
+    [token]
+  );
+
+  React.useEffect(() => {
+    const h = setTimeout(() => run(q), 300);
+    return () => clearTimeout(h);
+  }, [q, run]);
+
+  // Close when clicking anywhere else
+  React.useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!boxRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const choose = (g, r) => {
+    setOpen(false);
+    if (r.approval) onOpenApproval({ sys_id: r.approval });
+    else onOpenRecord({ ...r, _table: g.table === "task" ? inferTable(r, "task") : g.table, sys_id: realId(r.sys_id) });
+  };
+
+  const hits = groups.reduce((n, g) => n + g.results.length, 0);
+
+  return (
+    <div className="global-search" ref={boxRef}>
       <input
-        className="input input-outline-blue"
-        value={username}
-        onChange={(e) => setUsername(e.target.value)}
-        required
+        className="input"
+        type="search"
+        value={q}
+        placeholder="Search numbers and keywords…"
+        aria-label="Search all records"
+        onChange={(e) => { setQ(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setOpen(false);
+          if (e.key === "Enter") { setOpen(true); run(q); }
+        }}
       />
+      {open && q.trim().length >= 2 && (
+        <div className="search-results" role="listbox">
+          {searching && hits === 0 && <div className="search-note">Searching…</div>}
+          {failed && <div className="search-note error-text">Search failed: {failed}</div>}
+          {!searching && !failed && hits === 0 && <div className="search-note">No matching records you can open</div>}
+          {groups.map((g) => (
+            <div key={g.table} className="search-group">
+              <div className="search-group-title">
+                {g.label} <span>({g.results.length}{g.more ? "+" : ""})</span>
+              </div>
+              {g.error && <div className="search-note error-text">{g.error}</div>}
+              {g.results.map((r) => (
+                <div
+                  key={realId(r.sys_id)}
+                  className="search-hit"
+                  role="option"
+                  tabIndex={0}
+                  onClick={() => choose(g, r)}
+                  onKeyDown={(e) => e.key === "Enter" && choose(g, r)}
+                >
+                  <span className="search-hit-number">{dv(r.number)}</span>
+                  <span className="search-hit-summary">{dv(r.short_description) || "—"}</span>
+                  <span className="search-hit-meta">
+                    {r.approval ? <span className="badge">Awaiting your approval</span> : dv(r.state)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-      {/* 3: Password label */}
-      <label className="login-label">Password</label>
+/* ===== Dashboard (counts from /api/dashboard) ===== */
+// Clicking a segment shows it in the list below, as a one-off filter on that list.
+const DASHBOARD_LISTS = [
+  { name: "incidents", label: "Incidents", doneLabel: "Resolved" },
+  { name: "tasks", label: "Tasks", doneLabel: "Closed" },
+];
 
-      {/* 4: Password input + Eye toggle */}
-      <div className="password-row">
-        <input
-          className="input input-outline-blue"
-          type={showPwd ? "text" : "password"}
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-          required
-        />
+function BarChart({ title, segments, onPick }) {
+  const max = Math.max(1, ...segments.map((s) => s.count));
+  return (
+    <div className="dash-widget">
+      <div className="dash-title">{title}</div>
+      {segments.length === 0 && <div className="dash-empty">Nothing open</div>}
+      {segments.map((s) => (
         <button
           type="button"
-          className={`btn-eye ${showPwd ? "on" : ""}`}
-          onClick={() => setShowPwd((v) => !v)}
-          aria-label={showPwd ? "Hide password" : "Show password"}
-          title={showPwd ? "Hide password" : "Show password"}
+          key={s.key}
+          className="dash-bar-row"
+          disabled={!s.conditions || !s.count}
+          onClick={() => onPick(s)}
+          title={s.conditions ? `Show ${s.label} in the list` : undefined}
         >
-          <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true">
-            {showPwd ? (
-              // Eye with slash (hide)
-              <g
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-              >
-                <path d="M2 12s4-7 10-7 10 7 10 7-4 7-10 7S2 12 2 12z" />
-                <circle cx="12" cy="12" r="3" />
-                <path d="M4 4l16 16" />
-              </g>
-            ) : (
-              // Eye (show)
-              <g fill="currentColor">
-                <path d="M12 5c5 0 9 4 10 7-1 3-5 7-10 7S3 15 2 12c1-3 5-7 10-7zm0 3a4 4 0 1 0 .001 8.001A4 4 0 0 0 12 8z" />
-              </g>
-            )}
-          </svg>
+          <span className="dash-bar-label">{s.label}</span>
+          <span className="dash-bar-track">
+            <span className="dash-bar" style={{ width: `${(s.count / max) * 100}%` }} />
+          </span>
+          <span className="dash-bar-count">{s.count}</span>
         </button>
-      </div>
+      ))}
+    </div>
+  );
+}
 
-      <button
-        type="submit"
-        className="btn-primary"
-        disabled={busy}
-        style={{ marginTop: 8 }}
-      >
-        {busy ? "Signing in…" : "Sign in"}
-      </button>
-    </form>
+function TrendChart({ days, doneLabel, onPick }) {
+  const max = Math.max(1, ...days.flatMap((d) => [d.opened, d.done]));
+  const opened = days.reduce((n, d) => n + d.opened, 0);
+  const done = days.reduce((n, d) => n + d.done, 0);
+  return (
+    <div className="dash-widget dash-trend">
+      <div className="dash-title">
+        Last {days.length} days
+        <span className="dash-legend">
+          <span className="dash-key dash-opened" /> Opened {opened}
+          <span className="dash-key dash-done" /> {doneLabel} {done}
+        </span>
+      </div>
+      <div className="dash-columns">
+        {days.map((d) => (
+          <button
+            type="button"
+            key={d.day}
+            className="dash-day"
+            disabled={!d.opened}
+            onClick={() => onPick({ label: `opened ${d.day}`, conditions: d.conditions })}
+            title={`${d.day}: ${d.opened} opened, ${d.done} ${doneLabel.toLowerCase()}`}
+          >
+            <span className="dash-col dash-opened" style={{ height: `${(d.opened / max) * 100}%` }} />
+            <span className="dash-col dash-done" style={{ height: `${(d.done / max) * 100}%` }} />
+          </button>
+        ))}
+      </div>
+    </div>
   );
 }
 
-/* ===== Mini search controls (local drafts; apply on click) ===== */
-const SearchControls = React.memo(function SearchControls({
-  appliedValue,
-  onApply,
-  onClear,
-}) {
-  const [draftNumber, setDraftNumber] = React.useState(
-    appliedValue?.number || ""
+// `reloadKey` changes whenever the lists are reloaded, so the counts follow them
+function Dashboard({ token, reloadKey, onPick, setErr }) {
+  const [listName, setListName] = useState("incidents");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const current = DASHBOARD_LISTS.find((l) => l.name === listName);
+
+  React.useEffect(() => {
+    if (!token) return;
+    let alive = true;
+    setLoading(true);
+    getDashboard(token, listName)
+      .then((res) => alive && setData(res))
+      .catch((e) => {
+        console.error(e);
+        if (alive) setErr("Failed to load the dashboard: " + e.message);
+      })
+      .finally(() => alive && setLoading(false));
+    return () => { alive = false; };
+  }, [token, listName, reloadKey, setErr]);
+
+  const pick = (s) => onPick(listName, `Dashboard: ${s.label}`, s.conditions);
+
+  return (
+    <Section
+      title={`My ${current.label.toLowerCase()} at a glance`}
+      count={data?.list === listName ? data.total : "…"}
+      searchUI={
+        <div className="section-tools">
+          {DASHBOARD_LISTS.map((l) => (
+            <button
+              type="button"
+              key={l.name}
+              className={`btn-secondary ${l.name === listName ? "btn-toggle-on" : ""}`}
+              onClick={() => setListName(l.name)}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+      }
+    >
+      {!data || data.list !== listName ? (
+        <div className="dash-empty">{loading ? "Loading…" : "No data"}</div>
+      ) : (
+        <div className="dash-grid">
+          <BarChart title="By priority" segments={data.byPriority} onPick={pick} />
+          <BarChart title="By state" segments={data.byState} onPick={pick} />
+          <BarChart title="By age" segments={data.byAge} onPick={pick} />
+          <TrendChart days={data.trend} doneLabel={current.doneLabel} onPick={pick} />
+        </div>
+      )}
+    </Section>
   );
-  const [draftCaller, setDraftCaller] = React.useState(
-    appliedValue?.caller || ""
+}
+
+/* ===== Section bound to a usePagedList() ===== */
+// `listName` (incidents, tasks, approvals) picks the saved views and filter fields.
+// `bulkTable` turns on row selection and the bulk bar; rows are written to their own
+// table (inferTable), with `bulkTable` as the fallback and the source of state choices.
+// Approvals (APPROVAL_TABLE) get approve / reject instead. `showSla` adds the SLA column.
+function ListSection({ title, listName, list, token, onOpen, bulkTable, showSla, reload, setErr }) {
+  const [selected, setSelected] = useState(() => new Map()); // sys_id -> { table, sys_id, number }
+  const [builderOpen, setBuilderOpen] = useState(false);
+  const savedViews = useViews(token, listName, setErr);
+  const { setView, setSort } = list;
+  const slas = useSlas(token, list.rows, !!showSla);
+  const now = useNow(60000, !!showSla);
+
+  const pickView = (v) => {
+    setView(v);
+    if (v?.sort) setSort(v.sort);
+  };
+  const applyConditions = (conditions) =>
+    setView(conditions.length ? { id: null, name: "Custom filter", conditions } : null);
+
+  // Saved views keep the current sort along with the conditions
+  const viewAction = (label, fn) => async (...args) => {
+    try {
+      await fn(...args);
+      setBuilderOpen(false);
+    } catch (e) {
+      console.error(e);
+      setErr(`${label}: ${e.message}`);
+    }
+  };
+  const saveView = viewAction("Could not save the view", async (name, conditions) => {
+    const v = await createView(token, { list: listName, name, conditions, sort: list.sort });
+    await savedViews.reload();
+    setView(v);
+  });
+  const saveChanges = viewAction("Could not update the view", async (view, conditions) => {
+    const v = await updateView(token, view.id, { conditions, sort: list.sort });
+    await savedViews.reload();
+    setView(v);
+  });
+  const removeView = viewAction("Could not delete the view", async (view) => {
+    await deleteView(token, view.id);
+    await savedViews.reload();
+    setView(null);
+  });
+
+  const onSelect = React.useCallback(
+    (rows, on) => {
+      setSelected((cur) => {
+        const next = new Map(cur);
+        for (const r of rows) {
+          const id = realId(r.sys_id);
+          if (on) next.set(id, { table: inferTable(r, bulkTable), sys_id: id, number: dv(r.number) });
+          else next.delete(id);
+        }
+        return next;
+      });
+    },
+    [bulkTable]
   );
 
-  // Sync drafts if parent clears/applies new values
+  // Rows that leave the list (closed, reassigned away, filtered out) leave the selection too
   React.useEffect(() => {
-    setDraftNumber(appliedValue?.number || "");
-    setDraftCaller(appliedValue?.caller || "");
-  }, [appliedValue?.number, appliedValue?.caller]);
+    setSelected((cur) => {
+      if (!cur.size) return cur;
+      const ids = new Set(list.rows.map((r) => realId(r.sys_id)));
+      const next = new Map([...cur].filter(([id]) => ids.has(id)));
+      return next.size === cur.size ? cur : next;
+    });
+  }, [list.rows]);
 
-  const isApplied = Boolean(
-    (appliedValue?.number || "").length || (appliedValue?.caller || "").length
-  );
+  const selectedIds = React.useMemo(() => new Set(selected.keys()), [selected]);
 
-  const handleToggle = () => {
-    if (isApplied) onClear();
-    else onApply({ number: draftNumber.trim(), caller: draftCaller.trim() });
+  const onBulkDone = (doneIds) => {
+    setSelected((cur) => {
+      const next = new Map(cur);
+      doneIds.forEach((id) => next.delete(id));
+      return next;
+    });
+    reload?.();
   };
 
   return (
-    <div
-      className="search-controls"
-      style={{ display: "flex", gap: 8, flexWrap: "wrap" }}
+    <Section
+      id={`list-${listName}`}
+      title={title}
+      count={list.total}
+      searchUI={
+        <div className="section-tools">
+          <ViewSwitcher
+            views={savedViews.views}
+            active={list.view}
+            open={builderOpen}
+            onPick={pickView}
+            onToggleBuilder={() => setBuilderOpen((o) => !o)}
+          />
+          <SearchControls
+            appliedValue={list.filter}
+            onApply={(vals) => list.setFilter(vals)}
+            onClear={() => list.setFilter({ number: "", caller: "" })}
+          />
+          <ExportButtons load={(format) => exportList(token, listName, list.query, format)} setErr={setErr} />
+        </div>
+      }
     >
-      <input
-        className="input"
-        placeholder="Search by number"
-        value={draftNumber}
-        onChange={(e) => setDraftNumber(e.target.value)}
-        style={{ width: 180 }}
-      />
-      <input
-        className="input"
-        placeholder="Search by caller/assignee"
-        value={draftCaller}
-        onChange={(e) => setDraftCaller(e.target.value)}
-        style={{ width: 220 }}
+      {builderOpen && savedViews.fields.length > 0 && (
+        <FilterBuilder
+          key={list.view?.id || (list.view ? `custom:${list.view.name}` : "none")}
+          token={token}
+          fields={savedViews.fields}
+          view={list.view}
+          onApply={applyConditions}
+          onSave={saveView}
+          onUpdate={saveChanges}
+          onDelete={removeView}
+          onClose={() => setBuilderOpen(false)}
+        />
+      )}
+      {bulkTable === APPROVAL_TABLE && selected.size > 0 && (
+        <ApprovalBulkBar
+          token={token}
+          records={[...selected.values()]}
+          onClear={() => setSelected(new Map())}
+          onDone={onBulkDone}
+          setErr={setErr}
+        />
+      )}
+      {bulkTable && bulkTable !== APPROVAL_TABLE && selected.size > 0 && (
+        <BulkBar
+          token={token}
+          records={[...selected.values()]}
+          stateTable={bulkTable}
+          onClear={() => setSelected(new Map())}
+          onDone={onBulkDone}
+          setErr={setErr}
+        />
+      )}
+      <Table
+        rows={list.rows}
+        onOpen={onOpen}
+        sort={list.sort}
+        onSort={list.setSort}
+        total={list.total}
+        loading={list.loading}
+        changed={list.changed}
+        selected={bulkTable ? selectedIds : undefined}
+        onSelect={bulkTable ? onSelect : undefined}
+        slas={showSla ? slas : undefined}
+        now={now}
+        onLoadMore={() => list.loadMore(token)}
       />
-      <button
-        type="button"
-        className={`btn-secondary ${isApplied ? "btn-toggle-on" : ""}`}
-        onClick={handleToggle}
-      >
-        {isApplied ? "Clear" : "Search"}
-      </button>
-    </div>
+    </Section>
   );
-});
+}
+
+// Module-level so the lists inside keep their state (selection, search drafts) across renders
+const Container = ({ children }) => (
+  <div style={{ maxWidth: 1120, margin: "0 auto", padding: "0 12px" }}>
+    {children}
+  </div>
+);
 
 /* ===== Main App ===== */
 export default function App() {
@@ -1051,41 +3653,31 @@ export default function App() {
   });
 
   const [err, setErr] = useState("");
-  const [incidents, setIncidents] = useState([]);
-  const [tasks, setTasks] = useState([]);
-  const [approvals, setApprovals] = useState([]);
+  const incidents = usePagedList(listIncidents, incidentRows);
+  const tasks = usePagedList(listTasks, taskRows);
+  const meId = realId(user?.sys_id);
+  const approvalMapper = React.useCallback((res) => approvalRows(res, meId), [meId]);
+  const approvals = usePagedList(listApprovals, approvalMapper);
 
   // Drawers
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [recordRef, setRecordRef] = useState(null);
   const [approvalOpen, setApprovalOpen] = useState(false);
   const [approvalRef, setApprovalRef] = useState(null);
-
-  // Search state (always expanded)
-  const [incSearch, setIncSearch] = useState({
-    number: "",
-    caller: "",
-    applied: { number: "", caller: "" },
-  });
-  const [tskSearch, setTskSearch] = useState({
-    number: "",
-    caller: "",
-    applied: { number: "", caller: "" },
-  });
-  const [appSearch, setAppSearch] = useState({
-    number: "",
-    caller: "",
-    applied: { number: "", caller: "" },
-  });
+  const [createOpen, setCreateOpen] = useState(false);
+  const [delegationsOpen, setDelegationsOpen] = useState(false);
+  const [auditOpen, setAuditOpen] = useState(false);
+  const [dashboardKey, setDashboardKey] = useState(0);
 
   // Token probe
   React.useEffect(() => {
     if (!token) return;
     (async () => {
       try {
-        await listIncidents(token);
+        await listIncidents(token, { limit: 1 });
       } catch {
         localStorage.removeItem("token");
+        localStorage.removeItem("refreshToken");
         localStorage.removeItem("user");
         setToken("");
         setUser(null);
@@ -1093,61 +3685,62 @@ export default function App() {
     })();
   }, [token]);
 
+  // api.js rotates expired access tokens; follow it (empty token = session is gone)
+  React.useEffect(() => {
+    setAuthListener((tok) => {
+      if (tok) return setToken(tok);
+      localStorage.removeItem("token");
+      localStorage.removeItem("user");
+      setToken("");
+      setUser(null);
+    });
+    return () => setAuthListener(null);
+  }, []);
+
+  // Silent refresh of all three lists, keeping what's already paged in
   const reloadOpen = async () => {
     if (!token) return;
+    setDashboardKey((k) => k + 1);
     try {
-      const [i, t, a] = await Promise.all([
-        listIncidents(token),
-        listTasks(token),
-        listApprovals(token),
+      await Promise.all([
+        incidents.load(token, { keep: true }),
+        tasks.load(token, { keep: true }),
+        approvals.load(token, { keep: true }),
       ]);
-      setIncidents(normResults(i, "incident"));
-      setTasks(normResults(t, "task"));
-      setApprovals(
-        asArray(a).map((r) => ({
-          sys_id: r.sys_id,
-          number: dv(r.sysapproval) || r.sys_id,
-          short_description: dv(r.state) || "Requested",
-          description: "",
-          assigned_to: r.approver || null,
-          assignment_group: null,
-          state: r.state,
-          priority: null,
-          sys_class_name: "sysapproval_approver",
-          _table: "sysapproval_approver",
-        }))
-      );
       setErr("");
     } catch (e) {
       console.error(e);
       setErr("Failed to load open items: " + e.message);
     }
   };
-  React.useEffect(() => {
-    if (token) reloadOpen();
-  }, [token]);
-// --- Auto-refresh open lists every 30s, pause while drawers are open ---
-const REFRESH_MS = 30000;
 
-React.useEffect(() => {
-  if (!token) return;
-  // Pause auto-refresh while a drawer is open to avoid jumping data under the user
-  if (drawerOpen || approvalOpen) return;
+  useListLoader(incidents, token, setErr);
+  useListLoader(tasks, token, setErr);
+  useListLoader(approvals, token, setErr);
 
-  const id = setInterval(() => {
-    // Silent refresh; your reloadOpen handles errors and state updates
-    reloadOpen();
-  }, REFRESH_MS);
+  // --- Live updates from the backend change feed (replaces 30s polling) ---
+  // Deltas are merged into the lists as they arrive; a reconnect or a server-side resync
+  // reloads them instead, to cover whatever happened while the stream was down.
+  const live = React.useRef(null);
+  live.current = { incidents, tasks, approvals, reloadOpen };
 
-  // Also refresh immediately when the window regains focus
-  const onFocus = () => reloadOpen();
-  window.addEventListener('focus', onFocus);
+  React.useEffect(() => {
+    if (!token) return;
+    let connected = false;
+    return subscribeChanges(token, {
+      onOpen: () => {
+        if (connected) live.current.reloadOpen();
+        connected = true;
+      },
+      onResync: () => live.current.reloadOpen(),
+      onChanges: (delta) => {
+        live.current.incidents.applyDelta(delta.incidents);
+        live.current.tasks.applyDelta(delta.tasks);
+        live.current.approvals.applyDelta(delta.approvals);
+      },
+    });
+  }, [token]);
 
-  return () => {
-    clearInterval(id);
-    window.removeEventListener('focus', onFocus);
-  };
-}, [token, drawerOpen, approvalOpen]); 
   // Open handlers
   const onOpenIncident = (r) => {
     setRecordRef({ ...r, _table: "incident", sys_id: realId(r.sys_id) });
@@ -1165,41 +3758,48 @@ React.useEffect(() => {
     setApprovalRef(r);
     setApprovalOpen(true);
   };
+  // Search hits already know their table
+  const onOpenFound = (r) => {
+    setRecordRef(r);
+    setDrawerOpen(true);
+  };
+  // New record: open its drawer straight away and refresh the lists behind it
+  const onCreated = (rec) => {
+    setCreateOpen(false);
+    setRecordRef(rec);
+    setDrawerOpen(true);
+    reloadOpen();
+  };
+  // Dashboard segments narrow the matching list with a one-off view
+  const onDashboardPick = (listName, name, conditions) => {
+    const list = listName === "tasks" ? tasks : incidents;
+    list.setView({ id: null, name, conditions });
+    document.getElementById(`list-${listName}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
   const onCloseDrawer = () => {
     setDrawerOpen(false);
     setRecordRef(null);
   };
 
   const doLogout = () => {
+    // Invalidate the session server-side; local sign-out proceeds regardless
+    if (token) logout(token, localStorage.getItem("refreshToken")).catch(() => {});
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("user");
     setToken("");
     setUser(null);
-    setIncidents([]);
-    setTasks([]);
-    setApprovals([]);
+    incidents.clear();
+    tasks.clear();
+    approvals.clear();
     setDrawerOpen(false);
     setRecordRef(null);
     setApprovalOpen(false);
     setApprovalRef(null);
+    setCreateOpen(false);
+    setAuditOpen(false);
   };
 
-  const filterBy = (rows, search) =>
-    rows.filter((r) => {
-      const okNum =
-        !search.applied.number || contains(dv(r.number), search.applied.number);
-      const who = dv(r.caller_id) || dv(r.assigned_to);
-      const okCaller =
-        !search.applied.caller || contains(who, search.applied.caller);
-      return okNum && okCaller;
-    });
-
-  const Container = ({ children }) => (
-    <div style={{ maxWidth: 1120, margin: "0 auto", padding: "0 12px" }}>
-      {children}
-    </div>
-  );
-
   if (!token) {
     return (
       <div className="login-bg">
@@ -1212,11 +3812,12 @@ React.useEffect(() => {
               <div className="logo-title">GreenLeaf Service Portal</div>
             </div>
             <LoginForm
-              onSuccess={(tok, usr) => {
+              onSuccess={(tok, usr, refreshTok) => {
                 setToken(tok);
                 setUser(usr);
                 localStorage.setItem("token", tok);
                 localStorage.setItem("user", JSON.stringify(usr));
+                if (refreshTok) localStorage.setItem("refreshToken", refreshTok);
                 reloadOpen();
               }}
               setErr={setErr}
@@ -1239,7 +3840,19 @@ React.useEffect(() => {
               </div>
               <h1 style={{ margin: 0, fontSize: 18 }}>My Work</h1>
             </div>
+            <GlobalSearch token={token} onOpenRecord={onOpenFound} onOpenApproval={onOpenApproval} />
             <div className="userbox">
+              {user?.admin && (
+                <button className="btn-secondary" onClick={() => setAuditOpen(true)} style={{ marginRight: 12 }}>
+                  Audit log
+                </button>
+              )}
+              <button className="btn-secondary" onClick={() => setDelegationsOpen(true)} style={{ marginRight: 12 }}>
+                Delegations
+              </button>
+              <button className="btn-primary" onClick={() => setCreateOpen(true)} style={{ marginRight: 12 }}>
+                New Incident
+              </button>
               <span style={{ marginRight: 12 }}>
                 {dv(user?.name) || dv(user?.user_name) || dv(user?.email)}
               </span>
@@ -1252,92 +3865,45 @@ React.useEffect(() => {
       </div>
 
       <Container>
+        <Dashboard token={token} reloadKey={dashboardKey} onPick={onDashboardPick} setErr={setErr} />
+
         {/* Incidents */}
-        <Section
+        <ListSection
           title="Open Incidents"
-          count={filterBy(incidents, incSearch).length}
-          searchUI={
-            <SearchControls
-              appliedValue={incSearch.applied}
-              onApply={(vals) =>
-                setIncSearch((s) => ({
-                  ...s,
-                  number: vals.number,
-                  caller: vals.caller,
-                  applied: vals,
-                }))
-              }
-              onClear={() =>
-                setIncSearch({
-                  number: "",
-                  caller: "",
-                  applied: { number: "", caller: "" },
-                })
-              }
-            />
-          }
-        >
-          <Table rows={filterBy(incidents, incSearch)} onOpen={onOpenIncident} />
-        </Section>
+          listName="incidents"
+          list={incidents}
+          token={token}
+          onOpen={onOpenIncident}
+          bulkTable="incident"
+          showSla
+          reload={reloadOpen}
+          setErr={setErr}
+        />
 
         {/* Tasks */}
-        <Section
+        <ListSection
           title="Open Tasks"
-          count={filterBy(tasks, tskSearch).length}
-          searchUI={
-            <SearchControls
-              appliedValue={tskSearch.applied}
-              onApply={(vals) =>
-                setTskSearch((s) => ({
-                  ...s,
-                  number: vals.number,
-                  caller: vals.caller,
-                  applied: vals,
-                }))
-              }
-              onClear={() =>
-                setTskSearch({
-                  number: "",
-                  caller: "",
-                  applied: { number: "", caller: "" },
-                })
-              }
-            />
-          }
-        >
-          <Table rows={filterBy(tasks, tskSearch)} onOpen={onOpenTask} />
-        </Section>
+          listName="tasks"
+          list={tasks}
+          token={token}
+          onOpen={onOpenTask}
+          bulkTable="task"
+          showSla
+          reload={reloadOpen}
+          setErr={setErr}
+        />
 
         {/* Approvals */}
-        <Section
+        <ListSection
           title="Open Approvals"
-          count={filterBy(approvals, appSearch).length}
-          searchUI={
-            <SearchControls
-              appliedValue={appSearch.applied}
-              onApply={(vals) =>
-                setAppSearch((s) => ({
-                  ...s,
-                  number: vals.number,
-                  caller: vals.caller,
-                  applied: vals,
-                }))
-              }
-              onClear={() =>
-                setAppSearch({
-                  number: "",
-                  caller: "",
-                  applied: { number: "", caller: "" },
-                })
-              }
-            />
-          }
-        >
-          <Table
-            rows={filterBy(approvals, appSearch)}
-            onOpen={(r) => setApprovalRef(r) || setApprovalOpen(true)}
-          />
-        </Section>
+          listName="approvals"
+          list={approvals}
+          token={token}
+          onOpen={(r) => setApprovalRef(r) || setApprovalOpen(true)}
+          bulkTable={APPROVAL_TABLE}
+          reload={reloadOpen}
+          setErr={setErr}
+        />
       </Container>
 
       {token && (
@@ -1350,6 +3916,28 @@ React.useEffect(() => {
           setErr={setErr}
         />
       )}
+      {token && (
+        <NewRecordDrawer
+          open={createOpen}
+          onClose={() => setCreateOpen(false)}
+          token={token}
+          table="incident"
+          currentUser={user}
+          onCreated={onCreated}
+          setErr={setErr}
+        />
+      )}
+      {token && (
+        <DelegationsDrawer
+          open={delegationsOpen}
+          onClose={() => setDelegationsOpen(false)}
+          token={token}
+          setErr={setErr}
+        />
+      )}
+      {token && user?.admin && (
+        <AuditDrawer open={auditOpen} onClose={() => setAuditOpen(false)} token={token} setErr={setErr} />
+      )}
       {token && (
         <ApprovalDrawer
           open={approvalOpen}
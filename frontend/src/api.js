@@ -1,31 +1,98 @@
 // src/api.js
 const API_BASE = import.meta.env.VITE_API_BASE || '/api';
 
-async function api(path, { method = 'GET', token, body } = {}) {
-  const headers = { Accept: 'application/json' };
-  if (body) headers['Content-Type'] = 'application/json';
+/* ---------- Token refresh ----------
+ * Access tokens are short-lived. On a 401 we rotate the refresh token kept in
+ * localStorage once, tell the app about the new token and retry the call. */
+let authListener = null;
+let refreshing = null;
+
+export function setAuthListener(fn) { authListener = fn; }
+
+async function rotateToken() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return null;
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE}/token/refresh`, {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+      credentials: 'omit',
+      cache: 'no-store',
+    })
+      .then((r) => r.json().catch(() => ({})).then((d) => (r.ok && d.ok !== false ? d.result : null)))
+      .catch(() => null)
+      .then((next) => {
+        if (next?.token) {
+          localStorage.setItem('token', next.token);
+          localStorage.setItem('refreshToken', next.refreshToken);
+        } else {
+          localStorage.removeItem('refreshToken');
+        }
+        authListener?.(next?.token || '');
+        return next?.token || null;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function api(path, opts = {}) {
+  const { token } = opts;
+  try {
+    return await request(path, opts);
+  } catch (e) {
+    if (e.status !== 401 || !token) throw e;
+    const next = await rotateToken();
+    if (!next) throw e;
+    return request(path, { ...opts, token: next });
+  }
+}
+
+// Query string from an object, skipping empty values
+const qs = (params = {}) => {
+  const s = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== '')
+  ).toString();
+  return s ? `?${s}` : '';
+};
+
+// `meta: true` returns the whole payload (e.g. { result, total }) instead of just result;
+// `raw: true` returns the successful Response itself (file downloads).
+// FormData bodies are sent as multipart, anything else as JSON.
+async function request(path, { method = 'GET', token, body, meta = false, raw = false } = {}) {
+  const form = typeof FormData !== 'undefined' && body instanceof FormData;
+  const headers = { Accept: raw ? '*/*' : 'application/json' };
+  if (body && !form) headers['Content-Type'] = 'application/json';
   if (token) headers['Authorization'] = `Bearer ${token}`;
 
   const res = await fetch(`${API_BASE}${path}`, {
     method,
     headers,
-    body: body ? JSON.stringify(body) : undefined,
+    body: !body ? undefined : form ? body : JSON.stringify(body),
     credentials: 'omit',
     cache: 'no-store',
   });
 
+  if (raw && res.ok) return res;
+
   // Treat 304 similar to 200 (some proxies return 304 for cached GETs)
   if (res.status === 304) {
     let data = {};
     try { data = await res.json(); } catch {}
+    if (meta) return data;
     return data.result !== undefined ? data.result : data;
   }
 
   const data = await res.json().catch(() => ({}));
   if (!res.ok || data.ok === false) {
     const msg = data?.error?.message || data?.error || res.statusText;
-    throw new Error(typeof msg === 'string' ? msg : JSON.stringify(msg));
+    const err = new Error(typeof msg === 'string' ? msg : JSON.stringify(msg));
+    err.status = res.status;
+    err.data = data; // full error payload (e.g. { conflict } on a 409)
+    throw err;
   }
+  if (meta) return data;
   return data.result !== undefined ? data.result : data;
 }
 
@@ -34,16 +101,104 @@ export async function login(username, password) {
   return api('/login', { method: 'POST', body: { username, password } });
 }
 
-/* ---------- Lists (filtered to mine / my groups on backend) ---------- */
-export async function listIncidents(token) { return api('/incidents', { token }); }
-export async function listTasks(token) { return api('/tasks', { token }); }
-export async function listApprovals(token) { return api('/approvals', { token }); }
+// The refresh token still ends the session once the access token has expired
+export async function logout(token, refreshToken) {
+  return request('/logout', { method: 'POST', token, body: refreshToken ? { refreshToken } : undefined });
+}
+
+/* ---------- Lists (filtered to mine / my groups on backend) ----------
+ * params: { limit, offset, sort, dir, number, caller, filter } -> { result: rows[], total }
+ * `filter` is a JSON string of filter builder conditions (see listViews() fields). */
+export async function listIncidents(token, params) { return api(`/incidents${qs(params)}`, { token, meta: true }); }
+export async function listTasks(token, params) { return api(`/tasks${qs(params)}`, { token, meta: true }); }
+export async function listApprovals(token, params) { return api(`/approvals${qs(params)}`, { token, meta: true }); }
+
+/* ---------- Dashboard (counts over the incident / task list scope) ----------
+ * -> { total, byPriority, byState, byAge: [{ key, label, count, conditions? }],
+ *      trend: [{ day, opened, done, conditions }] } for the last 30 days.
+ * `conditions` are filter builder conditions that show the segment in the list. */
+export async function getDashboard(token, list) {
+  return api(`/dashboard${qs({ list })}`, { token });
+}
+
+/* ---------- Change feed (Server-Sent Events) ----------
+ * Pushes { incidents|tasks|approvals: { upserts: rows[], removed: sys_ids[] } } as rows change.
+ * EventSource can't send headers, so the token rides in the query string. When the server
+ * reports the token expired we rotate it; the app then re-subscribes with the new token.
+ * onOpen fires on every (re)connect so the app can reload whatever it missed meanwhile.
+ * Returns a function that closes the feed. */
+export function subscribeChanges(token, { onChanges, onResync, onOpen } = {}) {
+  let es = null;
+  let closed = false;
+  let retryMs = 1000;
+  let timer = null;
+
+  const connect = () => {
+    if (closed) return;
+    es = new EventSource(`${API_BASE}/changes${qs({ token })}`);
+    es.addEventListener('ready', () => {
+      retryMs = 1000;
+      onOpen?.();
+    });
+    es.addEventListener('changes', (e) => {
+      let delta = null;
+      try { delta = JSON.parse(e.data); } catch {}
+      if (delta) onChanges?.(delta);
+    });
+    es.addEventListener('resync', () => onResync?.());
+    es.addEventListener('expired', () => {
+      es.close();
+      if (!closed) rotateToken();
+    });
+    // The browser retries dropped streams itself; once it gives up, back off and reconnect
+    es.onerror = () => {
+      if (closed || es.readyState !== EventSource.CLOSED) return;
+      clearTimeout(timer);
+      timer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, 30000);
+    };
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    es?.close();
+  };
+}
+
+/* ---------- Saved views ---------- */
+// list: 'incidents' | 'tasks' | 'approvals' -> { result: views[], fields: filter field catalogue }
+export async function listViews(token, list) {
+  return api(`/views${qs({ list })}`, { token, meta: true });
+}
+
+// view: { list, name, conditions, sort }
+export async function createView(token, view) {
+  return api('/views', { method: 'POST', token, body: view });
+}
+
+export async function updateView(token, id, changes) {
+  return api(`/views/${encodeURIComponent(id)}`, { method: 'PUT', token, body: changes });
+}
+
+export async function deleteView(token, id) {
+  return api(`/views/${encodeURIComponent(id)}`, { method: 'DELETE', token });
+}
 
 /* ---------- Records ---------- */
 export async function getRecord(token, table, sys_id) {
   return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}`, { token });
 }
 
+export async function createRecord(token, table, payload) {
+  return api(`/record/${encodeURIComponent(table)}`, {
+    method: 'POST',
+    token,
+    body: payload,
+  });
+}
+
 export async function updateRecord(token, table, sys_id, payload) {
   return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}`, {
     method: 'PATCH',
@@ -52,10 +207,109 @@ export async function updateRecord(token, table, sys_id, payload) {
   });
 }
 
+// records: [{ table, sys_id }]; changes: { state, assigned_to, assignment_group, work_notes }
+// -> { result: [{ table, sys_id, number, ok, error? }], succeeded, failed }
+export async function bulkUpdate(token, records, changes) {
+  return api('/bulk/update', {
+    method: 'POST',
+    token,
+    body: { records, changes },
+    meta: true,
+  });
+}
 
-/* Activity stream (combined journal + audit), served by backend */
-export async function getActivity(token, table, sys_id) {
-  return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/activity`, { token });
+// Approve or reject several approvals with one comment (stamped with #Cont.By: on the server)
+// -> { result: [{ sys_id, number, ok, error? }], succeeded, failed }
+export async function bulkDecide(token, sys_ids, decision, comments) {
+  return api('/bulk/decide', {
+    method: 'POST',
+    token,
+    body: { sys_ids, decision, comments },
+    meta: true,
+  });
+}
+
+
+/* Activity stream (combined journal + audit), served by backend.
+ * Entries: { id, ts, by, byName, type, field, oldValue, newValue, body }, newest first;
+ * { format: 'text' } returns the older preformatted text instead. */
+export async function getActivity(token, table, sys_id, { format } = {}) {
+  return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/activity${qs({ format })}`, { token });
+}
+
+/* ---------- Audit log (portal admins) ----------
+ * params: { user, record, table, action, outcome, from, to, limit, offset } -> { result, total }
+ * Entries: { seq, ts, user, via, ip, route, action, table, sys_id, number, changes, journal,
+ *            decision, outcome, error, prevHash, hash }, newest first. */
+export async function queryAudit(token, params) {
+  return api(`/admin/audit${qs(params)}`, { token, meta: true });
+}
+
+// -> { ok, entries, brokenAt?: { line, seq, reason } }
+export async function verifyAudit(token) {
+  return api('/admin/audit/verify', { token });
+}
+
+/* ---------- Exports (CSV / XLSX) ----------
+ * Downloads come back as { blob, fileName }, named by the backend. */
+async function download(path, token) {
+  const res = await api(path, { token, raw: true });
+  const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  return { blob: await res.blob(), fileName: name?.[1] || 'export' };
+}
+
+// A whole list as it is filtered and sorted (the list params, without paging)
+export async function exportList(token, list, params, format) {
+  const { limit, offset, ...rest } = params || {};
+  return download(`/export/${encodeURIComponent(list)}${qs({ ...rest, format })}`, token);
+}
+
+export async function exportActivity(token, table, sys_id, format) {
+  return download(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/activity${qs({ format })}`, token);
+}
+
+/* ---------- SLAs (task_sla) ---------- */
+// Active SLAs of up to 100 listed records in one call:
+// [{ sys_id, task, name, stage, active, breached, percentage, start, breachAt, end }]
+export async function getSlas(token, taskIds) {
+  return api(`/sla${qs({ ids: taskIds.join(',') })}`, { token });
+}
+
+// Every SLA of one record, active first
+export async function getRecordSlas(token, table, sys_id) {
+  return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/sla`, { token });
+}
+
+/* ---------- Attachments ---------- */
+// -> { result: attachments[], canAttach, maxBytes }
+export async function listAttachments(token, table, sys_id) {
+  return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/attachments`, { token, meta: true });
+}
+
+export async function uploadAttachments(token, table, sys_id, files) {
+  const form = new FormData();
+  for (const f of files) form.append('file', f, f.name);
+  return api(`/record/${encodeURIComponent(table)}/${encodeURIComponent(sys_id)}/attachments`, {
+    method: 'POST',
+    token,
+    body: form,
+  });
+}
+
+// File contents as a Blob (fetched with the bearer token, so no token ends up in a URL)
+export async function fetchAttachment(token, sys_id, { inline = false } = {}) {
+  const res = await api(`/attachment/${encodeURIComponent(sys_id)}/file${inline ? '?inline=1' : ''}`, { token, raw: true });
+  return res.blob();
+}
+
+export async function deleteAttachment(token, sys_id) {
+  return api(`/attachment/${encodeURIComponent(sys_id)}`, { method: 'DELETE', token });
+}
+
+/* ---------- Global search ----------
+ * -> [{ table, label, results: rows[] (with score, approval?), more, error? }], best table first */
+export async function globalSearch(token, q, { limit } = {}) {
+  return api(`/search${qs({ q, limit })}`, { token });
 }
 
 /* ---------- Search (typeahead) ---------- */
@@ -68,10 +322,16 @@ export async function searchGroups(token, q) {
 }
 
 /* ---------- Approvals (details + decision) ---------- */
+// -> { approval, target, targetTable, variables? } (variables for requested items only)
 export async function getApprovalDetails(token, approvalSysId) {
   return api(`/approval/${encodeURIComponent(String(approvalSysId || ''))}`, { token });
 }
 
+// Every approval on the same record -> { approvers: [{ approver, state, group, comments, ... }], groups }
+export async function getApprovalHistory(token, approvalSysId) {
+  return api(`/approval/${encodeURIComponent(String(approvalSysId || ''))}/history`, { token });
+}
+
 export async function actOnApproval(token, approvalId, decision, comments) {
   const id = String(
     approvalId && typeof approvalId === 'object' && 'value' in approvalId
@@ -85,6 +345,21 @@ export async function actOnApproval(token, approvalId, decision, comments) {
   });
 }
 
+/* ---------- Delegations (approvals only) ---------- */
+// -> { granted: [...], received: [...] }; rows: { sys_id, user, delegate, starts, ends, status }
+export async function listDelegations(token) {
+  return api('/delegations', { token });
+}
+
+// delegation: { delegate: sys_id, starts?: 'YYYY-MM-DD', ends: 'YYYY-MM-DD' }
+export async function createDelegation(token, delegation) {
+  return api('/delegations', { method: 'POST', token, body: delegation });
+}
+
+export async function endDelegation(token, sys_id) {
+  return api(`/delegations/${encodeURIComponent(sys_id)}/end`, { method: 'POST', token });
+}
+
 /* ---------- Change details (linked from approvals) ---------- */
 export async function getChangeDetails(token, sys_id) {
   return api(`/change/${encodeURIComponent(sys_id)}/details`, { token });